@@ -1,18 +1,108 @@
+import { useState, useEffect, useRef } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import './App.css';
 import BooksView from './components/BooksView';
 import AddBookView from './components/AddBookView';
 import BookViewer from './components/BookViewer';
+import LoginView from './components/LoginView';
+import InviteView from './components/InviteView';
+import ReadingView from './components/ReadingView';
+import { requestJson } from './utils/api';
+import { DEFAULT_PREFERENCES, takeLegacyPreferences } from './utils/preferences';
 
 function App() {
+  const [user, setUser] = useState(null);
+  const [checkingSession, setCheckingSession] = useState(true);
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
+  const preferencesRequest = useRef(0); // Only the latest save updates the preferences
+  const pendingPreferences = useRef({}); // Changes waiting to be saved
+  const saveTimer = useRef(null);
+
+  // Restore the signed-in user from the session cookie
+  useEffect(() => {
+    fetch('/api/auth/me')
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => setUser(data?.user || null))
+      .catch(error => console.error('Error checking session:', error))
+      .finally(() => setCheckingSession(false));
+  }, []);
+
+  // Reading preferences of the signed-in user, including settings older versions kept in the browser
+  useEffect(() => {
+    if (!user) return;
+    requestJson('/api/preferences')
+      .then(async saved => {
+        setPreferences(saved);
+        const legacy = takeLegacyPreferences();
+        if (legacy) {
+          setPreferences(await requestJson('/api/preferences', { method: 'PATCH', body: JSON.stringify(legacy) }));
+        }
+      })
+      .catch(error => console.error('Error loading preferences:', error));
+  }, [user]);
+
+  // Preference changes apply right away; they are saved in the background, a moment after
+  // the last change so dragging a slider sends one request
+  const savePreferences = async (request) => {
+    const requestId = ++preferencesRequest.current;
+    try {
+      const saved = await request();
+      if (requestId === preferencesRequest.current) {
+        setPreferences(saved);
+      }
+    } catch (error) {
+      console.error('Error saving preferences:', error);
+    }
+  };
+
+  const changePreferences = (changes) => {
+    setPreferences(prev => ({ ...prev, ...changes }));
+    pendingPreferences.current = { ...pendingPreferences.current, ...changes };
+    clearTimeout(saveTimer.current);
+    saveTimer.current = setTimeout(() => {
+      const pending = pendingPreferences.current;
+      pendingPreferences.current = {};
+      savePreferences(() => requestJson('/api/preferences', { method: 'PATCH', body: JSON.stringify(pending) }));
+    }, 400);
+  };
+
+  const resetPreferences = () => {
+    clearTimeout(saveTimer.current);
+    pendingPreferences.current = {};
+    setPreferences(DEFAULT_PREFERENCES);
+    savePreferences(() => requestJson('/api/preferences', { method: 'DELETE' }));
+  };
+
+  const preferenceProps = { preferences, onPreferencesChange: changePreferences, onPreferencesReset: resetPreferences };
+
+  const handleSignOut = async () => {
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+    setUser(null);
+    setPreferences(DEFAULT_PREFERENCES);
+  };
+
+  if (checkingSession) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  if (!user) {
+    return <LoginView onSignedIn={setUser} />;
+  }
+
   return (
     <Router>
       <div className="App">
         <main>
           <Routes>
-            <Route path="/" element={<BooksView />} />
+            <Route path="/" element={<BooksView user={user} onSignOut={handleSignOut} />} />
             <Route path="/add-book" element={<AddBookView />} />
-            <Route path="/book/:bookId" element={<BookViewer />} />
+            <Route path="/book/:bookId" element={<BookViewer {...preferenceProps} />} />
+            <Route path="/book/:bookId/read" element={<ReadingView {...preferenceProps} />} />
+            <Route path="/invite/:token" element={<InviteView />} />
           </Routes>
         </main>
       </div>
@@ -11,6 +11,11 @@ const AddBookView = () => {
   const [processing, setProcessing] = useState(false);
   const [initializing, setInitializing] = useState(false);
   const [mobileUrl, setMobileUrl] = useState('');
+  const [connected, setConnected] = useState(false);
+  const [processedPages, setProcessedPages] = useState({}); // pageId -> detected block count
+  const [sessionStatus, setSessionStatus] = useState('active'); // active | expired | closed | revoked
+  const [expiresAt, setExpiresAt] = useState(null);
+  const [renewing, setRenewing] = useState(false);
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -20,12 +25,100 @@ const AddBookView = () => {
   }, []);
 
   useEffect(() => {
-    if (sessionId) {
-      // Poll for page updates every 2 seconds
-      const pollInterval = setInterval(pollForUpdates, 2000);
-      return () => clearInterval(pollInterval);
-    }
-  }, [sessionId]);
+    if (!sessionId) return;
+
+    // Live session updates over WebSocket, reconnecting with backoff
+    let socket = null;
+    let retryTimer = null;
+    let retries = 0;
+    let closed = false;
+
+    const handleSessionEvent = (event) => {
+      if (closed) return;
+
+      switch (event.type) {
+        case 'snapshot':
+          setPages(event.data.pages);
+          if (event.data.status === 'completed') {
+            navigate('/');
+          } else {
+            setSessionStatus(event.data.status);
+          }
+          break;
+        case 'page-added':
+          setPages(prev => prev.some(page => page.id === event.data.pageId)
+            ? prev
+            : [...prev, { id: event.data.pageId, pageNumber: event.data.pageNumber, imagePath: event.data.imagePath }]);
+          break;
+        case 'page-processed':
+          setProcessedPages(prev => ({ ...prev, [event.data.pageId]: event.data.totalBlocks }));
+          break;
+        case 'session-closed':
+          if (event.data.status === 'completed') {
+            navigate('/');
+          } else {
+            setSessionStatus(event.data.status);
+          }
+          break;
+        case 'job-failed':
+          console.error('Background job failed:', event.data);
+          break;
+        default:
+          break;
+      }
+    };
+
+    const connect = () => {
+      const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+      socket = new WebSocket(`${protocol}://${window.location.host}/ws/sessions/${sessionId}`);
+
+      socket.onopen = () => {
+        retries = 0;
+        setConnected(true);
+      };
+
+      socket.onmessage = (message) => {
+        try {
+          handleSessionEvent(JSON.parse(message.data));
+        } catch (error) {
+          console.error('Error handling session event:', error);
+        }
+      };
+
+      socket.onclose = () => {
+        setConnected(false);
+        if (!closed) {
+          retryTimer = setTimeout(connect, Math.min(1000 * 2 ** retries++, 15000));
+        }
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      socket?.close();
+    };
+  }, [sessionId, navigate]);
+
+  // Sessions stop accepting uploads once they expire
+  useEffect(() => {
+    if (!expiresAt || sessionStatus !== 'active') return;
+
+    const remaining = new Date(expiresAt).getTime() - Date.now();
+    const timer = setTimeout(() => setSessionStatus('expired'), Math.max(0, remaining));
+    return () => clearTimeout(timer);
+  }, [expiresAt, sessionStatus]);
+
+  const applySession = (data) => {
+    setQrCode(data.qrCode);
+    setSessionId(data.sessionId);
+    setBookId(data.bookId);
+    setMobileUrl(data.mobileUrl);
+    setExpiresAt(data.expiresAt);
+    setSessionStatus('active');
+  };
 
   const initializeBook = async () => {
     if (initializing) return;
@@ -37,10 +130,7 @@ const AddBookView = () => {
       });
       const data = await response.json();
 
-      setQrCode(data.qrCode);
-      setSessionId(data.sessionId);
-      setBookId(data.bookId);
-      setMobileUrl(data.mobileUrl);
+      applySession(data);
       setLoading(false);
     } catch (error) {
       console.error('Error initializing book:', error);
@@ -50,26 +140,38 @@ const AddBookView = () => {
     }
   };
 
-  const pollForUpdates = async () => {
-    if (!sessionId) return;
+  // Replace the QR code: revoke the current link (if still open) and start a new session for the book
+  const renewSession = async () => {
+    if (renewing) return;
 
     try {
-      const response = await fetch(`/api/sessions/${sessionId}/status`);
-      const data = await response.json();
-
-      if (data.pages && data.pages.length !== pages.length) {
-        setPages(data.pages);
+      setRenewing(true);
+      if (sessionStatus === 'active') {
+        await fetch(`/api/sessions/${sessionId}/revoke`, { method: 'POST' });
       }
 
-      // Check if processing is complete
-      if (data.status === 'completed') {
-        navigate('/');
+      const response = await fetch(`/api/books/${bookId}/sessions`, { method: 'POST' });
+      if (!response.ok) {
+        throw new Error(`Failed to create session: ${response.status}`);
       }
+      applySession(await response.json());
     } catch (error) {
-      console.error('Error polling updates:', error);
+      console.error('Error renewing scanning session:', error);
+      alert('Could not create a new QR code. Please try again.');
+    } finally {
+      setRenewing(false);
     }
   };
 
+  const handleBack = () => {
+    // Stop the phone from adding pages once we leave the scanning screen
+    if (sessionId && sessionStatus === 'active') {
+      fetch(`/api/sessions/${sessionId}/close`, { method: 'POST', keepalive: true })
+        .catch(error => console.error('Error closing session:', error));
+    }
+    navigate('/');
+  };
+
   const handleDone = async () => {
     if (pages.length === 0) {
       alert('Please scan at least one page before finishing.');
@@ -109,7 +211,7 @@ const AddBookView = () => {
       <div className="add-book-header">
         <button
           className="back-button"
-          onClick={() => navigate('/')}
+          onClick={handleBack}
           disabled={processing}
         >
           ←
@@ -120,22 +222,41 @@ const AddBookView = () => {
         <div className="qr-section">
           <div className="qr-container">
             <h2>Scan with your phone</h2>
-            <div className="qr-code">
-              {qrCode ? (
-                <img src={qrCode} alt="QR Code for mobile scanning" />
-              ) : (
-                <div className="qr-placeholder">Loading QR code...</div>
-              )}
-            </div>
-            <p className="qr-instructions">
-              Scan this QR code with your phone's camera to start taking photos of book pages
-            </p>
-            {mobileUrl && (
-              <div className="mobile-url">
-                <p className="url-label">Or visit this URL on your phone:</p>
-                <a href={mobileUrl} target="_blank" rel="noopener noreferrer" className="url-text">
-                  {mobileUrl}
-                </a>
+            {sessionStatus === 'active' ? (
+              <>
+                <div className="qr-code">
+                  {qrCode ? (
+                    <img src={qrCode} alt="QR Code for mobile scanning" />
+                  ) : (
+                    <div className="qr-placeholder">Loading QR code...</div>
+                  )}
+                </div>
+                <p className="qr-instructions">
+                  Scan this QR code with your phone's camera to start taking photos of book pages
+                </p>
+                {mobileUrl && (
+                  <div className="mobile-url">
+                    <p className="url-label">Or visit this URL on your phone:</p>
+                    <a href={mobileUrl} target="_blank" rel="noopener noreferrer" className="url-text">
+                      {mobileUrl}
+                    </a>
+                  </div>
+                )}
+                <button className="renew-button" onClick={renewSession} disabled={renewing}>
+                  {renewing ? 'Creating new QR code...' : 'Revoke and get a new QR code'}
+                </button>
+              </>
+            ) : (
+              <div className="session-ended">
+                <p className="qr-instructions">
+                  {sessionStatus === 'expired' && 'This QR code has expired.'}
+                  {sessionStatus === 'revoked' && 'This QR code was revoked.'}
+                  {sessionStatus === 'closed' && 'Scanning was closed for this QR code.'}
+                  {' '}Your pages are kept. Get a new QR code to continue scanning.
+                </p>
+                <button className="renew-button" onClick={renewSession} disabled={renewing}>
+                  {renewing ? 'Creating new QR code...' : 'Get a new QR code'}
+                </button>
               </div>
             )}
           </div>
@@ -172,6 +293,11 @@ const AddBookView = () => {
                       alt={`Page ${page.pageNumber || (index + 1)}`}
                     />
                   </div>
+                  <div className={`page-status ${page.id in processedPages ? 'processed' : ''}`}>
+                    {page.id in processedPages
+                      ? `✓ ${processedPages[page.id]} text blocks`
+                      : 'Detecting text...'}
+                  </div>
                 </div>
               ))
             )}
@@ -179,9 +305,13 @@ const AddBookView = () => {
 
           {pages.length > 0 && (
             <div className="scan-status">
-              <div className="status-indicator active">
+              <div className={`status-indicator ${connected && sessionStatus === 'active' ? 'active' : ''}`}>
                 <div className="pulse"></div>
-                Scanning active - Continue taking photos on your phone
+                {!connected
+                  ? 'Reconnecting...'
+                  : sessionStatus === 'active'
+                    ? 'Scanning active - Continue taking photos on your phone'
+                    : 'Scanning paused - Get a new QR code to add more pages'}
               </div>
             </div>
           )}
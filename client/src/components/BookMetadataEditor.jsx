@@ -0,0 +1,221 @@
+import { useState, useEffect } from 'react';
+import { requestJson } from '../utils/api';
+import { BOOK_CATEGORIES, MAX_CATEGORIES, MAX_KEYWORDS, KEYWORD_GROUPS } from '../utils/bookMetadata';
+import './BooksView.css';
+import './BookMetadataEditor.css';
+
+// Title, author, categories, keywords and cover of a book, as found when the scan completed.
+// The cover is one of the pages or a photo uploaded on its own. pages are loaded when not
+// given. onSaved(book) gets the updated book.
+const BookMetadataEditor = ({ book, pages: givenPages, onSaved, onClose }) => {
+  const initialCategories = book.categories?.length ? book.categories : [book.category || 'General'];
+  const [title, setTitle] = useState(book.title || '');
+  const [author, setAuthor] = useState(book.author || '');
+  const [category, setCategory] = useState(initialCategories[0]);
+  const [otherCategories, setOtherCategories] = useState(initialCategories.slice(1));
+  const [keywords, setKeywords] = useState(book.keywords || []);
+  const [pages, setPages] = useState(givenPages || []);
+  // null keeps the cover; { pageId } or { file, preview } replaces it on save
+  const [coverChoice, setCoverChoice] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (givenPages) return;
+    requestJson(`/api/books/${book.id}`)
+      .then(data => setPages(data.pages || []))
+      .catch(err => console.error('Error loading pages:', err));
+  }, [book.id, givenPages]);
+
+  // Free the preview of an uploaded photo once it is replaced or the dialog closes
+  useEffect(() => () => {
+    if (coverChoice?.preview) URL.revokeObjectURL(coverChoice.preview);
+  }, [coverChoice]);
+
+  const choosePhoto = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) {
+      setCoverChoice({ file, preview: URL.createObjectURL(file) });
+    }
+  };
+
+  const coverPreview = coverChoice?.preview
+    || (coverChoice?.pageId && pages.find(page => page.id === coverChoice.pageId)?.imagePath)
+    || book.cover;
+  const isCoverPage = (page) => (coverChoice ? coverChoice.pageId === page.id : page.imagePath === book.cover);
+
+  const changeCategory = (value) => {
+    setCategory(value);
+    setOtherCategories(prev => prev.filter(other => other !== value));
+  };
+
+  const toggleOtherCategory = (value) => {
+    setOtherCategories(prev => prev.includes(value)
+      ? prev.filter(other => other !== value)
+      : [...prev, value].slice(0, MAX_CATEGORIES - 1));
+  };
+
+  const changeKeyword = (index, changes) => {
+    setKeywords(prev => prev.map((keyword, i) => (i === index ? { ...keyword, ...changes } : keyword)));
+  };
+
+  const addKeyword = () => {
+    setKeywords(prev => [...prev, { label: '', emoji: '', group: 'topic' }]);
+  };
+
+  const removeKeyword = (index) => {
+    setKeywords(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      let updated = await requestJson(`/api/books/${book.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({
+          title,
+          author: author.trim() || null,
+          categories: [category, ...otherCategories],
+          // Rows left empty are dropped rather than rejected
+          keywords: keywords.filter(keyword => keyword.label.trim()),
+          ...(coverChoice?.pageId ? { coverPageId: coverChoice.pageId } : {})
+        })
+      });
+      if (coverChoice?.file) {
+        const formData = new FormData();
+        formData.append('image', coverChoice.file);
+        updated = await requestJson(`/api/books/${book.id}/cover`, { method: 'POST', body: formData });
+      }
+      onSaved(updated);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <form className="modal metadata-modal" onClick={(e) => e.stopPropagation()} onSubmit={handleSave}>
+        <div className="modal-header">
+          <h2>Book details</h2>
+        </div>
+        <div className="modal-body">
+          {error && <div className="metadata-error">{error}</div>}
+
+          <label className="metadata-field">
+            <span>Title</span>
+            <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} maxLength={200} required className="metadata-input" />
+          </label>
+          <label className="metadata-field">
+            <span>Author</span>
+            <input type="text" value={author} onChange={(e) => setAuthor(e.target.value)} maxLength={200} placeholder="Unknown" className="metadata-input" />
+          </label>
+
+          <label className="metadata-field">
+            <span>Main category</span>
+            <select value={category} onChange={(e) => changeCategory(e.target.value)} className="metadata-input">
+              {BOOK_CATEGORIES.map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+          </label>
+          <div className="metadata-field">
+            <span>Also in (up to {MAX_CATEGORIES - 1})</span>
+            <div className="metadata-categories">
+              {BOOK_CATEGORIES.filter(option => option !== category).map(option => (
+                <button
+                  key={option}
+                  type="button"
+                  className={`metadata-category ${otherCategories.includes(option) ? 'selected' : ''}`}
+                  onClick={() => toggleOtherCategory(option)}
+                  aria-pressed={otherCategories.includes(option)}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="metadata-field">
+            <span>Cover</span>
+            <div className="metadata-cover">
+              <div className="metadata-cover-preview">
+                {coverPreview ? <img src={coverPreview} alt="Cover" /> : <span>📚</span>}
+              </div>
+              <label className="metadata-add metadata-cover-upload">
+                📷 Upload a photo
+                <input type="file" accept="image/*" onChange={choosePhoto} hidden />
+              </label>
+            </div>
+            {pages.length > 0 && (
+              <div className="metadata-cover-pages" role="listbox" aria-label="Use a page as the cover">
+                {pages.map((page, index) => (
+                  <button
+                    key={page.id}
+                    type="button"
+                    role="option"
+                    aria-selected={isCoverPage(page)}
+                    className={`metadata-cover-page ${isCoverPage(page) ? 'selected' : ''}`}
+                    onClick={() => setCoverChoice({ pageId: page.id })}
+                    title={`Use page ${index + 1} as the cover`}
+                  >
+                    <img src={page.imagePath} alt={`Page ${index + 1}`} loading="lazy" />
+                    <span>{index + 1}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="metadata-field">
+            <span>Keywords</span>
+            {keywords.map((keyword, index) => (
+              <div key={index} className="metadata-keyword">
+                <input
+                  type="text"
+                  value={keyword.emoji}
+                  onChange={(e) => changeKeyword(index, { emoji: e.target.value })}
+                  className="metadata-input metadata-emoji"
+                  aria-label="Emoji"
+                  maxLength={16}
+                />
+                <input
+                  type="text"
+                  value={keyword.label}
+                  onChange={(e) => changeKeyword(index, { label: e.target.value })}
+                  className="metadata-input metadata-label"
+                  aria-label="Keyword"
+                  maxLength={40}
+                />
+                <select
+                  value={keyword.group}
+                  onChange={(e) => changeKeyword(index, { group: e.target.value })}
+                  className="metadata-input"
+                  aria-label="Kind of keyword"
+                >
+                  {KEYWORD_GROUPS.map(group => <option key={group.value} value={group.value}>{group.label}</option>)}
+                </select>
+                <button type="button" className="metadata-remove" onClick={() => removeKeyword(index)} title="Remove keyword">
+                  ×
+                </button>
+              </div>
+            ))}
+            <button type="button" className="metadata-add" onClick={addKeyword} disabled={keywords.length >= MAX_KEYWORDS}>
+              + Add keyword
+            </button>
+          </div>
+        </div>
+        <div className="modal-footer">
+          <button type="button" className="cancel-button" onClick={onClose} disabled={saving}>
+            Cancel
+          </button>
+          <button type="submit" className="metadata-save" disabled={saving || !title.trim()}>
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default BookMetadataEditor;
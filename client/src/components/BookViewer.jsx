@@ -1,18 +1,70 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { waitForJob } from '../utils/jobs';
+import { requestJson } from '../utils/api';
+import { fetchBlockSpeech } from '../utils/speech';
+import { blockSegments, segmentAt, segmentAtChar } from '../utils/textSegments';
+import TextBlockEditor from './TextBlockEditor';
+import PreferencesPanel from './PreferencesPanel';
+import BookMetadataEditor from './BookMetadataEditor';
+import { readerStyle, pageImageFilter, TAP_MODES, PLAYBACK_SPEEDS } from '../utils/preferences';
+import { keywordGroupLabel, PAGE_KIND_LABELS } from '../utils/bookMetadata';
 import './BookViewer.css';
 
-const BookViewer = () => {
+// Subtitle words with character offsets (end exclusive). Uses the server's word timing
+// track when it matches the text, otherwise splits the text on whitespace.
+const buildSubtitleWords = (text, wordTimings) => {
+  if (!text) return [];
+
+  const segments = [];
+  if (wordTimings?.length && wordTimings[wordTimings.length - 1].charEnd <= text.length) {
+    let position = 0;
+    wordTimings.forEach(({ charStart, charEnd }) => {
+      if (charStart > position) {
+        segments.push({ text: text.slice(position, charStart), charStart: position, charEnd: charStart, isWhitespace: true });
+      }
+      segments.push({ text: text.slice(charStart, charEnd), charStart, charEnd, isWhitespace: false });
+      position = charEnd;
+    });
+    if (position < text.length) {
+      segments.push({ text: text.slice(position), charStart: position, charEnd: text.length, isWhitespace: true });
+    }
+    return segments;
+  }
+
+  let charCounter = 0;
+  text.split(/(\s+)/).forEach(word => {
+    if (word.length === 0) return;
+    segments.push({ text: word, charStart: charCounter, charEnd: charCounter + word.length, isWhitespace: /^\s+$/.test(word) });
+    charCounter += word.length;
+  });
+  return segments;
+};
+
+// Audio time (seconds) where a character of the spoken text starts or ends: from the
+// alignment when it covers the text, otherwise in proportion to the audio's duration
+const characterTime = (alignment, text, charIndex, edge, duration) => {
+  const character = alignment?.characters?.length === text.length ? alignment.characters[charIndex] : null;
+  if (character) {
+    return edge === 'start' ? character.start_time : character.end_time;
+  }
+  return duration * (charIndex + (edge === 'end' ? 1 : 0)) / text.length;
+};
+
+const BookViewer = ({ preferences, onPreferencesChange, onPreferencesReset }) => {
   const { bookId } = useParams();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const imageRef = useRef(null);
 
   const [book, setBook] = useState(null);
   const [pages, setPages] = useState([]);
-  const [currentPage, setCurrentPage] = useState(0);
+  // ?page=N (1-based) opens the book at that page, e.g. coming back from the text view
+  const [currentPage, setCurrentPage] = useState(() => Math.max(0, (parseInt(searchParams.get('page')) || 1) - 1));
   const [textBlocks, setTextBlocks] = useState([]);
   const textBlocksCache = useRef({}); // Use ref to persist cache across re-renders
   const [isDetecting, setIsDetecting] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
   const [processingBlocks, setProcessingBlocks] = useState(new Set());
   const [loading, setLoading] = useState(true);
   const [scaleX, setScaleX] = useState(1.0);
@@ -25,12 +77,33 @@ const BookViewer = () => {
   const [highlightedCharIndex, setHighlightedCharIndex] = useState(-1);
   const [currentPlayingText, setCurrentPlayingText] = useState('');
   const [currentAlignment, setCurrentAlignment] = useState(null);
+  const [currentWordTimings, setCurrentWordTimings] = useState(null);
   const [generatingAudio, setGeneratingAudio] = useState(new Set()); // Track which blocks are generating audio
-  const [playbackSpeed, setPlaybackSpeed] = useState(() => {
-    // Load saved speed preference from localStorage
-    const saved = localStorage.getItem('readerPlaybackSpeed');
-    return saved ? parseFloat(saved) : 1.0;
-  });
+  const [isContinuous, setIsContinuous] = useState(false);
+  const continuousRef = useRef(null); // Token of the running "read page" playback
+  const speechCache = useRef(new Map()); // blockId -> promise of its speech, for prefetching
+  const playTextBlockRef = useRef(null); // Latest playTextBlock, for callbacks from ended audio
+  const [currentRange, setCurrentRange] = useState(null); // Sentence or line being replayed
+  const [showPreferences, setShowPreferences] = useState(false);
+  const [showMetadata, setShowMetadata] = useState(false);
+  const [draggedPage, setDraggedPage] = useState(null); // Index of the thumbnail being dragged
+  const [dropTarget, setDropTarget] = useState(null);
+  const [changingPages, setChangingPages] = useState(false);
+  const addPageInput = useRef(null);
+  const replaceImageInput = useRef(null);
+  const { playbackSpeed, tapMode } = preferences;
+
+  // Word boundaries only change when new audio starts, not on every highlight update
+  const subtitleWords = useMemo(
+    () => buildSubtitleWords(currentPlayingText, currentWordTimings),
+    [currentPlayingText, currentWordTimings]
+  );
+
+  // Line and sentence boxes of the block being played, for highlighting on the page image
+  const playingSegments = useMemo(() => {
+    const block = textBlocks.find(candidate => candidate.id === currentPlayingBlock);
+    return block ? blockSegments(block) : null;
+  }, [textBlocks, currentPlayingBlock]);
 
   useEffect(() => {
     if (bookId) {
@@ -38,6 +111,11 @@ const BookViewer = () => {
     }
   }, [bookId]);
 
+  // Stop continuous playback when leaving the book
+  useEffect(() => () => {
+    continuousRef.current = null;
+  }, []);
+
   useEffect(() => {
     if (pages.length > 0) {
       const pageId = pages[currentPage].id;
@@ -58,6 +136,9 @@ const BookViewer = () => {
     }
   }, [currentPage, pages]); // Remove textBlocksCache from deps to avoid infinite loops
 
+  // Viewers of a shared book can read and listen, but not re-run detection
+  const canEdit = book?.role !== 'viewer';
+
   const fetchBook = async () => {
     try {
       const response = await fetch(`/api/books/${bookId}`);
@@ -69,6 +150,7 @@ const BookViewer = () => {
       const data = await response.json();
       setBook(data);
       setPages(data.pages || []);
+      setCurrentPage(page => Math.min(page, Math.max(0, (data.pages || []).length - 1)));
       setLoading(false);
     } catch (error) {
       console.error('Error fetching book:', error);
@@ -170,7 +252,7 @@ const BookViewer = () => {
       }
       
       // Automatically detect text blocks if none exist for this page
-      if (blocks.length === 0 && !isDetecting) {
+      if (blocks.length === 0 && !isDetecting && canEdit) {
         console.log('🔍 No text blocks found for page, auto-detecting...');
         detectTextBlocksAutomatically(pageId);
       } else if (blocks.length > 0) {
@@ -183,6 +265,13 @@ const BookViewer = () => {
     }
   };
 
+  // Pages where every OCR provider failed say so instead of looking empty
+  const notePageDetection = (pageId, result) => {
+    setPages(prev => prev.map(page =>
+      page.id === pageId ? { ...page, detectionError: result?.detectionError || null } : page
+    ));
+  };
+
   const detectTextBlocks = async () => {
     if (!pages[currentPage] || isDetecting) return;
 
@@ -195,10 +284,13 @@ const BookViewer = () => {
       });
 
       if (response.ok) {
-        const result = await response.json();
-        console.log('Google Cloud Vision detected text blocks:', result);
+        // Detection runs as a background job on the server
+        const { jobId } = await response.json();
+        const job = await waitForJob(jobId);
+        console.log('Detected text blocks:', job.result);
+        notePageDetection(pages[currentPage].id, job.result);
 
-        if (result.success && result.blocks?.length > 0) {
+        if (job.result?.blocks?.length > 0) {
           // Blocks are already saved by the backend, just refresh the UI
           fetchTextBlocks(pages[currentPage].id);
         } else {
@@ -227,10 +319,13 @@ const BookViewer = () => {
       });
 
       if (response.ok) {
-        const result = await response.json();
+        // Detection runs as a background job on the server
+        const { jobId } = await response.json();
+        const { result } = await waitForJob(jobId);
         console.log('✅ Auto-detection completed:', result);
+        notePageDetection(pageId, result);
 
-        if (result.success && result.blocks?.length > 0) {
+        if (result?.blocks?.length > 0) {
           // Cache the newly detected blocks
           textBlocksCache.current = {
             ...textBlocksCache.current,
@@ -281,7 +376,10 @@ const BookViewer = () => {
     }
   };
 
-  const playTextBlock = async (block) => {
+  // Options: range ({ start, end } characters of the text) plays only a sentence or line.
+  // From continuous playback: speech (a promise of the block's speech, maybe prefetched),
+  // onEnded when the block finished playing and onError when it can't play
+  const playTextBlock = async (block, { range, speech, onEnded, onError } = {}) => {
     console.log('🎵 PLAY BUTTON CLICKED - Block data:', {
       id: block.id,
       ocrText: block.ocrText,
@@ -304,7 +402,7 @@ const BookViewer = () => {
     }
 
     // If already playing this block, pause it
-    if (currentPlayingBlock === block.id && isPlaying) {
+    if (!onEnded && !range && currentPlayingBlock === block.id && isPlaying) {
       console.log('⏸️ Pausing currently playing block');
       pauseAudio();
       return;
@@ -317,6 +415,7 @@ const BookViewer = () => {
       currentAudio.currentTime = 0;
       // Remove all event listeners from previous audio
       currentAudio.removeEventListener('timeupdate', currentAudio._highlightingHandler);
+      currentAudio.removeEventListener('timeupdate', currentAudio._rangeHandler);
       currentAudio.removeEventListener('play', currentAudio._playHandler);
       currentAudio.removeEventListener('pause', currentAudio._pauseHandler);
       currentAudio.removeEventListener('ended', currentAudio._endedHandler);
@@ -328,149 +427,170 @@ const BookViewer = () => {
     setGeneratingAudio(prev => new Set([...prev, block.id]));
 
     try {
-      const response = await fetch(`/api/textblocks/${block.id}/speak`, {
-        method: 'POST'
-      });
-
-      console.log('📡 TTS API response status:', response.status);
+      const result = await (speech || fetchBlockSpeech(block.id));
+      console.log('✅ TTS result received:', result);
+
+      // Play audio with error handling and synchronization
+      if (result.audio_url) {
+        const fullAudioUrl = result.audio_url;
+        console.log('Playing audio from:', fullAudioUrl);
+        const audio = new Audio(fullAudioUrl);
+        
+        // Set current text and alignment for subtitle display
+        setCurrentPlayingText(result.text || textContent);
+        setCurrentAlignment(result.alignment);
+        setCurrentWordTimings(result.word_timings || null);
+        
+        console.log('🎵 Audio setup - text:', result.text, 'alignment:', !!result.alignment);
+
+        audio.addEventListener('error', (e) => {
+          console.error('Audio playback error:', e);
+          console.error('Audio error details:', audio.error);
+        });
 
-      if (response.ok) {
-        const result = await response.json();
-        console.log('✅ TTS result received:', result);
+        audio.addEventListener('loadstart', () => {
+          console.log('Audio loading started');
+        });
 
-        // Play audio with error handling and synchronization
-        if (result.audio_url) {
-          const fullAudioUrl = result.audio_url;
-          console.log('Playing audio from:', fullAudioUrl);
-          const audio = new Audio(fullAudioUrl);
-          
-          // Set current text and alignment for subtitle display
-          setCurrentPlayingText(result.text || textContent);
-          setCurrentAlignment(result.alignment);
-          
-          console.log('🎵 Audio setup - text:', result.text, 'alignment:', !!result.alignment);
+        audio.addEventListener('canplay', () => {
+          console.log('Audio can start playing');
+        });
 
-          audio.addEventListener('error', (e) => {
-            console.error('Audio playback error:', e);
-            console.error('Audio error details:', audio.error);
-          });
+        // Create optimized highlighting handler with requestAnimationFrame
+        let animationFrameId = null;
+        const highlightingHandler = () => {
+          // Cancel any pending animation frame
+          if (animationFrameId) {
+            cancelAnimationFrame(animationFrameId);
+          }
 
-          audio.addEventListener('loadstart', () => {
-            console.log('Audio loading started');
-          });
+          // Use requestAnimationFrame for smoother updates
+          animationFrameId = requestAnimationFrame(() => {
+            const currentTime = audio.currentTime;
+            const playingText = currentPlayingText || (result.text || textContent);
 
-          audio.addEventListener('canplay', () => {
-            console.log('Audio can start playing');
-          });
+            if (!playingText) return;
 
-          // Create optimized highlighting handler with requestAnimationFrame
-          let animationFrameId = null;
-          const highlightingHandler = () => {
-            // Cancel any pending animation frame
-            if (animationFrameId) {
-              cancelAnimationFrame(animationFrameId);
+            // Robust fallback highlighting using progress
+            let charIndex = -1;
+            if (isFinite(audio.duration) && audio.duration > 0) {
+              const progress = currentTime / audio.duration;
+              charIndex = Math.floor(progress * playingText.length);
+              charIndex = Math.max(0, Math.min(charIndex, playingText.length - 1));
             }
 
-            // Use requestAnimationFrame for smoother updates
-            animationFrameId = requestAnimationFrame(() => {
-              const currentTime = audio.currentTime;
-              const playingText = currentPlayingText || (result.text || textContent);
-
-              if (!playingText) return;
-
-              // Robust fallback highlighting using progress
-              let charIndex = -1;
-              if (isFinite(audio.duration) && audio.duration > 0) {
-                const progress = currentTime / audio.duration;
-                charIndex = Math.floor(progress * playingText.length);
-                charIndex = Math.max(0, Math.min(charIndex, playingText.length - 1));
-              }
-
-              // Try precise alignment data if available
-              if (result.alignment?.characters) {
-                const characters = result.alignment.characters;
-
-                // Binary search for better performance with large texts
-                let left = 0;
-                let right = characters.length - 1;
-                let alignmentIndex = -1;
-
-                while (left <= right) {
-                  const mid = Math.floor((left + right) / 2);
-                  if (characters[mid].start_time <= currentTime && characters[mid].end_time >= currentTime) {
-                    alignmentIndex = mid;
-                    break;
-                  } else if (characters[mid].end_time < currentTime) {
-                    left = mid + 1;
-                  } else {
-                    right = mid - 1;
-                  }
+            // Try precise alignment data if available
+            if (result.alignment?.characters) {
+              const characters = result.alignment.characters;
+
+              // Binary search for better performance with large texts
+              let left = 0;
+              let right = characters.length - 1;
+              let alignmentIndex = -1;
+
+              while (left <= right) {
+                const mid = Math.floor((left + right) / 2);
+                if (characters[mid].start_time <= currentTime && characters[mid].end_time >= currentTime) {
+                  alignmentIndex = mid;
+                  break;
+                } else if (characters[mid].end_time < currentTime) {
+                  left = mid + 1;
+                } else {
+                  right = mid - 1;
                 }
+              }
 
-                // Use alignment index if valid and within text bounds
-                if (alignmentIndex >= 0 && alignmentIndex < playingText.length) {
-                  charIndex = alignmentIndex;
-                }
+              // Use alignment index if valid and within text bounds
+              if (alignmentIndex >= 0 && alignmentIndex < playingText.length) {
+                charIndex = alignmentIndex;
               }
+            }
 
-              // Only update if the character index actually changed
-              setHighlightedCharIndex((prev) => {
-                if (prev !== charIndex) {
-                  return charIndex;
-                }
-                return prev;
-              });
+            // Only update if the character index actually changed
+            setHighlightedCharIndex((prev) => {
+              if (prev !== charIndex) {
+                return charIndex;
+              }
+              return prev;
             });
-          };
-          
-          // Store handler reference for cleanup
-          audio._highlightingHandler = highlightingHandler;
-          audio.addEventListener('timeupdate', highlightingHandler);
-
-          const playHandler = () => {
-            setIsPlaying(true);
-            setCurrentPlayingBlock(block.id);
-          };
-          
-          const pauseHandler = () => {
-            setIsPlaying(false);
-          };
-          
-          const endedHandler = () => {
-            // Clean up animation frame
-            if (animationFrameId) {
-              cancelAnimationFrame(animationFrameId);
+          });
+        };
+        
+        // Store handler reference for cleanup
+        audio._highlightingHandler = highlightingHandler;
+        audio.addEventListener('timeupdate', highlightingHandler);
+
+        const playHandler = () => {
+          setIsPlaying(true);
+          setCurrentPlayingBlock(block.id);
+        };
+        
+        const pauseHandler = () => {
+          setIsPlaying(false);
+        };
+        
+        const endedHandler = () => {
+          // Clean up animation frame
+          if (animationFrameId) {
+            cancelAnimationFrame(animationFrameId);
+          }
+          setIsPlaying(false);
+          setCurrentPlayingBlock(null);
+          setHighlightedCharIndex(-1);
+          setCurrentAudio(null);
+          setCurrentPlayingText('');
+          setCurrentAlignment(null);
+          setCurrentWordTimings(null);
+          setCurrentRange(null);
+          onEnded?.();
+        };
+        
+        // Store handler references for cleanup
+        audio._playHandler = playHandler;
+        audio._pauseHandler = pauseHandler;
+        audio._endedHandler = endedHandler;
+        
+        audio.addEventListener('play', playHandler);
+        audio.addEventListener('pause', pauseHandler);
+        audio.addEventListener('ended', endedHandler);
+
+        // A sentence or line: start at its first character and stop after its last
+        setCurrentRange(range || null);
+        if (range) {
+          const spokenText = result.text || textContent;
+          const rangeTime = (charIndex, edge) => characterTime(result.alignment, spokenText, charIndex, edge, audio.duration);
+
+          audio.addEventListener('loadedmetadata', () => {
+            audio.currentTime = rangeTime(range.start, 'start');
+          }, { once: true });
+
+          const rangeHandler = () => {
+            if (audio.currentTime >= rangeTime(range.end - 1, 'end')) {
+              audio.removeEventListener('timeupdate', rangeHandler);
+              audio.pause();
+              endedHandler();
             }
-            setIsPlaying(false);
-            setCurrentPlayingBlock(null);
-            setHighlightedCharIndex(-1);
-            setCurrentAudio(null);
-            setCurrentPlayingText('');
-            setCurrentAlignment(null);
           };
-          
-          // Store handler references for cleanup
-          audio._playHandler = playHandler;
-          audio._pauseHandler = pauseHandler;
-          audio._endedHandler = endedHandler;
-          
-          audio.addEventListener('play', playHandler);
-          audio.addEventListener('pause', pauseHandler);
-          audio.addEventListener('ended', endedHandler);
+          audio._rangeHandler = rangeHandler;
+          audio.addEventListener('timeupdate', rangeHandler);
+        }
 
-          setCurrentAudio(audio);
+        setCurrentAudio(audio);
 
-          // Apply playback speed
-          audio.playbackRate = playbackSpeed;
-          console.log('🎛️ Audio playback speed set to:', playbackSpeed);
+        // Apply playback speed
+        audio.playbackRate = playbackSpeed;
+        console.log('🎛️ Audio playback speed set to:', playbackSpeed);
 
-          audio.play().catch(error => {
-            console.error('Audio play failed:', error);
-          });
-        }
+        audio.play().catch(error => {
+          console.error('Audio play failed:', error);
+          onError?.(error);
+        });
+      } else {
+        onError?.(new Error('No audio for this text block'));
       }
     } catch (error) {
       console.error('Error playing text block:', error);
+      onError?.(error);
     } finally {
       // Always remove the block from generating audio set when done
       setGeneratingAudio(prev => {
@@ -481,6 +601,135 @@ const BookViewer = () => {
     }
   };
 
+  playTextBlockRef.current = playTextBlock;
+
+  // Speech of a block, fetched once; the audio file is preloaded so the next block
+  // starts without a gap
+  const prefetchSpeech = (blockId) => {
+    if (!speechCache.current.has(blockId)) {
+      const speech = fetchBlockSpeech(blockId).then(result => {
+        if (result.audio_url) {
+          const audio = new Audio();
+          audio.preload = 'auto';
+          audio.src = result.audio_url;
+        }
+        return result;
+      });
+      // A failed request is tried again next time
+      speech.catch(() => speechCache.current.delete(blockId));
+      speechCache.current.set(blockId, speech);
+    }
+    return speechCache.current.get(blockId);
+  };
+
+  // Text blocks of a page in reading order. Pages that were never opened are detected first.
+  const loadPageBlocks = async (pageIndex) => {
+    const pageId = pages[pageIndex].id;
+    if (textBlocksCache.current[pageId]) {
+      return textBlocksCache.current[pageId];
+    }
+
+    const fetchBlocks = async () => {
+      const response = await fetch(`/api/pages/${pageId}/textblocks`);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      return response.json();
+    };
+
+    let blocks = await fetchBlocks();
+    if (blocks.length === 0 && canEdit) {
+      const response = await fetch(`/api/pages/${pageId}/detect-text-blocks`, { method: 'POST' });
+      if (response.ok) {
+        const { jobId } = await response.json();
+        const { result } = await waitForJob(jobId);
+        notePageDetection(pageId, result);
+        blocks = await fetchBlocks();
+      }
+    }
+
+    textBlocksCache.current = {
+      ...textBlocksCache.current,
+      [pageId]: blocks
+    };
+    return blocks;
+  };
+
+  const playableBlocks = (blocks) => blocks.filter(block =>
+    block.status === 'completed' && (block.ocrText || block.ocr_text || '').trim()
+  );
+
+  // The readable block after blockIndex on pageIndex, going on to the following pages
+  const findNextBlock = async (pageIndex, blockIndex) => {
+    for (let index = pageIndex; index < pages.length; index++) {
+      const blocks = playableBlocks(await loadPageBlocks(index));
+      const start = index === pageIndex ? blockIndex + 1 : 0;
+      if (start < blocks.length) {
+        return { pageIndex: index, blockIndex: start, block: blocks[start] };
+      }
+    }
+    return null;
+  };
+
+  const stopContinuous = () => {
+    continuousRef.current = null;
+    setIsContinuous(false);
+  };
+
+  // Play one block of a continuous playback and look up (and prefetch) the next one meanwhile
+  const playContinuously = ({ pageIndex, blockIndex, block }, token) => {
+    if (continuousRef.current !== token) return;
+    setCurrentPage(pageIndex);
+
+    const next = findNextBlock(pageIndex, blockIndex).catch(error => {
+      console.error('Error finding the next text block:', error);
+      return null;
+    });
+    next.then(found => found && prefetchSpeech(found.block.id).catch(() => {}));
+
+    playTextBlockRef.current(block, {
+      speech: prefetchSpeech(block.id),
+      onEnded: async () => {
+        const found = await next;
+        if (continuousRef.current !== token) return;
+        if (found) {
+          playContinuously(found, token);
+        } else {
+          console.log('📖 Reached the end of the book');
+          stopContinuous();
+        }
+      },
+      onError: () => {
+        if (continuousRef.current === token) {
+          stopContinuous();
+        }
+      }
+    });
+  };
+
+  // Read the current page aloud block by block in reading order, from startBlock or the
+  // first block, and carry on with the next pages
+  const startContinuous = async (startBlock) => {
+    const token = {};
+    continuousRef.current = token;
+    setIsContinuous(true);
+
+    try {
+      const blocks = playableBlocks(await loadPageBlocks(currentPage));
+      const startIndex = startBlock ? Math.max(0, blocks.findIndex(block => block.id === startBlock.id)) : 0;
+      const first = await findNextBlock(currentPage, startIndex - 1);
+      if (continuousRef.current !== token) return;
+      if (first) {
+        playContinuously(first, token);
+      } else {
+        stopContinuous();
+      }
+    } catch (error) {
+      console.error('Error starting continuous playback:', error);
+      stopContinuous();
+    }
+  };
+
   const pauseAudio = () => {
     if (currentAudio && isPlaying) {
       currentAudio.pause();
@@ -523,6 +772,7 @@ const BookViewer = () => {
           audio.playbackRate = playbackSpeed;
           setCurrentAudio(audio);
           setCurrentPlayingText(titleText);
+          setCurrentWordTimings(result.word_timings || null);
           setCurrentPlayingBlock('title');
           
           audio.addEventListener('play', () => {
@@ -541,6 +791,7 @@ const BookViewer = () => {
             setIsPlaying(false);
             setCurrentPlayingBlock(null);
             setCurrentPlayingText('');
+            setCurrentWordTimings(null);
             setHighlightedCharIndex(-1);
           });
           
@@ -616,9 +867,8 @@ const BookViewer = () => {
   };
 
   const changePlaybackSpeed = (speed) => {
-    setPlaybackSpeed(speed);
-    localStorage.setItem('readerPlaybackSpeed', speed.toString());
-    
+    onPreferencesChange({ playbackSpeed: speed });
+
     // Apply speed to currently playing audio
     if (currentAudio) {
       currentAudio.playbackRate = speed;
@@ -626,10 +876,166 @@ const BookViewer = () => {
     }
   };
 
+  const stopAudio = () => {
+    stopContinuous();
+    if (currentAudio) {
+      currentAudio.pause();
+      currentAudio.currentTime = 0;
+    }
+    setCurrentPlayingBlock(null);
+    setCurrentPlayingText('');
+    setCurrentWordTimings(null);
+    setCurrentRange(null);
+    setCurrentAudio(null);
+    setIsPlaying(false);
+    setHighlightedCharIndex(-1);
+  };
+
+  const changeTapMode = (mode) => {
+    onPreferencesChange({ tapMode: mode });
+  };
+
+  // Position of a box in image pixels over the displayed page image
+  const imageBoxStyle = (box) => ({
+    left: `${(((box.x * scaleX) + offsetX) / imageRef.current?.naturalWidth * 100) || 0}%`,
+    top: `${(((box.y * scaleY) + offsetY) / imageRef.current?.naturalHeight * 100) || 0}%`,
+    width: `${((box.width * scaleX) / imageRef.current?.naturalWidth * 100) || 0}%`,
+    height: `${((box.height * scaleY) / imageRef.current?.naturalHeight * 100) || 0}%`
+  });
+
+  // A click on the page image in image pixels
+  const imagePoint = (event) => {
+    const image = imageRef.current;
+    const rect = image.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) / rect.width * image.naturalWidth - offsetX) / scaleX,
+      y: ((event.clientY - rect.top) / rect.height * image.naturalHeight - offsetY) / scaleY
+    };
+  };
+
+  // Play the tapped sentence or line when the tap mode asks for one and the block has
+  // word boxes, otherwise the whole block
+  const handleBlockClick = (block, event) => {
+    if (block.status !== 'completed') return;
+
+    // During "read page" playback, go on reading from the clicked block
+    if (isContinuous) {
+      startContinuous(block);
+      return;
+    }
+
+    const segments = tapMode !== 'block' && imageRef.current ? blockSegments(block) : null;
+    if (segments) {
+      const { x, y } = imagePoint(event);
+      const segment = segmentAt(segments, tapMode, x, y);
+      if (segment) {
+        playTextBlock(block, { range: segment });
+        return;
+      }
+    }
+    playTextBlock(block);
+  };
+
+  // Edit mode replaces the play overlays with draggable boxes
+  const toggleEditMode = () => {
+    if (!isEditing) {
+      stopAudio();
+    }
+    setIsEditing(!isEditing);
+  };
+
+  // Edited blocks from TextBlockEditor
+  const updateTextBlocks = (pageId, blocks) => {
+    // Edited text has new speech
+    speechCache.current.clear();
+    textBlocksCache.current = {
+      ...textBlocksCache.current,
+      [pageId]: blocks
+    };
+    if (pages[currentPage]?.id === pageId) {
+      setTextBlocks(blocks);
+    }
+  };
+
+  // Add, move, replace or delete a page, then show showPageId (or the added page).
+  // The response has the renumbered pages and chapters.
+  const changePages = async (url, options, showPageId) => {
+    if (isContinuous) {
+      stopAudio();
+    }
+    setChangingPages(true);
+    try {
+      const data = await requestJson(url, options);
+      const shownId = showPageId ?? data.pageId;
+      setPages(data.pages);
+      setBook(prev => ({ ...prev, chapters: data.chapters }));
+      const shownIndex = data.pages.findIndex(page => page.id === shownId);
+      setCurrentPage(shownIndex >= 0 ? shownIndex : Math.min(currentPage, Math.max(0, data.pages.length - 1)));
+    } catch (error) {
+      console.error('Error changing pages:', error);
+      alert(error.message);
+    } finally {
+      setChangingPages(false);
+    }
+  };
+
+  const uploadForm = (file) => {
+    const formData = new FormData();
+    formData.append('image', file);
+    return formData;
+  };
+
+  const movePage = (fromIndex, toIndex) => {
+    if (fromIndex === null || fromIndex === toIndex) return;
+    changePages(`/api/pages/${pages[fromIndex].id}/move`, {
+      method: 'POST',
+      body: JSON.stringify({ position: toIndex + 1 })
+    }, pages[currentPage].id);
+  };
+
+  // The new page goes after the current one; text detection starts on the server
+  const addPage = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const formData = uploadForm(file);
+    formData.append('position', String(currentPage + 2));
+    changePages(`/api/books/${bookId}/pages`, { method: 'POST', body: formData });
+  };
+
+  // Re-shoot the current page: its text blocks go and are detected again on the new image
+  const replacePageImage = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const pageId = pages[currentPage].id;
+    delete textBlocksCache.current[pageId];
+    changePages(`/api/pages/${pageId}/image`, { method: 'PUT', body: uploadForm(file) }, pageId);
+  };
+
+  const deleteCurrentPage = () => {
+    if (!window.confirm(`Delete page ${currentPage + 1}? Its text and audio are deleted too.`)) return;
+    const nextPage = pages[currentPage + 1] || pages[currentPage - 1];
+    changePages(`/api/pages/${pages[currentPage].id}`, { method: 'DELETE' }, nextPage?.id);
+  };
+
+  const endPageDrag = () => {
+    setDraggedPage(null);
+    setDropTarget(null);
+  };
+
   const handlePageSelect = (pageIndex) => {
+    if (isContinuous) {
+      stopAudio();
+    }
     setCurrentPage(pageIndex);
   };
 
+  // Chapters from the table of contents; the deepest one holding the current page is marked
+  const chapters = book?.chapters || [];
+  const currentChapter = [...chapters].reverse()
+    .find(chapter => chapter.startPage !== null && chapter.startPage <= currentPage + 1 && currentPage + 1 <= chapter.endPage);
+
   if (loading) {
     return <div className="book-viewer-loading">Loading book...</div>;
   }
@@ -646,7 +1052,7 @@ const BookViewer = () => {
   }
 
   return (
-    <div className="book-viewer">
+    <div className="book-viewer" style={readerStyle(preferences)}>
       <div className="book-viewer-header">
         <button onClick={() => navigate('/')} className="back-button" title="Back to Books">
           ←
@@ -659,20 +1065,87 @@ const BookViewer = () => {
           >
             {book.title}
           </h1>
-          <div className="page-keywords">
-            {/* Keywords will be extracted from text blocks */}
-          </div>
+          {book.author && <p className="book-author">{book.author}</p>}
+          {book.keywords?.length > 0 && (
+            <div className="page-keywords">
+              {book.keywords.map((keyword, index) => (
+                <button
+                  key={index}
+                  className="keyword-chip"
+                  onClick={() => playTitleText(keyword.label)}
+                  title={`${keywordGroupLabel(keyword.group)}: click to hear "${keyword.label}"`}
+                >
+                  {keyword.emoji} {keyword.label}
+                </button>
+              ))}
+            </div>
+          )}
           <p>Page {currentPage + 1} of {pages.length}</p>
         </div>
         <div className="header-controls">
+          {canEdit && (
+            <button
+              onClick={detectTextBlocks}
+              disabled={isDetecting}
+              className="detect-button"
+              title={isDetecting ? 'Detecting...' : 'Re-detect Text Blocks'}
+            >
+              {isDetecting ? '⏳' : '🔍'}
+            </button>
+          )}
+          {canEdit && (
+            <button
+              onClick={toggleEditMode}
+              disabled={isDetecting}
+              className={`detect-button ${isEditing ? 'active' : ''}`}
+              title={isEditing ? 'Leave edit mode' : 'Edit text blocks'}
+            >
+              ✏️
+            </button>
+          )}
           <button
-            onClick={detectTextBlocks}
-            disabled={isDetecting}
+            onClick={() => isContinuous ? stopAudio() : startContinuous()}
+            disabled={isEditing}
+            className={`detect-button ${isContinuous ? 'active' : ''}`}
+            title={isContinuous ? 'Stop reading' : 'Read the whole page aloud, then the next pages'}
+          >
+            {isContinuous ? '⏹️' : '📖'}
+          </button>
+          {canEdit && (
+            <button
+              onClick={() => setShowMetadata(true)}
+              className="detect-button"
+              title="Edit title, author, categories and keywords"
+            >
+              🏷️
+            </button>
+          )}
+          <button
+            onClick={() => navigate(`/book/${bookId}/read?page=${currentPage + 1}`)}
             className="detect-button"
-            title={isDetecting ? 'Detecting...' : 'Re-detect Text Blocks'}
+            title="Read the text of the page in your own font and spacing"
           >
-            {isDetecting ? '⏳' : '🔍'}
+            📄
           </button>
+          <button
+            onClick={() => setShowPreferences(true)}
+            className="detect-button"
+            title="Reading preferences"
+          >
+            ⚙️
+          </button>
+          <div className="speed-controls">
+            <label htmlFor="tap-mode-selector" className="speed-label">👆 Tap plays:</label>
+            <select
+              id="tap-mode-selector"
+              value={tapMode}
+              onChange={(e) => changeTapMode(e.target.value)}
+              className="speed-selector"
+              title="What a tap on a text block reads aloud"
+            >
+              {TAP_MODES.map(mode => <option key={mode.value} value={mode.value}>{mode.label}</option>)}
+            </select>
+          </div>
           <div className="speed-controls">
             <label htmlFor="speed-selector" className="speed-label">🎚️ Speed:</label>
             <select 
@@ -682,18 +1155,25 @@ const BookViewer = () => {
               className="speed-selector"
               title="Adjust playback speed"
             >
-              <option value="0.5">0.5x (Slower)</option>
-              <option value="0.75">0.75x</option>
-              <option value="1">1x (Normal)</option>
-              <option value="1.25">1.25x</option>
-              <option value="1.5">1.5x</option>
-              <option value="2">2x (Faster)</option>
+              {PLAYBACK_SPEEDS.map(speed => <option key={speed.value} value={speed.value.toString()}>{speed.label}</option>)}
             </select>
           </div>
         </div>
       </div>
 
 
+      {canEdit && book.metadataError && (
+        <div className="viewer-notice" title={book.metadataError}>
+          ⚠️ The title and details could not be read from the first pages. Use 🏷️ to fill them in.
+        </div>
+      )}
+
+      {pages[currentPage].detectionError && (
+        <div className="viewer-notice" title={pages[currentPage].detectionError}>
+          ⚠️ Text detection failed on this page.{canEdit && ' Press 🔍 to try again.'}
+        </div>
+      )}
+
       <div className="book-viewer-content">
         <div className="page-display">
           <div className="page-container">
@@ -702,6 +1182,7 @@ const BookViewer = () => {
               src={pages[currentPage].imagePath}
               alt={`Page ${currentPage + 1}`}
               className="page-image"
+              style={{ filter: pageImageFilter(preferences) }}
               crossOrigin="anonymous"
               onLoad={() => {
                 // Image loaded - ready for manual text detection
@@ -709,51 +1190,47 @@ const BookViewer = () => {
               }}
             />
 
+            {preferences.pageTint !== 'none' && <div className="page-tint" />}
+
             {/* Real-time subtitle overlay with word-level highlighting */}
             {currentPlayingText && isPlaying && (
               <div className="subtitle-overlay">
                 <div className="subtitle-text">
-                  {(() => {
-                    // Split text into words and process for word-level highlighting
-                    const words = currentPlayingText.split(/(\s+)/);
-                    let charCounter = 0;
-                    let wordCount = 0;
-                    const maxWordsPerLine = 8; // Optimal for dyslexic readers
-
-                    return words.map((word, wordIndex) => {
-                      // Skip whitespace-only words for highlighting logic
-                      const isWhitespace = word.match(/^\s+$/);
-
-                      // Calculate word boundaries
-                      const wordStartIndex = charCounter;
-                      const wordEndIndex = charCounter + word.length - 1;
-
-                      // Highlight the current word being spoken with good timing
-                      const isCurrentWord = !isWhitespace && (
-                        highlightedCharIndex >= wordStartIndex &&
-                        highlightedCharIndex <= wordEndIndex
-                      );
-                      const isReadWord = !isWhitespace && wordEndIndex < highlightedCharIndex;
-
-                      charCounter += word.length;
-
-                      return (
-                        <span
-                          key={wordIndex}
-                          className={`subtitle-word ${isReadWord ? 'read-word' : ''} ${isCurrentWord ? 'current-word' : ''}`}
-                        >
-                          {word}
-                        </span>
-                      );
-                    });
-                  })()}
+                  {subtitleWords.map((word, wordIndex) => {
+                    // Highlight the current word being spoken with good timing
+                    const isCurrentWord = !word.isWhitespace && (
+                      highlightedCharIndex >= word.charStart &&
+                      highlightedCharIndex < word.charEnd
+                    );
+                    const isReadWord = !word.isWhitespace && word.charEnd <= highlightedCharIndex;
+
+                    return (
+                      <span
+                        key={wordIndex}
+                        className={`subtitle-word ${isReadWord ? 'read-word' : ''} ${isCurrentWord ? 'current-word' : ''}`}
+                      >
+                        {word.text}
+                      </span>
+                    );
+                  })}
                 </div>
               </div>
             )}
 
+            {isEditing && (
+              <TextBlockEditor
+                key={pages[currentPage].id}
+                pageId={pages[currentPage].id}
+                blocks={textBlocks}
+                imageRef={imageRef}
+                onBlocksChange={(blocks) => updateTextBlocks(pages[currentPage].id, blocks)}
+                onClose={() => setIsEditing(false)}
+              />
+            )}
+
             {/* Text block overlays */}
             {console.log('🟢 Rendering', textBlocks.length, 'text block overlays, imageRef:', !!imageRef.current)}
-            {textBlocks.map((block) => {
+            {!isEditing && textBlocks.map((block) => {
               console.log('🟢 Rendering block:', block.id, 'status:', block.status, 'position:', { x: block.x, y: block.y, width: block.width, height: block.height });
               return (
               <div
@@ -762,18 +1239,11 @@ const BookViewer = () => {
                   processingBlocks.has(block.id) ? 'processing' : ''
                 } ${generatingAudio.has(block.id) ? 'generating-audio' : ''} ${block.status === 'completed' ? 'completed' : ''}`}
                 style={{
-                  left: `${(((block.x * scaleX) + offsetX) / imageRef.current?.naturalWidth * 100) || 0}%`,
-                  top: `${(((block.y * scaleY) + offsetY) / imageRef.current?.naturalHeight * 100) || 0}%`,
-                  width: `${((block.width * scaleX) / imageRef.current?.naturalWidth * 100) || 0}%`,
-                  height: `${((block.height * scaleY) / imageRef.current?.naturalHeight * 100) || 0}%`,
+                  ...imageBoxStyle(block),
                   cursor: block.status === 'completed' ? 'pointer' : 'default'
                 }}
                 title={block.status === 'completed' ? (block.ocr_text || 'Click to play audio') : 'Processing...'}
-                onClick={() => {
-                  if (block.status === 'completed') {
-                    playTextBlock(block);
-                  }
-                }}
+                onClick={(event) => handleBlockClick(block, event)}
               >
                 {processingBlocks.has(block.id) && (
                   <div className="processing-indicator">
@@ -795,6 +1265,22 @@ const BookViewer = () => {
               );
             })}
             
+            {/* The replayed sentence or line, and the line being read, on the page image */}
+            {!isEditing && isPlaying && currentRange?.boxes?.map((box, index) => (
+              <div key={`range-${index}`} className="segment-highlight" style={imageBoxStyle(box)} />
+            ))}
+            {!isEditing && isPlaying && segmentAtChar(playingSegments, 'lines', highlightedCharIndex)?.boxes.map((box, index) => (
+              <div key={`line-${index}`} className="line-highlight" style={imageBoxStyle(box)} />
+            ))}
+            {/* The word being spoken follows highlightedCharIndex across the page image */}
+            {!isEditing && isPlaying && segmentAtChar(playingSegments, 'words', highlightedCharIndex)?.boxes.map((box, index) => (
+              <div
+                key={`word-${index}`}
+                className={`word-highlight word-highlight-${preferences.wordHighlightShape}`}
+                style={imageBoxStyle(box)}
+              />
+            ))}
+
             {/* Fixed Audio Player */}
             {currentPlayingBlock && (
               <div className="fixed-audio-player">
@@ -822,17 +1308,7 @@ const BookViewer = () => {
                     </button>
                     <button
                       className="player-stop-button"
-                      onClick={() => {
-                        if (currentAudio) {
-                          currentAudio.pause();
-                          currentAudio.currentTime = 0;
-                        }
-                        setCurrentPlayingBlock(null);
-                        setCurrentPlayingText('');
-                        setCurrentAudio(null);
-                        setIsPlaying(false);
-                        setHighlightedCharIndex(-1);
-                      }}
+                      onClick={stopAudio}
                       title="Stop"
                     >
                       ⏹️
@@ -856,23 +1332,96 @@ const BookViewer = () => {
               </div>
             )}
           </div>
+          {chapters.length > 0 && (
+            <nav className="chapter-navigator" aria-label="Chapters">
+              <h4>Chapters</h4>
+              {chapters.map(chapter => (
+                <button
+                  key={chapter.id}
+                  className={`chapter-link chapter-level-${chapter.level} ${chapter === currentChapter ? 'active' : ''}`}
+                  onClick={() => handlePageSelect(chapter.startPage - 1)}
+                  disabled={chapter.startPage === null}
+                  title={chapter.startPage === null ? 'Not scanned yet' : `Go to page ${chapter.startPage}`}
+                >
+                  <span className="chapter-title">{chapter.title}</span>
+                  <span className="chapter-pages">
+                    {chapter.startPage === null ? '–' : chapter.startPage === chapter.endPage ? chapter.startPage : `${chapter.startPage}–${chapter.endPage}`}
+                  </span>
+                </button>
+              ))}
+            </nav>
+          )}
+          {canEdit && (
+            <div className="page-actions">
+              <button onClick={() => addPageInput.current.click()} disabled={changingPages} title="Add a page after this one">
+                ➕
+              </button>
+              <button onClick={() => replaceImageInput.current.click()} disabled={changingPages} title="Re-shoot this page">
+                📷
+              </button>
+              <button onClick={deleteCurrentPage} disabled={changingPages} title="Delete this page">
+                🗑️
+              </button>
+              <input ref={addPageInput} type="file" accept="image/*" onChange={addPage} hidden />
+              <input ref={replaceImageInput} type="file" accept="image/*" onChange={replacePageImage} hidden />
+            </div>
+          )}
           <div className="page-thumbnails">
             {pages.map((page, index) => (
               <div
                 key={page.id}
-                className={`page-thumbnail ${index === currentPage ? 'active' : ''}`}
+                className={`page-thumbnail ${index === currentPage ? 'active' : ''} ${index === draggedPage ? 'dragging' : ''} ${index === dropTarget && index !== draggedPage ? 'drop-target' : ''}`}
                 onClick={() => handlePageSelect(index)}
+                draggable={canEdit && !changingPages}
+                title={canEdit ? 'Drag to move this page' : undefined}
+                onDragStart={(e) => {
+                  e.dataTransfer.effectAllowed = 'move';
+                  setDraggedPage(index);
+                }}
+                onDragOver={(e) => {
+                  if (draggedPage === null) return;
+                  e.preventDefault();
+                  setDropTarget(index);
+                }}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  movePage(draggedPage, index);
+                  endPageDrag();
+                }}
+                onDragEnd={endPageDrag}
               >
                 <img
                   src={page.imagePath}
                   alt={`Page ${index + 1}`}
                 />
                 <div className="page-number">{index + 1}</div>
+                {PAGE_KIND_LABELS[page.kind] && <div className="page-kind">{PAGE_KIND_LABELS[page.kind]}</div>}
               </div>
             ))}
           </div>
         </div>
       </div>
+
+      {showMetadata && (
+        <BookMetadataEditor
+          book={book}
+          pages={pages}
+          onSaved={(updated) => {
+            setBook(prev => ({ ...prev, ...updated }));
+            setShowMetadata(false);
+          }}
+          onClose={() => setShowMetadata(false)}
+        />
+      )}
+
+      {showPreferences && (
+        <PreferencesPanel
+          preferences={preferences}
+          onChange={onPreferencesChange}
+          onReset={onPreferencesReset}
+          onClose={() => setShowPreferences(false)}
+        />
+      )}
     </div>
   );
 };
@@ -1,8 +1,17 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import ShareDialog from './ShareDialog';
+import GroupsDialog from './GroupsDialog';
+import BookMetadataEditor from './BookMetadataEditor';
 import './BooksView.css';
 
-const BooksView = () => {
+const SCOPES = [
+  { value: 'all', label: 'All books' },
+  { value: 'mine', label: 'My books' },
+  { value: 'shared', label: 'Shared with me' }
+];
+
+const BooksView = ({ user, onSignOut }) => {
   const [books, setBooks] = useState([]);
   const [filteredBooks, setFilteredBooks] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -10,20 +19,30 @@ const BooksView = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [deleteModal, setDeleteModal] = useState({ show: false, book: null });
   const [deleting, setDeleting] = useState(false);
+  const [scope, setScope] = useState('all');
+  const [shareBook, setShareBook] = useState(null);
+  const [editBook, setEditBook] = useState(null);
+  const [showGroups, setShowGroups] = useState(false);
   const navigate = useNavigate();
 
   useEffect(() => {
-    fetchBooks();
-  }, []);
+    fetchBooks(scope);
+  }, [scope]);
 
   useEffect(() => {
     filterBooks();
   }, [books, searchTerm]);
 
-  const fetchBooks = async () => {
+  const fetchBooks = async (selectedScope) => {
     try {
-      const response = await fetch('/api/books');
-      
+      const response = await fetch(`/api/books?scope=${selectedScope}`);
+
+      // Session expired or signed out in another tab; reloading shows the sign-in screen
+      if (response.status === 401) {
+        window.location.reload();
+        return;
+      }
+
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
@@ -48,7 +67,9 @@ const BooksView = () => {
       return (
         (book.title && book.title.toLowerCase().includes(searchLower)) ||
         (book.author && book.author.toLowerCase().includes(searchLower)) ||
-        (book.category && book.category.toLowerCase().includes(searchLower))
+        (book.category && book.category.toLowerCase().includes(searchLower)) ||
+        (book.categories || []).some(category => category.toLowerCase().includes(searchLower)) ||
+        (book.keywords || []).some(keyword => keyword.label.toLowerCase().includes(searchLower))
       );
     });
     setFilteredBooks(filtered);
@@ -83,6 +104,21 @@ const BooksView = () => {
     }
   };
 
+  const handleShareClick = (e, book) => {
+    e.stopPropagation(); // Prevent navigation to book viewer
+    setShareBook(book);
+  };
+
+  const handleEditClick = (e, book) => {
+    e.stopPropagation(); // Prevent navigation to book viewer
+    setEditBook(book);
+  };
+
+  const handleEditSaved = (updated) => {
+    setBooks(prev => prev.map(b => (b.id === updated.id ? { ...b, ...updated } : b)));
+    setEditBook(null);
+  };
+
   const handleDeleteCancel = () => {
     setDeleteModal({ show: false, book: null });
   };
@@ -93,10 +129,20 @@ const BooksView = () => {
 
   return (
     <div className="books-view">
+      <div className="account-bar">
+        <span className="account-name">👤 {user.username}</span>
+        <button className="groups-button" onClick={() => setShowGroups(true)}>
+          👥 Groups
+        </button>
+        <button className="sign-out-button" onClick={onSignOut}>
+          Sign out
+        </button>
+      </div>
+
       <div className="search-container">
         <input
           type="text"
-          placeholder="Search books by title, author, or category..."
+          placeholder="Search books by title, author, category or keyword..."
           value={searchTerm}
           onChange={(e) => setSearchTerm(e.target.value)}
           className="search-input"
@@ -104,6 +150,20 @@ const BooksView = () => {
         <span className="search-icon">🔍</span>
       </div>
 
+      <div className="scope-tabs" role="tablist">
+        {SCOPES.map(option => (
+          <button
+            key={option.value}
+            role="tab"
+            aria-selected={scope === option.value}
+            className={`scope-tab ${scope === option.value ? 'active' : ''}`}
+            onClick={() => setScope(option.value)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
       <div className="books-grid">
         {filteredBooks.map(book => (
           <div
@@ -129,6 +189,11 @@ const BooksView = () => {
             <div className="book-info">
               <h3>{book.title || 'Processing...'}</h3>
               <p>{book.author || 'Unknown Author'}</p>
+              {book.role !== 'owner' && (
+                <span className="shared-badge">
+                  👥 {book.ownerName ? `From ${book.ownerName}` : 'Shared'} · {book.role === 'editor' ? 'Can edit' : 'Can read'}
+                </span>
+              )}
               {book.keywords && book.keywords.length > 0 && (
                 <div className="book-keywords">
                   {book.keywords.slice(0, 4).map((keyword, index) => (
@@ -139,13 +204,33 @@ const BooksView = () => {
                 </div>
               )}
             </div>
-            <button
-              className="delete-button"
-              onClick={(e) => handleDeleteClick(e, book)}
-              title="Delete book"
-            >
-              ×
-            </button>
+            {book.role !== 'viewer' && (
+              <button
+                className="edit-button"
+                onClick={(e) => handleEditClick(e, book)}
+                title="Edit book details"
+              >
+                ✏️
+              </button>
+            )}
+            {book.role === 'owner' && (
+              <>
+                <button
+                  className="share-button"
+                  onClick={(e) => handleShareClick(e, book)}
+                  title="Share book"
+                >
+                  👥
+                </button>
+                <button
+                  className="delete-button"
+                  onClick={(e) => handleDeleteClick(e, book)}
+                  title="Delete book"
+                >
+                  ×
+                </button>
+              </>
+            )}
           </div>
         ))}
 
@@ -161,6 +246,18 @@ const BooksView = () => {
         </div>
       </div>
 
+      {shareBook && (
+        <ShareDialog book={shareBook} onClose={() => setShareBook(null)} />
+      )}
+
+      {editBook && (
+        <BookMetadataEditor book={editBook} onSaved={handleEditSaved} onClose={() => setEditBook(null)} />
+      )}
+
+      {showGroups && (
+        <GroupsDialog user={user} onClose={() => setShowGroups(false)} />
+      )}
+
       {/* Delete Confirmation Modal */}
       {deleteModal.show && (
         <div className="modal-overlay">
@@ -0,0 +1,164 @@
+import { useState, useEffect } from 'react';
+import { requestJson } from '../utils/api';
+import './SharingDialogs.css';
+
+// Groups (a family, a class) that books can be shared with in one go
+const GroupsDialog = ({ user, onClose }) => {
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [newGroupName, setNewGroupName] = useState('');
+  const [newMembers, setNewMembers] = useState({});
+
+  useEffect(() => {
+    loadGroups();
+  }, []);
+
+  const loadGroups = async () => {
+    try {
+      setGroups(await requestJson('/api/groups'));
+      setError('');
+    } catch (err) {
+      console.error('Error loading groups:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreateGroup = async (e) => {
+    e.preventDefault();
+    if (!newGroupName.trim()) return;
+
+    try {
+      await requestJson('/api/groups', { method: 'POST', body: JSON.stringify({ name: newGroupName }) });
+      setNewGroupName('');
+      await loadGroups();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteGroup = async (group) => {
+    if (!window.confirm(`Delete the group "${group.name}"? Books shared with it will no longer be shared.`)) return;
+
+    try {
+      await requestJson(`/api/groups/${group.id}`, { method: 'DELETE' });
+      setGroups(prev => prev.filter(g => g.id !== group.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAddMember = async (e, group) => {
+    e.preventDefault();
+    const username = (newMembers[group.id] || '').trim();
+    if (!username) return;
+
+    try {
+      await requestJson(`/api/groups/${group.id}/members`, { method: 'POST', body: JSON.stringify({ username }) });
+      setNewMembers(prev => ({ ...prev, [group.id]: '' }));
+      await loadGroups();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Also used to leave a group, with the signed-in user as member
+  const handleRemoveMember = async (group, member) => {
+    try {
+      await requestJson(`/api/groups/${group.id}/members/${member.id}`, { method: 'DELETE' });
+      if (member.id === user.id) {
+        setGroups(prev => prev.filter(g => g.id !== group.id));
+      } else {
+        await loadGroups();
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal sharing-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Groups</h2>
+        </div>
+        <div className="modal-body">
+          {error && <div className="sharing-error">{error}</div>}
+
+          <form className="sharing-row" onSubmit={handleCreateGroup}>
+            <input
+              type="text"
+              placeholder="New group name"
+              value={newGroupName}
+              onChange={(e) => setNewGroupName(e.target.value)}
+              className="sharing-input"
+            />
+            <button type="submit" className="sharing-button" disabled={!newGroupName.trim()}>
+              Create
+            </button>
+          </form>
+
+          {loading ? (
+            <div className="sharing-empty">Loading...</div>
+          ) : groups.length === 0 ? (
+            <div className="sharing-empty">You are not in any groups yet.</div>
+          ) : (
+            groups.map(group => (
+              <div key={group.id} className="sharing-group">
+                <div className="sharing-item">
+                  <h3 className="sharing-name">👥 {group.name}</h3>
+                  {group.isOwner ? (
+                    <button className="sharing-remove" onClick={() => handleDeleteGroup(group)} title="Delete group">
+                      ×
+                    </button>
+                  ) : (
+                    <button className="sharing-button" onClick={() => handleRemoveMember(group, user)}>
+                      Leave
+                    </button>
+                  )}
+                </div>
+                <ul className="sharing-list">
+                  {group.members.map(member => (
+                    <li key={member.id} className="sharing-item">
+                      <span className="sharing-name">
+                        👤 {member.username}{member.id === group.ownerId && ' (owner)'}
+                      </span>
+                      {group.isOwner && member.id !== group.ownerId && (
+                        <button className="sharing-remove" onClick={() => handleRemoveMember(group, member)} title="Remove member">
+                          ×
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+                {group.isOwner && (
+                  <form className="sharing-row" onSubmit={(e) => handleAddMember(e, group)}>
+                    <input
+                      type="text"
+                      placeholder="Add member by username"
+                      value={newMembers[group.id] || ''}
+                      onChange={(e) => setNewMembers(prev => ({ ...prev, [group.id]: e.target.value }))}
+                      className="sharing-input"
+                    />
+                    <button type="submit" className="sharing-button">
+                      Add
+                    </button>
+                  </form>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+        <div className="modal-footer">
+          <button className="cancel-button" onClick={onClose}>
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GroupsDialog;
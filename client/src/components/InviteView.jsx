@@ -0,0 +1,49 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import './LoginView.css';
+
+// Landing page of an invite link: accept it for the signed-in user and open the book
+const InviteView = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const acceptInvite = async () => {
+      try {
+        const response = await fetch(`/api/invites/${encodeURIComponent(token)}/accept`, { method: 'POST' });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          setError(data.error || 'This invite link is not valid');
+          return;
+        }
+        navigate(`/book/${data.bookId}`, { replace: true });
+      } catch (err) {
+        console.error('Error accepting invite:', err);
+        setError('Could not accept the invite. Please try again.');
+      }
+    };
+
+    acceptInvite();
+  }, [token, navigate]);
+
+  return (
+    <div className="login-view">
+      <div className="login-card">
+        <h1>📚 TheReader</h1>
+        {error ? (
+          <>
+            <p className="login-error" role="alert">{error}</p>
+            <button className="login-button" onClick={() => navigate('/')}>
+              Go to my books
+            </button>
+          </>
+        ) : (
+          <h2>Opening shared book...</h2>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default InviteView;
@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import './LoginView.css';
+
+const LoginView = ({ onSignedIn }) => {
+  const [mode, setMode] = useState('login'); // login | register
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const isRegister = mode === 'register';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (submitting) return;
+
+    setSubmitting(true);
+    setError('');
+    try {
+      const response = await fetch(isRegister ? '/api/auth/register' : '/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.error || 'Something went wrong. Please try again.');
+        return;
+      }
+
+      onSignedIn(data.user);
+    } catch (error) {
+      console.error('Error signing in:', error);
+      setError('Could not reach the server. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(isRegister ? 'login' : 'register');
+    setError('');
+  };
+
+  return (
+    <div className="login-view">
+      <form className="login-card" onSubmit={handleSubmit}>
+        <h1>📚 TheReader</h1>
+        <h2>{isRegister ? 'Create an account' : 'Sign in'}</h2>
+
+        <label className="login-field">
+          <span>Username</span>
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            autoCapitalize="none"
+            required
+          />
+        </label>
+
+        <label className="login-field">
+          <span>Password</span>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+            minLength={isRegister ? 8 : undefined}
+            required
+          />
+        </label>
+
+        {error && <p className="login-error" role="alert">{error}</p>}
+
+        <button type="submit" className="login-button" disabled={submitting}>
+          {submitting ? 'Please wait...' : isRegister ? 'Create account' : 'Sign in'}
+        </button>
+
+        <button type="button" className="login-switch" onClick={switchMode}>
+          {isRegister ? 'I already have an account' : 'Create a new account'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginView;
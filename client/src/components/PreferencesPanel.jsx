@@ -0,0 +1,169 @@
+import {
+  FONT_FAMILIES,
+  PAGE_TINTS,
+  COLOR_FILTERS,
+  HIGHLIGHT_COLORS,
+  HIGHLIGHT_SHAPES,
+  RULER_STYLES,
+  TAP_MODES,
+  PLAYBACK_SPEEDS,
+  readerStyle
+} from '../utils/preferences';
+import './PreferencesPanel.css';
+
+const PREVIEW_WORDS = 'Reading is easier when every word is heard as well as seen.'.split(' ');
+const PREVIEW_CURRENT_WORD = 3;
+
+const Swatches = ({ label, options, value, onChange }) => (
+  <div className="preferences-swatches" role="radiogroup" aria-label={label}>
+    {options.map(option => (
+      <button
+        key={option.value}
+        className={`preferences-swatch ${value === option.value ? 'selected' : ''}`}
+        style={{ background: option.color || option.value }}
+        onClick={() => onChange(option.value)}
+        role="radio"
+        aria-checked={value === option.value}
+        title={option.label}
+      />
+    ))}
+  </div>
+);
+
+const Slider = ({ label, value, min, max, step, unit = '', onChange }) => (
+  <label className="preferences-field">
+    <span>{label}: <strong>{value}{unit}</strong></span>
+    <input type="range" min={min} max={max} step={step} value={value} onChange={(e) => onChange(parseFloat(e.target.value))} />
+  </label>
+);
+
+// Reading preferences: font and spacing of the reading text, colors, highlights, the
+// reading ruler and playback. Changes apply right away through onChange(changes).
+const PreferencesPanel = ({ preferences, onChange, onReset, onClose }) => {
+  const set = (name) => (value) => onChange({ [name]: value });
+
+  return (
+    <div className="preferences-backdrop" onClick={onClose}>
+      <div className="preferences-panel" onClick={(e) => e.stopPropagation()} role="dialog" aria-label="Reading preferences">
+        <div className="preferences-header">
+          <h2>Reading preferences</h2>
+          <button className="preferences-close" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="preferences-preview reader-text" style={readerStyle(preferences)}>
+          {PREVIEW_WORDS.map((word, index) => (
+            <span key={index}>
+              <span className={index === PREVIEW_CURRENT_WORD ? `word-highlight-${preferences.wordHighlightShape}` : ''}>
+                {word}
+              </span>
+              {' '}
+            </span>
+          ))}
+        </div>
+
+        <section className="preferences-section">
+          <h3>Text</h3>
+          <div className="preferences-fonts" role="radiogroup" aria-label="Font">
+            {FONT_FAMILIES.map(font => (
+              <button
+                key={font.value}
+                className={`preferences-option ${preferences.fontFamily === font.value ? 'selected' : ''}`}
+                style={{ fontFamily: font.stack }}
+                onClick={() => onChange({ fontFamily: font.value })}
+                role="radio"
+                aria-checked={preferences.fontFamily === font.value}
+              >
+                {font.label}
+              </button>
+            ))}
+          </div>
+          <Slider label="Text size" value={preferences.fontScale} min={0.75} max={2} step={0.05} unit="×" onChange={set('fontScale')} />
+          <Slider label="Letter spacing" value={preferences.letterSpacing} min={0} max={0.3} step={0.01} unit="em" onChange={set('letterSpacing')} />
+          <Slider label="Word spacing" value={preferences.wordSpacing} min={0} max={0.8} step={0.05} unit="em" onChange={set('wordSpacing')} />
+          <Slider label="Line height" value={preferences.lineHeight} min={1.2} max={3} step={0.1} onChange={set('lineHeight')} />
+        </section>
+
+        <section className="preferences-section">
+          <h3>Colors</h3>
+          <div className="preferences-field">
+            <span>Page tint</span>
+            <Swatches label="Page tint" options={PAGE_TINTS} value={preferences.pageTint} onChange={set('pageTint')} />
+          </div>
+          <label className="preferences-field">
+            <span>Photo filter</span>
+            <select value={preferences.colorFilter} onChange={(e) => onChange({ colorFilter: e.target.value })}>
+              {COLOR_FILTERS.map(filter => <option key={filter.value} value={filter.value}>{filter.label}</option>)}
+            </select>
+          </label>
+          <div className="preferences-field">
+            <span>Spoken word</span>
+            <Swatches label="Spoken word color" options={HIGHLIGHT_COLORS} value={preferences.wordHighlightColor} onChange={set('wordHighlightColor')} />
+            <div className="preferences-options" role="radiogroup" aria-label="Spoken word shape">
+              {HIGHLIGHT_SHAPES.map(shape => (
+                <button
+                  key={shape.value}
+                  className={`preferences-option ${preferences.wordHighlightShape === shape.value ? 'selected' : ''}`}
+                  onClick={() => onChange({ wordHighlightShape: shape.value })}
+                  role="radio"
+                  aria-checked={preferences.wordHighlightShape === shape.value}
+                >
+                  {shape.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="preferences-field">
+            <span>Line being read</span>
+            <Swatches label="Line color" options={HIGHLIGHT_COLORS} value={preferences.lineHighlightColor} onChange={set('lineHighlightColor')} />
+          </div>
+        </section>
+
+        <section className="preferences-section">
+          <h3>Reading ruler</h3>
+          <label className="preferences-field preferences-checkbox">
+            <input type="checkbox" checked={preferences.rulerEnabled} onChange={(e) => onChange({ rulerEnabled: e.target.checked })} />
+            <span>Show a ruler that follows your finger or mouse in the text view</span>
+          </label>
+          {preferences.rulerEnabled && (
+            <>
+              <label className="preferences-field">
+                <span>Style</span>
+                <select value={preferences.rulerStyle} onChange={(e) => onChange({ rulerStyle: e.target.value })}>
+                  {RULER_STYLES.map(style => <option key={style.value} value={style.value}>{style.label}</option>)}
+                </select>
+              </label>
+              <Slider label="Lines" value={preferences.rulerLines} min={1} max={5} step={1} onChange={set('rulerLines')} />
+              <div className="preferences-field">
+                <span>Color</span>
+                <Swatches label="Ruler color" options={HIGHLIGHT_COLORS} value={preferences.rulerColor} onChange={set('rulerColor')} />
+              </div>
+            </>
+          )}
+        </section>
+
+        <section className="preferences-section">
+          <h3>Listening</h3>
+          <label className="preferences-field">
+            <span>Speed</span>
+            <select value={preferences.playbackSpeed.toString()} onChange={(e) => onChange({ playbackSpeed: parseFloat(e.target.value) })}>
+              {PLAYBACK_SPEEDS.map(speed => <option key={speed.value} value={speed.value.toString()}>{speed.label}</option>)}
+            </select>
+          </label>
+          <label className="preferences-field">
+            <span>A tap on the page plays</span>
+            <select value={preferences.tapMode} onChange={(e) => onChange({ tapMode: e.target.value })}>
+              {TAP_MODES.map(mode => <option key={mode.value} value={mode.value}>{mode.label}</option>)}
+            </select>
+          </label>
+        </section>
+
+        <div className="preferences-actions">
+          <button className="preferences-reset" onClick={onReset}>Reset to defaults</button>
+          <button className="preferences-done" onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PreferencesPanel;
@@ -0,0 +1,290 @@
+import { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { fetchBlockSpeech } from '../utils/speech';
+import { readerStyle } from '../utils/preferences';
+import PreferencesPanel from './PreferencesPanel';
+import './BookViewer.css';
+import './ReadingView.css';
+
+// Words of a text with their character offsets (end exclusive)
+const textWords = (text) => [...text.matchAll(/\S+/g)].map(match => ({
+  text: match[0],
+  start: match.index,
+  end: match.index + match[0].length
+}));
+
+// Character being spoken at a time of the audio: from the word timings when the
+// voice provides them, otherwise in proportion to the duration
+const spokenCharAt = (speech, time, duration, length) => {
+  const timings = speech.word_timings;
+  if (timings?.length) {
+    const spoken = timings.filter(word => word.start <= time);
+    return spoken.length > 0 ? spoken[spoken.length - 1].charStart : 0;
+  }
+  return Number.isFinite(duration) && duration > 0 ? Math.min(length - 1, Math.floor(time / duration * length)) : 0;
+};
+
+// The text of a page reflowed as paragraphs in reading order, in the reader's font,
+// spacing and colors. A tap on a paragraph reads it and the rest of the page aloud
+// with the spoken word highlighted; the reading ruler follows the pointer, or the
+// spoken word while listening.
+const ReadingView = ({ preferences, onPreferencesChange, onPreferencesReset }) => {
+  const { bookId } = useParams();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [book, setBook] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [blocks, setBlocks] = useState(null);
+  const [playing, setPlaying] = useState(null); // { blockId, charIndex }
+  const [rulerY, setRulerY] = useState(null);
+  const [showPreferences, setShowPreferences] = useState(false);
+  const audioRef = useRef(null);
+  const playTokenRef = useRef(null);
+  const textRef = useRef(null);
+
+  const pages = book?.pages || [];
+  const pageIndex = Math.min(Math.max(0, (parseInt(searchParams.get('page')) || 1) - 1), Math.max(0, pages.length - 1));
+  const pageId = pages[pageIndex]?.id;
+  const paragraphs = (blocks || []).filter(block => block.status === 'completed' && block.ocrText?.trim());
+
+  useEffect(() => {
+    const fetchBook = async () => {
+      try {
+        const response = await fetch(`/api/books/${bookId}`);
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        setBook(await response.json());
+      } catch (error) {
+        console.error('Error fetching book:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchBook();
+  }, [bookId]);
+
+  useEffect(() => {
+    if (!pageId) return;
+    let cancelled = false;
+    const fetchTextBlocks = async () => {
+      try {
+        const response = await fetch(`/api/pages/${pageId}/textblocks`);
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const pageBlocks = await response.json();
+        if (!cancelled) setBlocks(pageBlocks);
+      } catch (error) {
+        console.error('Error fetching text blocks:', error);
+        if (!cancelled) setBlocks([]);
+      }
+    };
+    setBlocks(null);
+    fetchTextBlocks();
+    return () => { cancelled = true; };
+  }, [pageId]);
+
+  // No audio after leaving the view
+  useEffect(() => () => {
+    playTokenRef.current = null;
+    audioRef.current?.pause();
+  }, []);
+
+  // While listening the ruler sits on the spoken word
+  useEffect(() => {
+    if (!playing || playing.charIndex < 0 || !textRef.current) return;
+    const word = textRef.current.querySelector('.reading-word.spoken');
+    if (word) {
+      setRulerY(word.offsetTop + word.offsetHeight / 2);
+    }
+  }, [playing]);
+
+  const stopAudio = () => {
+    playTokenRef.current = null;
+    audioRef.current?.pause();
+    audioRef.current = null;
+    setPlaying(null);
+  };
+
+  // Read a paragraph, then the ones after it on the page
+  const playFrom = async (index) => {
+    stopAudio();
+    const block = paragraphs[index];
+    if (!block) return;
+
+    const token = {};
+    playTokenRef.current = token;
+    setPlaying({ blockId: block.id, charIndex: -1 });
+    try {
+      const speech = await fetchBlockSpeech(block.id);
+      if (playTokenRef.current !== token) return;
+
+      const audio = new Audio(speech.audio_url);
+      audio.playbackRate = preferences.playbackSpeed;
+      audio.addEventListener('timeupdate', () => {
+        const charIndex = spokenCharAt(speech, audio.currentTime, audio.duration, block.ocrText.length);
+        setPlaying(current => current?.charIndex === charIndex ? current : { blockId: block.id, charIndex });
+      });
+      audio.addEventListener('ended', () => {
+        if (playTokenRef.current === token) playFrom(index + 1);
+      });
+      audioRef.current = audio;
+      await audio.play();
+    } catch (error) {
+      console.error('Error reading paragraph:', error);
+      if (playTokenRef.current === token) stopAudio();
+    }
+  };
+
+  const goToPage = (index) => {
+    stopAudio();
+    setSearchParams({ page: String(index + 1) });
+  };
+
+  const moveRuler = (event) => {
+    if (!preferences.rulerEnabled || playing || !textRef.current) return;
+    setRulerY(event.clientY - textRef.current.getBoundingClientRect().top);
+  };
+
+  const rulerHeight = () => {
+    const lineHeight = textRef.current ? parseFloat(getComputedStyle(textRef.current).lineHeight) : NaN;
+    return (Number.isFinite(lineHeight) ? lineHeight : 40) * preferences.rulerLines;
+  };
+
+  const renderRuler = () => {
+    if (!preferences.rulerEnabled || rulerY === null) return null;
+    const height = rulerHeight();
+    const top = rulerY - height / 2;
+    if (preferences.rulerStyle === 'mask') {
+      return (
+        <>
+          <div className="reading-ruler-mask" style={{ top: 0, height: Math.max(0, top) }} />
+          <div className="reading-ruler-mask" style={{ top: top + height, bottom: 0 }} />
+        </>
+      );
+    }
+    return <div className="reading-ruler-band" style={{ top, height }} />;
+  };
+
+  const renderParagraph = (block, index) => {
+    const spoken = playing?.blockId === block.id ? playing.charIndex : -1;
+    return (
+      <p
+        key={block.id}
+        className={`reading-paragraph ${playing?.blockId === block.id ? 'playing' : ''}`}
+        onClick={() => playFrom(index)}
+        title="Tap to listen from here"
+      >
+        {textWords(block.ocrText).map(word => (
+          <span key={word.start}>
+            <span
+              className={spoken >= word.start && spoken < word.end
+                ? `reading-word spoken word-highlight-${preferences.wordHighlightShape}`
+                : 'reading-word'}
+            >
+              {word.text}
+            </span>
+            {' '}
+          </span>
+        ))}
+      </p>
+    );
+  };
+
+  if (loading) {
+    return <div className="book-viewer-loading">Loading book...</div>;
+  }
+
+  if (!book || pages.length === 0) {
+    return (
+      <div className="book-viewer-error">
+        <h2>Book not found or no pages available</h2>
+        <button onClick={() => navigate('/')} className="back-button" title="Back to Books">
+          ←
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="reading-view" style={readerStyle(preferences)}>
+      <div className="reading-view-header">
+        <button onClick={() => navigate('/')} className="back-button" title="Back to Books">
+          ←
+        </button>
+        <div className="book-info">
+          <h1>{book.title}</h1>
+          <p>Page {pageIndex + 1} of {pages.length}</p>
+        </div>
+        <div className="header-controls">
+          {playing && (
+            <button onClick={stopAudio} className="detect-button active" title="Stop reading">
+              ⏹️
+            </button>
+          )}
+          <button
+            onClick={() => navigate(`/book/${bookId}?page=${pageIndex + 1}`)}
+            className="detect-button"
+            title="Page view"
+          >
+            🖼️
+          </button>
+          <button
+            onClick={() => setShowPreferences(true)}
+            className="detect-button"
+            title="Reading preferences"
+          >
+            ⚙️
+          </button>
+        </div>
+      </div>
+
+      <div className="reading-view-content">
+        <div
+          ref={textRef}
+          className="reading-text reader-text"
+          onPointerMove={moveRuler}
+          onPointerLeave={() => !playing && setRulerY(null)}
+        >
+          {blocks === null && <p className="reading-hint">Loading text...</p>}
+          {blocks !== null && paragraphs.length === 0 && (
+            <p className="reading-hint">
+              This page has no text yet. Open it in the page view to find the text on the photo.
+            </p>
+          )}
+          {paragraphs.map(renderParagraph)}
+          {renderRuler()}
+        </div>
+      </div>
+
+      <div className="reading-view-navigation">
+        <button
+          onClick={() => goToPage(pageIndex - 1)}
+          disabled={pageIndex === 0}
+          className="reading-nav-button"
+        >
+          ← Previous page
+        </button>
+        <button
+          onClick={() => goToPage(pageIndex + 1)}
+          disabled={pageIndex >= pages.length - 1}
+          className="reading-nav-button"
+        >
+          Next page →
+        </button>
+      </div>
+
+      {showPreferences && (
+        <PreferencesPanel
+          preferences={preferences}
+          onChange={onPreferencesChange}
+          onReset={onPreferencesReset}
+          onClose={() => setShowPreferences(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ReadingView;
@@ -0,0 +1,221 @@
+import { useState, useEffect, useCallback } from 'react';
+import { requestJson } from '../utils/api';
+import './SharingDialogs.css';
+
+const ROLES = [
+  { value: 'viewer', label: 'Can read' },
+  { value: 'editor', label: 'Can edit' }
+];
+
+const ShareDialog = ({ book, onClose }) => {
+  const [shares, setShares] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [target, setTarget] = useState('');
+  const [role, setRole] = useState('viewer');
+  const [inviteRole, setInviteRole] = useState('viewer');
+  const [inviteUrl, setInviteUrl] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  const loadSharing = useCallback(async () => {
+    try {
+      const [sharing, groupList] = await Promise.all([
+        requestJson(`/api/books/${book.id}/shares`),
+        requestJson('/api/groups')
+      ]);
+      setShares(sharing.shares);
+      setInvites(sharing.invites);
+      setGroups(groupList);
+      setError('');
+    } catch (err) {
+      console.error('Error loading shares:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [book.id]);
+
+  useEffect(() => {
+    loadSharing();
+  }, [loadSharing]);
+
+  // Target is either "group:<id>" from the group list or a typed username
+  const handleShare = async (e) => {
+    e.preventDefault();
+    if (!target.trim()) return;
+
+    const body = target.startsWith('group:')
+      ? { groupId: parseInt(target.slice('group:'.length)), role }
+      : { username: target.trim(), role };
+
+    try {
+      await requestJson(`/api/books/${book.id}/shares`, { method: 'POST', body: JSON.stringify(body) });
+      setTarget('');
+      await loadSharing();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRoleChange = async (share, newRole) => {
+    try {
+      await requestJson(`/api/books/${book.id}/shares/${share.id}`, { method: 'PATCH', body: JSON.stringify({ role: newRole }) });
+      setShares(prev => prev.map(s => (s.id === share.id ? { ...s, role: newRole } : s)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemoveShare = async (share) => {
+    try {
+      await requestJson(`/api/books/${book.id}/shares/${share.id}`, { method: 'DELETE' });
+      setShares(prev => prev.filter(s => s.id !== share.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCreateInvite = async () => {
+    try {
+      const invite = await requestJson(`/api/books/${book.id}/invites`, { method: 'POST', body: JSON.stringify({ role: inviteRole }) });
+      setInviteUrl(invite.inviteUrl);
+      setCopied(false);
+      await loadSharing();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCopyInvite = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl);
+      setCopied(true);
+    } catch (err) {
+      console.error('Error copying invite link:', err);
+    }
+  };
+
+  const handleRevokeInvite = async (invite) => {
+    try {
+      await requestJson(`/api/books/${book.id}/invites/${invite.id}`, { method: 'DELETE' });
+      setInvites(prev => prev.filter(i => i.id !== invite.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal sharing-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Share "{book.title || 'this book'}"</h2>
+        </div>
+        <div className="modal-body">
+          {error && <div className="sharing-error">{error}</div>}
+
+          {loading ? (
+            <div className="sharing-empty">Loading...</div>
+          ) : (
+            <>
+              <form className="sharing-row" onSubmit={handleShare}>
+                <input
+                  type="text"
+                  placeholder="Username"
+                  value={target.startsWith('group:') ? '' : target}
+                  onChange={(e) => setTarget(e.target.value)}
+                  className="sharing-input"
+                />
+                {groups.length > 0 && (
+                  <select
+                    className="sharing-select"
+                    value={target.startsWith('group:') ? target : ''}
+                    onChange={(e) => setTarget(e.target.value)}
+                  >
+                    <option value="">or a group...</option>
+                    {groups.map(group => (
+                      <option key={group.id} value={`group:${group.id}`}>👥 {group.name}</option>
+                    ))}
+                  </select>
+                )}
+                <select className="sharing-select" value={role} onChange={(e) => setRole(e.target.value)}>
+                  {ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                </select>
+                <button type="submit" className="sharing-button" disabled={!target.trim()}>
+                  Share
+                </button>
+              </form>
+
+              <h3>People with access</h3>
+              {shares.length === 0 ? (
+                <div className="sharing-empty">Only you can see this book.</div>
+              ) : (
+                <ul className="sharing-list">
+                  {shares.map(share => (
+                    <li key={share.id} className="sharing-item">
+                      <span className="sharing-name">
+                        {share.groupId ? `👥 ${share.groupName}` : `👤 ${share.username}`}
+                      </span>
+                      <select
+                        className="sharing-select"
+                        value={share.role}
+                        onChange={(e) => handleRoleChange(share, e.target.value)}
+                      >
+                        {ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                      </select>
+                      <button className="sharing-remove" onClick={() => handleRemoveShare(share)} title="Remove">
+                        ×
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <h3>Invite link</h3>
+              <div className="sharing-row">
+                <select className="sharing-select" value={inviteRole} onChange={(e) => setInviteRole(e.target.value)}>
+                  {ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                </select>
+                <button className="sharing-button" onClick={handleCreateInvite}>
+                  Create link
+                </button>
+              </div>
+              {inviteUrl && (
+                <div className="sharing-row">
+                  <input type="text" readOnly value={inviteUrl} className="sharing-input" onFocus={(e) => e.target.select()} />
+                  <button className="sharing-button" onClick={handleCopyInvite}>
+                    {copied ? 'Copied!' : 'Copy'}
+                  </button>
+                </div>
+              )}
+              {invites.length > 0 && (
+                <ul className="sharing-list">
+                  {invites.map(invite => (
+                    <li key={invite.id} className="sharing-item">
+                      <span className="sharing-name">
+                        🔗 {ROLES.find(r => r.value === invite.role)?.label}
+                        {invite.maxUses ? ` · ${invite.uses}/${invite.maxUses} used` : ` · ${invite.uses} used`}
+                        {invite.expiresAt && ` · expires ${new Date(invite.expiresAt).toLocaleDateString()}`}
+                      </span>
+                      <button className="sharing-remove" onClick={() => handleRevokeInvite(invite)} title="Revoke link">
+                        ×
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+        <div className="modal-footer">
+          <button className="cancel-button" onClick={onClose}>
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
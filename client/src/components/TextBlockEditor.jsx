@@ -0,0 +1,310 @@
+import { useState, useRef } from 'react';
+import { requestJson } from '../utils/api';
+import './TextBlockEditor.css';
+
+const MIN_BLOCK_SIZE = 8; // Image pixels
+const HANDLES = ['nw', 'ne', 'sw', 'se'];
+
+// Geometry of a block after dragging it (mode 'move') or one of its corner handles
+// by dx, dy image pixels, kept inside the image
+const dragGeometry = (start, mode, dx, dy, imageWidth, imageHeight) => {
+  if (mode === 'move') {
+    return {
+      ...start,
+      x: Math.round(Math.min(Math.max(0, start.x + dx), imageWidth - start.width)),
+      y: Math.round(Math.min(Math.max(0, start.y + dy), imageHeight - start.height))
+    };
+  }
+
+  let left = start.x;
+  let top = start.y;
+  let right = start.x + start.width;
+  let bottom = start.y + start.height;
+  if (mode.includes('w')) left = Math.min(Math.max(0, left + dx), right - MIN_BLOCK_SIZE);
+  if (mode.includes('e')) right = Math.max(Math.min(imageWidth, right + dx), left + MIN_BLOCK_SIZE);
+  if (mode.includes('n')) top = Math.min(Math.max(0, top + dy), bottom - MIN_BLOCK_SIZE);
+  if (mode.includes('s')) bottom = Math.max(Math.min(imageHeight, bottom + dy), top + MIN_BLOCK_SIZE);
+
+  return {
+    x: Math.round(left),
+    y: Math.round(top),
+    width: Math.round(right - left),
+    height: Math.round(bottom - top)
+  };
+};
+
+// Edit mode for the text blocks of a page: drag boxes and their corner handles,
+// correct the recognized text, split, merge or delete blocks, and change the order they
+// are read in. Blocks come in reading order; every change is saved right away and
+// reported with onBlocksChange(blocks).
+const TextBlockEditor = ({ pageId, blocks, imageRef, onBlocksChange, onClose }) => {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [textDraft, setTextDraft] = useState('');
+  const [preview, setPreview] = useState(null); // { id, geometry } while dragging
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const dragRef = useRef(null);
+
+  const selectedBlock = selectedIds.length === 1 ? blocks.find(block => block.id === selectedIds[0]) : null;
+
+  const imageSize = () => ({
+    width: imageRef.current?.naturalWidth || 1,
+    height: imageRef.current?.naturalHeight || 1
+  });
+
+  const select = (block, addToSelection) => {
+    if (addToSelection) {
+      setSelectedIds(prev => prev.includes(block.id) ? prev.filter(id => id !== block.id) : [...prev, block.id]);
+    } else {
+      setSelectedIds([block.id]);
+      setTextDraft(block.ocrText || '');
+    }
+    setError('');
+  };
+
+  // Run an edit request and apply its result to the block list
+  const save = async (request, applyResult) => {
+    setBusy(true);
+    setError('');
+    try {
+      const result = await request();
+      onBlocksChange(applyResult(result));
+    } catch (err) {
+      console.error('Error editing text blocks:', err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const replaceBlocks = (updated, removedIds = []) => blocks
+    .filter(block => !removedIds.includes(block.id))
+    .map(block => updated.find(candidate => candidate.id === block.id) || block)
+    .concat(updated.filter(candidate => !blocks.some(block => block.id === candidate.id)));
+
+  const startDrag = (event, block, mode) => {
+    event.stopPropagation();
+    if (busy || event.button !== 0) return;
+
+    if (mode === 'move') {
+      select(block, event.shiftKey || event.ctrlKey || event.metaKey);
+      if (event.shiftKey || event.ctrlKey || event.metaKey) return;
+    }
+
+    const image = imageRef.current;
+    if (!image) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = {
+      block,
+      mode,
+      startX: event.clientX,
+      startY: event.clientY,
+      // Image pixels per screen pixel
+      ratio: image.naturalWidth / image.clientWidth
+    };
+  };
+
+  const moveDrag = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const { width, height } = imageSize();
+    const dx = (event.clientX - drag.startX) * drag.ratio;
+    const dy = (event.clientY - drag.startY) * drag.ratio;
+    setPreview({
+      id: drag.block.id,
+      geometry: dragGeometry(drag.block, drag.mode, dx, dy, width, height)
+    });
+  };
+
+  const endDrag = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || !preview || preview.id !== drag.block.id) {
+      setPreview(null);
+      return;
+    }
+
+    const { geometry } = preview;
+    setPreview(null);
+    const changed = ['x', 'y', 'width', 'height'].some(field => geometry[field] !== drag.block[field]);
+    if (!changed) return;
+
+    save(
+      () => requestJson(`/api/textblocks/${drag.block.id}`, { method: 'PATCH', body: JSON.stringify(geometry) }),
+      (updated) => replaceBlocks([updated])
+    );
+  };
+
+  const saveText = () => save(
+    () => requestJson(`/api/textblocks/${selectedBlock.id}`, { method: 'PATCH', body: JSON.stringify({ text: textDraft }) }),
+    (updated) => {
+      setTextDraft(updated.ocrText || '');
+      return replaceBlocks([updated]);
+    }
+  );
+
+  const splitBlock = (direction) => save(
+    () => requestJson(`/api/textblocks/${selectedBlock.id}/split`, { method: 'POST', body: JSON.stringify({ direction }) }),
+    ({ blocks: [first, second] }) => {
+      setSelectedIds([first.id]);
+      setTextDraft(first.ocrText || '');
+      // The second half is read right after the first
+      const updated = replaceBlocks([first]);
+      updated.splice(updated.findIndex(block => block.id === first.id) + 1, 0, second);
+      return updated;
+    }
+  );
+
+  const mergeBlocks = () => save(
+    () => requestJson(`/api/pages/${pageId}/textblocks/merge`, { method: 'POST', body: JSON.stringify({ blockIds: selectedIds }) }),
+    (merged) => {
+      setSelectedIds([merged.id]);
+      setTextDraft(merged.ocrText || '');
+      return replaceBlocks([merged], selectedIds.filter(id => id !== merged.id));
+    }
+  );
+
+  // Move the selected block one place earlier (-1) or later (1) in the reading order
+  const moveInOrder = (offset) => {
+    const ids = blocks.map(block => block.id);
+    const index = ids.indexOf(selectedBlock.id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    save(
+      () => requestJson(`/api/pages/${pageId}/reading-order`, { method: 'PUT', body: JSON.stringify({ blockIds: ids }) }),
+      (ordered) => ordered
+    );
+  };
+
+  const autoOrder = () => save(
+    () => requestJson(`/api/pages/${pageId}/reading-order`, { method: 'DELETE' }),
+    (ordered) => ordered
+  );
+
+  const deleteBlock = () => {
+    if (!window.confirm('Delete this text block?')) return;
+    const blockId = selectedBlock.id;
+    save(
+      () => requestJson(`/api/textblocks/${blockId}`, { method: 'DELETE' }),
+      () => {
+        setSelectedIds([]);
+        return replaceBlocks([], [blockId]);
+      }
+    );
+  };
+
+  const { width: imageWidth, height: imageHeight } = imageSize();
+  const selectedIndex = selectedBlock ? blocks.indexOf(selectedBlock) : -1;
+
+  return (
+    <>
+      <div className="text-block-editor-layer" onPointerDown={() => setSelectedIds([])}>
+        {blocks.map((block, index) => {
+          const geometry = preview?.id === block.id ? preview.geometry : block;
+          const isSelected = selectedIds.includes(block.id);
+          return (
+            <div
+              key={block.id}
+              className={`editable-text-block ${isSelected ? 'selected' : ''}`}
+              style={{
+                left: `${geometry.x / imageWidth * 100}%`,
+                top: `${geometry.y / imageHeight * 100}%`,
+                width: `${geometry.width / imageWidth * 100}%`,
+                height: `${geometry.height / imageHeight * 100}%`
+              }}
+              title={block.ocrText || 'No text'}
+              onPointerDown={(event) => startDrag(event, block, 'move')}
+              onPointerMove={moveDrag}
+              onPointerUp={endDrag}
+              onPointerCancel={endDrag}
+            >
+              <span className="reading-order-badge" aria-label={`Read as number ${index + 1}`}>{index + 1}</span>
+              {isSelected && selectedIds.length === 1 && HANDLES.map(handle => (
+                <div
+                  key={handle}
+                  className={`resize-handle resize-handle-${handle}`}
+                  onPointerDown={(event) => startDrag(event, block, handle)}
+                  onPointerMove={moveDrag}
+                  onPointerUp={endDrag}
+                  onPointerCancel={endDrag}
+                />
+              ))}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="text-block-edit-panel">
+        <div className="edit-panel-header">
+          <h3>Edit text blocks</h3>
+          <button className="edit-panel-button" onClick={onClose} title="Leave edit mode">Done</button>
+        </div>
+
+        {error && <div className="edit-panel-error">{error}</div>}
+
+        {selectedIds.length === 0 && (
+          <p className="edit-panel-hint">
+            Select a box to fix its text, drag it to move it, or drag a corner to resize it.
+            Shift-click boxes to merge them. The numbers show the order the page is read in.
+          </p>
+        )}
+
+        {selectedIds.length === 0 && blocks.length > 1 && (
+          <div className="edit-panel-actions">
+            <button className="edit-panel-button" onClick={autoOrder} disabled={busy} title="Number the blocks in layout order again">
+              Auto order
+            </button>
+          </div>
+        )}
+
+        {selectedBlock && (
+          <>
+            <textarea
+              className="edit-panel-text"
+              value={textDraft}
+              onChange={(e) => setTextDraft(e.target.value)}
+              rows={5}
+              aria-label="Text of the selected block"
+            />
+            <div className="edit-panel-actions">
+              <button
+                className="edit-panel-button primary"
+                onClick={saveText}
+                disabled={busy || !textDraft.trim() || textDraft.trim() === (selectedBlock.ocrText || '')}
+              >
+                Save text
+              </button>
+              <button className="edit-panel-button" onClick={() => splitBlock('horizontal')} disabled={busy} title="Split into a top and a bottom block">
+                ⬍ Split
+              </button>
+              <button className="edit-panel-button" onClick={() => splitBlock('vertical')} disabled={busy} title="Split into a left and a right block">
+                ⬌ Split
+              </button>
+              <button className="edit-panel-button" onClick={() => moveInOrder(-1)} disabled={busy || selectedIndex <= 0} title="Read this block earlier">
+                ↑ Earlier
+              </button>
+              <button className="edit-panel-button" onClick={() => moveInOrder(1)} disabled={busy || selectedIndex >= blocks.length - 1} title="Read this block later">
+                ↓ Later
+              </button>
+              <button className="edit-panel-button danger" onClick={deleteBlock} disabled={busy}>
+                Delete
+              </button>
+            </div>
+          </>
+        )}
+
+        {selectedIds.length > 1 && (
+          <div className="edit-panel-actions">
+            <button className="edit-panel-button primary" onClick={mergeBlocks} disabled={busy}>
+              Merge {selectedIds.length} blocks
+            </button>
+            <button className="edit-panel-button" onClick={() => setSelectedIds([])} disabled={busy}>
+              Clear selection
+            </button>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default TextBlockEditor;
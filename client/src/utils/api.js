@@ -0,0 +1,13 @@
+// Fetch a JSON API route. Rejects with the server's error message when the response is not ok.
+// A FormData body is sent as is, with the multipart content type the browser sets.
+export const requestJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: typeof options.body === 'string' ? { 'Content-Type': 'application/json' } : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `HTTP error! status: ${response.status}`);
+  }
+  return data;
+};
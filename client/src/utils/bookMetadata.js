@@ -0,0 +1,24 @@
+// Book metadata options, the same as the server accepts (see server/bookMetadata.js)
+
+export const BOOK_CATEGORIES = ['Fiction', 'Non-Fiction', 'Education', 'Science', 'History', 'Biography', 'Children', 'General'];
+
+export const MAX_CATEGORIES = 3;
+export const MAX_KEYWORDS = 12;
+
+export const KEYWORD_GROUPS = [
+  { value: 'language', label: 'Language' },
+  { value: 'topic', label: 'Topic' },
+  { value: 'level', label: 'Level' },
+  { value: 'content', label: 'Content type' }
+];
+
+export const keywordGroupLabel = (group) => KEYWORD_GROUPS.find(option => option.value === group)?.label || group;
+
+// What the first pages of a book are, found when the scan completed ('text' pages get no label)
+export const PAGE_KIND_LABELS = {
+  cover: 'Cover',
+  title: 'Title page',
+  copyright: 'Copyright',
+  contents: 'Contents',
+  blank: 'Blank'
+};
@@ -0,0 +1,24 @@
+// Poll a background job until it finishes. Resolves with the completed job and
+// rejects when the job fails or takes longer than timeoutMs.
+export const waitForJob = async (jobId, { intervalMs = 1000, timeoutMs = 120000 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const response = await fetch(`/api/jobs/${jobId}`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const job = await response.json();
+    if (job.status === 'completed') {
+      return job;
+    }
+    if (job.status === 'failed') {
+      throw new Error(job.error || `Job ${jobId} failed`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+
+  throw new Error(`Timed out waiting for job ${jobId}`);
+};
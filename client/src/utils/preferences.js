@@ -0,0 +1,129 @@
+// Reading preferences of the signed-in user (stored by the server, see server/preferences.js):
+// the options the preferences panel offers and the CSS they turn into
+
+// Same defaults as the server, used until the saved preferences have loaded
+export const DEFAULT_PREFERENCES = {
+  fontFamily: 'opendyslexic',
+  fontScale: 1,
+  letterSpacing: 0.05,
+  wordSpacing: 0.15,
+  lineHeight: 1.8,
+  pageTint: 'none',
+  colorFilter: 'none',
+  wordHighlightColor: '#ffeb3b',
+  wordHighlightShape: 'marker',
+  lineHighlightColor: '#fff59d',
+  rulerEnabled: false,
+  rulerStyle: 'band',
+  rulerLines: 1,
+  rulerColor: '#ffeb3b',
+  playbackSpeed: 1,
+  tapMode: 'block'
+};
+
+export const FONT_FAMILIES = [
+  { value: 'opendyslexic', label: 'OpenDyslexic', stack: "'OpenDyslexic', 'Open Dyslexic', Arial, sans-serif" },
+  { value: 'lexend', label: 'Lexend', stack: "'Lexend', Arial, sans-serif" },
+  { value: 'atkinson', label: 'Atkinson Hyperlegible', stack: "'Atkinson Hyperlegible', Arial, sans-serif" }
+];
+
+// Colored overlays some readers find easier on the eyes than white paper
+export const PAGE_TINTS = [
+  { value: 'none', label: 'None', color: 'transparent' },
+  { value: 'yellow', label: 'Yellow', color: 'rgba(255, 235, 59, 0.25)' },
+  { value: 'peach', label: 'Peach', color: 'rgba(255, 204, 153, 0.3)' },
+  { value: 'blue', label: 'Blue', color: 'rgba(135, 206, 250, 0.25)' },
+  { value: 'green', label: 'Green', color: 'rgba(144, 238, 144, 0.25)' },
+  { value: 'pink', label: 'Pink', color: 'rgba(255, 182, 193, 0.3)' },
+  { value: 'gray', label: 'Gray', color: 'rgba(128, 128, 128, 0.25)' }
+];
+
+export const COLOR_FILTERS = [
+  { value: 'none', label: 'None', filter: 'none' },
+  { value: 'grayscale', label: 'Grayscale', filter: 'grayscale(1)' },
+  { value: 'sepia', label: 'Sepia', filter: 'sepia(0.8)' },
+  { value: 'high-contrast', label: 'High contrast', filter: 'grayscale(0.3) contrast(1.6)' },
+  { value: 'invert', label: 'Dark (inverted)', filter: 'invert(1) hue-rotate(180deg)' }
+];
+
+export const HIGHLIGHT_COLORS = [
+  { value: '#ffeb3b', label: 'Yellow' },
+  { value: '#fff59d', label: 'Light yellow' },
+  { value: '#76ff03', label: 'Green' },
+  { value: '#40c4ff', label: 'Blue' },
+  { value: '#ff80ab', label: 'Pink' },
+  { value: '#ffab40', label: 'Orange' }
+];
+
+export const HIGHLIGHT_SHAPES = [
+  { value: 'marker', label: 'Marker' },
+  { value: 'underline', label: 'Underline' },
+  { value: 'outline', label: 'Outline' }
+];
+
+export const RULER_STYLES = [
+  { value: 'band', label: 'Colored band' },
+  { value: 'mask', label: 'Dim the rest' }
+];
+
+export const TAP_MODES = [
+  { value: 'block', label: 'Whole block' },
+  { value: 'sentences', label: 'Sentence' },
+  { value: 'lines', label: 'Line' }
+];
+
+export const PLAYBACK_SPEEDS = [
+  { value: 0.5, label: '0.5x (Slower)' },
+  { value: 0.75, label: '0.75x' },
+  { value: 1, label: '1x (Normal)' },
+  { value: 1.25, label: '1.25x' },
+  { value: 1.5, label: '1.5x' },
+  { value: 2, label: '2x (Faster)' }
+];
+
+const optionOf = (options, value) => options.find(option => option.value === value) || options[0];
+
+// CSS custom properties for reading text: the subtitle overlay, the reflowed text view
+// and the preview in the preferences panel
+export const readerStyle = (preferences) => ({
+  '--reader-font-family': optionOf(FONT_FAMILIES, preferences.fontFamily).stack,
+  '--reader-font-scale': preferences.fontScale,
+  '--reader-letter-spacing': `${preferences.letterSpacing}em`,
+  '--reader-word-spacing': `${preferences.wordSpacing}em`,
+  '--reader-line-height': preferences.lineHeight,
+  '--reader-highlight-color': preferences.wordHighlightColor,
+  '--reader-line-highlight-color': preferences.lineHighlightColor,
+  '--reader-tint': optionOf(PAGE_TINTS, preferences.pageTint).color,
+  '--reader-ruler-color': preferences.rulerColor
+});
+
+// CSS filter for the page photo
+export const pageImageFilter = (preferences) => optionOf(COLOR_FILTERS, preferences.colorFilter).filter;
+
+// Settings older versions kept in localStorage, as preference changes; they are
+// removed so they move to the server once
+export const takeLegacyPreferences = () => {
+  const changes = {};
+  const speed = parseFloat(localStorage.getItem('readerPlaybackSpeed'));
+  if (Number.isFinite(speed)) {
+    changes.playbackSpeed = speed;
+  }
+  const tapMode = localStorage.getItem('readerTapMode');
+  if (TAP_MODES.some(mode => mode.value === tapMode)) {
+    changes.tapMode = tapMode;
+  }
+  try {
+    const highlight = JSON.parse(localStorage.getItem('readerWordHighlight'));
+    if (HIGHLIGHT_COLORS.some(color => color.value === highlight?.color)) {
+      changes.wordHighlightColor = highlight.color;
+    }
+    if (HIGHLIGHT_SHAPES.some(shape => shape.value === highlight?.shape)) {
+      changes.wordHighlightShape = highlight.shape;
+    }
+  } catch {
+    // Not saved or unreadable: nothing to move
+  }
+
+  ['readerPlaybackSpeed', 'readerTapMode', 'readerWordHighlight'].forEach(key => localStorage.removeItem(key));
+  return Object.keys(changes).length > 0 ? changes : null;
+};
@@ -0,0 +1,34 @@
+import { waitForJob } from './jobs';
+
+// Requests answered with 202 before giving up; the audio may be generated again in
+// between, e.g. after the block's text was edited
+const MAX_SPEECH_REQUESTS = 4;
+const RETRY_DELAY_MS = 500;
+
+// Speech of a text block ({ audio_url, text, alignment, word_timings }); waits for the
+// background job when its audio is not generated yet
+export const fetchBlockSpeech = async (blockId) => {
+  for (let attempt = 1; attempt <= MAX_SPEECH_REQUESTS; attempt++) {
+    const response = await fetch(`/api/textblocks/${blockId}/speak`, {
+      method: 'POST'
+    });
+
+    console.log('📡 TTS API response status:', response.status);
+    if (response.status === 202) {
+      const { jobId } = await response.json();
+      await waitForJob(jobId);
+      // Ask again right after the first job; back off when the audio is still not there
+      if (attempt > 1 && attempt < MAX_SPEECH_REQUESTS) {
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * 2 ** (attempt - 2)));
+      }
+      continue;
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  throw new Error(`Speech for text block ${blockId} is still not ready after ${MAX_SPEECH_REQUESTS} requests`);
+};
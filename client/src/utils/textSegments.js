@@ -0,0 +1,87 @@
+// Words, lines and sentences of a text block as character ranges of its text, with
+// their boxes on the page image. block.words[i] is the i-th whitespace-separated word
+// of block.ocrText (see server/textLayout.js); blocks without word boxes have no segments.
+
+// Sentence ends, with closing quotes and brackets that follow them
+const SENTENCE_PATTERN = /[^.!?…]*[.!?…]+["'”’)\]]*|[^.!?…]+$/g;
+
+const unionBox = (boxes) => {
+  const left = Math.min(...boxes.map(box => box.x));
+  const top = Math.min(...boxes.map(box => box.y));
+  const right = Math.max(...boxes.map(box => box.x + box.width));
+  const bottom = Math.max(...boxes.map(box => box.y + box.height));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+// One box per line for the words of a range, so a sentence over two lines gets two boxes
+const rangeBoxes = (words) => {
+  const byLine = new Map();
+  words.forEach(word => byLine.set(word.line, [...(byLine.get(word.line) || []), word]));
+  return [...byLine.values()].map(unionBox);
+};
+
+// { words, lines, sentences } with { start, end (exclusive), boxes } each, or null
+export const blockSegments = (block) => {
+  const text = block.ocrText || '';
+  const tokens = [...text.matchAll(/\S+/g)];
+  if (!Array.isArray(block.words) || !Array.isArray(block.lines) || tokens.length !== block.words.length) {
+    return null;
+  }
+
+  const words = tokens.map((token, index) => ({
+    ...block.words[index],
+    start: token.index,
+    end: token.index + token[0].length
+  }));
+
+  const lines = block.lines.map((box, lineIndex) => {
+    const lineWords = words.filter(word => word.line === lineIndex);
+    return lineWords.length > 0 && {
+      start: lineWords[0].start,
+      end: lineWords[lineWords.length - 1].end,
+      boxes: [box]
+    };
+  }).filter(Boolean);
+
+  const sentences = [...text.matchAll(SENTENCE_PATTERN)].map(match => {
+    const sentenceWords = words.filter(word => word.start >= match.index && word.end <= match.index + match[0].length);
+    return sentenceWords.length > 0 && {
+      start: sentenceWords[0].start,
+      end: sentenceWords[sentenceWords.length - 1].end,
+      boxes: rangeBoxes(sentenceWords)
+    };
+  }).filter(Boolean);
+
+  return {
+    words: words.map(word => ({ start: word.start, end: word.end, boxes: [word] })),
+    lines,
+    sentences
+  };
+};
+
+const distanceToBox = (box, x, y) => Math.hypot(
+  Math.max(box.x - x, 0, x - (box.x + box.width)),
+  Math.max(box.y - y, 0, y - (box.y + box.height))
+);
+
+// The segment of a kind ('words', 'lines' or 'sentences') closest to a point in image pixels
+export const segmentAt = (segments, kind, x, y) => {
+  let closest = null;
+  let closestDistance = Infinity;
+  for (const segment of segments?.[kind] || []) {
+    const distance = Math.min(...segment.boxes.map(box => distanceToBox(box, x, y)));
+    if (distance < closestDistance) {
+      closest = segment;
+      closestDistance = distance;
+    }
+  }
+  return closest;
+};
+
+// The segment of a kind being read at a character of the text; spaces after a segment
+// still belong to it
+export const segmentAtChar = (segments, kind, charIndex) => {
+  if (charIndex < 0) return null;
+  const before = (segments?.[kind] || []).filter(segment => segment.start <= charIndex);
+  return before[before.length - 1] || null;
+};
@@ -28,6 +28,10 @@ export default defineConfig({
       '/objects': {
         target: 'http://localhost:5001',
         changeOrigin: true
+      },
+      '/ws': {
+        target: 'ws://localhost:5001',
+        ws: true
       }
     }
   }
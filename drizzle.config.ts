@@ -1,10 +1,15 @@
 import { defineConfig } from 'drizzle-kit';
+import { databaseDialect, databaseUrl } from './shared/dialect.js';
+
+// Migrations live in drizzle/postgresql and drizzle/sqlite; DB_DIALECT picks one
+// without a database (see the db:generate script)
+const dialect = databaseDialect();
 
 export default defineConfig({
   schema: './shared/schema.js',
-  out: './drizzle',
-  dialect: 'postgresql',
+  out: `./drizzle/${dialect}`,
+  dialect,
   dbCredentials: {
-    url: process.env.DATABASE_URL!,
+    url: databaseUrl()!,
   },
-});
\ No newline at end of file
+});
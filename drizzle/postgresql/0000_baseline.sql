@@ -0,0 +1,48 @@
+CREATE TABLE "books" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"title" text,
+	"author" text,
+	"category" text,
+	"categories" jsonb,
+	"keywords" jsonb,
+	"cover" text,
+	"status" text DEFAULT 'processing',
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+CREATE TABLE "pages" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"book_id" integer,
+	"page_number" integer,
+	"image_path" text,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+CREATE TABLE "scanning_sessions" (
+	"id" text PRIMARY KEY NOT NULL,
+	"book_id" integer,
+	"status" text DEFAULT 'active',
+	"created_at" timestamp DEFAULT now(),
+	"expires_at" timestamp
+);
+--> statement-breakpoint
+CREATE TABLE "text_blocks" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"page_id" integer NOT NULL,
+	"x" integer NOT NULL,
+	"y" integer NOT NULL,
+	"width" integer NOT NULL,
+	"height" integer NOT NULL,
+	"ocr_text" text,
+	"status" text DEFAULT 'pending',
+	"audio_url" text,
+	"alignment_data" text,
+	"normalized_alignment_data" text,
+	"confidence" integer,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "pages" ADD CONSTRAINT "pages_book_id_books_id_fk" FOREIGN KEY ("book_id") REFERENCES "public"."books"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "scanning_sessions" ADD CONSTRAINT "scanning_sessions_book_id_books_id_fk" FOREIGN KEY ("book_id") REFERENCES "public"."books"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "text_blocks" ADD CONSTRAINT "text_blocks_page_id_pages_id_fk" FOREIGN KEY ("page_id") REFERENCES "public"."pages"("id") ON DELETE cascade ON UPDATE no action;
\ No newline at end of file
@@ -0,0 +1,161 @@
+-- Accounts, sharing, jobs and scanning session tokens, added to the original schema.
+-- Every statement is idempotent: databases set up with the old `npm run db:push` may
+-- already have some of these tables and columns (see server/migrate.js).
+CREATE TABLE IF NOT EXISTS "auth_sessions" (
+	"id" text PRIMARY KEY NOT NULL,
+	"user_id" integer NOT NULL,
+	"created_at" timestamp DEFAULT now(),
+	"expires_at" timestamp NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "book_invites" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"book_id" integer NOT NULL,
+	"token_hash" text NOT NULL,
+	"role" text DEFAULT 'viewer' NOT NULL,
+	"max_uses" integer,
+	"uses" integer DEFAULT 0,
+	"created_by" integer,
+	"expires_at" timestamp,
+	"revoked_at" timestamp,
+	"created_at" timestamp DEFAULT now(),
+	CONSTRAINT "book_invites_token_hash_unique" UNIQUE("token_hash")
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "book_shares" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"book_id" integer NOT NULL,
+	"user_id" integer,
+	"group_id" integer,
+	"role" text DEFAULT 'viewer' NOT NULL,
+	"created_by" integer,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "group_members" (
+	"group_id" integer NOT NULL,
+	"user_id" integer NOT NULL,
+	"created_at" timestamp DEFAULT now(),
+	CONSTRAINT "group_members_group_id_user_id_pk" PRIMARY KEY("group_id","user_id")
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "jobs" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"type" text NOT NULL,
+	"payload" jsonb,
+	"book_id" integer,
+	"dedupe_key" text,
+	"status" text DEFAULT 'queued',
+	"attempts" integer DEFAULT 0,
+	"max_attempts" integer DEFAULT 5,
+	"run_at" timestamp DEFAULT now(),
+	"locked_by" text,
+	"locked_at" timestamp,
+	"last_error" text,
+	"result" jsonb,
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "user_groups" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"name" text NOT NULL,
+	"owner_id" integer NOT NULL,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "users" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"username" text NOT NULL,
+	"password_hash" text NOT NULL,
+	"created_at" timestamp DEFAULT now(),
+	CONSTRAINT "users_username_unique" UNIQUE("username")
+);
+--> statement-breakpoint
+ALTER TABLE "books" ADD COLUMN IF NOT EXISTS "owner_id" integer;
+--> statement-breakpoint
+ALTER TABLE "scanning_sessions" ADD COLUMN IF NOT EXISTS "claim_token_hash" text;
+--> statement-breakpoint
+ALTER TABLE "scanning_sessions" ADD COLUMN IF NOT EXISTS "upload_token_hash" text;
+--> statement-breakpoint
+ALTER TABLE "scanning_sessions" ADD COLUMN IF NOT EXISTS "claimed_at" timestamp;
+--> statement-breakpoint
+ALTER TABLE "scanning_sessions" ADD COLUMN IF NOT EXISTS "closed_at" timestamp;
+--> statement-breakpoint
+ALTER TABLE "text_blocks" ADD COLUMN IF NOT EXISTS "language" text;
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "auth_sessions" ADD CONSTRAINT "auth_sessions_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "book_invites" ADD CONSTRAINT "book_invites_book_id_books_id_fk" FOREIGN KEY ("book_id") REFERENCES "public"."books"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "book_invites" ADD CONSTRAINT "book_invites_created_by_users_id_fk" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE set null ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "book_shares" ADD CONSTRAINT "book_shares_book_id_books_id_fk" FOREIGN KEY ("book_id") REFERENCES "public"."books"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "book_shares" ADD CONSTRAINT "book_shares_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "book_shares" ADD CONSTRAINT "book_shares_group_id_user_groups_id_fk" FOREIGN KEY ("group_id") REFERENCES "public"."user_groups"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "book_shares" ADD CONSTRAINT "book_shares_created_by_users_id_fk" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE set null ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "group_members" ADD CONSTRAINT "group_members_group_id_user_groups_id_fk" FOREIGN KEY ("group_id") REFERENCES "public"."user_groups"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "group_members" ADD CONSTRAINT "group_members_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "jobs" ADD CONSTRAINT "jobs_book_id_books_id_fk" FOREIGN KEY ("book_id") REFERENCES "public"."books"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "user_groups" ADD CONSTRAINT "user_groups_owner_id_users_id_fk" FOREIGN KEY ("owner_id") REFERENCES "public"."users"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "book_shares_book_user_idx" ON "book_shares" USING btree ("book_id","user_id");
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "book_shares_book_group_idx" ON "book_shares" USING btree ("book_id","group_id");
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "books" ADD CONSTRAINT "books_owner_id_users_id_fk" FOREIGN KEY ("owner_id") REFERENCES "public"."users"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
\ No newline at end of file
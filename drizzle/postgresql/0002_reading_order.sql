@@ -0,0 +1 @@
+ALTER TABLE "text_blocks" ADD COLUMN "reading_order" integer;
\ No newline at end of file
@@ -0,0 +1,2 @@
+ALTER TABLE "text_blocks" ADD COLUMN "words" jsonb;--> statement-breakpoint
+ALTER TABLE "text_blocks" ADD COLUMN "lines" jsonb;
\ No newline at end of file
@@ -0,0 +1,7 @@
+CREATE TABLE "user_preferences" (
+	"user_id" integer PRIMARY KEY NOT NULL,
+	"preferences" jsonb NOT NULL,
+	"updated_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "user_preferences" ADD CONSTRAINT "user_preferences_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE cascade ON UPDATE no action;
\ No newline at end of file
@@ -0,0 +1,14 @@
+CREATE TABLE "chapters" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"book_id" integer NOT NULL,
+	"position" integer NOT NULL,
+	"title" text NOT NULL,
+	"level" integer DEFAULT 1 NOT NULL,
+	"printed_page" integer,
+	"start_page" integer,
+	"end_page" integer,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "pages" ADD COLUMN "kind" text;--> statement-breakpoint
+ALTER TABLE "chapters" ADD CONSTRAINT "chapters_book_id_books_id_fk" FOREIGN KEY ("book_id") REFERENCES "public"."books"("id") ON DELETE cascade ON UPDATE no action;
\ No newline at end of file
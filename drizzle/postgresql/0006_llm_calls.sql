@@ -0,0 +1,20 @@
+CREATE TABLE "llm_calls" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"task" text NOT NULL,
+	"provider" text NOT NULL,
+	"model" text,
+	"book_id" integer,
+	"page_id" integer,
+	"attempt" integer DEFAULT 1 NOT NULL,
+	"status" text NOT NULL,
+	"prompt_tokens" integer,
+	"completion_tokens" integer,
+	"latency_ms" integer,
+	"error" text,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "books" ADD COLUMN "metadata_error" text;--> statement-breakpoint
+ALTER TABLE "pages" ADD COLUMN "detection_error" text;--> statement-breakpoint
+ALTER TABLE "llm_calls" ADD CONSTRAINT "llm_calls_book_id_books_id_fk" FOREIGN KEY ("book_id") REFERENCES "public"."books"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "llm_calls" ADD CONSTRAINT "llm_calls_page_id_pages_id_fk" FOREIGN KEY ("page_id") REFERENCES "public"."pages"("id") ON DELETE set null ON UPDATE no action;
\ No newline at end of file
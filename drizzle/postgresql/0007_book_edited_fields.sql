@@ -0,0 +1 @@
+ALTER TABLE "books" ADD COLUMN "edited_fields" jsonb;
\ No newline at end of file
@@ -0,0 +1,7 @@
+-- Concurrent uploads could give two pages of a book the same number. Number every
+-- book's pages from 1 again, in their current order, before making numbers unique.
+UPDATE "pages" SET "page_number" = "numbered"."page_number"
+FROM (SELECT "id", row_number() OVER (PARTITION BY "book_id" ORDER BY "page_number", "id") AS "page_number" FROM "pages") AS "numbered"
+WHERE "pages"."id" = "numbered"."id" AND "pages"."page_number" IS DISTINCT FROM "numbered"."page_number";
+--> statement-breakpoint
+CREATE UNIQUE INDEX "pages_book_page_number_idx" ON "pages" USING btree ("book_id","page_number");
@@ -0,0 +1,139 @@
+CREATE TABLE `auth_sessions` (
+	`id` text PRIMARY KEY NOT NULL,
+	`user_id` integer NOT NULL,
+	`created_at` integer DEFAULT (cast(unixepoch('subsec') * 1000 as integer)),
+	`expires_at` integer NOT NULL,
+	FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON UPDATE no action ON DELETE cascade
+);
+--> statement-breakpoint
+CREATE TABLE `book_invites` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`book_id` integer NOT NULL,
+	`token_hash` text NOT NULL,
+	`role` text DEFAULT 'viewer' NOT NULL,
+	`max_uses` integer,
+	`uses` integer DEFAULT 0,
+	`created_by` integer,
+	`expires_at` integer,
+	`revoked_at` integer,
+	`created_at` integer DEFAULT (cast(unixepoch('subsec') * 1000 as integer)),
+	FOREIGN KEY (`book_id`) REFERENCES `books`(`id`) ON UPDATE no action ON DELETE cascade,
+	FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON UPDATE no action ON DELETE set null
+);
+--> statement-breakpoint
+CREATE UNIQUE INDEX `book_invites_token_hash_unique` ON `book_invites` (`token_hash`);--> statement-breakpoint
+CREATE TABLE `book_shares` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`book_id` integer NOT NULL,
+	`user_id` integer,
+	`group_id` integer,
+	`role` text DEFAULT 'viewer' NOT NULL,
+	`created_by` integer,
+	`created_at` integer DEFAULT (cast(unixepoch('subsec') * 1000 as integer)),
+	FOREIGN KEY (`book_id`) REFERENCES `books`(`id`) ON UPDATE no action ON DELETE cascade,
+	FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON UPDATE no action ON DELETE cascade,
+	FOREIGN KEY (`group_id`) REFERENCES `user_groups`(`id`) ON UPDATE no action ON DELETE cascade,
+	FOREIGN KEY (`created_by`) REFERENCES `users`(`id`) ON UPDATE no action ON DELETE set null
+);
+--> statement-breakpoint
+CREATE UNIQUE INDEX `book_shares_book_user_idx` ON `book_shares` (`book_id`,`user_id`);--> statement-breakpoint
+CREATE UNIQUE INDEX `book_shares_book_group_idx` ON `book_shares` (`book_id`,`group_id`);--> statement-breakpoint
+CREATE TABLE `books` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`owner_id` integer,
+	`title` text,
+	`author` text,
+	`category` text,
+	`categories` text,
+	`keywords` text,
+	`cover` text,
+	`status` text DEFAULT 'processing',
+	`created_at` integer DEFAULT (cast(unixepoch('subsec') * 1000 as integer)),
+	`updated_at` integer DEFAULT (cast(unixepoch('subsec') * 1000 as integer)),
+	FOREIGN KEY (`owner_id`) REFERENCES `users`(`id`) ON UPDATE no action ON DELETE cascade
+);
+--> statement-breakpoint
+CREATE TABLE `group_members` (
+	`group_id` integer NOT NULL,
+	`user_id` integer NOT NULL,
+	`created_at` integer DEFAULT (cast(unixepoch('subsec') * 1000 as integer)),
+	PRIMARY KEY(`group_id`, `user_id`),
+	FOREIGN KEY (`group_id`) REFERENCES `user_groups`(`id`) ON UPDATE no action ON DELETE cascade,
+	FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON UPDATE no action ON DELETE cascade
+);
+--> statement-breakpoint
+CREATE TABLE `jobs` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`type` text NOT NULL,
+	`payload` text,
+	`book_id` integer,
+	`dedupe_key` text,
+	`status` text DEFAULT 'queued',
+	`attempts` integer DEFAULT 0,
+	`max_attempts` integer DEFAULT 5,
+	`run_at` integer DEFAULT (cast(unixepoch('subsec') * 1000 as integer)),
+	`locked_by` text,
+	`locked_at` integer,
+	`last_error` text,
+	`result` text,
+	`created_at` integer DEFAULT (cast(unixepoch('subsec') * 1000 as integer)),
+	`updated_at` integer DEFAULT (cast(unixepoch('subsec') * 1000 as integer)),
+	FOREIGN KEY (`book_id`) REFERENCES `books`(`id`) ON UPDATE no action ON DELETE cascade
+);
+--> statement-breakpoint
+CREATE TABLE `pages` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`book_id` integer,
+	`page_number` integer,
+	`image_path` text,
+	`created_at` integer DEFAULT (cast(unixepoch('subsec') * 1000 as integer)),
+	FOREIGN KEY (`book_id`) REFERENCES `books`(`id`) ON UPDATE no action ON DELETE cascade
+);
+--> statement-breakpoint
+CREATE TABLE `scanning_sessions` (
+	`id` text PRIMARY KEY NOT NULL,
+	`book_id` integer,
+	`status` text DEFAULT 'active',
+	`claim_token_hash` text,
+	`upload_token_hash` text,
+	`claimed_at` integer,
+	`closed_at` integer,
+	`created_at` integer DEFAULT (cast(unixepoch('subsec') * 1000 as integer)),
+	`expires_at` integer,
+	FOREIGN KEY (`book_id`) REFERENCES `books`(`id`) ON UPDATE no action ON DELETE cascade
+);
+--> statement-breakpoint
+CREATE TABLE `text_blocks` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`page_id` integer NOT NULL,
+	`x` integer NOT NULL,
+	`y` integer NOT NULL,
+	`width` integer NOT NULL,
+	`height` integer NOT NULL,
+	`ocr_text` text,
+	`status` text DEFAULT 'pending',
+	`audio_url` text,
+	`alignment_data` text,
+	`normalized_alignment_data` text,
+	`confidence` integer,
+	`language` text,
+	`created_at` integer DEFAULT (cast(unixepoch('subsec') * 1000 as integer)),
+	FOREIGN KEY (`page_id`) REFERENCES `pages`(`id`) ON UPDATE no action ON DELETE cascade
+);
+--> statement-breakpoint
+CREATE TABLE `user_groups` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`name` text NOT NULL,
+	`owner_id` integer NOT NULL,
+	`created_at` integer DEFAULT (cast(unixepoch('subsec') * 1000 as integer)),
+	FOREIGN KEY (`owner_id`) REFERENCES `users`(`id`) ON UPDATE no action ON DELETE cascade
+);
+--> statement-breakpoint
+CREATE TABLE `users` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`username` text NOT NULL,
+	`password_hash` text NOT NULL,
+	`created_at` integer DEFAULT (cast(unixepoch('subsec') * 1000 as integer))
+);
+--> statement-breakpoint
+CREATE UNIQUE INDEX `users_username_unique` ON `users` (`username`);
\ No newline at end of file
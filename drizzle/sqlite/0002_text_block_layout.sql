@@ -0,0 +1,2 @@
+ALTER TABLE `text_blocks` ADD `words` text;--> statement-breakpoint
+ALTER TABLE `text_blocks` ADD `lines` text;
\ No newline at end of file
@@ -0,0 +1,6 @@
+CREATE TABLE `user_preferences` (
+	`user_id` integer PRIMARY KEY NOT NULL,
+	`preferences` text NOT NULL,
+	`updated_at` integer DEFAULT (cast(unixepoch('subsec') * 1000 as integer)),
+	FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON UPDATE no action ON DELETE cascade
+);
@@ -0,0 +1,14 @@
+CREATE TABLE `chapters` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`book_id` integer NOT NULL,
+	`position` integer NOT NULL,
+	`title` text NOT NULL,
+	`level` integer DEFAULT 1 NOT NULL,
+	`printed_page` integer,
+	`start_page` integer,
+	`end_page` integer,
+	`created_at` integer DEFAULT (cast(unixepoch('subsec') * 1000 as integer)),
+	FOREIGN KEY (`book_id`) REFERENCES `books`(`id`) ON UPDATE no action ON DELETE cascade
+);
+--> statement-breakpoint
+ALTER TABLE `pages` ADD `kind` text;
\ No newline at end of file
@@ -0,0 +1,20 @@
+CREATE TABLE `llm_calls` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`task` text NOT NULL,
+	`provider` text NOT NULL,
+	`model` text,
+	`book_id` integer,
+	`page_id` integer,
+	`attempt` integer DEFAULT 1 NOT NULL,
+	`status` text NOT NULL,
+	`prompt_tokens` integer,
+	`completion_tokens` integer,
+	`latency_ms` integer,
+	`error` text,
+	`created_at` integer DEFAULT (cast(unixepoch('subsec') * 1000 as integer)),
+	FOREIGN KEY (`book_id`) REFERENCES `books`(`id`) ON UPDATE no action ON DELETE set null,
+	FOREIGN KEY (`page_id`) REFERENCES `pages`(`id`) ON UPDATE no action ON DELETE set null
+);
+--> statement-breakpoint
+ALTER TABLE `books` ADD `metadata_error` text;--> statement-breakpoint
+ALTER TABLE `pages` ADD `detection_error` text;
\ No newline at end of file
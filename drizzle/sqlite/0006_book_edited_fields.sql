@@ -0,0 +1 @@
+ALTER TABLE `books` ADD `edited_fields` text;
\ No newline at end of file
@@ -0,0 +1,106 @@
+// Book-level access control for API routes
+// Every page, text block, job and scanning session belongs to a book, and access to
+// them follows access to that book. A book is readable by its owner and the users and
+// groups it is shared with; its shares are evaluated as ACL rules (see objectAcl.js).
+import { dbHelpers } from './database.js';
+import { ObjectAccessGroupType, ObjectPermission, policyGrants } from './objectAcl.js';
+
+// Roles from least to most access
+export const BookRole = {
+  VIEWER: 'viewer',
+  EDITOR: 'editor',
+  OWNER: 'owner'
+};
+
+const ROLE_RANK = {
+  [BookRole.VIEWER]: 1,
+  [BookRole.EDITOR]: 2,
+  [BookRole.OWNER]: 3
+};
+
+export function roleAtLeast(role, minimumRole) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[minimumRole];
+}
+
+// ACL policy of a book: editors may write, viewers may read
+export function bookAclPolicy(book, shares) {
+  return {
+    owner: book.ownerId ?? null,
+    visibility: 'private',
+    aclRules: shares.map(share => ({
+      group: share.userId
+        ? { type: ObjectAccessGroupType.USER, id: share.userId }
+        : { type: ObjectAccessGroupType.USER_GROUP, id: share.groupId },
+      permission: share.role === BookRole.EDITOR ? ObjectPermission.WRITE : ObjectPermission.READ
+    }))
+  };
+}
+
+// Role of a user on a book: 'owner', 'editor', 'viewer', or null without access
+export async function getBookRole(userId, book) {
+  if (!userId || !book) return null;
+  if (book.ownerId === userId) return BookRole.OWNER;
+
+  const shares = await dbHelpers.getBookSharesForUser(book.id, userId);
+  if (shares.length === 0) return null;
+
+  const policy = bookAclPolicy(book, shares);
+  if (await policyGrants(policy, userId, ObjectPermission.WRITE)) return BookRole.EDITOR;
+  if (await policyGrants(policy, userId, ObjectPermission.READ)) return BookRole.VIEWER;
+  return null;
+}
+
+export async function canReadBook(userId, bookId) {
+  const book = await dbHelpers.getBookById(bookId);
+  return (await getBookRole(userId, book)) !== null;
+}
+
+// Resolvers from request params to the owning book id (null when the record does not exist)
+export const bookFromParam = (param) => async (req) => parseInt(req.params[param]) || null;
+
+export const bookOfPage = (param) => async (req) => {
+  const page = await dbHelpers.getPageById(req.params[param]);
+  return page?.bookId ?? null;
+};
+
+export const bookOfTextBlock = (param) => async (req) => {
+  const textBlock = await dbHelpers.getTextBlockById(req.params[param]);
+  if (!textBlock) return null;
+  const page = await dbHelpers.getPageById(textBlock.pageId);
+  return page?.bookId ?? null;
+};
+
+export const bookOfJob = (param) => async (req) => {
+  const job = await dbHelpers.getJobById(req.params[param]);
+  return job?.bookId ?? null;
+};
+
+export const bookOfScanningSession = (param) => async (req) => {
+  const session = await dbHelpers.getScanningSession(req.params[param]);
+  return session?.bookId ?? null;
+};
+
+// Middleware: the signed-in user must have at least minimumRole on the book behind the request.
+// Records the user cannot see answer 404, so their existence is not revealed.
+export function requireBookAccess(resolveBookId, notFoundMessage = 'Book not found', minimumRole = BookRole.VIEWER) {
+  return async (req, res, next) => {
+    try {
+      const bookId = await resolveBookId(req);
+      const book = bookId ? await dbHelpers.getBookById(bookId) : null;
+      const role = await getBookRole(req.user?.id, book);
+      if (!role) {
+        return res.status(404).json({ error: notFoundMessage });
+      }
+      if (!roleAtLeast(role, minimumRole)) {
+        return res.status(403).json({ error: `Only a book ${minimumRole} can do this`, code: 'BOOK_ROLE_REQUIRED' });
+      }
+
+      req.book = book;
+      req.bookRole = role;
+      next();
+    } catch (error) {
+      console.error('Error checking book access:', error);
+      res.status(500).json({ error: 'Failed to check access' });
+    }
+  };
+}
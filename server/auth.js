@@ -0,0 +1,166 @@
+// User accounts: username/password login with a session cookie
+// Passwords are hashed with scrypt; the cookie holds a random token and only its
+// SHA-256 hash is stored in auth_sessions.
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { dbHelpers } from './database.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const SESSION_COOKIE = 'thereader_session';
+const SESSION_TTL_MS = (parseInt(process.env.AUTH_SESSION_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+// Accounts allowed to run maintenance such as storage garbage collection
+const ADMIN_USERNAMES = new Set((process.env.ADMIN_USERNAMES || '').split(',').map(name => name.trim()).filter(Boolean));
+
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+    Object.setPrototypeOf(this, AuthError.prototype);
+  }
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+  const [scheme, salt, expected] = (passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+  const key = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  const expectedKey = Buffer.from(expected, 'hex');
+  return key.length === expectedKey.length && crypto.timingSafeEqual(key, expectedKey);
+}
+
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+// Only the fields clients need
+export function serializeUser(user) {
+  return { id: user.id, username: user.username, createdAt: user.createdAt, isAdmin: isAdmin(user) };
+}
+
+export function isAdmin(user) {
+  return Boolean(user) && ADMIN_USERNAMES.has(user.username);
+}
+
+export async function registerUser(username, password) {
+  username = (username || '').trim();
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new AuthError('Username must be 3-32 letters, digits, dots, dashes or underscores', 400);
+  }
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+  if (await dbHelpers.getUserByUsername(username)) {
+    throw new AuthError('Username is already taken', 409);
+  }
+
+  const isFirstUser = (await dbHelpers.countUsers()) === 0;
+  const user = await dbHelpers.createUser(username, await hashPassword(password));
+
+  // The first account on an existing install takes over the books created before accounts existed
+  if (isFirstUser) {
+    const adopted = await dbHelpers.assignUnownedBooks(user.id);
+    if (adopted > 0) {
+      console.log(`📚 Assigned ${adopted} existing books to ${user.username}`);
+    }
+  }
+
+  return user;
+}
+
+export async function authenticateUser(username, password) {
+  const user = await dbHelpers.getUserByUsername((username || '').trim());
+  if (!user || !(await verifyPassword(password || '', user.passwordHash))) {
+    throw new AuthError('Invalid username or password');
+  }
+  return user;
+}
+
+// Start a login session and set its cookie
+export async function startLoginSession(req, res, user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+
+  await dbHelpers.createAuthSession(hashSessionToken(token), user.id, expiresAt);
+  await dbHelpers.deleteExpiredAuthSessions();
+
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    expires: expiresAt,
+    path: '/'
+  });
+}
+
+export async function endLoginSession(req, res) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (token) {
+    await dbHelpers.deleteAuthSession(hashSessionToken(token));
+  }
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// Signed-in user for a request (HTTP or WebSocket upgrade), or null
+export async function getRequestUser(req) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!token) return null;
+  return dbHelpers.getAuthSessionUser(hashSessionToken(token));
+}
+
+// Middleware: attach req.user when the request carries a valid session cookie
+export async function authenticate(req, res, next) {
+  try {
+    req.user = await getRequestUser(req);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Middleware: reject requests without a signed-in user
+export function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Please sign in', code: 'AUTH_REQUIRED' });
+  }
+  next();
+}
+
+// Middleware: only accounts listed in ADMIN_USERNAMES
+export function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Please sign in', code: 'AUTH_REQUIRED' });
+  }
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: 'Only administrators can do this', code: 'ADMIN_REQUIRED' });
+  }
+  next();
+}
@@ -0,0 +1,135 @@
+// Complete a scanning session: infer book metadata (title, author, categories and
+// keywords) and structure (title, copyright and contents pages, chapters) from the
+// first pages with GPT-4o (through the shared LLM client, see llm/index.js)
+import { dbHelpers } from './database.js';
+import { llm } from './llm/index.js';
+import { loadPageImage } from './pageImages.js';
+import { parseBookMetadata, withoutEditedFields, BOOK_METADATA_SCHEMA, BOOK_CATEGORIES } from './bookMetadata.js';
+import { parsePageAnalysis, resolveChapters, PAGE_ANALYSIS_SCHEMA, CONTENTS_SCHEMA } from './chapters.js';
+
+// Pages looked at: enough to get past blank pages and cover art to the title page,
+// copyright page and table of contents
+const METADATA_PAGES = Math.min(parseInt(process.env.METADATA_PAGES, 10) || 6, 12);
+
+const BOOK_SCAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...BOOK_METADATA_SCHEMA.properties,
+    pages: PAGE_ANALYSIS_SCHEMA,
+    contents: CONTENTS_SCHEMA
+  },
+  required: [...BOOK_METADATA_SCHEMA.required, 'pages', 'contents'],
+  additionalProperties: false
+};
+
+const PROMPT = `These are the first pages of a scanned book, in order, each labelled with its page number. Look at them carefully and extract comprehensive information.
+
+1. For every page, say what it is: "cover" (cover art or the front of the book), "title" (the title page), "copyright" (publisher, copyright and ISBN details), "contents" (table of contents), "blank" (no or almost no content) or "text" (anything else). Give the page number printed on it, or null if none is printed.
+2. Extract the book title and author, preferring the title page and the copyright page over the cover. If unclear, suggest a descriptive title based on content. Use null for the author when no author is shown.
+3. Determine up to 3 relevant categories from: ${BOOK_CATEGORIES.join(', ')}. "category" is the primary one.
+4. Generate 8-12 descriptive keywords with emojis, including:
+- Language (🇬🇧 English, 🇸🇪 Swedish, etc.) in group "language"
+- Topic/Subject (📚 Literature, 🔬 Science, etc.) in group "topic"
+- Level/Audience (👶 Children, 🎓 Academic, etc.) in group "level"
+- Content type (📖 Book, 📋 Certificate, etc.) in group "content"
+5. If there is a table of contents, list its entries in order under "contents": the title, level 1 for chapters and 2 for sections within them, and the page number it gives (null if none). Leave "contents" empty when there is no table of contents.`;
+
+// Cover image: the cover if one was found, else the title page, else the first page
+// with anything on it
+function pickCover(pages, analysis) {
+  const pageOfKind = (...kinds) => pages.find((page, index) => kinds.includes(analysis.get(index + 1)?.kind));
+  return pageOfKind('cover') || pageOfKind('title') || pages.find((page, index) => analysis.get(index + 1)?.kind !== 'blank') || pages[0];
+}
+
+async function analyzeFirstPages(bookId, pages) {
+  const content = [{ type: "text", text: PROMPT }];
+  for (const [index, page] of pages.entries()) {
+    // Handle both field names (imagePath from schema, image_path from database)
+    const base64Image = (await loadPageImage(page.imagePath || page.image_path)).toString('base64');
+    content.push(
+      { type: "text", text: `Page ${index + 1}:` },
+      { type: "image_url", image_url: { url: `data:image/jpeg;base64,${base64Image}` } }
+    );
+  }
+
+  return await llm.generateJson({
+    task: 'book_scan',
+    bookId,
+    messages: [{ role: "user", content }],
+    schema: BOOK_SCAN_SCHEMA,
+    // Keywords and a long table of contents
+    maxTokens: 4000
+  });
+}
+
+// finalAttempt: the job will not be retried, so a failing LLM call cannot be left to a retry
+export async function completeBookScan(sessionId, { finalAttempt = true } = {}) {
+  const session = await dbHelpers.getScanningSession(sessionId);
+  if (!session) {
+    throw new Error(`Scanning session not found: ${sessionId}`);
+  }
+
+  const bookId = session.bookId || session.book_id;
+  const pages = await dbHelpers.getBookPages(bookId);
+  if (pages.length === 0) {
+    throw new Error('No pages uploaded');
+  }
+
+  const firstPages = pages.slice(0, METADATA_PAGES);
+  let aiSuggestions = parseBookMetadata({ title: 'Scanned Book', category: 'General' });
+  let analysis = new Map();
+  let chapters = null;
+  let metadataError = null;
+
+  // Process the first pages with the LLM if available, otherwise use default values.
+  // Without a usable answer the book keeps default details and says why. Provider errors
+  // (network, rate limits, timeouts) are retried by the job, except on its last attempt:
+  // the book is completed anyway rather than left processing.
+  if (llm.isConfigured()) {
+    try {
+      const result = await analyzeFirstPages(bookId, firstPages);
+      aiSuggestions = parseBookMetadata(result);
+      analysis = parsePageAnalysis(result.pages, firstPages.length);
+      chapters = resolveChapters(result.contents, analysis, pages.length);
+    } catch (error) {
+      if (error.name !== 'LlmResponseError' && !finalAttempt) {
+        throw error;
+      }
+      console.error(`❌ Book ${bookId}: no metadata from the first pages:`, error.message);
+      aiSuggestions = parseBookMetadata({});
+      metadataError = error.message;
+    }
+  }
+
+  if (analysis.size > 0) {
+    await dbHelpers.setPageKinds(Object.fromEntries(
+      [...analysis].map(([pageNumber, { kind }]) => [firstPages[pageNumber - 1].id, kind])
+    ));
+  }
+  // A failed analysis keeps the chapters found by an earlier session
+  if (chapters) {
+    await dbHelpers.replaceBookChapters(bookId, chapters);
+  }
+
+  // A later session on the same book keeps the details set by hand;
+  // the error only matters for details the scan fills in
+  const book = await dbHelpers.getBookById(bookId);
+  const cover = pickCover(firstPages, analysis);
+  const details = withoutEditedFields(book, { ...aiSuggestions, cover: cover.imagePath || cover.image_path });
+  await dbHelpers.updateBook(bookId, {
+    ...details,
+    metadataError: Object.keys(withoutEditedFields(book, aiSuggestions)).length > 0 ? metadataError : null,
+    status: 'completed'
+  });
+
+  // Close scanning session
+  await dbHelpers.closeScanningSession(sessionId);
+
+  console.log(`📑 Book ${bookId}: ${analysis.size} pages analysed, ${chapters?.length || 0} chapters`);
+  return {
+    bookId,
+    suggestions: aiSuggestions,
+    chapters: chapters?.length || 0,
+    metadataError
+  };
+}
@@ -0,0 +1,229 @@
+// Book metadata: title, author, categories, emoji keywords and cover, inferred by GPT-4o
+// when a scan completes (bookCompletion.js) and edited by owners and editors afterwards
+import { dbHelpers } from './database.js';
+
+export const BOOK_CATEGORIES = ['Fiction', 'Non-Fiction', 'Education', 'Science', 'History', 'Biography', 'Children', 'General'];
+export const KEYWORD_GROUPS = ['language', 'topic', 'level', 'content'];
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_AUTHOR_LENGTH = 200;
+const MAX_CATEGORIES = 3;
+const MAX_KEYWORDS = 12;
+const MAX_KEYWORD_LENGTH = 40;
+const MAX_EMOJI_LENGTH = 16;
+
+// JSON schema of the model's answer (OpenAI structured outputs: every property
+// required, nothing else allowed)
+export const BOOK_METADATA_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    author: { type: ['string', 'null'] },
+    category: { type: 'string', enum: BOOK_CATEGORIES },
+    categories: { type: 'array', items: { type: 'string', enum: BOOK_CATEGORIES } },
+    keywords: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          label: { type: 'string' },
+          emoji: { type: 'string' },
+          group: { type: 'string', enum: KEYWORD_GROUPS }
+        },
+        required: ['label', 'emoji', 'group'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['title', 'author', 'category', 'categories', 'keywords'],
+  additionalProperties: false
+};
+
+export class BookMetadataError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "BookMetadataError";
+    this.status = status;
+    Object.setPrototypeOf(this, BookMetadataError.prototype);
+  }
+}
+
+// Book columns owners and editors can set, by the name they are tracked under in
+// editedFields; details set by hand are kept when a later scan completes
+const EDITED_FIELDS = { title: 'title', author: 'author', category: 'categories', categories: 'categories', keywords: 'keywords', cover: 'cover' };
+
+// editedFields of a book after an edit. A field the edit leaves as it was is not counted:
+// the editor sends every field when saving.
+export function withEditedFields(book, updates) {
+  const edited = new Set(book.editedFields || []);
+  for (const [column, value] of Object.entries(updates)) {
+    if (EDITED_FIELDS[column] && JSON.stringify(value) !== JSON.stringify(book[column] ?? null)) {
+      edited.add(EDITED_FIELDS[column]);
+    }
+  }
+  return [...edited];
+}
+
+// Book columns found by a scan, without the ones set by hand
+export function withoutEditedFields(book, details) {
+  const edited = book.editedFields || [];
+  return Object.fromEntries(Object.entries(details).filter(([column]) => !edited.includes(EDITED_FIELDS[column])));
+}
+
+const canonicalCategory = (value) =>
+  typeof value === 'string' ? BOOK_CATEGORIES.find(category => category.toLowerCase() === value.trim().toLowerCase()) : undefined;
+
+// A keyword with trimmed fields, or an error message
+function checkKeyword(keyword) {
+  if (!keyword || typeof keyword !== 'object') {
+    return { error: 'must be objects with label, emoji and group' };
+  }
+  const label = typeof keyword.label === 'string' ? keyword.label.trim() : '';
+  if (!label || label.length > MAX_KEYWORD_LENGTH) {
+    return { error: `need a label of 1 to ${MAX_KEYWORD_LENGTH} characters` };
+  }
+  const emoji = keyword.emoji == null ? '' : keyword.emoji;
+  if (typeof emoji !== 'string' || emoji.trim().length > MAX_EMOJI_LENGTH) {
+    return { error: 'emoji must be a short string' };
+  }
+  if (!KEYWORD_GROUPS.includes(keyword.group)) {
+    return { error: `group must be one of: ${KEYWORD_GROUPS.join(', ')}` };
+  }
+  return { keyword: { label, emoji: emoji.trim(), group: keyword.group } };
+}
+
+// Drop keywords whose label repeats an earlier one
+const uniqueKeywords = (keywords) => {
+  const seen = new Set();
+  return keywords.filter(({ label }) => {
+    const key = label.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// The primary category leads the list of categories
+const withPrimary = (category, categories) =>
+  [category, ...categories.filter(other => other !== category)].slice(0, MAX_CATEGORIES);
+
+// Metadata from a model answer: whatever does not fit the schema is dropped or
+// replaced by a default instead of failing the scan
+export function parseBookMetadata(raw) {
+  const data = raw && typeof raw === 'object' ? raw : {};
+
+  const title = typeof data.title === 'string' && data.title.trim()
+    ? data.title.trim().slice(0, MAX_TITLE_LENGTH)
+    : 'Unknown Book';
+  const author = typeof data.author === 'string' && data.author.trim()
+    ? data.author.trim().slice(0, MAX_AUTHOR_LENGTH)
+    : null;
+
+  const categories = [...new Set((Array.isArray(data.categories) ? data.categories : []).map(canonicalCategory).filter(Boolean))];
+  const category = canonicalCategory(data.category) || categories[0] || 'General';
+
+  const keywords = uniqueKeywords((Array.isArray(data.keywords) ? data.keywords : [])
+    .map(keyword => checkKeyword(keyword).keyword)
+    .filter(Boolean))
+    .slice(0, MAX_KEYWORDS);
+
+  return { title, author, category, categories: withPrimary(category, categories), keywords };
+}
+
+// Book columns for an edit. Body: any of { title, author, category, categories, keywords,
+// coverPageId }; category is the primary one and always comes first in categories.
+// coverPageId is only checked to be an id here; updateBookMetadata looks up the page.
+export function validateBookMetadata(changes, book) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new BookMetadataError('Book changes must be an object');
+  }
+
+  const updates = {};
+  for (const name of Object.keys(changes)) {
+    if (!['title', 'author', 'category', 'categories', 'keywords', 'coverPageId'].includes(name)) {
+      throw new BookMetadataError(`Unknown book field: ${name}`);
+    }
+  }
+
+  if (changes.title !== undefined) {
+    const title = typeof changes.title === 'string' ? changes.title.trim() : '';
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+      throw new BookMetadataError(`title must be 1 to ${MAX_TITLE_LENGTH} characters`);
+    }
+    updates.title = title;
+  }
+
+  if (changes.author !== undefined) {
+    if (changes.author !== null && typeof changes.author !== 'string') {
+      throw new BookMetadataError('author must be a string or null');
+    }
+    const author = (changes.author || '').trim();
+    if (author.length > MAX_AUTHOR_LENGTH) {
+      throw new BookMetadataError(`author must be at most ${MAX_AUTHOR_LENGTH} characters`);
+    }
+    updates.author = author || null;
+  }
+
+  if (changes.category !== undefined || changes.categories !== undefined) {
+    let categories = book.categories || (book.category ? [book.category] : []);
+    if (changes.categories !== undefined) {
+      if (!Array.isArray(changes.categories) || changes.categories.length > MAX_CATEGORIES) {
+        throw new BookMetadataError(`categories must be a list of at most ${MAX_CATEGORIES}`);
+      }
+      categories = changes.categories.map(value => {
+        const category = canonicalCategory(value);
+        if (!category) {
+          throw new BookMetadataError(`Unknown category: ${value}. Use one of: ${BOOK_CATEGORIES.join(', ')}`);
+        }
+        return category;
+      });
+      categories = [...new Set(categories)];
+    }
+
+    let category = categories[0] || 'General';
+    if (changes.category !== undefined) {
+      category = canonicalCategory(changes.category);
+      if (!category) {
+        throw new BookMetadataError(`Unknown category: ${changes.category}. Use one of: ${BOOK_CATEGORIES.join(', ')}`);
+      }
+    }
+    updates.category = category;
+    updates.categories = withPrimary(category, categories);
+  }
+
+  if (changes.keywords !== undefined) {
+    if (!Array.isArray(changes.keywords) || changes.keywords.length > MAX_KEYWORDS) {
+      throw new BookMetadataError(`keywords must be a list of at most ${MAX_KEYWORDS}`);
+    }
+    updates.keywords = uniqueKeywords(changes.keywords.map((keyword, index) => {
+      const checked = checkKeyword(keyword);
+      if (checked.error) {
+        throw new BookMetadataError(`Keyword ${index + 1}: ${checked.error}`);
+      }
+      return checked.keyword;
+    }));
+  }
+
+  if (changes.coverPageId !== undefined && !(Number.isInteger(changes.coverPageId) && changes.coverPageId > 0)) {
+    throw new BookMetadataError('coverPageId must be a page id');
+  }
+
+  return updates;
+}
+
+// Apply an edit and return the updated book
+export async function updateBookMetadata(book, changes) {
+  const updates = validateBookMetadata(changes, book);
+  if (changes.coverPageId !== undefined) {
+    const page = await dbHelpers.getPageById(changes.coverPageId);
+    if (!page || page.bookId !== book.id) {
+      throw new BookMetadataError('Cover page not found in this book', 404);
+    }
+    updates.cover = page.imagePath;
+  }
+  if (Object.keys(updates).length > 0) {
+    // Details set by hand replace whatever could not be read when the scan completed
+    await dbHelpers.updateBook(book.id, { ...updates, editedFields: withEditedFields(book, updates), metadataError: null });
+  }
+  return await dbHelpers.getBookById(book.id);
+}
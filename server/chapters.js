@@ -0,0 +1,133 @@
+// Book structure from the first pages of a scan: what each page is (cover, title page,
+// copyright page, table of contents...) and the chapters the table of contents lists,
+// placed on the scanned pages
+export const PAGE_KINDS = ['cover', 'title', 'copyright', 'contents', 'blank', 'text'];
+
+const MAX_CHAPTERS = 100;
+const MAX_CHAPTER_TITLE_LENGTH = 200;
+const MAX_LEVEL = 3;
+
+// JSON schema parts for the model's answer (see bookCompletion.js). Pages are numbered
+// in the order their images were sent, starting at 1.
+export const PAGE_ANALYSIS_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer' },
+      kind: { type: 'string', enum: PAGE_KINDS },
+      printedNumber: { type: ['integer', 'null'] }
+    },
+    required: ['page', 'kind', 'printedNumber'],
+    additionalProperties: false
+  }
+};
+
+export const CONTENTS_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      level: { type: 'integer' },
+      printedPage: { type: ['integer', 'null'] }
+    },
+    required: ['title', 'level', 'printedPage'],
+    additionalProperties: false
+  }
+};
+
+const isPageNumber = (value) => Number.isInteger(value) && value > 0;
+
+// Kinds and printed numbers of the analysed pages that fit the schema, by page number
+export function parsePageAnalysis(raw, pageCount) {
+  const analysis = new Map();
+  for (const entry of Array.isArray(raw) ? raw : []) {
+    if (!entry || !isPageNumber(entry.page) || entry.page > pageCount || analysis.has(entry.page)) {
+      continue;
+    }
+    analysis.set(entry.page, {
+      kind: PAGE_KINDS.includes(entry.kind) ? entry.kind : 'text',
+      printedNumber: isPageNumber(entry.printedNumber) ? entry.printedNumber : null
+    });
+  }
+  return analysis;
+}
+
+// Difference between scanned and printed page numbers. Taken from the printed numbers
+// most pages agree on; otherwise the first text page after the table of contents is
+// taken to be where the first listed chapter starts.
+function printedPageOffset(analysis, entries) {
+  const votes = new Map();
+  for (const [page, { printedNumber }] of analysis) {
+    if (printedNumber !== null) {
+      votes.set(page - printedNumber, (votes.get(page - printedNumber) || 0) + 1);
+    }
+  }
+  if (votes.size > 0) {
+    return [...votes.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  const contentsPages = [...analysis].filter(([, { kind }]) => kind === 'contents').map(([page]) => page);
+  const firstEntry = entries.find(entry => entry.printedPage !== null);
+  if (contentsPages.length === 0 || !firstEntry) {
+    return null;
+  }
+  const lastContentsPage = Math.max(...contentsPages);
+  const firstTextPage = [...analysis]
+    .filter(([page, { kind }]) => page > lastContentsPage && kind === 'text')
+    .map(([page]) => page)
+    .sort((a, b) => a - b)[0];
+  return firstTextPage ? firstTextPage - firstEntry.printedPage : null;
+}
+
+// Chapter rows for a table of contents: each starts on the scanned page its printed
+// page maps to and ends where the next chapter of the same or a higher level starts.
+// Chapters past the last scanned page, or without a page number, get no pages.
+export function resolveChapters(rawEntries, analysis, pageCount) {
+  const entries = (Array.isArray(rawEntries) ? rawEntries : [])
+    .filter(entry => entry && typeof entry.title === 'string' && entry.title.trim())
+    .slice(0, MAX_CHAPTERS)
+    .map(entry => ({
+      title: entry.title.trim().slice(0, MAX_CHAPTER_TITLE_LENGTH),
+      level: Number.isInteger(entry.level) ? Math.min(Math.max(entry.level, 1), MAX_LEVEL) : 1,
+      printedPage: isPageNumber(entry.printedPage) ? entry.printedPage : null
+    }));
+
+  const offset = printedPageOffset(analysis, entries);
+  const chapters = entries.map(entry => {
+    const startPage = offset !== null && entry.printedPage !== null ? entry.printedPage + offset : null;
+    return { ...entry, startPage: startPage !== null && startPage >= 1 && startPage <= pageCount ? startPage : null, endPage: null };
+  });
+
+  return setChapterEnds(chapters, pageCount);
+}
+
+// Each chapter ends where the next one of the same or a higher level starts
+function setChapterEnds(chapters, pageCount) {
+  chapters.forEach((chapter, index) => {
+    if (chapter.startPage === null) {
+      chapter.endPage = null;
+      return;
+    }
+    const next = chapters.slice(index + 1).find(other => other.level <= chapter.level && other.startPage !== null);
+    chapter.endPage = next ? Math.max(chapter.startPage, next.startPage - 1) : pageCount;
+  });
+  return chapters;
+}
+
+// Chapter ranges after pages were moved, inserted or deleted. pageMap maps the old page
+// numbers of the pages that are left to their new ones. A chapter keeps starting on the
+// same page; when that page was deleted it starts on the page that followed it.
+export function renumberChapters(bookChapters, pageMap, pageCount) {
+  const oldNumbers = [...pageMap.keys()].sort((a, b) => a - b);
+  const chapters = bookChapters.map(chapter => {
+    let startPage = null;
+    if (chapter.startPage !== null) {
+      const followingPage = oldNumbers.find(number => number >= chapter.startPage);
+      startPage = followingPage === undefined ? null : pageMap.get(followingPage);
+    }
+    return { ...chapter, startPage };
+  });
+  return setChapterEnds(chapters, pageCount);
+}
@@ -1,265 +1,819 @@
-import sqlite3 from 'sqlite3';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-const dbPath = join(__dirname, '..', 'database.sqlite');
-const db = new sqlite3.Database(dbPath);
-
-// Initialize database tables
-db.serialize(() => {
-  // Books table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS books (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      title TEXT,
-      author TEXT,
-      category TEXT,
-      cover TEXT,
-      status TEXT DEFAULT 'processing',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Pages table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS pages (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      book_id INTEGER,
-      page_number INTEGER,
-      image_path TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (book_id) REFERENCES books (id) ON DELETE CASCADE
-    )
-  `);
-
-  // Scanning sessions table (for QR code sessions)
-  db.run(`
-    CREATE TABLE IF NOT EXISTS scanning_sessions (
-      id TEXT PRIMARY KEY,
-      book_id INTEGER,
-      status TEXT DEFAULT 'active',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      expires_at DATETIME,
-      FOREIGN KEY (book_id) REFERENCES books (id) ON DELETE CASCADE
-    )
-  `);
-
-  // Text blocks table (for OCR processing)
-  db.run(`
-    CREATE TABLE IF NOT EXISTS text_blocks (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      page_id INTEGER,
-      x INTEGER,
-      y INTEGER,
-      width INTEGER,
-      height INTEGER,
-      ocr_text TEXT,
-      confidence REAL,
-      status TEXT DEFAULT 'pending',
-      audio_url TEXT,
-      alignment_data TEXT,
-      normalized_alignment_data TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (page_id) REFERENCES pages (id) ON DELETE CASCADE
-    )
-  `);
-});
-
-// Database helper functions
+// TheReader database helper functions: the one repository API every route, job and
+// script goes through. Queries are written with drizzle against shared/schema.js and
+// behave the same on PostgreSQL and SQLite; keep dialect-specific SQL out of them
+// (forUpdate below is the one exception).
+import { db, dialect } from './db.js';
+import { users, authSessions, userPreferences, userGroups, groupMembers, bookShares, bookInvites, books, pages, chapters, scanningSessions, textBlocks, jobs, llmCalls } from '../shared/schema.js';
+import { eq, ne, desc, and, lte, lt, gt, gte, inArray, isNull, isNotNull, like, or, count, max, sum, avg, notExists, sql } from 'drizzle-orm';
+
+// Lock the rows a query reads until the transaction ends. SQLite has no row locks; its
+// write transactions hold the database's write lock from the start instead.
+const forUpdate = (query) => dialect === 'sqlite' ? query : query.for('update');
+
+// Scanning sessions of a book that can still receive pages
+const openScanningSessionsOf = (bookId) => db.select({ id: scanningSessions.id }).from(scanningSessions)
+  .where(and(eq(scanningSessions.bookId, bookId), eq(scanningSessions.status, 'active'), gt(scanningSessions.expiresAt, new Date())));
+
+// Queued or running jobs of a book
+const activeJobsOf = (bookId) => db.select({ id: jobs.id }).from(jobs)
+  .where(and(eq(jobs.bookId, bookId), inArray(jobs.status, ['queued', 'running'])));
+
 export const dbHelpers = {
-  // Get all books
-  getAllBooks: () => {
-    return new Promise((resolve, reject) => {
-      db.all('SELECT * FROM books ORDER BY created_at DESC', (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+  // User operations
+  async createUser(username, passwordHash) {
+    const result = await db.insert(users).values({ username, passwordHash }).returning();
+    return result[0];
   },
 
-  // Get book by ID
-  getBookById: (id) => {
-    return new Promise((resolve, reject) => {
-      db.get('SELECT * FROM books WHERE id = ?', [id], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
+  async getUserByUsername(username) {
+    const result = await db.select().from(users).where(eq(users.username, username));
+    return result[0] || null;
   },
 
-  // Create new book
-  createBook: (title = null, author = null, category = null) => {
-    return new Promise((resolve, reject) => {
-      db.run(
-        'INSERT INTO books (title, author, category) VALUES (?, ?, ?)',
-        [title, author, category],
-        function(err) {
-          if (err) reject(err);
-          else resolve(this.lastID);
-        }
-      );
-    });
+  async getUserById(id) {
+    const result = await db.select().from(users).where(eq(users.id, parseInt(id)));
+    return result[0] || null;
   },
 
-  // Update book
-  updateBook: (id, data) => {
-    const fields = Object.keys(data).map(key => `${key} = ?`).join(', ');
-    const values = Object.values(data);
-    values.push(id);
-
-    return new Promise((resolve, reject) => {
-      db.run(
-        `UPDATE books SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-        values,
-        function(err) {
-          if (err) reject(err);
-          else resolve(this.changes);
-        }
-      );
-    });
+  async countUsers() {
+    const result = await db.select({ value: count() }).from(users);
+    return Number(result[0].value);
   },
 
-  // Get pages for a book
-  getBookPages: (bookId) => {
-    return new Promise((resolve, reject) => {
-      db.all(
-        'SELECT * FROM pages WHERE book_id = ? ORDER BY page_number ASC',
-        [bookId],
-        (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        }
-      );
-    });
+  // Login session operations
+  async createAuthSession(tokenHash, userId, expiresAt) {
+    await db.insert(authSessions).values({ id: tokenHash, userId, expiresAt });
+  },
+
+  // Returns the session's user, or null when the session is unknown or expired
+  async getAuthSessionUser(tokenHash) {
+    const result = await db.select({ user: users, expiresAt: authSessions.expiresAt })
+      .from(authSessions)
+      .innerJoin(users, eq(authSessions.userId, users.id))
+      .where(eq(authSessions.id, tokenHash));
+    if (!result[0] || result[0].expiresAt <= new Date()) {
+      return null;
+    }
+    return result[0].user;
+  },
+
+  async deleteAuthSession(tokenHash) {
+    await db.delete(authSessions).where(eq(authSessions.id, tokenHash));
+  },
+
+  async deleteExpiredAuthSessions() {
+    await db.delete(authSessions).where(lte(authSessions.expiresAt, new Date()));
+  },
+
+  // Reading preference operations
+  async getUserPreferences(userId) {
+    const result = await db.select().from(userPreferences).where(eq(userPreferences.userId, userId));
+    return result[0]?.preferences || null;
+  },
+
+  async saveUserPreferences(userId, preferences) {
+    await db.insert(userPreferences)
+      .values({ userId, preferences })
+      .onConflictDoUpdate({ target: userPreferences.userId, set: { preferences, updatedAt: new Date() } });
+  },
+
+  async deleteUserPreferences(userId) {
+    await db.delete(userPreferences).where(eq(userPreferences.userId, userId));
+  },
+
+  // Group operations
+  async createGroup(name, ownerId) {
+    const result = await db.insert(userGroups).values({ name, ownerId }).returning();
+    // The owner is always a member of their own group
+    await db.insert(groupMembers).values({ groupId: result[0].id, userId: ownerId });
+    return result[0];
+  },
+
+  async getGroupById(groupId) {
+    const result = await db.select().from(userGroups).where(eq(userGroups.id, parseInt(groupId)));
+    return result[0] || null;
+  },
+
+  // Groups the user belongs to (including the ones they own)
+  async getUserGroups(userId) {
+    const rows = await db.select({ group: userGroups })
+      .from(groupMembers)
+      .innerJoin(userGroups, eq(groupMembers.groupId, userGroups.id))
+      .where(eq(groupMembers.userId, parseInt(userId)))
+      .orderBy(userGroups.name);
+    return rows.map(row => row.group);
+  },
+
+  async deleteGroup(groupId) {
+    await db.delete(userGroups).where(eq(userGroups.id, parseInt(groupId)));
+  },
+
+  async getGroupMembers(groupId) {
+    return await db.select({ id: users.id, username: users.username, joinedAt: groupMembers.createdAt })
+      .from(groupMembers)
+      .innerJoin(users, eq(groupMembers.userId, users.id))
+      .where(eq(groupMembers.groupId, parseInt(groupId)))
+      .orderBy(users.username);
+  },
+
+  async isGroupMember(groupId, userId) {
+    const result = await db.select({ userId: groupMembers.userId })
+      .from(groupMembers)
+      .where(and(eq(groupMembers.groupId, parseInt(groupId)), eq(groupMembers.userId, parseInt(userId))));
+    return result.length > 0;
+  },
+
+  async addGroupMember(groupId, userId) {
+    await db.insert(groupMembers)
+      .values({ groupId: parseInt(groupId), userId: parseInt(userId) })
+      .onConflictDoNothing();
+  },
+
+  async removeGroupMember(groupId, userId) {
+    await db.delete(groupMembers)
+      .where(and(eq(groupMembers.groupId, parseInt(groupId)), eq(groupMembers.userId, parseInt(userId))));
+  },
+
+  // Book sharing operations
+  // Shares of a book with the user or names of the group they point at
+  async getBookShares(bookId) {
+    return await db.select({
+      id: bookShares.id,
+      bookId: bookShares.bookId,
+      userId: bookShares.userId,
+      groupId: bookShares.groupId,
+      role: bookShares.role,
+      createdAt: bookShares.createdAt,
+      username: users.username,
+      groupName: userGroups.name
+    })
+      .from(bookShares)
+      .leftJoin(users, eq(bookShares.userId, users.id))
+      .leftJoin(userGroups, eq(bookShares.groupId, userGroups.id))
+      .where(eq(bookShares.bookId, parseInt(bookId)))
+      .orderBy(bookShares.createdAt);
   },
 
-  // Add page to book
-  addPage: (bookId, pageNumber, imagePath) => {
-    return new Promise((resolve, reject) => {
-      db.run(
-        'INSERT INTO pages (book_id, page_number, image_path) VALUES (?, ?, ?)',
-        [bookId, pageNumber, imagePath],
-        function(err) {
-          if (err) reject(err);
-          else resolve(this.lastID);
-        }
-      );
+  async getBookShareById(shareId) {
+    const result = await db.select().from(bookShares).where(eq(bookShares.id, parseInt(shareId)));
+    return result[0] || null;
+  },
+
+  // Shares of a book that apply to a user, directly or through their groups
+  async getBookSharesForUser(bookId, userId) {
+    const memberships = db.select({ groupId: groupMembers.groupId })
+      .from(groupMembers)
+      .where(eq(groupMembers.userId, parseInt(userId)));
+
+    return await db.select().from(bookShares)
+      .where(and(
+        eq(bookShares.bookId, parseInt(bookId)),
+        or(eq(bookShares.userId, parseInt(userId)), inArray(bookShares.groupId, memberships))
+      ));
+  },
+
+  // Books shared with a user, with the share rows that grant access
+  async getBooksSharedWithUser(userId) {
+    const memberships = db.select({ groupId: groupMembers.groupId })
+      .from(groupMembers)
+      .where(eq(groupMembers.userId, parseInt(userId)));
+
+    return await db.select({ book: books, share: bookShares, ownerName: users.username })
+      .from(bookShares)
+      .innerJoin(books, eq(bookShares.bookId, books.id))
+      .leftJoin(users, eq(books.ownerId, users.id))
+      .where(or(eq(bookShares.userId, parseInt(userId)), inArray(bookShares.groupId, memberships)))
+      .orderBy(desc(books.createdAt));
+  },
+
+  // Share with a user or a group; sharing again updates the role
+  async upsertBookShare({ bookId, userId = null, groupId = null, role, createdBy }) {
+    const target = userId ? bookShares.userId : bookShares.groupId;
+    const existing = await db.select().from(bookShares)
+      .where(and(eq(bookShares.bookId, parseInt(bookId)), eq(target, parseInt(userId || groupId))));
+
+    if (existing[0]) {
+      const result = await db.update(bookShares)
+        .set({ role })
+        .where(eq(bookShares.id, existing[0].id))
+        .returning();
+      return result[0];
+    }
+
+    const result = await db.insert(bookShares)
+      .values({ bookId: parseInt(bookId), userId, groupId, role, createdBy })
+      .returning();
+    return result[0];
+  },
+
+  async updateBookShareRole(shareId, role) {
+    await db.update(bookShares)
+      .set({ role })
+      .where(eq(bookShares.id, parseInt(shareId)));
+  },
+
+  async deleteBookShare(shareId) {
+    await db.delete(bookShares).where(eq(bookShares.id, parseInt(shareId)));
+  },
+
+  // Invite link operations
+  async createBookInvite({ bookId, tokenHash, role, maxUses = null, expiresAt = null, createdBy }) {
+    const result = await db.insert(bookInvites)
+      .values({ bookId: parseInt(bookId), tokenHash, role, maxUses, expiresAt, createdBy })
+      .returning();
+    return result[0];
+  },
+
+  async getBookInvites(bookId) {
+    return await db.select().from(bookInvites)
+      .where(and(eq(bookInvites.bookId, parseInt(bookId)), isNull(bookInvites.revokedAt)))
+      .orderBy(desc(bookInvites.createdAt));
+  },
+
+  async getBookInviteById(inviteId) {
+    const result = await db.select().from(bookInvites).where(eq(bookInvites.id, parseInt(inviteId)));
+    return result[0] || null;
+  },
+
+  async getBookInviteByTokenHash(tokenHash) {
+    const result = await db.select().from(bookInvites).where(eq(bookInvites.tokenHash, tokenHash));
+    return result[0] || null;
+  },
+
+  // Count one use of an invite; fails once maxUses is reached
+  async useBookInvite(inviteId) {
+    const result = await db.update(bookInvites)
+      .set({ uses: sql`${bookInvites.uses} + 1` })
+      .where(and(
+        eq(bookInvites.id, parseInt(inviteId)),
+        or(isNull(bookInvites.maxUses), gt(bookInvites.maxUses, bookInvites.uses))
+      ))
+      .returning();
+    return result[0] || null;
+  },
+
+  async revokeBookInvite(inviteId) {
+    await db.update(bookInvites)
+      .set({ revokedAt: new Date() })
+      .where(eq(bookInvites.id, parseInt(inviteId)));
+  },
+
+  // Book operations
+  async getAllBooks() {
+    return await db.select().from(books).orderBy(desc(books.createdAt));
+  },
+
+  async getBooksByOwner(ownerId) {
+    return await db.select().from(books)
+      .where(eq(books.ownerId, parseInt(ownerId)))
+      .orderBy(desc(books.createdAt));
+  },
+
+  // Give books created before user accounts existed to a user
+  async assignUnownedBooks(ownerId) {
+    const result = await db.update(books)
+      .set({ ownerId: parseInt(ownerId) })
+      .where(isNull(books.ownerId))
+      .returning({ id: books.id });
+    return result.length;
+  },
+
+  async getBookById(id) {
+    const result = await db.select().from(books).where(eq(books.id, parseInt(id)));
+    return result[0] || null;
+  },
+
+  async createBook(ownerId) {
+    const result = await db.insert(books).values({
+      ownerId: parseInt(ownerId),
+      status: 'processing'
+    }).returning();
+    return result[0].id;
+  },
+
+  async updateBook(id, updates) {
+    await db.update(books)
+      .set({ ...updates, updatedAt: new Date() })
+      .where(eq(books.id, parseInt(id)));
+  },
+
+  // Maintenance queries (see maintenance.js); none of them return books that are
+  // still being scanned or have jobs pending
+
+  // Books without pages last updated (or created, when never updated) before the cutoff.
+  // Deleting a book's pages updates it, so a book that was just emptied is kept.
+  async findEmptyBooks(changedBefore) {
+    return await db.select({ id: books.id, title: books.title, ownerId: books.ownerId, status: books.status, createdAt: books.createdAt, updatedAt: books.updatedAt })
+      .from(books)
+      .where(and(
+        or(lt(books.updatedAt, changedBefore), and(isNull(books.updatedAt), lt(books.createdAt, changedBefore))),
+        notExists(db.select({ id: pages.id }).from(pages).where(eq(pages.bookId, books.id))),
+        notExists(openScanningSessionsOf(books.id)),
+        notExists(activeJobsOf(books.id))
+      ))
+      .orderBy(books.createdAt);
+  },
+
+  // Books still "processing" with no update and no new page since the cutoff
+  async findAbandonedBooks(inactiveSince) {
+    return await db.select({
+      id: books.id,
+      title: books.title,
+      ownerId: books.ownerId,
+      status: books.status,
+      createdAt: books.createdAt,
+      updatedAt: books.updatedAt,
+      pageCount: count(pages.id),
+      lastPageAt: max(pages.createdAt)
+    })
+      .from(books)
+      .innerJoin(pages, eq(pages.bookId, books.id))
+      .where(and(
+        eq(books.status, 'processing'),
+        or(lt(books.updatedAt, inactiveSince), and(isNull(books.updatedAt), lt(books.createdAt, inactiveSince))),
+        notExists(db.select({ id: pages.id }).from(pages).where(and(eq(pages.bookId, books.id), gte(pages.createdAt, inactiveSince)))),
+        notExists(openScanningSessionsOf(books.id)),
+        notExists(activeJobsOf(books.id))
+      ))
+      .groupBy(books.id)
+      .orderBy(books.createdAt);
+  },
+
+  // Sessions that were closed or expired before the cutoff
+  async findStaleScanningSessions(endedBefore) {
+    return await db.select({
+      id: scanningSessions.id,
+      bookId: scanningSessions.bookId,
+      status: scanningSessions.status,
+      createdAt: scanningSessions.createdAt,
+      expiresAt: scanningSessions.expiresAt,
+      closedAt: scanningSessions.closedAt
+    })
+      .from(scanningSessions)
+      .where(or(
+        lt(scanningSessions.closedAt, endedBefore),
+        and(isNull(scanningSessions.closedAt), lt(scanningSessions.expiresAt, endedBefore)),
+        and(isNull(scanningSessions.closedAt), isNull(scanningSessions.expiresAt), lt(scanningSessions.createdAt, endedBefore))
+      ))
+      .orderBy(scanningSessions.createdAt);
+  },
+
+  // Text blocks OCR found no text in (failed, or processed without text), created before
+  // the cutoff. Pending blocks are left alone: blocks drawn by hand wait for their text.
+  async findFailedTextBlocks(createdBefore) {
+    return await db.select({
+      id: textBlocks.id,
+      pageId: textBlocks.pageId,
+      bookId: pages.bookId,
+      status: textBlocks.status,
+      createdAt: textBlocks.createdAt
+    })
+      .from(textBlocks)
+      .innerJoin(pages, eq(textBlocks.pageId, pages.id))
+      .where(and(
+        lt(textBlocks.createdAt, createdBefore),
+        or(
+          eq(textBlocks.status, 'failed'),
+          and(eq(textBlocks.status, 'completed'), or(isNull(textBlocks.ocrText), eq(sql`trim(${textBlocks.ocrText})`, '')))
+        ),
+        notExists(activeJobsOf(pages.bookId))
+      ))
+      .orderBy(textBlocks.createdAt);
+  },
+
+  async deleteBooks(bookIds) {
+    if (bookIds.length === 0) return 0;
+    // Cascades to pages, text blocks, scanning sessions, shares and invites
+    const result = await db.delete(books).where(inArray(books.id, bookIds)).returning({ id: books.id });
+    return result.length;
+  },
+
+  async deleteScanningSessions(sessionIds) {
+    if (sessionIds.length === 0) return 0;
+    const result = await db.delete(scanningSessions).where(inArray(scanningSessions.id, sessionIds)).returning({ id: scanningSessions.id });
+    return result.length;
+  },
+
+  async deleteTextBlocks(blockIds) {
+    if (blockIds.length === 0) return 0;
+    const result = await db.delete(textBlocks).where(inArray(textBlocks.id, blockIds)).returning({ id: textBlocks.id });
+    return result.length;
+  },
+
+  // Page operations
+  async getBookPages(bookId) {
+    return await db.select().from(pages)
+      .where(eq(pages.bookId, parseInt(bookId)))
+      .orderBy(pages.pageNumber);
+  },
+
+  async getPageById(pageId) {
+    const result = await db.select().from(pages)
+      .where(eq(pages.id, parseInt(pageId)));
+    return result[0] || null;
+  },
+
+  // Page or book cover that references a stored object, used to infer its access policy
+  async getBookByObjectPath(objectPath) {
+    const result = await db.select({ book: books })
+      .from(books)
+      .leftJoin(pages, eq(pages.bookId, books.id))
+      .where(or(eq(pages.imagePath, objectPath), eq(books.cover, objectPath)))
+      .limit(1);
+    return result[0]?.book || null;
+  },
+
+  // Stored object paths in use: page images, covers and text block audio
+  async getReferencedObjectPaths() {
+    const [imageRows, coverRows, audioRows] = await Promise.all([
+      db.selectDistinct({ path: pages.imagePath }).from(pages).where(isNotNull(pages.imagePath)),
+      db.selectDistinct({ path: books.cover }).from(books).where(isNotNull(books.cover)),
+      db.selectDistinct({ path: textBlocks.audioUrl }).from(textBlocks).where(isNotNull(textBlocks.audioUrl))
+    ]);
+    return {
+      images: [...imageRows, ...coverRows].map(row => row.path),
+      audio: audioRows.map(row => row.path)
+    };
+  },
+
+  async isImagePathReferenced(objectPaths) {
+    const [pageRows, coverRows] = await Promise.all([
+      db.select({ id: pages.id }).from(pages).where(inArray(pages.imagePath, objectPaths)).limit(1),
+      db.select({ id: books.id }).from(books).where(inArray(books.cover, objectPaths)).limit(1)
+    ]);
+    return pageRows.length > 0 || coverRows.length > 0;
+  },
+
+  // Speech files are named by content, so one audio stem can be shared by many text blocks
+  async isAudioStemReferenced(stem) {
+    const result = await db.select({ id: textBlocks.id }).from(textBlocks)
+      .where(like(textBlocks.audioUrl, `%/${stem}.%`))
+      .limit(1);
+    return result.length > 0;
+  },
+
+  // Renumber, add and delete pages of a book in one transaction, moving its chapters along.
+  // planChanges gets the book's pages and chapters as read in the transaction and returns
+  // pageNumbers: [pageId, pageNumber] pairs; addPage: { pageNumber, imagePath };
+  // deletePageId; chapterRanges: [{ id, startPage, endPage }]. Resolves to the added page's id.
+  async updateBookPages(bookId, planChanges) {
+    return await db.transaction(async (tx) => {
+      // The book row is locked too, so that changes to a book without pages wait as well
+      await forUpdate(tx.select({ id: books.id }).from(books).where(eq(books.id, parseInt(bookId))));
+      const bookPages = await forUpdate(tx.select().from(pages).where(eq(pages.bookId, parseInt(bookId))).orderBy(pages.pageNumber));
+      const bookChapters = await tx.select().from(chapters).where(eq(chapters.bookId, parseInt(bookId))).orderBy(chapters.position);
+      const { pageNumbers = [], addPage = null, deletePageId = null, chapterRanges = [] } = planChanges(bookPages, bookChapters);
+
+      if (deletePageId !== null) {
+        // Cascades to the page's text blocks
+        await tx.delete(pages).where(and(eq(pages.id, parseInt(deletePageId)), eq(pages.bookId, parseInt(bookId))));
+      }
+      // Page numbers are unique within a book and checked row by row, so pages move
+      // through negative numbers first
+      for (const [pageId, pageNumber] of pageNumbers) {
+        await tx.update(pages).set({ pageNumber: -pageNumber }).where(and(eq(pages.id, pageId), eq(pages.bookId, parseInt(bookId))));
+      }
+      for (const [pageId, pageNumber] of pageNumbers) {
+        await tx.update(pages).set({ pageNumber }).where(and(eq(pages.id, pageId), eq(pages.bookId, parseInt(bookId))));
+      }
+      let addedPageId = null;
+      if (addPage) {
+        const result = await tx.insert(pages).values({ bookId: parseInt(bookId), ...addPage }).returning({ id: pages.id });
+        addedPageId = result[0].id;
+      }
+      for (const { id, startPage, endPage } of chapterRanges) {
+        await tx.update(chapters).set({ startPage, endPage }).where(eq(chapters.id, id));
+      }
+      await tx.update(books).set({ updatedAt: new Date() }).where(eq(books.id, parseInt(bookId)));
+      return addedPageId;
     });
   },
 
-  // Create scanning session
-  createScanningSession: (sessionId, bookId) => {
-    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours from now
-    return new Promise((resolve, reject) => {
-      db.run(
-        'INSERT INTO scanning_sessions (id, book_id, expires_at) VALUES (?, ?, ?)',
-        [sessionId, bookId, expiresAt.toISOString()],
-        function(err) {
-          if (err) reject(err);
-          else resolve(this.lastID);
-        }
-      );
+  // A new image for a page: its text blocks (and their speech), kind and detection error
+  // belong to the old one. A book cover showing the old image shows the new one.
+  async replacePageImage(page, imagePath) {
+    await db.transaction(async (tx) => {
+      await tx.delete(textBlocks).where(eq(textBlocks.pageId, page.id));
+      await tx.update(pages).set({ imagePath, kind: null, detectionError: null }).where(eq(pages.id, page.id));
+      await tx.update(books).set({ cover: imagePath, updatedAt: new Date() })
+        .where(and(eq(books.id, page.bookId), eq(books.cover, page.imagePath)));
     });
   },
 
-  // Get scanning session
-  getScanningSession: (sessionId) => {
-    return new Promise((resolve, reject) => {
-      db.get(
-        'SELECT * FROM scanning_sessions WHERE id = ? AND status = "active" AND expires_at > CURRENT_TIMESTAMP',
-        [sessionId],
-        (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        }
-      );
+  // What each page is; kinds maps page ids to cover | title | copyright | contents | blank | text
+  async setPageKinds(kinds) {
+    await db.transaction(async (tx) => {
+      for (const [pageId, kind] of Object.entries(kinds)) {
+        await tx.update(pages).set({ kind }).where(eq(pages.id, parseInt(pageId)));
+      }
     });
   },
 
-  // Close scanning session
-  closeScanningSession: (sessionId) => {
-    return new Promise((resolve, reject) => {
-      db.run(
-        'UPDATE scanning_sessions SET status = "completed" WHERE id = ?',
-        [sessionId],
-        function(err) {
-          if (err) reject(err);
-          else resolve(this.changes);
-        }
-      );
+  // Why the last detection found no text (null once it worked)
+  async setPageDetectionError(pageId, detectionError) {
+    await db.update(pages).set({ detectionError }).where(eq(pages.id, parseInt(pageId)));
+  },
+
+  // Chapter operations
+  async getBookChapters(bookId) {
+    return await db.select().from(chapters)
+      .where(eq(chapters.bookId, parseInt(bookId)))
+      .orderBy(chapters.position);
+  },
+
+  // Replace the chapters of a book with a new table of contents, in order
+  async replaceBookChapters(bookId, bookChapters) {
+    return await db.transaction(async (tx) => {
+      await tx.delete(chapters).where(eq(chapters.bookId, parseInt(bookId)));
+      if (bookChapters.length === 0) {
+        return [];
+      }
+      return await tx.insert(chapters)
+        .values(bookChapters.map((chapter, position) => ({ ...chapter, bookId: parseInt(bookId), position })))
+        .returning();
     });
   },
 
-  // Clean up empty books (no pages and status = processing)
-  cleanupEmptyBooks: () => {
-    return new Promise((resolve, reject) => {
-      db.run(
-        'DELETE FROM books WHERE status = "processing" AND id NOT IN (SELECT DISTINCT book_id FROM pages)',
-        function(err) {
-          if (err) reject(err);
-          else resolve(this.changes);
-        }
-      );
+  // Scanning session operations
+  async createScanningSession(sessionId, bookId, { claimTokenHash = null, expiresAt } = {}) {
+    await db.insert(scanningSessions).values({
+      id: sessionId,
+      bookId: parseInt(bookId),
+      status: 'active',
+      claimTokenHash,
+      expiresAt: expiresAt || new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
     });
   },
 
+  async getScanningSession(sessionId) {
+    const result = await db.select().from(scanningSessions)
+      .where(eq(scanningSessions.id, sessionId));
+    return result[0] || null;
+  },
+
+  // Record the one-time claim; only succeeds for the first device presenting the claim token
+  async claimScanningSession(sessionId, claimTokenHash, uploadTokenHash) {
+    const result = await db.update(scanningSessions)
+      .set({ uploadTokenHash, claimedAt: new Date() })
+      .where(and(
+        eq(scanningSessions.id, sessionId),
+        eq(scanningSessions.claimTokenHash, claimTokenHash),
+        isNull(scanningSessions.claimedAt)
+      ))
+      .returning();
+    return result[0] || null;
+  },
+
+  // status: 'completed', 'closed' or 'revoked'; revoking also invalidates the upload token
+  async closeScanningSession(sessionId, status = 'completed') {
+    const updates = { status, closedAt: new Date() };
+    if (status === 'revoked') {
+      updates.uploadTokenHash = null;
+    }
+    await db.update(scanningSessions)
+      .set(updates)
+      .where(eq(scanningSessions.id, sessionId));
+  },
+
   // Text block operations
-  getTextBlocks: (pageId) => {
-    return new Promise((resolve, reject) => {
-      db.all(
-        'SELECT * FROM text_blocks WHERE page_id = ? ORDER BY y ASC, x ASC',
-        [pageId],
-        (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        }
-      );
-    });
+  // In reading order; blocks from before reading order existed come last
+  async getTextBlocks(pageId) {
+    return await db.select().from(textBlocks)
+      .where(eq(textBlocks.pageId, parseInt(pageId)))
+      .orderBy(sql`${textBlocks.readingOrder} is null`, textBlocks.readingOrder, textBlocks.createdAt);
+  },
+
+  async clearTextBlocks(pageId) {
+    await db.delete(textBlocks)
+      .where(eq(textBlocks.pageId, parseInt(pageId)));
+  },
+
+  async getTextBlockById(blockId) {
+    const result = await db.select().from(textBlocks)
+      .where(eq(textBlocks.id, parseInt(blockId)));
+    return result[0] || null;
   },
 
-  createTextBlock: (pageId, x, y, width, height) => {
-    return new Promise((resolve, reject) => {
-      db.run(
-        'INSERT INTO text_blocks (page_id, x, y, width, height) VALUES (?, ?, ?, ?, ?)',
-        [pageId, x, y, width, height],
-        function(err) {
-          if (err) reject(err);
-          else resolve(this.lastID);
-        }
-      );
+  async createTextBlock(pageId, x, y, width, height, readingOrder = null) {
+    const result = await db.insert(textBlocks).values({
+      pageId: parseInt(pageId),
+      x,
+      y,
+      width,
+      height,
+      readingOrder,
+      status: 'pending'
+    }).returning();
+    return result[0].id;
+  },
+
+  // OCR result for a block; a block OCR found no text in is marked failed
+  async updateTextBlock(blockId, text, confidence, language = null) {
+    await db.update(textBlocks)
+      .set({ 
+        ocrText: text, 
+        confidence: Math.round(confidence * 100),
+        language,
+        status: text?.trim() ? 'completed' : 'failed'
+      })
+      .where(eq(textBlocks.id, parseInt(blockId)));
+  },
+
+  async updateTextBlockAudio(blockId, audioUrl, alignmentData, normalizedAlignmentData) {
+    await db.update(textBlocks)
+      .set({
+        audioUrl,
+        alignmentData,
+        normalizedAlignmentData
+      })
+      .where(eq(textBlocks.id, parseInt(blockId)));
+  },
+
+  // Manual edits (see textBlocks.js); each returns the updated rows
+  async editTextBlock(blockId, changes) {
+    const result = await db.update(textBlocks)
+      .set(changes)
+      .where(eq(textBlocks.id, parseInt(blockId)))
+      .returning();
+    return result[0] || null;
+  },
+
+  async deleteTextBlock(blockId) {
+    const result = await db.delete(textBlocks)
+      .where(eq(textBlocks.id, parseInt(blockId)))
+      .returning({ id: textBlocks.id });
+    return result.length > 0;
+  },
+
+  // Shrink a block to its first half and insert the second half, which takes the
+  // reading order position right after it
+  async splitTextBlock(blockId, changes, secondBlock) {
+    return await db.transaction(async (tx) => {
+      const first = await tx.update(textBlocks)
+        .set(changes)
+        .where(eq(textBlocks.id, parseInt(blockId)))
+        .returning();
+      if (secondBlock.readingOrder !== null) {
+        await tx.update(textBlocks)
+          .set({ readingOrder: sql`${textBlocks.readingOrder} + 1` })
+          .where(and(eq(textBlocks.pageId, secondBlock.pageId), gte(textBlocks.readingOrder, secondBlock.readingOrder)));
+      }
+      const second = await tx.insert(textBlocks).values(secondBlock).returning();
+      return [first[0], second[0]];
     });
   },
 
-  updateTextBlock: (id, ocrText, confidence) => {
-    return new Promise((resolve, reject) => {
-      db.run(
-        'UPDATE text_blocks SET ocr_text = ?, confidence = ?, status = "completed", updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [ocrText, confidence, id],
-        function(err) {
-          if (err) reject(err);
-          else resolve(this.changes);
-        }
-      );
+  // Grow one block to cover the others and delete them
+  async mergeTextBlocks(targetId, changes, mergedIds) {
+    return await db.transaction(async (tx) => {
+      const result = await tx.update(textBlocks)
+        .set(changes)
+        .where(eq(textBlocks.id, parseInt(targetId)))
+        .returning();
+      await tx.delete(textBlocks).where(inArray(textBlocks.id, mergedIds));
+      return result[0];
     });
   },
 
-  setTextBlockProcessing: (id) => {
-    return new Promise((resolve, reject) => {
-      db.run(
-        'UPDATE text_blocks SET status = "processing", updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [id],
-        function(err) {
-          if (err) reject(err);
-          else resolve(this.changes);
-        }
-      );
+  // Number the blocks of a page in the given order
+  async setTextBlockOrder(pageId, blockIds) {
+    await db.transaction(async (tx) => {
+      for (const [index, blockId] of blockIds.entries()) {
+        await tx.update(textBlocks)
+          .set({ readingOrder: index })
+          .where(and(eq(textBlocks.id, blockId), eq(textBlocks.pageId, parseInt(pageId))));
+      }
     });
-  }
-};
+  },
+
+  // LLM call log
+  async recordLlmCall(call) {
+    await db.insert(llmCalls).values(call);
+  },
 
-export default db;
\ No newline at end of file
+  // Calls, tokens and latency since a date, per task, model and status
+  async getLlmUsage(since) {
+    const rows = await db.select({
+      task: llmCalls.task,
+      provider: llmCalls.provider,
+      model: llmCalls.model,
+      status: llmCalls.status,
+      calls: count(llmCalls.id),
+      promptTokens: sum(llmCalls.promptTokens),
+      completionTokens: sum(llmCalls.completionTokens),
+      averageLatencyMs: avg(llmCalls.latencyMs)
+    })
+      .from(llmCalls)
+      .where(gte(llmCalls.createdAt, since))
+      .groupBy(llmCalls.task, llmCalls.provider, llmCalls.model, llmCalls.status)
+      .orderBy(llmCalls.task, llmCalls.status);
+    // Sums and averages come back as strings on Postgres
+    return rows.map(row => ({
+      ...row,
+      calls: Number(row.calls),
+      promptTokens: Number(row.promptTokens) || 0,
+      completionTokens: Number(row.completionTokens) || 0,
+      averageLatencyMs: Math.round(Number(row.averageLatencyMs) || 0)
+    }));
+  },
+
+  // Job queue operations
+  async enqueueJob(type, payload, { bookId = null, dedupeKey = null, maxAttempts = 5, runAt = new Date() } = {}) {
+    if (dedupeKey) {
+      const existing = await db.select().from(jobs)
+        .where(and(eq(jobs.dedupeKey, dedupeKey), inArray(jobs.status, ['queued', 'running'])));
+      if (existing[0]) {
+        return existing[0];
+      }
+    }
+
+    const result = await db.insert(jobs).values({
+      type,
+      payload,
+      bookId: bookId ? parseInt(bookId) : null,
+      dedupeKey,
+      maxAttempts,
+      runAt,
+      status: 'queued'
+    }).returning();
+    return result[0];
+  },
+
+  async claimNextJob(workerId) {
+    const candidates = await db.select().from(jobs)
+      .where(and(eq(jobs.status, 'queued'), lte(jobs.runAt, new Date())))
+      .orderBy(jobs.runAt)
+      .limit(5);
+
+    for (const candidate of candidates) {
+      // Only claim if still queued, so two workers never run the same job
+      const result = await db.update(jobs)
+        .set({
+          status: 'running',
+          attempts: candidate.attempts + 1,
+          lockedBy: workerId,
+          lockedAt: new Date(),
+          updatedAt: new Date()
+        })
+        .where(and(eq(jobs.id, candidate.id), eq(jobs.status, 'queued')))
+        .returning();
+      if (result[0]) {
+        return result[0];
+      }
+    }
+    return null;
+  },
+
+  async completeJob(jobId, result) {
+    await db.update(jobs)
+      .set({ status: 'completed', result, lockedBy: null, lockedAt: null, updatedAt: new Date() })
+      .where(eq(jobs.id, parseInt(jobId)));
+  },
+
+  // Requeue for retryAt, or mark as failed when retryAt is null
+  async failJob(jobId, errorMessage, retryAt = null) {
+    await db.update(jobs)
+      .set({
+        status: retryAt ? 'queued' : 'failed',
+        runAt: retryAt || undefined,
+        lastError: errorMessage,
+        lockedBy: null,
+        lockedAt: null,
+        updatedAt: new Date()
+      })
+      .where(eq(jobs.id, parseInt(jobId)));
+  },
+
+  // Return jobs whose worker died mid-run to the queue
+  async requeueStaleJobs(lockedBefore) {
+    const result = await db.update(jobs)
+      .set({ status: 'queued', lockedBy: null, lockedAt: null, updatedAt: new Date() })
+      .where(and(eq(jobs.status, 'running'), lt(jobs.lockedAt, lockedBefore)))
+      .returning();
+    return result.length;
+  },
+
+  async getJobById(jobId) {
+    const result = await db.select().from(jobs)
+      .where(eq(jobs.id, parseInt(jobId)));
+    return result[0] || null;
+  },
+
+  // Queued or running jobs of a type for a book, other than excludeJobId
+  async countActiveJobs(bookId, type, excludeJobId = 0) {
+    const result = await db.select({ id: jobs.id }).from(jobs)
+      .where(and(
+        eq(jobs.bookId, parseInt(bookId)),
+        eq(jobs.type, type),
+        inArray(jobs.status, ['queued', 'running']),
+        ne(jobs.id, excludeJobId)
+      ));
+    return result.length;
+  },
+
+  async getBookJobs(bookId) {
+    return await db.select().from(jobs)
+      .where(eq(jobs.bookId, parseInt(bookId)))
+      .orderBy(desc(jobs.createdAt));
+  }
+};
\ No newline at end of file
@@ -1,21 +1,72 @@
-import { Pool, neonConfig } from '@neondatabase/serverless';
-import { drizzle } from 'drizzle-orm/neon-serverless';
-import ws from "ws";
+// Database connection for the configured dialect (see shared/dialect.js):
+// PostgreSQL (Neon) in production, a SQLite file through libsql for local development.
+// Everything else talks to the database through dbHelpers in database.js.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import * as schema from "../shared/schema.js";
+import { databaseUrl } from "../shared/dialect.js";
 
-neonConfig.webSocketConstructor = ws;
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-if (!process.env.DATABASE_URL) {
+export const dialect = schema.dialect;
+export const migrationsFolder = path.join(__dirname, '..', 'drizzle', dialect);
+
+const url = databaseUrl();
+if (!url) {
   throw new Error(
     "DATABASE_URL must be set. Did you forget to provision a database?",
   );
 }
 
-// Configure SSL for Neon database connection to handle self-signed certificates
-export const pool = new Pool({ 
-  connectionString: process.env.DATABASE_URL,
-  ssl: {
-    rejectUnauthorized: false
+async function connectPostgres() {
+  const { Pool, neonConfig } = await import('@neondatabase/serverless');
+  const { drizzle } = await import('drizzle-orm/neon-serverless');
+  const { default: ws } = await import('ws');
+
+  neonConfig.webSocketConstructor = ws;
+
+  // Configure SSL for Neon database connection to handle self-signed certificates
+  const pool = new Pool({
+    connectionString: url,
+    ssl: {
+      rejectUnauthorized: false
+    }
+  });
+  return { pool, db: drizzle({ client: pool, schema }) };
+}
+
+async function connectSqlite() {
+  const { createClient } = await import('@libsql/client');
+  const { drizzle } = await import('drizzle-orm/libsql');
+
+  // Relative file: URLs are relative to the repository root
+  let fileUrl = url;
+  const filePath = url.slice('file:'.length);
+  if (filePath !== ':memory:') {
+    const absolutePath = path.resolve(__dirname, '..', filePath);
+    fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+    fileUrl = `file:${absolutePath}`;
   }
-});
-export const db = drizzle({ client: pool, schema });
+
+  const client = createClient({ url: fileUrl });
+  const db = drizzle({ client, schema });
+
+  // Write transactions take the database's write lock when they begin, and a second one
+  // fails with SQLITE_BUSY instead of waiting: transactions of this process take turns
+  const transaction = db.transaction.bind(db);
+  let lastTransaction = Promise.resolve();
+  db.transaction = (run, config) => {
+    const result = lastTransaction.then(() => transaction(run, config));
+    lastTransaction = result.catch(() => {});
+    return result;
+  };
+  return { pool: null, db };
+}
+
+// pool is the Postgres connection pool, used for LISTEN/NOTIFY; null on SQLite
+export const { pool, db } = dialect === 'sqlite' ? await connectSqlite() : await connectPostgres();
+
+export function describeDatabase() {
+  return dialect === 'sqlite' ? `SQLite (${url})` : 'PostgreSQL';
+}
@@ -0,0 +1,80 @@
+// Text block detection for a page: run the OCR provider chain and store the blocks
+import { dbHelpers } from './database.js';
+import { OcrService } from './ocr/index.js';
+import { llm } from './llm/index.js';
+import { loadPageImage } from './pageImages.js';
+import { orderBlocks } from './readingOrder.js';
+
+const ocrService = new OcrService({ llm });
+
+export async function detectPageTextBlocks(pageId) {
+  const page = await dbHelpers.getPageById(pageId);
+  if (!page) {
+    throw new Error(`Page not found: ${pageId}`);
+  }
+
+  // Handle both field names (imagePath from schema, image_path from database)
+  const imagePath = page.imagePath || page.image_path;
+  const imageBuffer = await loadPageImage(imagePath);
+
+  const { provider, blocks: detectedBlocks, errors } = await ocrService.detect(imageBuffer, { bookId: page.bookId, pageId: page.id });
+  console.log(`Detected text blocks (${provider || 'none'}):`, detectedBlocks);
+
+  // The page may have been re-shot or deleted while OCR ran; blocks of the old image are
+  // not saved (the new image has a detection job of its own)
+  const currentPage = await dbHelpers.getPageById(pageId);
+  if (!currentPage || currentPage.imagePath !== imagePath) {
+    console.log(`⏭️ Page ${pageId} changed during detection, discarding its blocks`);
+    return { pageId: page.id, bookId: page.bookId, provider, detectionError: null, stale: true, blocks: [], totalBlocks: 0, usedGoogleVision: false };
+  }
+
+  // A page where every provider failed is marked as such, not taken for a page without text
+  const detectionError = provider === null && errors.length > 0
+    ? `Text detection failed: ${errors.map(error => `${error.provider}: ${error.message}`).join('; ')}`
+    : null;
+  if (detectionError || page.detectionError) {
+    await dbHelpers.setPageDetectionError(pageId, detectionError);
+  }
+
+  // Clear existing text blocks for this page
+  await dbHelpers.clearTextBlocks(pageId);
+
+  const createdBlocks = [];
+
+  // Save detected blocks to database, numbered in reading order
+  const orderedBlocks = orderBlocks(detectedBlocks.map(block => ({ ...block, ...block.bbox })));
+
+  for (const [readingOrder, block] of orderedBlocks.entries()) {
+    const { x, y, width, height } = block.bbox;
+    const blockId = await dbHelpers.createTextBlock(pageId, x, y, width, height, readingOrder);
+
+    // Update the text block with the detected text immediately
+    await dbHelpers.updateTextBlock(blockId, block.text, block.confidence, block.language);
+    // Word and line boxes, when the provider reports them
+    if (block.words) {
+      await dbHelpers.editTextBlock(blockId, { words: block.words, lines: block.lines });
+    }
+
+    createdBlocks.push({
+      id: blockId,
+      text: block.text,
+      confidence: block.confidence,
+      language: block.language,
+      readingOrder,
+      x,
+      y,
+      width,
+      height
+    });
+  }
+
+  return {
+    pageId: page.id,
+    bookId: page.bookId,
+    provider,
+    detectionError,
+    blocks: createdBlocks,
+    totalBlocks: createdBlocks.length,
+    usedGoogleVision: provider === 'google-vision'
+  };
+}
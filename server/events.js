@@ -0,0 +1,69 @@
+// Book and scanning session events for real-time clients.
+// Events are published in-process; when jobs run in a separate worker process
+// (JOB_WORKER=external) they are relayed between processes with Postgres NOTIFY.
+// SQLite has no NOTIFY, so there events only reach clients of the same process.
+import { EventEmitter } from 'events';
+import { pool } from './db.js';
+
+export const EventType = {
+  PAGE_ADDED: 'page-added',
+  PAGE_PROCESSED: 'page-processed',
+  PAGES_CHANGED: 'pages-changed', // Pages deleted, moved, inserted or given a new image
+  DETECTION_COMPLETE: 'detection-complete',
+  SESSION_CLOSED: 'session-closed',
+  JOB_FAILED: 'job-failed'
+};
+
+const RELAY_CHANNEL = 'thereader_events';
+const relayEnabled = process.env.JOB_WORKER === 'external' && pool !== null;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // One listener per connected socket
+
+// sessionId ties an event to one scanning session; other events concern the whole book
+export async function publishEvent(bookId, type, data = {}, sessionId = null) {
+  const event = {
+    type,
+    bookId: parseInt(bookId),
+    sessionId,
+    data,
+    timestamp: new Date().toISOString()
+  };
+
+  try {
+    if (relayEnabled) {
+      // Delivered back to this process too, through the LISTEN connection
+      await pool.query('SELECT pg_notify($1, $2)', [RELAY_CHANNEL, JSON.stringify(event)]);
+    } else {
+      bus.emit('event', event);
+    }
+  } catch (error) {
+    // Real-time updates are best effort; never fail the caller over them
+    console.warn(`⚠️ Could not publish ${type} event:`, error);
+  }
+}
+
+// Returns an unsubscribe function
+export function subscribe(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+// Receive events published by other processes (call once in the web server)
+export async function listenForRelayedEvents() {
+  if (process.env.JOB_WORKER === 'external' && !pool) {
+    console.warn('⚠️ External job workers need PostgreSQL to relay events; real-time updates from them are disabled');
+  }
+  if (!relayEnabled) return;
+
+  const client = await pool.connect();
+  await client.query(`LISTEN ${RELAY_CHANNEL}`);
+  client.on('notification', message => {
+    try {
+      bus.emit('event', JSON.parse(message.payload));
+    } catch (error) {
+      console.warn('⚠️ Ignoring malformed relayed event:', error);
+    }
+  });
+  console.log('📡 Listening for events from external job workers');
+}
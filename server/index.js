@@ -1,23 +1,35 @@
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import multer from 'multer';
 import QRCode from 'qrcode';
-import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import OpenAI from 'openai';
-import { ElevenLabsClient } from '@elevenlabs/elevenlabs-js';
-import fs from 'fs';
-import crypto from 'crypto';
-import { dbHelpers } from './database-replit.js';
-import { db } from './db.js';
-import { books } from '../shared/schema.js';
-import { eq } from 'drizzle-orm';
-import { ObjectStorageService } from './objectStorage.js';
-
-dotenv.config();
+import { dbHelpers } from './database.js';
+import { describeDatabase } from './db.js';
+import { migrateDatabase } from './migrate.js';
+import { ObjectStorageService, objectKeyFromPath, isValidObjectKey } from './objectStorage.js';
+import { getStorageDriver } from './storage/index.js';
+import { collectStorageGarbage, scheduleStorageGc } from './storageGc.js';
+import { runMaintenance, parseTasks, parseThresholds } from './maintenance.js';
+import { findCachedSpeech, synthesizeToStorage, loadTextBlockSpeech } from './speech.js';
+import { createRateLimiter } from './rateLimit.js';
+import { enqueuePageDetection, enqueueTextBlockAudio, enqueueSessionCompletion, enqueueStorageGc, serializeJob } from './jobs/queue.js';
+import { JobWorker } from './jobs/worker.js';
+import { jobHandlers } from './jobs/handlers.js';
+import { publishEvent, listenForRelayedEvents, EventType } from './events.js';
+import { attachRealtime } from './realtime.js';
+import { authenticate, requireAuth, requireAdmin, registerUser, authenticateUser, startLoginSession, endLoginSession, serializeUser } from './auth.js';
+import { requireBookAccess, bookFromParam, bookOfPage, bookOfTextBlock, bookOfJob, bookOfScanningSession, BookRole } from './access.js';
+import { listBooksSharedWith, getBookSharing, shareBook, getShareOfBook, updateShareRole, createInvite, revokeInvite, acceptInvite, createGroup, listGroups, getOwnedGroup, addGroupMember, removeGroupMember } from './sharing.js';
+import { canAccessObject, ObjectPermission, bookObjectAclPolicy, aclPolicyMetadata } from './objectAcl.js';
+import { editTextBlock, splitTextBlock, mergeTextBlocks, getOrderedTextBlocks, setReadingOrder, detectReadingOrder } from './textBlocks.js';
+import { orderBlocks } from './readingOrder.js';
+import { getPreferences, updatePreferences, resetPreferences } from './preferences.js';
+import { updateBookMetadata, withEditedFields } from './bookMetadata.js';
+import { deletePage, movePage, insertPage, replacePageImage } from './pages.js';
+import { openScanningSession, claimScanningSession, requireUploadToken, sessionState, sessionStateError, sessionExpiresAt, sendSessionError, SessionErrorCode } from './sessions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -25,55 +37,24 @@ const __dirname = dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Initialize OpenAI (optional for development)
-let openai = null;
-if (process.env.OPENAI_API_KEY) {
-  openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-  });
-  console.log('✅ OpenAI initialized');
-} else {
-  console.warn('⚠️  OPENAI_API_KEY not set - AI features will not work');
-}
-
-// Initialize ElevenLabs (optional for development)
-let elevenlabs = null;
-if (process.env.ELEVENLABS_API_KEY) {
-  elevenlabs = new ElevenLabsClient({
-    apiKey: process.env.ELEVENLABS_API_KEY
-  });
-  console.log('✅ ElevenLabs initialized');
-} else {
-  console.warn('⚠️  ELEVENLABS_API_KEY not set - text-to-speech will not work');
-}
-
-// Initialize Google Cloud Vision (using REST API with key since client library needs service account)
-let visionApiKey = null;
-if (process.env.GOOGLE_CLOUD_VISION_API_KEY) {
-  visionApiKey = process.env.GOOGLE_CLOUD_VISION_API_KEY;
-  console.log('✅ Google Cloud Vision API key configured');
-} else {
-  console.warn('⚠️  GOOGLE_CLOUD_VISION_API_KEY not set - using OpenAI for text detection');
-}
-
-// Configure multer for image uploads (use memory storage for Replit Object Storage)
+// Configure multer for image uploads (kept in memory, then written to object storage)
 const storage = multer.memoryStorage();
 const objectStorageService = new ObjectStorageService();
 
-// Generate content-based UUID for consistent caching
-function generateContentUUID(text) {
-  const hash = crypto.createHash('sha256').update(text.trim()).digest('hex');
-  // Take first 32 chars and format as UUID
-  const uuid = [
-    hash.slice(0, 8),
-    hash.slice(8, 12),
-    hash.slice(12, 16),
-    hash.slice(16, 20),
-    hash.slice(20, 32)
-  ].join('-');
-  console.log(`🔑 Generated content UUID: ${uuid} for text: "${text.slice(0, 50)}..."`);
-  return uuid;
-}
+// Direct TTS is for short texts like titles, keywords and selected passages
+const TTS_DIRECT_MAX_CHARS = parseInt(process.env.TTS_DIRECT_MAX_CHARS || '500');
+const ttsDirectLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.TTS_DIRECT_RATE_LIMIT || '20'),
+  message: 'Too many text-to-speech requests, please wait a moment'
+});
+
+// Slow down password guessing
+const loginLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many sign-in attempts, please try again later'
+});
 
 const upload = multer({
   storage: storage,
@@ -88,22 +69,31 @@ const upload = multer({
 });
 
 // Middleware
+// Deployments sit behind one proxy; trust it so req.ip is the client address (used for rate limiting)
+app.set('trust proxy', 1);
 app.use(cors());
 app.use(express.json());
+app.use(authenticate);
 
-// Add CORS headers specifically for image serving
-app.use('/uploads', (req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
-  next();
-});
-
-// Serve objects from Replit Object Storage
+// Serve objects from the storage driver, subject to each object's ACL policy
 app.get('/objects/:objectPath(*)', async (req, res) => {
   try {
     const objectKey = req.params.objectPath;
-    await objectStorageService.downloadObject(objectKey, res);
+    if (!isValidObjectKey(objectKey)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    const canAccess = await canAccessObject({
+      userId: req.user?.id,
+      objectStorageService,
+      objectFile: { objectKey },
+      requestedPermission: ObjectPermission.READ
+    });
+    if (!canAccess) {
+      // Same answer as a missing object, so private files are not revealed
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    await objectStorageService.downloadObject(objectKey, req, res);
   } catch (error) {
     console.error('Error serving object:', error);
     if (error.name === 'ObjectNotFoundError') {
@@ -113,8 +103,11 @@ app.get('/objects/:objectPath(*)', async (req, res) => {
   }
 });
 app.use('/mobile', express.static(path.join(__dirname, 'public')));
-app.use('/audio', express.static(path.join(__dirname, 'public', 'audio')));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+
+// Page images saved by older versions as "/uploads/..." now live in storage under the same key
+app.get('/uploads/:objectPath(*)', (req, res) => {
+  res.redirect(301, `/objects/uploads/${req.params.objectPath}`);
+});
 
 // Serve React build files in production
 if (process.env.NODE_ENV === 'production') {
@@ -126,15 +119,98 @@ app.get('/favicon.ico', (req, res) => {
   res.status(204).end();
 });
 
+// Account routes
+app.post('/api/auth/register', loginLimiter, async (req, res) => {
+  try {
+    const user = await registerUser(req.body?.username, req.body?.password);
+    await startLoginSession(req, res, user);
+    res.status(201).json({ user: serializeUser(user) });
+  } catch (error) {
+    if (error.name === 'AuthError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+app.post('/api/auth/login', loginLimiter, async (req, res) => {
+  try {
+    const user = await authenticateUser(req.body?.username, req.body?.password);
+    await startLoginSession(req, res, user);
+    res.json({ user: serializeUser(user) });
+  } catch (error) {
+    if (error.name === 'AuthError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error signing in:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await endLoginSession(req, res);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({ user: serializeUser(req.user) });
+});
+
+// Reading preferences of the signed-in user
+function sendPreferencesError(res, error, message) {
+  if (error.name === 'PreferencesError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+app.get('/api/preferences', requireAuth, async (req, res) => {
+  try {
+    res.json(await getPreferences(req.user.id));
+  } catch (error) {
+    sendPreferencesError(res, error, 'Failed to fetch preferences');
+  }
+});
+
+// Body: the preferences to change
+app.patch('/api/preferences', requireAuth, async (req, res) => {
+  try {
+    res.json(await updatePreferences(req.user.id, req.body));
+  } catch (error) {
+    sendPreferencesError(res, error, 'Failed to save preferences');
+  }
+});
+
+app.delete('/api/preferences', requireAuth, async (req, res) => {
+  try {
+    res.json(await resetPreferences(req.user.id));
+  } catch (error) {
+    sendPreferencesError(res, error, 'Failed to reset preferences');
+  }
+});
+
 // Routes
-app.get('/api/books', async (req, res) => {
+// scope: 'all' (default), 'mine' or 'shared' (books shared with me)
+app.get('/api/books', requireAuth, async (req, res) => {
   try {
-    const { filter } = req.query;
-    let books = await dbHelpers.getAllBooks();
+    const { filter, scope = 'all' } = req.query;
+
+    const ownBooks = scope === 'shared' ? [] :
+      (await dbHelpers.getBooksByOwner(req.user.id)).map(book => ({ ...book, role: BookRole.OWNER }));
+    const sharedBooks = scope === 'mine' ? [] : await listBooksSharedWith(req.user);
+    let books = [...ownBooks, ...sharedBooks]
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
     if (filter && filter !== 'all') {
       books = books.filter(book =>
-        book.category && book.category.toLowerCase() === filter.toLowerCase()
+        [book.category, ...(book.categories || [])].some(category => category?.toLowerCase() === filter.toLowerCase())
       );
     }
 
@@ -145,61 +221,281 @@ app.get('/api/books', async (req, res) => {
   }
 });
 
-app.get('/api/books/:id', async (req, res) => {
+app.get('/api/books/:id', requireAuth, requireBookAccess(bookFromParam('id')), async (req, res) => {
   try {
-    const book = await dbHelpers.getBookById(req.params.id);
-    if (!book) {
-      return res.status(404).json({ error: 'Book not found' });
-    }
-
-    const pages = await dbHelpers.getBookPages(req.params.id);
-    res.json({ ...book, pages });
+    const book = req.book;
+    const [pages, chapters] = await Promise.all([
+      dbHelpers.getBookPages(req.params.id),
+      dbHelpers.getBookChapters(req.params.id)
+    ]);
+    res.json({ ...book, role: req.bookRole, pages, chapters });
   } catch (error) {
     console.error('Error fetching book:', error);
     res.status(500).json({ error: 'Failed to fetch book' });
   }
 });
 
-// Create new book and scanning session
-app.post('/api/books', async (req, res) => {
+function sendBookMetadataError(res, error, message) {
+  if (error.name === 'BookMetadataError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+// Store an uploaded image with the access policy of its book and return its path
+async function uploadBookImage(file, book, prefix = '') {
+  const uniqueFilename = `${prefix}${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(file.originalname)}`;
+  console.log(`📁 Processing upload: ${uniqueFilename}, size: ${file.buffer.length} bytes, mimetype: ${file.mimetype}`);
+  return await objectStorageService.uploadFile(
+    file.buffer,
+    uniqueFilename,
+    file.mimetype,
+    aclPolicyMetadata(bookObjectAclPolicy(book))
+  );
+}
+
+// A replaced cover or page image that nothing else shows is deleted right away
+async function deleteUnusedImage(imagePath) {
+  const objectKey = objectKeyFromPath(imagePath);
+  if (objectKey && !(await dbHelpers.isImagePathReferenced([imagePath]))) {
+    await objectStorageService.deleteObject(objectKey);
+  }
+}
+
+// Correct the metadata found when the scan completed.
+// Body: any of { title, author, category, categories, keywords: [{ label, emoji, group }],
+// coverPageId } where coverPageId makes one of the book's pages the cover
+app.patch('/api/books/:id', requireAuth, requireBookAccess(bookFromParam('id'), 'Book not found', BookRole.EDITOR), async (req, res) => {
   try {
-    const bookId = await dbHelpers.createBook();
-    const sessionId = uuidv4();
-    await dbHelpers.createScanningSession(sessionId, bookId);
-
-    // Use external URL if provided, otherwise construct from request headers
-    let baseUrl;
-    if (process.env.EXTERNAL_URL) {
-      baseUrl = process.env.EXTERNAL_URL;
-    } else if (process.env.REPLIT_DEPLOYMENT === '1') {
-      // In deployment, construct URL from request headers
-      const protocol = req.headers['x-forwarded-proto'] || 'https';
-      const host = req.headers['x-forwarded-host'] || req.headers.host;
-      baseUrl = `${protocol}://${host}`;
-    } else if (process.env.REPLIT_DEV_DOMAIN) {
-      // In development workspace
-      baseUrl = `https://${process.env.REPLIT_DEV_DOMAIN}`;
-    } else {
-      // Local development fallback
-      baseUrl = `http://localhost:${PORT}`;
+    const book = await updateBookMetadata(req.book, req.body);
+    if (req.book.cover && req.book.cover !== book.cover) {
+      await deleteUnusedImage(req.book.cover);
     }
-    const mobileUrl = `${baseUrl}/mobile/camera.html?session=${sessionId}`;
-    const qrCodeDataUrl = await QRCode.toDataURL(mobileUrl);
+    res.json({ ...book, role: req.bookRole });
+  } catch (error) {
+    sendBookMetadataError(res, error, 'Failed to update book');
+  }
+});
 
-    res.json({
-      bookId,
-      sessionId,
-      qrCode: qrCodeDataUrl,
-      mobileUrl
-    });
+// Upload a cover photo that is not one of the pages (multipart field "image")
+app.post('/api/books/:id/cover', requireAuth, requireBookAccess(bookFromParam('id'), 'Book not found', BookRole.EDITOR), upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image uploaded' });
+    }
+
+    const coverPath = await uploadBookImage(req.file, req.book, 'cover-');
+    console.log(`🖼️ Cover uploaded for book ${req.book.id}: ${coverPath}`);
+
+    await dbHelpers.updateBook(req.book.id, { cover: coverPath, editedFields: withEditedFields(req.book, { cover: coverPath }) });
+    if (req.book.cover) {
+      await deleteUnusedImage(req.book.cover);
+    }
+
+    const book = await dbHelpers.getBookById(req.book.id);
+    res.json({ ...book, role: req.bookRole });
+  } catch (error) {
+    console.error('Error uploading cover:', error);
+    res.status(500).json({ error: 'Failed to upload cover' });
+  }
+});
+
+// Public base URL for links opened on the phone
+function getBaseUrl(req) {
+  // Use external URL if provided, otherwise construct from request headers
+  if (process.env.EXTERNAL_URL) {
+    return process.env.EXTERNAL_URL;
+  } else if (process.env.REPLIT_DEPLOYMENT === '1') {
+    // In deployment, construct URL from request headers
+    const protocol = req.headers['x-forwarded-proto'] || 'https';
+    const host = req.headers['x-forwarded-host'] || req.headers.host;
+    return `${protocol}://${host}`;
+  } else if (process.env.REPLIT_DEV_DOMAIN) {
+    // In development workspace
+    return `https://${process.env.REPLIT_DEV_DOMAIN}`;
+  }
+  // Local development fallback
+  return `http://localhost:${PORT}`;
+}
+
+// Open a scanning session and build its QR code. The claim token goes in the URL
+// fragment so it never reaches server or proxy logs.
+async function createScanningSessionResponse(req, bookId) {
+  const { sessionId, claimToken, expiresAt } = await openScanningSession(bookId);
+  const mobileUrl = `${getBaseUrl(req)}/mobile/camera.html?session=${sessionId}#token=${claimToken}`;
+  const qrCodeDataUrl = await QRCode.toDataURL(mobileUrl);
+
+  return {
+    bookId,
+    sessionId,
+    qrCode: qrCodeDataUrl,
+    mobileUrl,
+    expiresAt
+  };
+}
+
+// Create new book and scanning session
+app.post('/api/books', requireAuth, async (req, res) => {
+  try {
+    const bookId = await dbHelpers.createBook(req.user.id);
+    res.json(await createScanningSessionResponse(req, bookId));
   } catch (error) {
     console.error('Error creating book:', error);
     res.status(500).json({ error: 'Failed to create book' });
   }
 });
 
+// Start a new scanning session for an existing book (e.g. after the previous one expired)
+app.post('/api/books/:id/sessions', requireAuth, requireBookAccess(bookFromParam('id'), 'Book not found', BookRole.EDITOR), async (req, res) => {
+  try {
+    res.json(await createScanningSessionResponse(req, req.book.id));
+  } catch (error) {
+    console.error('Error creating scanning session:', error);
+    res.status(500).json({ error: 'Failed to create scanning session' });
+  }
+});
+
+// Sharing: shares and invite links of a book (owner only)
+const requireBookOwner = requireBookAccess(bookFromParam('id'), 'Book not found', BookRole.OWNER);
+
+function sendSharingError(res, error, message) {
+  if (error.name === 'SharingError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+app.get('/api/books/:id/shares', requireAuth, requireBookOwner, async (req, res) => {
+  try {
+    res.json(await getBookSharing(req.book.id));
+  } catch (error) {
+    sendSharingError(res, error, 'Failed to fetch shares');
+  }
+});
+
+// Body: { username | groupId, role: 'viewer' | 'editor' }
+app.post('/api/books/:id/shares', requireAuth, requireBookOwner, async (req, res) => {
+  try {
+    const share = await shareBook(req.book, req.user, req.body || {});
+    res.status(201).json(share);
+  } catch (error) {
+    sendSharingError(res, error, 'Failed to share book');
+  }
+});
+
+app.patch('/api/books/:id/shares/:shareId', requireAuth, requireBookOwner, async (req, res) => {
+  try {
+    res.json(await updateShareRole(req.book.id, req.params.shareId, req.body?.role));
+  } catch (error) {
+    sendSharingError(res, error, 'Failed to update share');
+  }
+});
+
+// The owner can remove any share; a user can remove their own share to leave a book
+app.delete('/api/books/:id/shares/:shareId', requireAuth, requireBookAccess(bookFromParam('id')), async (req, res) => {
+  try {
+    const share = await getShareOfBook(req.book.id, req.params.shareId);
+    if (req.bookRole !== BookRole.OWNER && share.userId !== req.user.id) {
+      return res.status(403).json({ error: 'Only the book owner can remove this share' });
+    }
+
+    await dbHelpers.deleteBookShare(share.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendSharingError(res, error, 'Failed to remove share');
+  }
+});
+
+// Body: { role, maxUses?, expiresInDays? (default 7, 0 for no expiry) }
+app.post('/api/books/:id/invites', requireAuth, requireBookOwner, async (req, res) => {
+  try {
+    const { token, invite } = await createInvite(req.book, req.user, req.body || {});
+    res.status(201).json({
+      id: invite.id,
+      role: invite.role,
+      maxUses: invite.maxUses,
+      expiresAt: invite.expiresAt,
+      inviteUrl: `${getBaseUrl(req)}/invite/${token}`
+    });
+  } catch (error) {
+    sendSharingError(res, error, 'Failed to create invite');
+  }
+});
+
+app.delete('/api/books/:id/invites/:inviteId', requireAuth, requireBookOwner, async (req, res) => {
+  try {
+    await revokeInvite(req.book.id, req.params.inviteId);
+    res.json({ success: true });
+  } catch (error) {
+    sendSharingError(res, error, 'Failed to revoke invite');
+  }
+});
+
+app.post('/api/invites/:token/accept', requireAuth, async (req, res) => {
+  try {
+    res.json(await acceptInvite(req.params.token, req.user));
+  } catch (error) {
+    sendSharingError(res, error, 'Failed to accept invite');
+  }
+});
+
+// Groups of users to share books with
+app.get('/api/groups', requireAuth, async (req, res) => {
+  try {
+    res.json(await listGroups(req.user));
+  } catch (error) {
+    sendSharingError(res, error, 'Failed to fetch groups');
+  }
+});
+
+app.post('/api/groups', requireAuth, async (req, res) => {
+  try {
+    res.status(201).json(await createGroup(req.user, req.body?.name));
+  } catch (error) {
+    sendSharingError(res, error, 'Failed to create group');
+  }
+});
+
+app.delete('/api/groups/:groupId', requireAuth, async (req, res) => {
+  try {
+    const group = await getOwnedGroup(req.params.groupId, req.user);
+    await dbHelpers.deleteGroup(group.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendSharingError(res, error, 'Failed to delete group');
+  }
+});
+
+app.post('/api/groups/:groupId/members', requireAuth, async (req, res) => {
+  try {
+    const group = await getOwnedGroup(req.params.groupId, req.user);
+    res.status(201).json(await addGroupMember(group, req.body?.username));
+  } catch (error) {
+    sendSharingError(res, error, 'Failed to add group member');
+  }
+});
+
+// The group owner can remove members; members can remove themselves to leave
+app.delete('/api/groups/:groupId/members/:userId', requireAuth, async (req, res) => {
+  try {
+    const leaving = parseInt(req.params.userId) === req.user.id;
+    const group = leaving
+      ? await dbHelpers.getGroupById(req.params.groupId)
+      : await getOwnedGroup(req.params.groupId, req.user);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    await removeGroupMember(group, req.params.userId);
+    res.json({ success: true });
+  } catch (error) {
+    sendSharingError(res, error, 'Failed to remove group member');
+  }
+});
+
 // Get pages for a book
-app.get('/api/books/:id/pages', async (req, res) => {
+app.get('/api/books/:id/pages', requireAuth, requireBookAccess(bookFromParam('id')), async (req, res) => {
   try {
     const pages = await dbHelpers.getBookPages(req.params.id);
     res.json(pages);
@@ -209,36 +505,58 @@ app.get('/api/books/:id/pages', async (req, res) => {
   }
 });
 
-// Upload page image (from mobile)
-app.post('/api/sessions/:sessionId/pages', upload.single('image'), async (req, res) => {
+// Exchange the one-time token from the QR code for an upload token (from mobile)
+app.post('/api/sessions/:sessionId/claim', async (req, res) => {
   try {
-    const session = await dbHelpers.getScanningSession(req.params.sessionId);
-    if (!session) {
-      return res.status(404).json({ error: 'Invalid or expired session' });
-    }
+    const { uploadToken, expiresAt } = await claimScanningSession(req.params.sessionId, req.body?.token);
+    res.json({ uploadToken, expiresAt });
+  } catch (error) {
+    if (sendSessionError(res, error)) return;
+    console.error('Error claiming session:', error);
+    res.status(500).json({ error: 'Failed to claim session' });
+  }
+});
 
-    // Generate unique filename
-    const fileExtension = path.extname(req.file.originalname);
-    const uniqueFilename = `${Date.now()}-${Math.round(Math.random() * 1E9)}${fileExtension}`;
+// Upload page image (from mobile); requires the X-Upload-Token header
+app.post('/api/sessions/:sessionId/pages', requireUploadToken, upload.single('image'), async (req, res) => {
+  try {
+    const session = req.scanningSession;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image uploaded' });
+    }
 
-    // Upload file using Replit Object Storage
-    console.log(`📁 Processing upload: ${uniqueFilename}, size: ${req.file.buffer.length} bytes, mimetype: ${req.file.mimetype}`);
     console.log(`📄 Buffer info: isBuffer=${Buffer.isBuffer(req.file.buffer)}, constructor=${req.file.buffer.constructor.name}`);
-    
-    const imageUrl = await objectStorageService.uploadFile(req.file.buffer, uniqueFilename, req.file.mimetype);
-    console.log('✅ File uploaded to Replit Object Storage:', imageUrl);
 
     // Handle both field names (bookId from schema, book_id from database)
     const bookId = session.bookId || session.book_id;
-    const existingPages = await dbHelpers.getBookPages(bookId);
-    const pageNumber = existingPages.length + 1;
+    const book = await dbHelpers.getBookById(bookId);
+
+    // Upload file to object storage
+    const imageUrl = await uploadBookImage(req.file, book);
+    console.log('✅ File uploaded to object storage:', imageUrl);
+
+    // After the last page; numbered in the same transaction as other page changes
+    let pageId;
+    try {
+      pageId = await insertPage(bookId, imageUrl);
+    } catch (error) {
+      await deleteUnusedImage(imageUrl);
+      throw error;
+    }
+    const { pageNumber } = await dbHelpers.getPageById(pageId);
 
-    await dbHelpers.addPage(bookId, pageNumber, imageUrl);
+    await publishEvent(bookId, EventType.PAGE_ADDED, { pageId, pageNumber, imagePath: imageUrl }, session.id);
+
+    // Detect text (and pre-generate audio) in the background
+    const job = await enqueuePageDetection(pageId, bookId, imageUrl);
 
     res.json({
       success: true,
+      pageId,
       pageNumber,
-      imagePath: imageUrl
+      imagePath: imageUrl,
+      jobId: job.id
     });
   } catch (error) {
     console.error('Error uploading page:', error);
@@ -246,136 +564,81 @@ app.post('/api/sessions/:sessionId/pages', upload.single('image'), async (req, r
   }
 });
 
-// Complete book scanning and process with AI
-app.post('/api/sessions/:sessionId/complete', async (req, res) => {
+// Complete book scanning; AI processing runs as a background job
+app.post('/api/sessions/:sessionId/complete', requireAuth, requireBookAccess(bookOfScanningSession('sessionId'), 'Session not found', BookRole.EDITOR), async (req, res) => {
   try {
     const session = await dbHelpers.getScanningSession(req.params.sessionId);
     if (!session) {
-      return res.status(404).json({ error: 'Invalid or expired session' });
+      return res.status(404).json({ error: 'Invalid or expired session', code: SessionErrorCode.NOT_FOUND });
+    }
+
+    // Expired or closed sessions can still be completed; revoked and completed ones cannot
+    const state = sessionState(session);
+    if (state === 'revoked' || state === 'completed') {
+      return sendSessionError(res, sessionStateError(state));
     }
 
-    // Get first page for AI processing
     const bookId = session.bookId || session.book_id;
     const pages = await dbHelpers.getBookPages(bookId);
     if (pages.length === 0) {
       return res.status(400).json({ error: 'No pages uploaded' });
     }
 
-    if (!openai) {
-      // If OpenAI is not configured, use default values
-      await dbHelpers.updateBook(bookId, {
-        title: 'Scanned Book',
-        category: 'General',
-        cover: pages[0]?.imagePath || pages[0]?.image_path,
-        status: 'completed'
-      });
-
-      await dbHelpers.closeScanningSession(req.params.sessionId);
-
-      return res.json({
-        success: true,
-        bookId: bookId,
-        suggestions: { title: 'Scanned Book', category: 'General' }
-      });
-    }
+    // Stop accepting uploads while the book is being processed
+    await dbHelpers.closeScanningSession(req.params.sessionId, 'closed');
 
-    // Process first page with OpenAI if available
-    try {
-      let imageBuffer;
-      
-      // Handle both field names (imagePath from schema, image_path from database)
-      const firstPageImagePath = pages[0]?.imagePath || pages[0]?.image_path;
-      
-      if (firstPageImagePath && (firstPageImagePath.startsWith('/objects/') || firstPageImagePath.startsWith('uploads/'))) {
-        // Image is stored in Object Storage (R2 or Replit)
-        let objectKey;
-        if (firstPageImagePath.startsWith('/objects/')) {
-          objectKey = firstPageImagePath.replace('/objects/', '');
-        } else {
-          objectKey = firstPageImagePath; // Already in format "uploads/filename"
-        }
-        
-        console.log(`🔍 Downloading image for AI analysis: ${objectKey}`);
-        imageBuffer = await objectStorageService.downloadBytes(objectKey);
-      } else if (firstPageImagePath) {
-        // Legacy: Image might be stored on filesystem (for development)
-        const imagePath = path.join(__dirname, '..', firstPageImagePath);
-        imageBuffer = fs.readFileSync(imagePath);
-      } else {
-        throw new Error('No valid image path found for first page');
-      }
-      
-      const base64Image = imageBuffer.toString('base64');
-
-      const response = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "user",
-          content: [
-            {
-              type: "text",
-              text: "Look at this book page image carefully and extract comprehensive information. Extract the book title, determine up to 3 relevant categories, and generate 8-12 descriptive keywords with emojis. If you can see a clear title, use it. If unclear, suggest a descriptive title based on content. \n\nCategories to choose from: Fiction, Non-Fiction, Education, Science, History, Biography, Children, General\n\nFor keywords, include:\n- Language (🇬🇧 English, 🇸🇪 Swedish, etc.)\n- Topic/Subject (📚 Literature, 🔬 Science, etc.)\n- Level/Audience (👶 Children, 🎓 Academic, etc.)\n- Content type (📖 Book, 📋 Certificate, etc.)\n\nRespond only in strict JSON format:\n{\n  \"title\": \"Book Title Here\",\n  \"category\": \"Primary Category\",\n  \"categories\": [\"Category1\", \"Category2\", \"Category3\"],\n  \"keywords\": [\n    {\"label\": \"Keyword\", \"emoji\": \"🔤\", \"group\": \"language|topic|level|content\"},\n    {\"label\": \"Another\", \"emoji\": \"📚\", \"group\": \"topic\"}\n  ]\n}"
-            },
-            {
-              type: "image_url",
-              image_url: {
-                url: `data:image/jpeg;base64,${base64Image}`
-              }
-            }
-          ]
-        }
-      ],
-        max_tokens: 300
-      });
-
-      let aiSuggestions = {
-        title: "Unknown Book",
-        category: "General"
-      };
-
-      try {
-        const content = response.choices[0].message.content;
-        const jsonMatch = content.match(/\{.*\}/s);
-        if (jsonMatch) {
-          aiSuggestions = JSON.parse(jsonMatch[0]);
-        }
-      } catch (parseError) {
-        console.error('Error parsing AI response:', parseError);
-      }
+    const job = await enqueueSessionCompletion(req.params.sessionId, bookId);
 
-      // Update book with AI suggestions and set first page as cover
-      await dbHelpers.updateBook(bookId, {
-        title: aiSuggestions.title,
-        category: aiSuggestions.category,
-        cover: firstPageImagePath,
-        status: 'completed'
-      });
-
-      // Close scanning session
-      await dbHelpers.closeScanningSession(req.params.sessionId);
-
-      res.json({
-        success: true,
-        bookId: bookId,
-        suggestions: aiSuggestions
-      });
-    } catch (error) {
-      console.error('Error completing book scan:', error);
-      res.status(500).json({ error: 'Failed to complete book processing' });
-    }
+    res.status(202).json({
+      success: true,
+      bookId: bookId,
+      jobId: job.id
+    });
   } catch (error) {
     console.error('Error completing book scan:', error);
     res.status(500).json({ error: 'Failed to complete book processing' });
   }
 });
 
-// Get session status (for real-time updates)
-app.get('/api/sessions/:sessionId/status', async (req, res) => {
+// Stop accepting uploads for a session (e.g. the desktop left the scanning screen)
+app.post('/api/sessions/:sessionId/close', requireAuth, requireBookAccess(bookOfScanningSession('sessionId'), 'Session not found', BookRole.EDITOR), async (req, res) => {
+  await endScanningSession(req, res, 'closed');
+});
+
+// Invalidate the QR code and upload token of a session
+app.post('/api/sessions/:sessionId/revoke', requireAuth, requireBookAccess(bookOfScanningSession('sessionId'), 'Session not found', BookRole.EDITOR), async (req, res) => {
+  await endScanningSession(req, res, 'revoked');
+});
+
+async function endScanningSession(req, res, status) {
   try {
     const session = await dbHelpers.getScanningSession(req.params.sessionId);
     if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
+      return res.status(404).json({ error: 'Session not found', code: SessionErrorCode.NOT_FOUND });
+    }
+
+    if (sessionState(session) === 'completed') {
+      return sendSessionError(res, sessionStateError('completed'));
+    }
+
+    await dbHelpers.closeScanningSession(session.id, status);
+
+    const bookId = session.bookId || session.book_id;
+    await publishEvent(bookId, EventType.SESSION_CLOSED, { status }, session.id);
+
+    res.json({ success: true, sessionId: session.id, status });
+  } catch (error) {
+    console.error(`Error setting session ${status}:`, error);
+    res.status(500).json({ error: 'Failed to update session' });
+  }
+}
+
+// Get session status (live updates are pushed over /ws/sessions/:sessionId, see realtime.js)
+app.get('/api/sessions/:sessionId/status', requireAuth, requireBookAccess(bookOfScanningSession('sessionId'), 'Session not found'), async (req, res) => {
+  try {
+    const session = await dbHelpers.getScanningSession(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found', code: SessionErrorCode.NOT_FOUND });
     }
 
     // Fix: Use correct field name and add validation
@@ -390,7 +653,8 @@ app.get('/api/sessions/:sessionId/status', async (req, res) => {
     res.json({
       sessionId: req.params.sessionId,
       bookId: bookId,
-      status: session.status,
+      status: sessionState(session),
+      expiresAt: sessionExpiresAt(session),
       pageCount: pages.length,
       pages
     });
@@ -400,10 +664,92 @@ app.get('/api/sessions/:sessionId/status', async (req, res) => {
   }
 });
 
+function sendPageError(res, error, message) {
+  if (error.name === 'PageError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+// Pages and chapters after a page change, for the response and for other viewers
+async function pagesChanged(bookId, change) {
+  const [pages, chapters] = await Promise.all([
+    dbHelpers.getBookPages(bookId),
+    dbHelpers.getBookChapters(bookId)
+  ]);
+  await publishEvent(bookId, EventType.PAGES_CHANGED, { ...change, pageCount: pages.length });
+  return { pages, chapters };
+}
+
+// Add a page from an image uploaded in the browser (multipart field "image"), at
+// position (counting from 1) or after the last page
+app.post('/api/books/:id/pages', requireAuth, requireBookAccess(bookFromParam('id'), 'Book not found', BookRole.EDITOR), upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image uploaded' });
+    }
+    const imagePath = await uploadBookImage(req.file, req.book);
+    let pageId;
+    try {
+      pageId = await insertPage(req.book.id, imagePath, req.body.position);
+    } catch (error) {
+      await deleteUnusedImage(imagePath);
+      throw error;
+    }
+
+    const job = await enqueuePageDetection(pageId, req.book.id, imagePath);
+    res.json({ pageId, jobId: job.id, ...await pagesChanged(req.book.id, { action: 'inserted', pageId }) });
+  } catch (error) {
+    sendPageError(res, error, 'Failed to add page');
+  }
+});
+
+// Move a page. Body: { position } counting from 1
+app.post('/api/pages/:pageId/move', requireAuth, requireBookAccess(bookOfPage('pageId'), 'Page not found', BookRole.EDITOR), async (req, res) => {
+  try {
+    const page = await dbHelpers.getPageById(req.params.pageId);
+    await movePage(page, req.body.position);
+    res.json(await pagesChanged(page.bookId, { action: 'moved', pageId: page.id }));
+  } catch (error) {
+    sendPageError(res, error, 'Failed to move page');
+  }
+});
+
+// Re-shoot a page (multipart field "image"). Its text blocks and their speech are
+// dropped and text detection runs again.
+app.put('/api/pages/:pageId/image', requireAuth, requireBookAccess(bookOfPage('pageId'), 'Page not found', BookRole.EDITOR), upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image uploaded' });
+    }
+    const page = await dbHelpers.getPageById(req.params.pageId);
+    const imagePath = await uploadBookImage(req.file, req.book);
+    await replacePageImage(page, imagePath);
+    await deleteUnusedImage(page.imagePath);
+
+    const job = await enqueuePageDetection(page.id, page.bookId, imagePath);
+    res.json({ pageId: page.id, jobId: job.id, ...await pagesChanged(page.bookId, { action: 'replaced', pageId: page.id }) });
+  } catch (error) {
+    sendPageError(res, error, 'Failed to replace page image');
+  }
+});
+
+app.delete('/api/pages/:pageId', requireAuth, requireBookAccess(bookOfPage('pageId'), 'Page not found', BookRole.EDITOR), async (req, res) => {
+  try {
+    const page = await dbHelpers.getPageById(req.params.pageId);
+    await deletePage(page);
+    await deleteUnusedImage(page.imagePath);
+    res.json(await pagesChanged(page.bookId, { action: 'deleted', pageId: page.id }));
+  } catch (error) {
+    sendPageError(res, error, 'Failed to delete page');
+  }
+});
+
 // Get text blocks for a page
-app.get('/api/pages/:pageId/textblocks', async (req, res) => {
+app.get('/api/pages/:pageId/textblocks', requireAuth, requireBookAccess(bookOfPage('pageId'), 'Page not found'), async (req, res) => {
   try {
-    const textBlocks = await dbHelpers.getTextBlocks(req.params.pageId);
+    const textBlocks = await getOrderedTextBlocks(req.params.pageId);
     res.json(textBlocks);
   } catch (error) {
     console.error('Error fetching text blocks:', error);
@@ -412,27 +758,23 @@ app.get('/api/pages/:pageId/textblocks', async (req, res) => {
 });
 
 // Create text blocks for a page
-app.post('/api/pages/:pageId/textblocks', async (req, res) => {
+app.post('/api/pages/:pageId/textblocks', requireAuth, requireBookAccess(bookOfPage('pageId'), 'Page not found', BookRole.EDITOR), async (req, res) => {
   try {
     const { blocks } = req.body;
 
     // First, clear any existing text blocks for this page
-    await new Promise((resolve, reject) => {
-      db.run('DELETE FROM text_blocks WHERE page_id = ?', [req.params.pageId], (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+    await dbHelpers.clearTextBlocks(req.params.pageId);
 
     const createdBlocks = [];
 
-    for (const block of blocks) {
+    for (const [readingOrder, block] of orderBlocks(blocks).entries()) {
       const blockId = await dbHelpers.createTextBlock(
         req.params.pageId,
         block.x,
         block.y,
         block.width,
-        block.height
+        block.height,
+        readingOrder
       );
       createdBlocks.push(blockId);
     }
@@ -447,330 +789,87 @@ app.post('/api/pages/:pageId/textblocks', async (req, res) => {
   }
 });
 
-// Detect text blocks using Google Cloud Vision API (preferred) or OpenAI (fallback)
-app.post('/api/pages/:pageId/detect-text-blocks', async (req, res) => {
-  try {
-    const pageId = req.params.pageId;
+function sendTextBlockError(res, error, message) {
+  if (error.name === 'TextBlockError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
 
-    // Get page info
-    const page = await dbHelpers.getPageById(pageId);
+// Merge text blocks of a page into one. Body: { blockIds: [...] }
+app.post('/api/pages/:pageId/textblocks/merge', requireAuth, requireBookAccess(bookOfPage('pageId'), 'Page not found', BookRole.EDITOR), async (req, res) => {
+  try {
+    res.json(await mergeTextBlocks(parseInt(req.params.pageId), req.body?.blockIds));
+  } catch (error) {
+    sendTextBlockError(res, error, 'Failed to merge text blocks');
+  }
+});
 
-    if (!page) {
-      return res.status(404).json({ error: 'Page not found' });
-    }
+// Reorder the text blocks of a page by hand. Body: { blockIds } with every block of the page
+app.put('/api/pages/:pageId/reading-order', requireAuth, requireBookAccess(bookOfPage('pageId'), 'Page not found', BookRole.EDITOR), async (req, res) => {
+  try {
+    res.json(await setReadingOrder(parseInt(req.params.pageId), req.body?.blockIds));
+  } catch (error) {
+    sendTextBlockError(res, error, 'Failed to reorder text blocks');
+  }
+});
 
-    // Load the page image and get actual dimensions first
-    let imageBuffer;
-    
-    // Handle both field names and path formats
-    const pageImagePath = page.imagePath || page.image_path;
-    
-    if (pageImagePath && (pageImagePath.startsWith('/objects/') || pageImagePath.startsWith('uploads/'))) {
-      // Image is stored in Object Storage (R2 or Replit)
-      let objectKey;
-      if (pageImagePath.startsWith('/objects/')) {
-        objectKey = pageImagePath.replace('/objects/', '');
-      } else {
-        objectKey = pageImagePath; // Already in format "uploads/filename"
-      }
-      
-      console.log(`🔍 Downloading image for text detection: ${objectKey}`);
-      imageBuffer = await objectStorageService.downloadBytes(objectKey);
-    } else if (pageImagePath) {
-      // Legacy: Image might be stored on filesystem (for development)
-      const imagePath = path.join(__dirname, '..', pageImagePath);
-      imageBuffer = fs.readFileSync(imagePath);
-    } else {
-      throw new Error('No valid image path found for page');
-    }
+// Go back to the reading order found by layout analysis
+app.delete('/api/pages/:pageId/reading-order', requireAuth, requireBookAccess(bookOfPage('pageId'), 'Page not found', BookRole.EDITOR), async (req, res) => {
+  try {
+    res.json(await detectReadingOrder(parseInt(req.params.pageId)));
+  } catch (error) {
+    sendTextBlockError(res, error, 'Failed to detect reading order');
+  }
+});
 
-    // Get actual image dimensions using image-size library
-    const sizeOf = await import('image-size');
-    const actualImageDimensions = sizeOf.imageSize(imageBuffer);
+// Correct the text of a text block, or move and resize it. Body: { text?, x?, y?, width?, height? }
+app.patch('/api/textblocks/:blockId', requireAuth, requireBookAccess(bookOfTextBlock('blockId'), 'Text block not found', BookRole.EDITOR), async (req, res) => {
+  try {
+    const textBlock = await dbHelpers.getTextBlockById(req.params.blockId);
+    res.json(await editTextBlock(textBlock, req.body || {}));
+  } catch (error) {
+    sendTextBlockError(res, error, 'Failed to update text block');
+  }
+});
 
-    console.log('Actual image dimensions:', actualImageDimensions);
+app.delete('/api/textblocks/:blockId', requireAuth, requireBookAccess(bookOfTextBlock('blockId'), 'Text block not found', BookRole.EDITOR), async (req, res) => {
+  try {
+    await dbHelpers.deleteTextBlock(req.params.blockId);
+    res.json({ success: true });
+  } catch (error) {
+    sendTextBlockError(res, error, 'Failed to delete text block');
+  }
+});
 
-    let detectedBlocks = [];
+// Split a text block in two. Body: { direction?: 'horizontal' | 'vertical', at?: 0..1, texts?: [first, second] }
+app.post('/api/textblocks/:blockId/split', requireAuth, requireBookAccess(bookOfTextBlock('blockId'), 'Text block not found', BookRole.EDITOR), async (req, res) => {
+  try {
+    const textBlock = await dbHelpers.getTextBlockById(req.params.blockId);
+    res.json({ blocks: await splitTextBlock(textBlock, req.body || {}) });
+  } catch (error) {
+    sendTextBlockError(res, error, 'Failed to split text block');
+  }
+});
 
-    // Use Google Cloud Vision API if available (preferred for accuracy)
-    if (visionApiKey) {
-      console.log('🔥 Using Google Cloud Vision API for text detection');
-      
-      try {
-        // Use REST API for document text detection
-        const base64Image = imageBuffer.toString('base64');
-        
-        const requestBody = {
-          requests: [{
-            image: { content: base64Image },
-            features: [{ type: 'DOCUMENT_TEXT_DETECTION' }]
-          }]
-        };
-        
-        const response = await fetch(`https://vision.googleapis.com/v1/images:annotate?key=${visionApiKey}`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(requestBody)
-        });
-        
-        if (!response.ok) {
-          throw new Error(`Vision API error: ${response.status} ${response.statusText}`);
-        }
-        
-        const visionResult = await response.json();
-        const annotation = visionResult.responses[0];
-        
-        if (annotation.error) {
-          throw new Error(`Vision API error: ${annotation.error.message}`);
-        }
-        
-        const fullTextAnnotation = annotation.fullTextAnnotation;
-        
-        if (fullTextAnnotation && fullTextAnnotation.pages && fullTextAnnotation.pages.length > 0) {
-          console.log('📄 Processing document structure from Google Cloud Vision');
-          
-          const page = fullTextAnnotation.pages[0];
-          detectedBlocks = [];
-          
-          // Process each block (which represents meaningful text regions)
-          for (const block of page.blocks || []) {
-            if (!block.paragraphs || block.paragraphs.length === 0) continue;
-            
-            // Group paragraphs in the same block
-            const blockTexts = [];
-            let minX = Infinity, minY = Infinity, maxX = 0, maxY = 0;
-            let totalConfidence = 0, totalWords = 0;
-            
-            for (const paragraph of block.paragraphs) {
-              if (!paragraph.words || paragraph.words.length === 0) continue;
-              
-              // Extract text from words with proper spacing
-              const paragraphText = paragraph.words.map(word => {
-                const wordText = word.symbols.map(symbol => symbol.text).join('');
-                
-                // Track bounding box
-                if (word.boundingBox && word.boundingBox.vertices) {
-                  const vertices = word.boundingBox.vertices;
-                  const x = Math.min(...vertices.map(v => v.x || 0));
-                  const y = Math.min(...vertices.map(v => v.y || 0));
-                  const maxXWord = Math.max(...vertices.map(v => v.x || 0));
-                  const maxYWord = Math.max(...vertices.map(v => v.y || 0));
-                  
-                  minX = Math.min(minX, x);
-                  minY = Math.min(minY, y);
-                  maxX = Math.max(maxX, maxXWord);
-                  maxY = Math.max(maxY, maxYWord);
-                }
-                
-                // Track confidence
-                if (word.confidence) {
-                  totalConfidence += word.confidence;
-                  totalWords++;
-                }
-                
-                return wordText;
-              }).join(' '); // Add space between words
-              
-              if (paragraphText.trim().length > 0) {
-                blockTexts.push(paragraphText.trim());
-              }
-            }
-            
-            // Create text block if we have content
-            if (blockTexts.length > 0 && minX !== Infinity) {
-              const text = blockTexts.join(' ').trim();
-              
-              // Only include blocks with meaningful content (at least 3 characters)
-              if (text.length >= 3) {
-                detectedBlocks.push({
-                  text: text,
-                  x: minX,
-                  y: minY,
-                  width: maxX - minX,
-                  height: maxY - minY,
-                  confidence: totalWords > 0 ? totalConfidence / totalWords : 0.9
-                });
-              }
-            }
-          }
-        }
-        
-        // Transform coordinates for rotated images to match frontend display
-        if (actualImageDimensions.orientation && detectedBlocks.length > 0) {
-          console.log(`🔄 Transforming coordinates for orientation: ${actualImageDimensions.orientation}`);
-          
-          detectedBlocks = detectedBlocks.map(block => {
-            let transformedX = block.x;
-            let transformedY = block.y;
-            let transformedWidth = block.width;
-            let transformedHeight = block.height;
-            
-            // Handle EXIF orientation transformations to match browser display
-            switch (actualImageDimensions.orientation) {
-              case 6: // 90 degrees clockwise - displayed image is 3024w x 4032h
-                transformedX = actualImageDimensions.height - (block.y + block.height);
-                transformedY = block.x;
-                transformedWidth = block.height;
-                transformedHeight = block.width;
-                break;
-              case 8: // 90 degrees counter-clockwise
-                transformedX = actualImageDimensions.height - (block.y + block.height);
-                transformedY = block.x;
-                transformedWidth = block.height;
-                transformedHeight = block.width;
-                break;
-              case 3: // 180 degrees
-                transformedX = actualImageDimensions.width - (block.x + block.width);
-                transformedY = actualImageDimensions.height - (block.y + block.height);
-                break;
-              // Orientation 1 (no rotation) uses original coordinates
-            }
-            
-            return {
-              ...block,
-              x: transformedX,
-              y: transformedY,
-              width: transformedWidth,
-              height: transformedHeight
-            };
-          });
-        }
-        
-        console.log('Google Cloud Vision detected text blocks (after coordinate transformation):', detectedBlocks);
-        
-      } catch (visionError) {
-        console.error('Google Cloud Vision API error:', visionError);
-        console.log('Falling back to OpenAI...');
-        // Fall through to OpenAI fallback
-      }
-    }
-    
-    // Fallback to OpenAI if Google Cloud Vision is not available or failed
-    if (detectedBlocks.length === 0 && openai) {
-      console.log('🤖 Using OpenAI for text detection (fallback)');
-      
-      const base64Image = imageBuffer.toString('base64');
-      
-      const response = await openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: `Analyze this book page image and identify all text regions. This image is exactly ${actualImageDimensions.width}x${actualImageDimensions.height} pixels.
-
-For each text block (paragraph, heading, or distinct text area), provide:
-1. The text content
-2. Precise bounding box coordinates (x, y, width, height) in pixels from the top-left corner
-3. A confidence score
-
-IMPORTANT: Use the exact image dimensions I provided (${actualImageDimensions.width}x${actualImageDimensions.height}) for your coordinate calculations.
-
-Return the results in JSON format:
-{
-  "textBlocks": [
-    {
-      "text": "actual text content",
-      "x": pixel_x_coordinate,
-      "y": pixel_y_coordinate,
-      "width": pixel_width,
-      "height": pixel_height,
-      "confidence": confidence_score_0_to_1
-    }
-  ]
-}
+// Detect text blocks using the configured OCR provider chain (see server/ocr)
+// Detection runs as a background job; poll /api/jobs/:jobId for the blocks
+app.post('/api/pages/:pageId/detect-text-blocks', requireAuth, requireBookAccess(bookOfPage('pageId'), 'Page not found', BookRole.EDITOR), async (req, res) => {
+  try {
+    const page = await dbHelpers.getPageById(req.params.pageId);
 
-Focus on grouping text into meaningful blocks (complete sentences/paragraphs) rather than individual words. Be precise with coordinates using the ${actualImageDimensions.width}x${actualImageDimensions.height} pixel coordinate system.`
-              },
-              {
-                type: "image_url",
-                image_url: {
-                  url: `data:image/jpeg;base64,${base64Image}`
-                }
-              }
-            ]
-          }
-        ],
-        max_tokens: 1500
-      });
-
-      let aiResult = {
-        textBlocks: []
-      };
-
-      try {
-        const content = response.choices[0].message.content;
-        console.log('Raw OpenAI response:', content);
-        
-        // First try to extract JSON from markdown code blocks
-        let jsonString = content;
-        const codeBlockMatch = content.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-        if (codeBlockMatch) {
-          jsonString = codeBlockMatch[1];
-        } else {
-          // Fallback: find JSON object directly
-          const jsonMatch = content.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            jsonString = jsonMatch[0];
-          }
-        }
-        
-        console.log('Extracted JSON string:', jsonString.substring(0, 200) + '...');
-        aiResult = JSON.parse(jsonString);
-        
-        detectedBlocks = aiResult.textBlocks || [];
-        console.log('OpenAI detected text blocks:', detectedBlocks);
-        
-      } catch (parseError) {
-        console.error('Error parsing AI response:', parseError);
-        console.error('Failed content snippet:', response.choices[0].message.content.substring(0, 200));
-      }
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
     }
 
-    // Clear existing text blocks for this page
-    await dbHelpers.clearTextBlocks(pageId);
+    const job = await enqueuePageDetection(page.id, page.bookId, page.imagePath);
 
-    const createdBlocks = [];
-
-    // Save detected blocks to database
-    if (detectedBlocks && detectedBlocks.length > 0) {
-      for (const block of detectedBlocks) {
-        console.log('Block to save:', block);
-
-        const blockId = await dbHelpers.createTextBlock(
-          pageId,
-          Math.round(block.x),
-          Math.round(block.y),
-          Math.round(block.width),
-          Math.round(block.height)
-        );
-
-        // Update the text block with the detected text immediately
-        await dbHelpers.updateTextBlock(blockId, block.text, block.confidence || 0.9);
-
-        createdBlocks.push({
-          id: blockId,
-          text: block.text,
-          confidence: block.confidence,
-          x: Math.round(block.x),
-          y: Math.round(block.y),
-          width: Math.round(block.width),
-          height: Math.round(block.height)
-        });
-      }
-    }
-
-    res.json({
+    res.status(202).json({
       success: true,
-      blocks: createdBlocks,
-      totalBlocks: createdBlocks.length,
-      usedGoogleVision: Boolean(visionApiKey && detectedBlocks.length > 0)
+      jobId: job.id,
+      status: job.status
     });
-
   } catch (error) {
     console.error('Error detecting text blocks:', error);
     res.status(500).json({ error: 'Failed to detect text blocks' });
@@ -778,7 +877,7 @@ Focus on grouping text into meaningful blocks (complete sentences/paragraphs) ra
 });
 
 // Process text block with OCR (now simplified since text is already extracted)
-app.post('/api/textblocks/:blockId/process', async (req, res) => {
+app.post('/api/textblocks/:blockId/process', requireAuth, requireBookAccess(bookOfTextBlock('blockId'), 'Text block not found'), async (req, res) => {
   try {
     const textBlock = await dbHelpers.getTextBlockById(req.params.blockId);
 
@@ -800,7 +899,7 @@ app.post('/api/textblocks/:blockId/process', async (req, res) => {
 });
 
 // Delete a specific book
-app.delete('/api/books/:id', async (req, res) => {
+app.delete('/api/books/:id', requireAuth, requireBookAccess(bookFromParam('id'), 'Book not found', BookRole.OWNER), async (req, res) => {
   try {
     const bookId = req.params.id;
 
@@ -812,30 +911,23 @@ app.delete('/api/books/:id', async (req, res) => {
       // Handle both field names and null checks
       const pageImagePath = page.imagePath || page.image_path;
       
-      if (pageImagePath && pageImagePath.startsWith('/objects/')) {
-        // Delete from Replit Object Storage
-        const objectKey = pageImagePath.replace('/objects/', '');
-        try {
-          await objectStorageService.deleteObject(objectKey);
-        } catch (fileError) {
-          console.warn(`Could not delete object storage file: ${objectKey}`, fileError);
-        }
-      } else if (pageImagePath) {
-        // Legacy: Delete from local filesystem
-        const imagePath = path.join(__dirname, '..', pageImagePath);
-        try {
-          if (fs.existsSync(imagePath)) {
-            fs.unlinkSync(imagePath);
-          }
-        } catch (fileError) {
-          console.warn(`Could not delete local file: ${imagePath}`, fileError);
-        }
+      const objectKey = objectKeyFromPath(pageImagePath);
+      if (objectKey) {
+        await objectStorageService.deleteObject(objectKey);
+      }
+    }
+
+    // A cover uploaded on its own is not among the page images
+    const book = req.book;
+    if (book.cover && !pages.some(page => page.imagePath === book.cover)) {
+      const coverKey = objectKeyFromPath(book.cover);
+      if (coverKey) {
+        await objectStorageService.deleteObject(coverKey);
       }
     }
 
     // Database will cascade delete pages, text_blocks, and scanning_sessions
-    const result = await db.delete(books).where(eq(books.id, parseInt(bookId)));
-    const changes = result.rowCount || 0;
+    const changes = await dbHelpers.deleteBooks([parseInt(bookId)]);
 
     if (changes === 0) {
       return res.status(404).json({ error: 'Book not found' });
@@ -851,35 +943,15 @@ app.delete('/api/books/:id', async (req, res) => {
   }
 });
 
-// Clean up empty books endpoint
-app.delete('/api/books/cleanup', async (req, res) => {
-  try {
-    const deletedCount = await dbHelpers.cleanupEmptyBooks();
-    res.json({
-      success: true,
-      message: `Cleaned up ${deletedCount} empty books`
-    });
-  } catch (error) {
-    console.error('Error cleaning up books:', error);
-    res.status(500).json({ error: 'Failed to cleanup books' });
-  }
-});
-
 // Text-to-speech with timestamps endpoint
-app.post('/api/textblocks/:blockId/speak', async (req, res) => {
+// Returns cached audio right away; otherwise queues generation and answers 202 with the job
+app.post('/api/textblocks/:blockId/speak', requireAuth, requireBookAccess(bookOfTextBlock('blockId'), 'Text block not found'), async (req, res) => {
   try {
     const blockId = req.params.blockId;
     console.log('🎵 TTS ENDPOINT CALLED for block:', blockId);
 
     // Get text block from database using Drizzle ORM
     const textBlock = await dbHelpers.getTextBlockById(blockId);
-    console.log('📖 Retrieved text block:', {
-      id: textBlock?.id,
-      hasOcrText: !!textBlock?.ocrText,
-      hasAudioUrl: !!textBlock?.audioUrl,
-      hasAlignmentData: !!textBlock?.alignmentData,
-      status: textBlock?.status
-    });
 
     if (!textBlock || !textBlock.ocrText) {
       console.log('❌ Text block not found or no text available');
@@ -887,158 +959,173 @@ app.post('/api/textblocks/:blockId/speak', async (req, res) => {
     }
 
     // Check if we already have cached audio for this text block
-    if (textBlock.audioUrl) {
-      console.log('♻️ Using cached audio for text block:', blockId, 'URL:', textBlock.audioUrl);
-
-      // For R2 stored files, load alignment data from R2 as well
-      if (textBlock.audioUrl.startsWith('/objects/')) {
-        console.log('✅ Using R2 cached audio and alignment data');
-
-        // Load alignment data from R2 using content UUID
-        const contentUuid = generateContentUUID(textBlock.ocrText);
-        const alignmentFileName = `alignment/tts_content_${contentUuid}_alignment.json`;
-        const normalizedAlignmentFileName = `alignment/tts_content_${contentUuid}_normalized.json`;
-
-        try {
-          // Download alignment data from R2
-          const alignmentKey = `uploads/${alignmentFileName}`;
-          const normalizedAlignmentKey = `uploads/${normalizedAlignmentFileName}`;
-
-          const [alignmentBytes, normalizedAlignmentBytes] = await Promise.allSettled([
-            objectStorageService.downloadBytes(alignmentKey),
-            objectStorageService.downloadBytes(normalizedAlignmentKey)
-          ]);
-
-          const alignment = alignmentBytes.status === 'fulfilled' ?
-            JSON.parse(alignmentBytes.value.toString()) : null;
-          const normalizedAlignment = normalizedAlignmentBytes.status === 'fulfilled' ?
-            JSON.parse(normalizedAlignmentBytes.value.toString()) : null;
-
-          return res.json({
-            success: true,
-            audio_url: textBlock.audioUrl,
-            text: textBlock.ocrText,
-            alignment: alignment,
-            normalized_alignment: normalizedAlignment
-          });
-        } catch (error) {
-          console.warn('⚠️ Could not load alignment data from R2, falling back to database:', error);
-          // Fall back to database if R2 alignment files don't exist
-          return res.json({
-            success: true,
-            audio_url: textBlock.audioUrl,
-            text: textBlock.ocrText,
-            alignment: textBlock.alignmentData ? JSON.parse(textBlock.alignmentData) : null,
-            normalized_alignment: textBlock.normalizedAlignmentData ? JSON.parse(textBlock.normalizedAlignmentData) : null
-          });
-        }
-      } else {
-        // For legacy local files, check if they exist
-        const audioPath = path.join(__dirname, 'public', textBlock.audioUrl);
-        if (fs.existsSync(audioPath)) {
-          console.log('✅ Legacy cached audio file exists, returning cached result');
-          return res.json({
-            success: true,
-            audio_url: textBlock.audioUrl,
-            text: textBlock.ocrText,
-            alignment: JSON.parse(textBlock.alignmentData),
-            normalized_alignment: textBlock.normalizedAlignmentData ? JSON.parse(textBlock.normalizedAlignmentData) : null
-          });
-        } else {
-          console.log('❌ Cached audio file missing, regenerating:', audioPath);
-          // Clear the invalid cache entries
-          await dbHelpers.updateTextBlockAudio(blockId, null, null, null);
-        }
-      }
-    } else {
-      console.log('🚫 No cached audio found for block:', blockId, {
-        hasAudioUrl: !!textBlock.audioUrl,
-        hasAlignmentData: !!textBlock.alignmentData
-      });
+    const speech = await loadTextBlockSpeech(textBlock);
+    if (speech) {
+      return res.json({ success: true, ...speech });
     }
 
-    console.log('Converting text to speech with timestamps:', textBlock.ocrText);
-
-    try {
-      // Use ElevenLabs to convert text to speech with timestamps
-      // Using specified voice ID
-      const ttsResult = await elevenlabs.textToSpeech.convertWithTimestamps("iwNZQzqCFIBqLR6sgFpN", {
-        text: textBlock.ocrText,
-        voice_settings: {
-          stability: 0.5,
-          similarity_boost: 0.75
-        }
-      });
-
-      console.log('ElevenLabs TTS result:', {
-        hasAudio: !!ttsResult.audioBase64,
-        hasAlignment: !!ttsResult.alignment,
-        characterCount: ttsResult.alignment?.characters?.length || 0
-      });
-
-      // Check if we have audio data (property name is audioBase64, not audio_base64)
-      if (!ttsResult.audioBase64) {
-        console.error('No audio data received from ElevenLabs');
-        return res.status(500).json({ error: 'No audio data received from ElevenLabs API' });
-      }
+    const page = await dbHelpers.getPageById(textBlock.pageId);
+    const job = await enqueueTextBlockAudio(blockId, page?.bookId);
 
-      // Convert base64 audio to buffer and upload to R2
-      const audioBuffer = Buffer.from(ttsResult.audioBase64, 'base64');
-      // Use content-based UUID for consistent caching across identical text
-      const contentUuid = generateContentUUID(textBlock.ocrText);
-      const audioFileName = `audio/tts_content_${contentUuid}.mp3`;
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status
+    });
+  } catch (error) {
+    console.error('Error in text-to-speech endpoint:', error);
+    res.status(500).json({ error: 'Failed to process text-to-speech request' });
+  }
+});
 
-      console.log('☁️ Uploading audio to Cloudflare R2...');
-      const audioUrl = await objectStorageService.uploadFile(audioBuffer, audioFileName, 'audio/mpeg');
+// Get a background job's status and result
+app.get('/api/jobs/:jobId', requireAuth, requireBookAccess(bookOfJob('jobId'), 'Job not found'), async (req, res) => {
+  try {
+    const job = await dbHelpers.getJobById(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
 
-      // Upload alignment data to R2 as well
-      const alignmentFileName = `alignment/tts_content_${contentUuid}_alignment.json`;
-      const normalizedAlignmentFileName = `alignment/tts_content_${contentUuid}_normalized.json`;
+    res.json(serializeJob(job));
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
 
-      const alignmentPromises = [];
+// List background jobs for a book
+app.get('/api/books/:id/jobs', requireAuth, requireBookAccess(bookFromParam('id')), async (req, res) => {
+  try {
+    const jobs = await dbHelpers.getBookJobs(req.params.id);
+    res.json(jobs.map(serializeJob));
+  } catch (error) {
+    console.error('Error fetching book jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
 
-      if (ttsResult.alignment) {
-        const alignmentBuffer = Buffer.from(JSON.stringify(ttsResult.alignment), 'utf8');
-        alignmentPromises.push(
-          objectStorageService.uploadFile(alignmentBuffer, alignmentFileName, 'application/json')
-        );
-      }
+// Text-to-speech for arbitrary short text (titles, keywords, selected passages)
+// Playback speed is applied by the client, so the same audio is shared across speeds
+app.post('/api/tts/direct', requireAuth, ttsDirectLimiter, async (req, res) => {
+  try {
+    const text = typeof req.body?.text === 'string' ? req.body.text.trim() : '';
 
-      if (ttsResult.normalized_alignment) {
-        const normalizedAlignmentBuffer = Buffer.from(JSON.stringify(ttsResult.normalized_alignment), 'utf8');
-        alignmentPromises.push(
-          objectStorageService.uploadFile(normalizedAlignmentBuffer, normalizedAlignmentFileName, 'application/json')
-        );
-      }
+    if (!text) {
+      return res.status(400).json({ error: 'Text is required' });
+    }
 
-      await Promise.all(alignmentPromises);
-      console.log('☁️ Uploaded alignment data to Cloudflare R2');
+    if (text.length > TTS_DIRECT_MAX_CHARS) {
+      return res.status(413).json({ error: `Text must be at most ${TTS_DIRECT_MAX_CHARS} characters` });
+    }
 
-      // Cache only the audio URL in database (alignment data is now in R2)
-      await dbHelpers.updateTextBlockAudio(
-        blockId,
-        audioUrl,
-        null, // No longer storing alignment in DB
-        null  // No longer storing normalized alignment in DB
-      );
+    let speech = await findCachedSpeech(text);
+    if (speech) {
+      console.log('♻️ Using cached audio for direct TTS:', speech.audioUrl);
+    } else {
+      console.log('Converting direct text to speech with timestamps:', text);
+      speech = await synthesizeToStorage(text);
+    }
 
-      // Return audio URL and timing data (same as what we just uploaded)
-      res.json({
-        success: true,
-        audio_url: audioUrl,
-        text: textBlock.ocrText,
-        alignment: ttsResult.alignment,
-        normalized_alignment: ttsResult.normalized_alignment
-      });
-
-    } catch (elevenLabsError) {
-      console.error('ElevenLabs API error:', elevenLabsError);
-      res.status(500).json({ error: 'Failed to generate speech' });
+    res.json({
+      success: true,
+      audioUrl: speech.audioUrl,
+      text,
+      alignment: speech.alignment,
+      normalized_alignment: speech.normalizedAlignment,
+      word_timings: speech.wordTimings
+    });
+  } catch (error) {
+    if (error.name === 'NoTtsProviderError') {
+      return res.status(503).json({ error: 'No text-to-speech provider configured' });
     }
+    console.error('Error in direct text-to-speech endpoint:', error);
+    res.status(500).json({ error: 'Failed to generate speech' });
+  }
+});
 
+// Admin: storage garbage collection
+// GET reports orphaned objects without deleting anything (?graceHours= overrides the grace period)
+app.get('/api/admin/storage/gc', requireAdmin, async (req, res) => {
+  try {
+    const graceHours = parseFloat(req.query.graceHours);
+    const report = await collectStorageGarbage({
+      dryRun: true,
+      ...(graceHours >= 0 ? { graceMs: graceHours * 60 * 60 * 1000 } : {})
+    });
+    res.json(report);
   } catch (error) {
-    console.error('Error in text-to-speech endpoint:', error);
-    res.status(500).json({ error: 'Failed to process text-to-speech request' });
+    console.error('Error running storage GC report:', error);
+    res.status(500).json({ error: 'Failed to run storage GC report' });
+  }
+});
+
+// Deletion runs as a background job; poll /api/admin/jobs/:jobId for the report
+app.post('/api/admin/storage/gc', requireAdmin, async (req, res) => {
+  try {
+    const job = await enqueueStorageGc();
+    res.status(202).json({ success: true, jobId: job.id, status: job.status });
+  } catch (error) {
+    console.error('Error queueing storage GC:', error);
+    res.status(500).json({ error: 'Failed to queue storage GC' });
+  }
+});
+
+// Admin: database maintenance (empty and abandoned books, stale sessions, failed text blocks)
+// Query/body: tasks (comma-separated), emptyBookHours, abandonedBookDays, staleSessionDays, failedBlockHours
+function maintenanceOptions(input) {
+  return { tasks: parseTasks(input.tasks), thresholds: parseThresholds(input) };
+}
+
+function sendMaintenanceError(res, error, message) {
+  if (error.name === 'MaintenanceError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+}
+
+// Report only
+app.get('/api/admin/maintenance', requireAdmin, async (req, res) => {
+  try {
+    res.json(await runMaintenance({ ...maintenanceOptions(req.query), dryRun: true }));
+  } catch (error) {
+    sendMaintenanceError(res, error, 'Failed to run maintenance report');
+  }
+});
+
+// Purge what the report finds; { dryRun: true } only reports
+app.post('/api/admin/maintenance', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    res.json(await runMaintenance({ ...maintenanceOptions(body), dryRun: body.dryRun === true }));
+  } catch (error) {
+    sendMaintenanceError(res, error, 'Failed to run maintenance');
+  }
+});
+
+// Admin: LLM calls, tokens and latency per task, model and status over the last ?days= (default 7)
+app.get('/api/admin/llm-usage', requireAdmin, async (req, res) => {
+  try {
+    const days = parseFloat(req.query.days) > 0 ? parseFloat(req.query.days) : 7;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    res.json({ since, usage: await dbHelpers.getLlmUsage(since) });
+  } catch (error) {
+    console.error('Error fetching LLM usage:', error);
+    res.status(500).json({ error: 'Failed to fetch LLM usage' });
+  }
+});
+
+// Jobs of any book, including storage-wide ones
+app.get('/api/admin/jobs/:jobId', requireAdmin, async (req, res) => {
+  try {
+    const job = await dbHelpers.getJobById(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(serializeJob(job));
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
   }
 });
 
@@ -1052,13 +1139,24 @@ if (process.env.NODE_ENV === 'production') {
 // Start server
 (async () => {
   try {
-    console.log('Using Replit PostgreSQL database');
-    console.log('Using Cloudflare R2 Object Storage');
+    console.log(`Using ${describeDatabase()} database`);
+    await migrateDatabase();
+    getStorageDriver();
 
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
     });
+
+    // Scanning session updates over WebSockets
+    attachRealtime(server);
+    await listenForRelayedEvents();
+
+    // Run background jobs in this process unless a separate worker (npm run worker) handles them
+    if (process.env.JOB_WORKER !== 'external') {
+      new JobWorker({ handlers: jobHandlers }).start();
+    }
+    scheduleStorageGc();
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
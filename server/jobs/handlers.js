@@ -0,0 +1,56 @@
+// Job handlers by type; each receives the job payload and returns the job result
+import { JobType, enqueueTextBlockAudio } from './queue.js';
+import { detectPageTextBlocks } from '../detection.js';
+import { generateTextBlockAudio } from '../speech.js';
+import { completeBookScan } from '../bookCompletion.js';
+import { collectStorageGarbage } from '../storageGc.js';
+import { dbHelpers } from '../database.js';
+import { publishEvent, EventType } from '../events.js';
+
+export const jobHandlers = {
+  async [JobType.DETECT_TEXT_BLOCKS]({ pageId }, job) {
+    const result = await detectPageTextBlocks(pageId);
+    if (result.stale) {
+      return result;
+    }
+
+    // Pre-generate audio so blocks play instantly in the viewer
+    for (const block of result.blocks) {
+      await enqueueTextBlockAudio(block.id, result.bookId);
+    }
+
+    await publishEvent(result.bookId, EventType.PAGE_PROCESSED, {
+      pageId: result.pageId,
+      totalBlocks: result.totalBlocks,
+      provider: result.provider,
+      detectionError: result.detectionError
+    });
+
+    // Last pending detection for the book
+    if (await dbHelpers.countActiveJobs(result.bookId, JobType.DETECT_TEXT_BLOCKS, job.id) === 0) {
+      const pages = await dbHelpers.getBookPages(result.bookId);
+      await publishEvent(result.bookId, EventType.DETECTION_COMPLETE, { pageCount: pages.length });
+    }
+
+    return result;
+  },
+
+  async [JobType.GENERATE_AUDIO]({ blockId }) {
+    const speech = await generateTextBlockAudio(blockId);
+    // Alignment can be large; clients fetch it from the speak endpoint
+    return { blockId, audio_url: speech.audio_url };
+  },
+
+  async [JobType.COMPLETE_SESSION]({ sessionId }, job) {
+    const result = await completeBookScan(sessionId, { finalAttempt: job.attempts >= job.maxAttempts });
+    await publishEvent(result.bookId, EventType.SESSION_CLOSED, {
+      status: 'completed',
+      suggestions: result.suggestions
+    }, sessionId);
+    return result;
+  },
+
+  async [JobType.COLLECT_STORAGE_GARBAGE]({ dryRun = false }) {
+    return collectStorageGarbage({ dryRun });
+  }
+};
@@ -0,0 +1,74 @@
+// Persistent job queue on top of the jobs table
+import { dbHelpers } from '../database.js';
+
+export const JobType = {
+  DETECT_TEXT_BLOCKS: 'detect-text-blocks',
+  GENERATE_AUDIO: 'generate-audio',
+  COMPLETE_SESSION: 'complete-session',
+  COLLECT_STORAGE_GARBAGE: 'collect-storage-garbage'
+};
+
+// Exponential backoff: 5s, 10s, 20s ... capped at 10 minutes
+const BASE_RETRY_DELAY_MS = 5 * 1000;
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+
+export function retryDelayMs(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(0, attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+export async function enqueueJob(type, payload, options = {}) {
+  const job = await dbHelpers.enqueueJob(type, payload, options);
+  console.log(`📥 Queued ${type} job ${job.id}`, payload);
+  return job;
+}
+
+// Queue text detection for a page; audio pre-generation follows once blocks exist
+// Deduplicated per page image: a page given a new image always gets a new job, even
+// while detection of its old image is still queued or running
+export function enqueuePageDetection(pageId, bookId, imagePath) {
+  return enqueueJob(JobType.DETECT_TEXT_BLOCKS, { pageId: parseInt(pageId) }, {
+    bookId,
+    dedupeKey: `${JobType.DETECT_TEXT_BLOCKS}:${pageId}:${imagePath}`
+  });
+}
+
+export function enqueueTextBlockAudio(blockId, bookId) {
+  return enqueueJob(JobType.GENERATE_AUDIO, { blockId: parseInt(blockId) }, {
+    bookId,
+    dedupeKey: `${JobType.GENERATE_AUDIO}:${blockId}`
+  });
+}
+
+export function enqueueSessionCompletion(sessionId, bookId) {
+  return enqueueJob(JobType.COMPLETE_SESSION, { sessionId }, {
+    bookId,
+    dedupeKey: `${JobType.COMPLETE_SESSION}:${sessionId}`,
+    maxAttempts: 3
+  });
+}
+
+// Storage-wide, so not tied to a book; at most one run is queued at a time
+export function enqueueStorageGc() {
+  return enqueueJob(JobType.COLLECT_STORAGE_GARBAGE, { dryRun: false }, {
+    dedupeKey: JobType.COLLECT_STORAGE_GARBAGE,
+    maxAttempts: 3
+  });
+}
+
+// Public shape of a job for the status endpoints
+export function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    bookId: job.bookId,
+    payload: job.payload,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    runAt: job.runAt,
+    error: job.lastError,
+    result: job.result,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
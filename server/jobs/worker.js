@@ -0,0 +1,95 @@
+// Job worker: polls the queue, runs handlers and retries failures with backoff
+import os from 'os';
+import { dbHelpers } from '../database.js';
+import { retryDelayMs } from './queue.js';
+import { publishEvent, EventType } from '../events.js';
+
+// A running job locked for longer than this is assumed to belong to a dead worker
+const STALE_LOCK_MS = 15 * 60 * 1000;
+
+export class JobWorker {
+  constructor({ handlers, pollIntervalMs = 1000, workerId = `${os.hostname()}-${process.pid}` }) {
+    this.handlers = handlers;
+    this.pollIntervalMs = pollIntervalMs;
+    this.workerId = workerId;
+    this.running = false;
+    this.timer = null;
+    this.idle = Promise.resolve();
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    console.log(`👷 Job worker ${this.workerId} started`);
+    this.schedule(0);
+  }
+
+  // Stop polling and wait for the current job to finish
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    await this.idle;
+    console.log(`👷 Job worker ${this.workerId} stopped`);
+  }
+
+  schedule(delayMs) {
+    if (!this.running) return;
+    this.timer = setTimeout(() => {
+      this.idle = this.tick().then(processed => this.schedule(processed ? 0 : this.pollIntervalMs));
+    }, delayMs);
+  }
+
+  // Run one job if one is due; resolves to whether a job was processed
+  async tick() {
+    try {
+      const requeued = await dbHelpers.requeueStaleJobs(new Date(Date.now() - STALE_LOCK_MS));
+      if (requeued > 0) {
+        console.warn(`⚠️ Requeued ${requeued} stale jobs`);
+      }
+
+      const job = await dbHelpers.claimNextJob(this.workerId);
+      if (!job) {
+        return false;
+      }
+
+      await this.run(job);
+      return true;
+    } catch (error) {
+      console.error('Job worker error:', error);
+      return false;
+    }
+  }
+
+  async run(job) {
+    const handler = this.handlers[job.type];
+    console.log(`⚙️ Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler for job type: ${job.type}`);
+      }
+
+      const result = await handler(job.payload || {}, job);
+      await dbHelpers.completeJob(job.id, result ?? null);
+      console.log(`✅ Completed ${job.type} job ${job.id}`);
+    } catch (error) {
+      const retryAt = handler && job.attempts < job.maxAttempts ?
+        new Date(Date.now() + retryDelayMs(job.attempts)) : null;
+
+      await dbHelpers.failJob(job.id, error.message, retryAt);
+      if (retryAt) {
+        console.warn(`🔁 ${job.type} job ${job.id} failed, retrying at ${retryAt.toISOString()}:`, error.message);
+      } else {
+        console.error(`❌ ${job.type} job ${job.id} failed permanently:`, error);
+        if (job.bookId) {
+          await publishEvent(job.bookId, EventType.JOB_FAILED, {
+            jobId: job.id,
+            type: job.type,
+            payload: job.payload,
+            error: error.message
+          });
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,150 @@
+// LLM client for calls that answer with JSON (book metadata, OCR with GPT-4o vision)
+// The answer is requested as structured output against a JSON schema and checked
+// against the same schema. Answers that are not quite JSON are repaired; answers that
+// still do not fit are asked for again, showing the model what was wrong, and a
+// truncated answer is asked for again with more room. Every attempt is recorded with
+// its token usage and latency in the llm_calls table.
+// Providers (LLM_PROVIDER): openai (default) or mock, a deterministic stand-in for
+// tests and offline development.
+import { dbHelpers } from '../database.js';
+import { OpenAILlmProvider } from './openai.js';
+import { MockLlmProvider } from './mock.js';
+import { validateJson, repairJson } from './schema.js';
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const MAX_TOKENS_LIMIT = 16000;
+
+const providerFactories = {
+  openai: () => new OpenAILlmProvider(),
+  mock: () => new MockLlmProvider()
+};
+
+export class NoLlmProviderError extends Error {
+  constructor() {
+    super("No LLM provider is configured");
+    this.name = "NoLlmProviderError";
+    Object.setPrototypeOf(this, NoLlmProviderError.prototype);
+  }
+}
+
+// No usable answer after every attempt; problems lists what was wrong with the last one
+export class LlmResponseError extends Error {
+  constructor(task, attempts, problems) {
+    super(`No valid ${task} answer after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${problems.slice(0, 3).join('; ')}`);
+    this.name = "LlmResponseError";
+    this.task = task;
+    this.attempts = attempts;
+    this.problems = problems;
+    Object.setPrototypeOf(this, LlmResponseError.prototype);
+  }
+}
+
+// The answer's value and how it was read, or the problems with it
+function readAnswer(reply, schema) {
+  if (reply.refusal) {
+    return { problems: [`refused: ${reply.refusal}`] };
+  }
+
+  let value;
+  let repaired = false;
+  try {
+    value = JSON.parse(reply.content);
+  } catch {
+    value = repairJson(reply.content);
+    repaired = true;
+    if (value === undefined) {
+      return { problems: [reply.truncated ? 'the answer was cut off' : 'the answer is not JSON'] };
+    }
+  }
+
+  const problems = validateJson(value, schema);
+  return problems.length > 0 ? { problems } : { value, repaired };
+}
+
+export class LlmClient {
+  constructor({ provider = process.env.LLM_PROVIDER || 'openai', maxAttempts = parseInt(process.env.LLM_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS } = {}) {
+    const factory = typeof provider === 'string' ? providerFactories[provider] : () => provider;
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${provider}`);
+    }
+    this.provider = factory();
+    this.maxAttempts = maxAttempts;
+  }
+
+  isConfigured() {
+    return this.provider.isConfigured();
+  }
+
+  async record(call) {
+    try {
+      await dbHelpers.recordLlmCall({ provider: this.provider.name, ...call });
+    } catch (error) {
+      console.error('Error recording LLM call:', error);
+    }
+  }
+
+  // Ask for a JSON answer that fits the schema. task names the call in the log and is
+  // the schema name sent to the provider; bookId and pageId attribute the usage.
+  async generateJson({ task, messages, schema, maxTokens = 1000, bookId = null, pageId = null }) {
+    if (!this.isConfigured()) {
+      throw new NoLlmProviderError();
+    }
+
+    const conversation = [...messages];
+    let tokens = maxTokens;
+    let problems = [];
+    let attempts = 0;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      attempts = attempt;
+      const started = Date.now();
+      const call = { task, bookId, pageId, attempt };
+
+      let reply;
+      try {
+        reply = await this.provider.complete({ messages: conversation, schema, schemaName: task, maxTokens: tokens });
+      } catch (error) {
+        await this.record({ ...call, status: 'error', latencyMs: Date.now() - started, error: error.message });
+        throw error;
+      }
+
+      const latencyMs = Date.now() - started;
+      const answer = readAnswer(reply, schema);
+      const status = answer.problems ? (reply.refusal ? 'refused' : 'invalid') : (answer.repaired ? 'repaired' : 'ok');
+      await this.record({
+        ...call,
+        status,
+        model: reply.model,
+        promptTokens: reply.usage?.promptTokens,
+        completionTokens: reply.usage?.completionTokens,
+        latencyMs,
+        error: answer.problems ? answer.problems.slice(0, 5).join('; ') : null
+      });
+      console.log(`🤖 ${task} (${this.provider.name}, attempt ${attempt}): ${status}, ${reply.usage?.promptTokens ?? '?'}+${reply.usage?.completionTokens ?? '?'} tokens in ${latencyMs}ms`);
+
+      if (!answer.problems) {
+        return answer.value;
+      }
+      problems = answer.problems;
+
+      // Asking again does not change a refusal
+      if (reply.refusal) {
+        break;
+      }
+      if (reply.truncated) {
+        tokens = Math.min(tokens * 2, MAX_TOKENS_LIMIT);
+      } else {
+        conversation.push(
+          { role: 'assistant', content: reply.content || '' },
+          { role: 'user', content: `That answer cannot be used: ${problems.slice(0, 5).join('; ')}. Answer again with only JSON that fits the schema.` }
+        );
+      }
+    }
+
+    console.error(`❌ ${task}: no valid answer after ${attempts} attempts:`, problems);
+    throw new LlmResponseError(task, attempts, problems);
+  }
+}
+
+// Shared client used by book completion and the OpenAI OCR provider
+export const llm = new LlmClient();
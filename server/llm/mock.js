@@ -0,0 +1,49 @@
+// Deterministic LLM provider for tests and offline development (LLM_PROVIDER=mock)
+// Answers per task come from the responses option or the LLM_FIXTURE_PATH file,
+// { "<task>": answer or [answers in call order, the last one repeating] }, and otherwise
+// are the smallest value that fits the schema. An answer is either a JSON value or a
+// string sent as is, e.g. to exercise repairs and retries.
+import fs from 'fs';
+import { sampleFromSchema } from './schema.js';
+
+export class MockLlmProvider {
+  constructor({ responses = null, fixturePath = process.env.LLM_FIXTURE_PATH } = {}) {
+    this.name = 'mock';
+    this.responses = responses || (fixturePath ? JSON.parse(fs.readFileSync(fixturePath, 'utf8')) : {});
+    this.calls = []; // Requests received, for tests
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  nextAnswer(task, schema) {
+    const answers = this.responses[task];
+    if (answers === undefined) {
+      return sampleFromSchema(schema);
+    }
+    if (!Array.isArray(answers)) {
+      return answers;
+    }
+    const callsOfTask = this.calls.filter(call => call.schemaName === task).length;
+    return answers[Math.min(callsOfTask - 1, answers.length - 1)];
+  }
+
+  async complete({ messages, schema, schemaName, maxTokens }) {
+    this.calls.push({ messages, schema, schemaName, maxTokens });
+    const answer = this.nextAnswer(schemaName, schema);
+    const content = typeof answer === 'string' ? answer : JSON.stringify(answer);
+
+    // Roughly four characters per token; images are not counted
+    const promptText = messages.map(message => (typeof message.content === 'string'
+      ? message.content
+      : message.content.filter(part => part.type === 'text').map(part => part.text).join(' '))).join(' ');
+    return {
+      content,
+      refusal: null,
+      truncated: false,
+      model: 'mock',
+      usage: { promptTokens: Math.ceil(promptText.length / 4), completionTokens: Math.ceil(content.length / 4) }
+    };
+  }
+}
@@ -0,0 +1,38 @@
+// OpenAI chat completions with structured outputs (response_format json_schema)
+import { openai } from '../openaiClient.js';
+
+export class OpenAILlmProvider {
+  constructor({ client = openai, model = process.env.LLM_MODEL || 'gpt-4o' } = {}) {
+    this.name = 'openai';
+    this.client = client;
+    this.model = model;
+  }
+
+  isConfigured() {
+    return Boolean(this.client);
+  }
+
+  async complete({ messages, schema, schemaName, maxTokens }) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      response_format: {
+        type: "json_schema",
+        json_schema: { name: schemaName, strict: true, schema }
+      },
+      max_tokens: maxTokens
+    });
+
+    const choice = response.choices[0];
+    return {
+      content: choice.message.content,
+      refusal: choice.message.refusal || null,
+      truncated: choice.finish_reason === 'length',
+      model: response.model,
+      usage: {
+        promptTokens: response.usage?.prompt_tokens ?? null,
+        completionTokens: response.usage?.completion_tokens ?? null
+      }
+    };
+  }
+}
@@ -0,0 +1,91 @@
+// JSON answers of LLM calls: checking them against the schema they were asked for, and
+// repairing answers that are almost JSON
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer');
+
+// Problems with a value, as "path: what is wrong" strings; none when it fits the schema.
+// Covers what structured-output schemas use: type (one or a list), enum, properties,
+// required, additionalProperties: false and items.
+export function validateJson(value, schema, path = '$') {
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some(type => matchesType(value, type))) {
+    return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+  }
+
+  const problems = [];
+  if (typeOf(value) === 'object' && schema.properties) {
+    for (const name of schema.required || []) {
+      if (!(name in value)) {
+        problems.push(`${path}.${name}: missing`);
+      }
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (schema.properties[name]) {
+        problems.push(...validateJson(propertyValue, schema.properties[name], `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${path}.${name}: not allowed`);
+      }
+    }
+  }
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, index) => problems.push(...validateJson(item, schema.items, `${path}[${index}]`)));
+  }
+  return problems;
+}
+
+// The JSON value in an answer that is not plain JSON: wrapped in a markdown code block,
+// surrounded by text, or with trailing commas. Undefined when nothing can be read.
+export function repairJson(text) {
+  if (typeof text !== 'string') return undefined;
+
+  let candidate = text.trim();
+  const codeBlock = candidate.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  if (codeBlock) {
+    candidate = codeBlock[1];
+  }
+  const start = candidate.search(/[{[]/);
+  const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+  if (start === -1 || end < start) return undefined;
+  candidate = candidate.slice(start, end + 1).replace(/,\s*([}\]])/g, '$1');
+
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    return undefined;
+  }
+}
+
+// The smallest value that fits a schema: null where allowed, the first enum option,
+// empty arrays and every required property. Used by the mock provider.
+export function sampleFromSchema(schema) {
+  const types = schema.type ? [].concat(schema.type) : ['object'];
+  if (types.includes('null')) return null;
+  if (schema.enum) return schema.enum[0];
+
+  switch (types[0]) {
+    case 'object':
+      return Object.fromEntries((schema.required || Object.keys(schema.properties || {}))
+        .map(name => [name, sampleFromSchema(schema.properties[name])]));
+    case 'array':
+      return [];
+    case 'string':
+      return 'Mock';
+    case 'integer':
+    case 'number':
+      return 1;
+    case 'boolean':
+      return false;
+    default:
+      return null;
+  }
+}
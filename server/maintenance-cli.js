@@ -0,0 +1,102 @@
+// Maintenance command line (npm run maintenance -- <command> [options])
+//   report            list what maintenance would purge (default)
+//   purge             purge it (add --dry-run to only report)
+//   storage-gc        report orphaned storage objects; add --purge to delete them
+// Options: --tasks=emptyBooks,staleSessions  --empty-book-hours=24  --abandoned-book-days=30
+//          --stale-session-days=7  --failed-block-hours=24  --grace-hours=24  --json
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { runMaintenance, parseTasks, parseThresholds } from './maintenance.js';
+import { collectStorageGarbage } from './storageGc.js';
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'tasks': { type: 'string' },
+    'empty-book-hours': { type: 'string' },
+    'abandoned-book-days': { type: 'string' },
+    'stale-session-days': { type: 'string' },
+    'failed-block-hours': { type: 'string' },
+    'grace-hours': { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    'purge': { type: 'boolean', default: false },
+    'json': { type: 'boolean', default: false }
+  }
+});
+
+const command = positionals[0] || 'report';
+
+function printMaintenanceReport(report) {
+  console.log(report.dryRun ? 'Maintenance report (dry run)' : 'Maintenance run');
+  console.log(`Thresholds: ${JSON.stringify(report.thresholds)}`);
+  for (const [task, result] of Object.entries(report.tasks)) {
+    console.log(`\n${task}: ${result.count} found${report.dryRun ? '' : `, ${result.purged} purged`}`);
+    for (const item of result.items) {
+      console.log(`  - ${JSON.stringify(item)}`);
+    }
+    if (result.count > result.items.length) {
+      console.log(`  ... and ${result.count - result.items.length} more`);
+    }
+  }
+}
+
+function printStorageReport(report) {
+  console.log(report.dryRun ? 'Storage GC report (dry run)' : 'Storage GC run');
+  console.log(`Scanned ${report.scanned} objects: ${report.referenced} in use, ${report.recent} within the ${report.graceHours}h grace period`);
+  console.log(`Orphans: ${report.orphanCount} (${report.orphanBytes} bytes)`);
+  for (const orphan of report.orphans) {
+    console.log(`  - ${orphan.key} (${orphan.size} bytes)`);
+  }
+  if (!report.dryRun) {
+    console.log(`Deleted ${report.deleted} (${report.deletedBytes} bytes), ${report.failed} failed, ${report.stillReferenced} back in use`);
+  }
+}
+
+async function main() {
+  let report;
+  let print;
+
+  switch (command) {
+    case 'report':
+    case 'purge':
+      report = await runMaintenance({
+        dryRun: command === 'report' || options['dry-run'],
+        tasks: parseTasks(options.tasks),
+        thresholds: parseThresholds({
+          emptyBookHours: options['empty-book-hours'],
+          abandonedBookDays: options['abandoned-book-days'],
+          staleSessionDays: options['stale-session-days'],
+          failedBlockHours: options['failed-block-hours']
+        })
+      });
+      print = printMaintenanceReport;
+      break;
+
+    case 'storage-gc': {
+      const graceHours = parseFloat(options['grace-hours']);
+      report = await collectStorageGarbage({
+        dryRun: !options.purge || options['dry-run'],
+        ...(graceHours >= 0 ? { graceMs: graceHours * 60 * 60 * 1000 } : {})
+      });
+      print = printStorageReport;
+      break;
+    }
+
+    default:
+      console.error(`Unknown command: ${command} (expected report, purge or storage-gc)`);
+      process.exit(2);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    print(report);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error.name === 'MaintenanceError' ? error.message : error);
+    process.exit(1);
+  });
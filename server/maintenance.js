@@ -0,0 +1,142 @@
+// Database maintenance: find and purge leftovers of abandoned scans
+// Tasks:
+//   emptyBooks        books without pages (e.g. a QR code was opened but nothing was scanned)
+//   abandonedBooks    books still "processing" long after their last activity, with their page images
+//   staleSessions     scanning sessions that closed or expired a while ago
+//   failedTextBlocks  text blocks OCR found no text in (blocks drawn by hand and waiting for text are kept)
+// Books that are being scanned or have queued jobs are never touched. Runs are dry runs
+// unless dryRun is false. Used by the admin routes and `npm run maintenance`.
+import { dbHelpers } from './database.js';
+import { ObjectStorageService, objectKeyFromPath } from './objectStorage.js';
+
+export const MaintenanceTask = {
+  EMPTY_BOOKS: 'emptyBooks',
+  ABANDONED_BOOKS: 'abandonedBooks',
+  STALE_SESSIONS: 'staleSessions',
+  FAILED_TEXT_BLOCKS: 'failedTextBlocks'
+};
+
+const ALL_TASKS = Object.values(MaintenanceTask);
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Items listed per task in a report; counts always cover all of them
+const MAX_REPORTED_ITEMS = 500;
+
+export class MaintenanceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MaintenanceError";
+    this.status = 400;
+    Object.setPrototypeOf(this, MaintenanceError.prototype);
+  }
+}
+
+// An age threshold of zero or more, from user input or the environment
+function parseThreshold(value, name) {
+  const threshold = parseFloat(value);
+  if (!(threshold >= 0)) {
+    throw new MaintenanceError(`${name} must be a number of zero or more`);
+  }
+  return threshold;
+}
+
+// Default for a threshold from its environment variable; 0 is a valid value
+function thresholdFromEnv(variable, fallback) {
+  const value = process.env[variable];
+  return value === undefined || value === '' ? fallback : parseThreshold(value, variable);
+}
+
+// Age thresholds; each can be overridden per run or with the environment variable
+export const DEFAULT_THRESHOLDS = {
+  emptyBookHours: thresholdFromEnv('MAINTENANCE_EMPTY_BOOK_HOURS', 24),
+  abandonedBookDays: thresholdFromEnv('MAINTENANCE_ABANDONED_BOOK_DAYS', 30),
+  staleSessionDays: thresholdFromEnv('MAINTENANCE_STALE_SESSION_DAYS', 7),
+  failedBlockHours: thresholdFromEnv('MAINTENANCE_FAILED_BLOCK_HOURS', 24)
+};
+
+// Thresholds from user input (query string, request body or CLI flags) on top of the defaults
+export function parseThresholds(input = {}) {
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+  for (const name of Object.keys(DEFAULT_THRESHOLDS)) {
+    if (input[name] === undefined || input[name] === '') continue;
+    thresholds[name] = parseThreshold(input[name], name);
+  }
+  return thresholds;
+}
+
+// Task names from a list or comma-separated string; all tasks when empty
+export function parseTasks(input) {
+  const names = (Array.isArray(input) ? input : String(input || '').split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+  if (names.length === 0) {
+    return ALL_TASKS;
+  }
+
+  const unknown = names.filter(name => !ALL_TASKS.includes(name));
+  if (unknown.length > 0) {
+    throw new MaintenanceError(`Unknown maintenance task: ${unknown.join(', ')} (expected ${ALL_TASKS.join(', ')})`);
+  }
+  return names;
+}
+
+const taskRunners = {
+  [MaintenanceTask.EMPTY_BOOKS]: {
+    find: ({ emptyBookHours }, now) => dbHelpers.findEmptyBooks(new Date(now - emptyBookHours * HOUR_MS)),
+    purge: (items) => dbHelpers.deleteBooks(items.map(book => book.id))
+  },
+
+  [MaintenanceTask.ABANDONED_BOOKS]: {
+    find: ({ abandonedBookDays }, now) => dbHelpers.findAbandonedBooks(new Date(now - abandonedBookDays * DAY_MS)),
+    purge: async (items, storage) => {
+      // Page images go first; the database cascade removes pages and text blocks
+      for (const book of items) {
+        for (const page of await dbHelpers.getBookPages(book.id)) {
+          const objectKey = objectKeyFromPath(page.imagePath);
+          if (objectKey) {
+            await storage.deleteObject(objectKey);
+          }
+        }
+      }
+      return dbHelpers.deleteBooks(items.map(book => book.id));
+    }
+  },
+
+  [MaintenanceTask.STALE_SESSIONS]: {
+    find: ({ staleSessionDays }, now) => dbHelpers.findStaleScanningSessions(new Date(now - staleSessionDays * DAY_MS)),
+    purge: (items) => dbHelpers.deleteScanningSessions(items.map(session => session.id))
+  },
+
+  [MaintenanceTask.FAILED_TEXT_BLOCKS]: {
+    find: ({ failedBlockHours }, now) => dbHelpers.findFailedTextBlocks(new Date(now - failedBlockHours * HOUR_MS)),
+    purge: (items) => dbHelpers.deleteTextBlocks(items.map(block => block.id))
+  }
+};
+
+// Report, and unless dryRun purge, what the selected tasks find
+export async function runMaintenance({ dryRun = true, thresholds = DEFAULT_THRESHOLDS, tasks = ALL_TASKS, storage = null } = {}) {
+  const startedAt = new Date();
+  const report = { dryRun, startedAt, thresholds, tasks: {} };
+
+  // Books first, so sessions and blocks of purged books are not reported twice
+  for (const task of ALL_TASKS.filter(name => tasks.includes(name))) {
+    const runner = taskRunners[task];
+    const items = await runner.find(thresholds, startedAt.getTime());
+
+    let purged = 0;
+    if (!dryRun && items.length > 0) {
+      purged = await runner.purge(items, storage || new ObjectStorageService());
+      console.log(`🧹 Maintenance ${task}: purged ${purged} of ${items.length}`);
+    }
+
+    report.tasks[task] = {
+      count: items.length,
+      purged,
+      items: items.slice(0, MAX_REPORTED_ITEMS)
+    };
+  }
+
+  return report;
+}
@@ -0,0 +1,12 @@
+// Apply pending schema migrations (npm run db:migrate)
+import 'dotenv/config';
+import { migrateDatabase } from './migrate.js';
+import { describeDatabase } from './db.js';
+
+console.log(`🗃️ Migrating ${describeDatabase()}`);
+migrateDatabase()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
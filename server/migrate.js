@@ -0,0 +1,58 @@
+// Versioned schema migrations (drizzle/<dialect>), applied at startup and by `npm run db:migrate`
+// Postgres databases created with the old `npm run db:push` already have the tables of the
+// original schema, which is the Postgres baseline migration; it is recorded as applied for
+// them instead of being run, and the later migrations bring them up to date. The migration
+// that follows the baseline is idempotent, since such databases may hold parts of it too.
+// Both carry timestamps no later than the migration they were split from, so databases
+// that already applied that one do not run them again.
+import fs from 'fs';
+import path from 'path';
+import { sql } from 'drizzle-orm';
+import { readMigrationFiles } from 'drizzle-orm/migrator';
+import { db, dialect, migrationsFolder } from './db.js';
+
+async function tableExists(name) {
+  const result = await db.execute(sql`select to_regclass(${name}) as name`);
+  return Boolean(result.rows[0]?.name);
+}
+
+// Baseline columns, as "table.column", that the database does not have
+async function missingBaselineColumns() {
+  const snapshot = JSON.parse(fs.readFileSync(path.join(migrationsFolder, 'meta', '0000_snapshot.json'), 'utf8'));
+  const result = await db.execute(sql`select table_name, column_name from information_schema.columns where table_schema = 'public'`);
+  const present = new Set(result.rows.map(row => `${row.table_name}.${row.column_name}`));
+  return Object.values(snapshot.tables)
+    .flatMap(table => Object.keys(table.columns).map(column => `${table.name}.${column}`))
+    .filter(name => !present.has(name));
+}
+
+// Record the baseline migration for a Postgres database whose tables were created with db:push.
+// Only a database with every baseline table and column is adopted.
+async function adoptPushedDatabase(baseline) {
+  if (dialect !== 'postgresql' || await tableExists('drizzle.__drizzle_migrations') || !(await tableExists('books'))) {
+    return false;
+  }
+
+  const missing = await missingBaselineColumns();
+  if (missing.length > 0) {
+    throw new Error(`Cannot adopt the existing database, it lacks baseline columns: ${missing.join(', ')}`);
+  }
+
+  await db.execute(sql`create schema if not exists "drizzle"`);
+  await db.execute(sql`create table "drizzle"."__drizzle_migrations" (id serial primary key, hash text not null, created_at bigint)`);
+  await db.execute(sql`insert into "drizzle"."__drizzle_migrations" ("hash", "created_at") values (${baseline.hash}, ${baseline.folderMillis})`);
+  return true;
+}
+
+export async function migrateDatabase() {
+  const migrations = readMigrationFiles({ migrationsFolder });
+  if (migrations.length > 0 && await adoptPushedDatabase(migrations[0])) {
+    console.log('🗃️ Existing database adopted: baseline migration marked as applied');
+  }
+
+  const { migrate } = dialect === 'sqlite'
+    ? await import('drizzle-orm/libsql/migrator')
+    : await import('drizzle-orm/neon-serverless/migrator');
+  await migrate(db, { migrationsFolder });
+  console.log(`🗃️ Database schema up to date (${migrations.length} migrations)`);
+}
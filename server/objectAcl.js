@@ -1,11 +1,19 @@
-// Simplified JavaScript version of objectAcl for TheReader
-import { File } from "@google-cloud/storage";
+// ACL policies for TheReader
+// Object policies are stored as JSON in the object's custom metadata. Page images belong
+// to a book and are readable by the users who can read that book; synthesized speech is
+// cached by content and shared between books, so it is public. Book access itself is
+// evaluated with the same policy structure (see access.js).
+import { dbHelpers } from "./database.js";
+import { canReadBook } from "./access.js";
+import { isContentAddressedKey } from "./objectStorage.js";
 
-const ACL_POLICY_METADATA_KEY = "custom:aclPolicy";
+const ACL_POLICY_METADATA_KEY = "acl-policy";
 
-// Simple constants for ObjectAccessGroupType and ObjectPermission
 export const ObjectAccessGroupType = {
-  PUBLIC: "public"
+  PUBLIC: "public",
+  USER: "user",
+  USER_GROUP: "user_group",
+  BOOK_READERS: "book_readers"
 };
 
 export const ObjectPermission = {
@@ -13,9 +21,9 @@ export const ObjectPermission = {
   WRITE: "write",
 };
 
-// Simple ObjectAclPolicy structure (for documentation purposes)
+// ObjectAclPolicy structure (for documentation purposes)
 export const ObjectAclPolicy = {
-  // Structure: { owner: string, visibility: "public" | "private", aclRules?: Array }
+  // Structure: { owner: number | null, visibility: "public" | "private", aclRules?: Array<{ group: { type, id }, permission }> }
 };
 
 // Check if the requested permission is allowed based on the granted permission.
@@ -29,63 +37,128 @@ function isPermissionAllowed(requested, granted) {
   return granted === ObjectPermission.WRITE;
 }
 
-// Simple PublicAccessGroup class for TheReader - all files are public
+// Everyone, signed in or not
 class PublicAccessGroup {
   constructor(id) {
     this.type = ObjectAccessGroupType.PUBLIC;
     this.id = id;
   }
 
-  async hasMember(userId) {
-    // For TheReader, all content is public
+  async hasMember() {
     return true;
   }
 }
 
+// A single user
+class UserAccessGroup {
+  constructor(id) {
+    this.type = ObjectAccessGroupType.USER;
+    this.id = id;
+  }
+
+  async hasMember(userId) {
+    return Boolean(userId) && userId === this.id;
+  }
+}
+
+// Members of a user group (a family, a class)
+class UserGroupAccessGroup {
+  constructor(id) {
+    this.type = ObjectAccessGroupType.USER_GROUP;
+    this.id = id;
+  }
+
+  async hasMember(userId) {
+    return Boolean(userId) && dbHelpers.isGroupMember(this.id, userId);
+  }
+}
+
+// Users who can read the book with this id
+class BookReadersAccessGroup {
+  constructor(id) {
+    this.type = ObjectAccessGroupType.BOOK_READERS;
+    this.id = id;
+  }
+
+  async hasMember(userId) {
+    return Boolean(userId) && canReadBook(userId, this.id);
+  }
+}
+
 function createObjectAccessGroup(group) {
   switch (group.type) {
     case ObjectAccessGroupType.PUBLIC:
       return new PublicAccessGroup(group.id);
+    case ObjectAccessGroupType.USER:
+      return new UserAccessGroup(group.id);
+    case ObjectAccessGroupType.USER_GROUP:
+      return new UserGroupAccessGroup(group.id);
+    case ObjectAccessGroupType.BOOK_READERS:
+      return new BookReadersAccessGroup(group.id);
     default:
       throw new Error(`Unknown access group type: ${group.type}`);
   }
 }
 
-// Sets the ACL policy to the object metadata.
-export async function setObjectAclPolicy(objectFile, aclPolicy) {
-  const [exists] = await objectFile.exists();
-  if (!exists) {
-    throw new Error(`Object not found: ${objectFile.name}`);
-  }
+// Policy for files that belong to a book (page images, covers)
+export function bookObjectAclPolicy(book) {
+  return {
+    owner: book.ownerId ?? null,
+    visibility: "private",
+    aclRules: [
+      { group: { type: ObjectAccessGroupType.BOOK_READERS, id: book.id }, permission: ObjectPermission.READ }
+    ]
+  };
+}
+
+// Policy for content-addressed speech files (audio, alignment, word timings)
+export function speechCacheAclPolicy() {
+  return { owner: null, visibility: "public" };
+}
 
-  await objectFile.setMetadata({
-    metadata: {
-      [ACL_POLICY_METADATA_KEY]: JSON.stringify(aclPolicy),
-    },
-  });
+// Object metadata carrying the policy, for ObjectStorageService.uploadFile
+export function aclPolicyMetadata(aclPolicy) {
+  return { [ACL_POLICY_METADATA_KEY]: JSON.stringify(aclPolicy) };
+}
+
+// Sets the ACL policy to the object metadata.
+export async function setObjectAclPolicy(objectStorageService, objectFile, aclPolicy) {
+  await objectStorageService.setObjectMetadata(objectFile.objectKey, aclPolicyMetadata(aclPolicy));
 }
 
 // Gets the ACL policy from the object metadata.
-export async function getObjectAclPolicy(objectFile) {
-  const [metadata] = await objectFile.getMetadata();
-  const aclPolicy = metadata?.metadata?.[ACL_POLICY_METADATA_KEY];
+export async function getObjectAclPolicy(objectStorageService, objectFile) {
+  const metadata = await objectStorageService.getObjectMetadata(objectFile.objectKey);
+  const aclPolicy = metadata?.[ACL_POLICY_METADATA_KEY];
   if (!aclPolicy) {
     return null;
   }
   return JSON.parse(aclPolicy);
 }
 
+// Policy for objects uploaded before policies were stored, from what references them
+async function inferObjectAclPolicy(objectFile) {
+  const { objectKey } = objectFile;
+  if (isContentAddressedKey(objectKey)) {
+    return speechCacheAclPolicy();
+  }
+
+  const book = await dbHelpers.getBookByObjectPath(`/objects/${objectKey}`);
+  return book ? bookObjectAclPolicy(book) : null;
+}
+
 // Checks if the user can access the object.
 export async function canAccessObject({
   userId,
+  objectStorageService,
   objectFile,
   requestedPermission,
 }) {
-  // When this function is called, the acl policy is required.
-  const aclPolicy = await getObjectAclPolicy(objectFile);
+  const aclPolicy = await getObjectAclPolicy(objectStorageService, objectFile)
+    || await inferObjectAclPolicy(objectFile);
   if (!aclPolicy) {
-    // For TheReader, default to public read access
-    return requestedPermission === ObjectPermission.READ;
+    // Objects nothing refers to are not served
+    return false;
   }
 
   // Public objects are always accessible for read.
@@ -98,9 +171,14 @@ export async function canAccessObject({
 
   // Access control requires the user id.
   if (!userId) {
-    return requestedPermission === ObjectPermission.READ && aclPolicy.visibility === "public";
+    return false;
   }
 
+  return policyGrants(aclPolicy, userId, requestedPermission);
+}
+
+// Checks if a policy grants the user the permission, as owner or through its ACL rules.
+export async function policyGrants(aclPolicy, userId, requestedPermission) {
   // The owner of the object can always access it.
   if (aclPolicy.owner === userId) {
     return true;
@@ -110,12 +188,12 @@ export async function canAccessObject({
   for (const rule of aclPolicy.aclRules || []) {
     const accessGroup = createObjectAccessGroup(rule.group);
     if (
-      (await accessGroup.hasMember(userId)) &&
-      isPermissionAllowed(requestedPermission, rule.permission)
+      isPermissionAllowed(requestedPermission, rule.permission) &&
+      (await accessGroup.hasMember(userId))
     ) {
       return true;
     }
   }
 
   return false;
-}
\ No newline at end of file
+}
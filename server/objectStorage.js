@@ -1,108 +1,129 @@
-import { S3Client, PutObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
 import mime from 'mime-types';
+import { getStorageDriver, ObjectNotFoundError } from './storage/index.js';
 
-// Cloudflare R2 client using S3 API
-const s3Client = new S3Client({
-  region: 'auto',
-  endpoint: process.env.CLOUDFLARE_R2_ENDPOINT,
-  credentials: {
-    accessKeyId: process.env.CLOUDFLARE_R2_ACCESS_KEY_ID,
-    secretAccessKey: process.env.CLOUDFLARE_R2_SECRET_ACCESS_KEY,
-  },
-});
-
-const BUCKET_NAME = process.env.CLOUDFLARE_R2_BUCKET_NAME;
-
-console.log('🔧 R2 Configuration:', {
-  endpoint: process.env.CLOUDFLARE_R2_ENDPOINT ? 'SET' : 'MISSING',
-  accessKeyId: process.env.CLOUDFLARE_R2_ACCESS_KEY_ID ? 'SET' : 'MISSING', 
-  secretAccessKey: process.env.CLOUDFLARE_R2_SECRET_ACCESS_KEY ? 'SET' : 'MISSING',
-  bucketName: BUCKET_NAME || 'MISSING'
-});
-
-export class ObjectNotFoundError extends Error {
-  constructor() {
-    super("Object not found");
-    this.name = "ObjectNotFoundError";
-    Object.setPrototypeOf(this, ObjectNotFoundError.prototype);
+export { ObjectNotFoundError };
+
+// Speech audio and alignment files are named after a hash of their text, so a key never changes content
+const CONTENT_ADDRESSED_PREFIXES = ['uploads/audio/', 'uploads/alignment/'];
+
+// Keys come from URLs; one with empty, "." or ".." segments could name another object
+// than its prefix says, so it names none
+export function isValidObjectKey(objectKey) {
+  return typeof objectKey === 'string' && objectKey.split('/').every(segment => segment !== '' && segment !== '.' && segment !== '..');
+}
+
+export function isContentAddressedKey(objectKey) {
+  return isValidObjectKey(objectKey) && CONTENT_ADDRESSED_PREFIXES.some(prefix => objectKey.startsWith(prefix));
+}
+
+// Content-addressed files can be cached forever; page images are private and can be
+// replaced, so browsers keep them for an hour and revalidate with the ETag after that
+function cacheControlFor(objectKey) {
+  return isContentAddressedKey(objectKey)
+    ? 'public, max-age=31536000, immutable'
+    : 'private, max-age=3600';
+}
+
+// If-Range holds an ETag (strong comparison) or an HTTP date
+function ifRangeMatches(ifRange, { etag, lastModified }) {
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return Boolean(etag) && !etag.startsWith('W/') && ifRange === etag;
   }
+  const since = Date.parse(ifRange);
+  return Boolean(lastModified) && !isNaN(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
 }
 
-// Cloudflare R2 Object Storage service
+// Object key of a stored file path. Accepts "/objects/uploads/x", "uploads/x" and
+// the legacy local form "/uploads/x"; returns null for anything else.
+export function objectKeyFromPath(objectPath) {
+  if (!objectPath) return null;
+  if (objectPath.startsWith('/objects/')) return objectPath.slice('/objects/'.length);
+  if (objectPath.startsWith('/uploads/')) return objectPath.slice(1);
+  if (objectPath.startsWith('uploads/')) return objectPath;
+  return null;
+}
+
+// Object storage service on top of the configured storage driver (see storage/index.js)
 export class ObjectStorageService {
-  // Upload a file to Cloudflare R2
-  async uploadFile(buffer, fileName, contentType = 'application/octet-stream') {
+  constructor(driver = getStorageDriver()) {
+    this.driver = driver;
+  }
+
+  // Upload a file under uploads/, optionally with custom metadata (e.g. the ACL policy)
+  async uploadFile(buffer, fileName, contentType = 'application/octet-stream', metadata = undefined) {
     try {
       const objectKey = `uploads/${fileName}`;
-      console.log(`🔄 Uploading to R2: key="${objectKey}", size=${buffer.length} bytes`);
-      
-      const uploadCommand = new PutObjectCommand({
-        Bucket: BUCKET_NAME,
-        Key: objectKey,
-        Body: buffer,
-        ContentType: contentType,
-      });
-      
-      await s3Client.send(uploadCommand);
-      
-      console.log(`✅ File uploaded to Cloudflare R2: key="${objectKey}"`);
-      
+      console.log(`🔄 Uploading to ${this.driver.name} storage: key="${objectKey}", size=${buffer.length} bytes`);
+
+      await this.driver.put(objectKey, buffer, { contentType, metadata });
+
+      console.log(`✅ File uploaded: key="${objectKey}"`);
+
       // Return the object path that can be used to access the file
       return `/objects/${objectKey}`;
     } catch (error) {
-      console.error('Error uploading file to Cloudflare R2:', error);
+      console.error(`Error uploading file to ${this.driver.name} storage:`, error);
       throw new Error('Failed to upload file');
     }
   }
 
-  // Download and stream an object to the response
-  async downloadObject(objectKey, res) {
+  // Stream an object to the response, with conditional GET (ETag / Last-Modified)
+  // and single byte range (206) support
+  async downloadObject(objectKey, req, res) {
     try {
-      console.log(`🔍 Downloading from R2: key="${objectKey}"`);
-      
-      const downloadCommand = new GetObjectCommand({
-        Bucket: BUCKET_NAME,
-        Key: objectKey,
+      const object = await this.driver.head(objectKey);
+
+      res.set({
+        "Content-Type": object.contentType || mime.lookup(objectKey) || 'application/octet-stream',
+        "Cache-Control": cacheControlFor(objectKey),
+        "Accept-Ranges": "bytes"
       });
-      
-      const response = await s3Client.send(downloadCommand);
-      
-      if (!response.Body) {
-        console.error(`❌ Object not found in R2: key="${objectKey}"`);
-        throw new ObjectNotFoundError();
+      if (object.etag) res.set('ETag', object.etag);
+      if (object.lastModified) res.set('Last-Modified', object.lastModified.toUTCString());
+
+      if (req.fresh) {
+        return res.status(304).end();
       }
-      
-      console.log(`✅ R2 download successful for: ${objectKey}`);
-      
-      // Convert stream to buffer
-      const chunks = [];
-      const stream = response.Body;
-      
-      for await (const chunk of stream) {
-        chunks.push(chunk);
+
+      let range = null;
+      const ifRange = req.get('If-Range');
+      if (req.get('Range') && (!ifRange || ifRangeMatches(ifRange, object))) {
+        const ranges = req.range(object.size, { combine: true });
+        if (ranges === -1) {
+          res.set('Content-Range', `bytes */${object.size}`);
+          return res.status(416).end();
+        }
+        // Malformed and multi-part ranges get the whole file
+        if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+          range = ranges[0];
+        }
       }
-      
-      const bytes = Buffer.concat(chunks);
-      console.log(`✅ Downloaded from R2: ${bytes.length} bytes`);
 
-      // Set appropriate headers
-      const contentType = mime.lookup(objectKey) || 'application/octet-stream';
-      res.set({
-        "Content-Type": contentType,
-        "Cache-Control": "public, max-age=3600",
-        "Content-Length": bytes.length.toString()
-      });
+      if (range) {
+        res.status(206).set({
+          "Content-Range": `bytes ${range.start}-${range.end}/${object.size}`,
+          "Content-Length": (range.end - range.start + 1).toString()
+        });
+      } else {
+        res.set('Content-Length', object.size.toString());
+      }
 
-      res.send(bytes);
-    } catch (error) {
-      if (error.name === 'NoSuchKey') {
-        console.error(`❌ Object not found in R2: key="${objectKey}"`);
-        throw new ObjectNotFoundError();
+      if (req.method === 'HEAD') {
+        return res.end();
       }
+
+      const { stream } = await this.driver.stream(objectKey, range);
+      stream.on('error', (error) => {
+        console.error(`Error streaming object ${objectKey}:`, error);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    } catch (error) {
       if (error instanceof ObjectNotFoundError) {
+        console.error(`❌ Object not found: key="${objectKey}"`);
         throw error;
       }
-      console.error('Error downloading object from R2:', error);
+      console.error('Error downloading object:', error);
       throw new Error('Failed to download object');
     }
   }
@@ -110,63 +131,54 @@ export class ObjectStorageService {
   // Download object as bytes (for AI processing)
   async downloadBytes(objectKey) {
     try {
-      console.log(`🔍 Downloading bytes from R2: key="${objectKey}"`);
-      
-      const downloadCommand = new GetObjectCommand({
-        Bucket: BUCKET_NAME,
-        Key: objectKey,
-      });
-      
-      const response = await s3Client.send(downloadCommand);
-      
-      if (!response.Body) {
-        console.error(`❌ Object not found in R2: key="${objectKey}"`);
-        throw new ObjectNotFoundError();
-      }
-      
-      // Convert stream to buffer
-      const chunks = [];
-      const stream = response.Body;
-      
-      for await (const chunk of stream) {
-        chunks.push(chunk);
-      }
-      
-      const bytes = Buffer.concat(chunks);
-      console.log(`✅ Downloaded bytes from R2: ${objectKey} (${bytes.length} bytes)`);
+      const bytes = await this.driver.get(objectKey);
+      console.log(`✅ Downloaded bytes: ${objectKey} (${bytes.length} bytes)`);
       return bytes;
     } catch (error) {
-      if (error.name === 'NoSuchKey') {
-        console.error(`❌ Object not found in R2: key="${objectKey}"`);
-        throw new ObjectNotFoundError();
-      }
       if (error instanceof ObjectNotFoundError) {
+        console.error(`❌ Object not found: key="${objectKey}"`);
         throw error;
       }
-      console.error('Error downloading bytes from R2:', error);
+      console.error('Error downloading bytes:', error);
       throw new Error('Failed to download bytes');
     }
   }
 
-  // Delete an object
+  // Size, content type, etag and custom metadata of an object
+  async headObject(objectKey) {
+    return this.driver.head(objectKey);
+  }
+
+  // Custom metadata of an object
+  async getObjectMetadata(objectKey) {
+    const head = await this.driver.head(objectKey);
+    return head.metadata;
+  }
+
+  // Merge custom metadata into an existing object
+  async setObjectMetadata(objectKey, metadata) {
+    await this.driver.setMetadata(objectKey, metadata);
+  }
+
+  // Objects whose key starts with the prefix
+  async listObjects(prefix = 'uploads/') {
+    return this.driver.list(prefix);
+  }
+
+  // Delete an object; resolves to whether it was deleted
   async deleteObject(objectKey) {
     try {
-      const { ok, error } = await this.client.delete(objectKey);
-      
-      if (!ok) {
-        console.warn(`Failed to delete object ${objectKey}:`, error);
-        // Don't throw error for deletion failures - it's not critical
-      }
+      await this.driver.delete(objectKey);
+      return true;
     } catch (error) {
-      console.warn("Error deleting object:", error);
+      console.warn(`Failed to delete object ${objectKey}:`, error);
       // Don't throw error for deletion failures - it's not critical
+      return false;
     }
   }
 
   // Get object entity file (compatibility method)
   async getObjectEntityFile(objectPath) {
-    // Extract object key from path like "/objects/uploads/filename.jpg"
-    const objectKey = objectPath.replace('/objects/', '');
-    return { objectKey };
+    return { objectKey: objectKeyFromPath(objectPath) };
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,142 @@
+// Google Cloud Vision OCR provider (REST API with key since client library needs service account)
+
+// Bounding box of a Vision element as { minX, minY, maxX, maxY }
+function verticesToBounds(boundingBox) {
+  const vertices = boundingBox?.vertices;
+  if (!vertices || vertices.length === 0) {
+    return null;
+  }
+  return {
+    minX: Math.min(...vertices.map(v => v.x || 0)),
+    minY: Math.min(...vertices.map(v => v.y || 0)),
+    maxX: Math.max(...vertices.map(v => v.x || 0)),
+    maxY: Math.max(...vertices.map(v => v.y || 0))
+  };
+}
+
+// Breaks after a symbol that end a line of text
+const LINE_BREAKS = ['EOL_SURE_SPACE', 'LINE_BREAK'];
+
+export class GoogleVisionProvider {
+  constructor({ apiKey = process.env.GOOGLE_CLOUD_VISION_API_KEY } = {}) {
+    this.name = 'google-vision';
+    // Vision reports coordinates for the stored pixels, before EXIF rotation
+    this.coordinateSpace = 'raw';
+    this.apiKey = apiKey;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async detect(imageBuffer) {
+    // Use REST API for document text detection
+    const requestBody = {
+      requests: [{
+        image: { content: imageBuffer.toString('base64') },
+        features: [{ type: 'DOCUMENT_TEXT_DETECTION' }]
+      }]
+    };
+
+    const response = await fetch(`https://vision.googleapis.com/v1/images:annotate?key=${this.apiKey}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(requestBody)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Vision API error: ${response.status} ${response.statusText}`);
+    }
+
+    const visionResult = await response.json();
+    const annotation = visionResult.responses[0];
+
+    if (annotation.error) {
+      throw new Error(`Vision API error: ${annotation.error.message}`);
+    }
+
+    const fullTextAnnotation = annotation.fullTextAnnotation;
+    if (!fullTextAnnotation || !fullTextAnnotation.pages || fullTextAnnotation.pages.length === 0) {
+      return [];
+    }
+
+    console.log('📄 Processing document structure from Google Cloud Vision');
+
+    const page = fullTextAnnotation.pages[0];
+    const pageLanguage = page.property?.detectedLanguages?.[0]?.languageCode || null;
+    const blocks = [];
+
+    // Process each block (which represents meaningful text regions)
+    for (const block of page.blocks || []) {
+      if (!block.paragraphs || block.paragraphs.length === 0) continue;
+
+      // Group paragraphs in the same block
+      const blockTexts = [];
+      const blockWords = [];
+      let line = 0;
+      let minX = Infinity, minY = Infinity, maxX = 0, maxY = 0;
+      let totalConfidence = 0, totalWords = 0;
+
+      for (const paragraph of block.paragraphs) {
+        if (!paragraph.words || paragraph.words.length === 0) continue;
+
+        // Extract text from words with proper spacing
+        const paragraphText = paragraph.words.map(word => {
+          const wordText = word.symbols.map(symbol => symbol.text).join('');
+
+          // Track bounding box
+          const bounds = verticesToBounds(word.boundingBox);
+          if (bounds) {
+            minX = Math.min(minX, bounds.minX);
+            minY = Math.min(minY, bounds.minY);
+            maxX = Math.max(maxX, bounds.maxX);
+            maxY = Math.max(maxY, bounds.maxY);
+          }
+
+          // Keep the word's own box; a line ends at a line break after its last symbol
+          if (bounds && wordText.trim()) {
+            blockWords.push({
+              bbox: { x: bounds.minX, y: bounds.minY, width: bounds.maxX - bounds.minX, height: bounds.maxY - bounds.minY },
+              line
+            });
+          }
+          const lastSymbol = word.symbols[word.symbols.length - 1];
+          if (LINE_BREAKS.includes(lastSymbol?.property?.detectedBreak?.type)) {
+            line++;
+          }
+
+          // Track confidence
+          if (word.confidence) {
+            totalConfidence += word.confidence;
+            totalWords++;
+          }
+
+          return wordText;
+        }).join(' '); // Add space between words
+
+        if (paragraphText.trim().length > 0) {
+          blockTexts.push(paragraphText.trim());
+        }
+        // Paragraphs start on a new line
+        if (blockWords.length > 0 && blockWords[blockWords.length - 1].line === line) {
+          line++;
+        }
+      }
+
+      // Create text block if we have content
+      if (blockTexts.length > 0 && minX !== Infinity) {
+        blocks.push({
+          text: blockTexts.join(' ').trim(),
+          bbox: { x: minX, y: minY, width: maxX - minX, height: maxY - minY },
+          confidence: totalWords > 0 ? totalConfidence / totalWords : 0.9,
+          language: block.property?.detectedLanguages?.[0]?.languageCode || pageLanguage,
+          words: blockWords
+        });
+      }
+    }
+
+    return blocks;
+  }
+}
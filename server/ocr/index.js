@@ -0,0 +1,140 @@
+// OCR provider chain for text block detection
+// Providers are tried in the order given by OCR_PROVIDERS until one returns blocks.
+// Every provider returns normalized blocks: { text, bbox: { x, y, width, height }, confidence, language,
+// words, lines }. Providers that report word boxes give each block words: [{ text, bbox, line }]
+// (line: any key shared by the words of one line); see textLayout.js for the stored shape.
+import { imageSize } from 'image-size';
+import { buildLayout } from '../textLayout.js';
+import { GoogleVisionProvider } from './googleVision.js';
+import { OpenAIVisionProvider } from './openai.js';
+import { TesseractProvider } from './tesseract.js';
+import { FixtureProvider } from './fixture.js';
+
+const DEFAULT_PROVIDERS = 'google-vision,openai,tesseract';
+
+// Only include blocks with meaningful content (at least 3 characters)
+const MIN_BLOCK_TEXT_LENGTH = 3;
+
+const providerFactories = {
+  'google-vision': () => new GoogleVisionProvider(),
+  openai: ({ llm }) => new OpenAIVisionProvider({ llm }),
+  tesseract: () => new TesseractProvider(),
+  fixture: () => new FixtureProvider()
+};
+
+export class NoOcrProviderError extends Error {
+  constructor() {
+    super("No OCR provider is configured");
+    this.name = "NoOcrProviderError";
+    Object.setPrototypeOf(this, NoOcrProviderError.prototype);
+  }
+}
+
+// Transform coordinates for rotated images to match frontend display
+function applyOrientation(bbox, dimensions) {
+  // Handle EXIF orientation transformations to match browser display
+  switch (dimensions.orientation) {
+    case 6: // 90 degrees clockwise - displayed image is 3024w x 4032h
+    case 8: // 90 degrees counter-clockwise
+      return {
+        x: dimensions.height - (bbox.y + bbox.height),
+        y: bbox.x,
+        width: bbox.height,
+        height: bbox.width
+      };
+    case 3: // 180 degrees
+      return {
+        ...bbox,
+        x: dimensions.width - (bbox.x + bbox.width),
+        y: dimensions.height - (bbox.y + bbox.height)
+      };
+    default: // Orientation 1 (no rotation) uses original coordinates
+      return bbox;
+  }
+}
+
+function normalizeBox(box, provider, dimensions) {
+  const bbox = {
+    x: Math.round(Number(box?.x) || 0),
+    y: Math.round(Number(box?.y) || 0),
+    width: Math.round(Number(box?.width) || 0),
+    height: Math.round(Number(box?.height) || 0)
+  };
+  return provider.coordinateSpace === 'raw' ? applyOrientation(bbox, dimensions) : bbox;
+}
+
+function normalizeBlock(block, provider, dimensions) {
+  const confidence = Number(block.confidence);
+  const text = String(block.text || '').trim();
+  const words = Array.isArray(block.words)
+    ? block.words.map(word => ({ ...normalizeBox(word.bbox, provider, dimensions), line: word.line }))
+    : null;
+
+  return {
+    text,
+    bbox: normalizeBox(block.bbox, provider, dimensions),
+    confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.9,
+    language: block.language || null,
+    ...buildLayout(text, words)
+  };
+}
+
+export class OcrService {
+  constructor({ providers = process.env.OCR_PROVIDERS || DEFAULT_PROVIDERS, llm = null } = {}) {
+    this.providers = providers
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean)
+      .map(name => {
+        const factory = providerFactories[name];
+        if (!factory) {
+          throw new Error(`Unknown OCR provider: ${name}`);
+        }
+        return factory({ llm });
+      });
+
+    const configured = this.providers.filter(provider => provider.isConfigured()).map(provider => provider.name);
+    if (configured.length > 0) {
+      console.log(`✅ OCR providers: ${configured.join(' → ')}`);
+    } else {
+      console.warn('⚠️  No OCR provider configured - text detection will not work');
+    }
+  }
+
+  // Run the provider chain on an image, returning the first non-empty result.
+  // context ({ bookId, pageId }) attributes LLM usage; errors lists the providers that failed.
+  async detect(imageBuffer, context = {}) {
+    // Get actual image dimensions using image-size library
+    const dimensions = imageSize(imageBuffer);
+    console.log('Actual image dimensions:', dimensions);
+
+    const available = this.providers.filter(provider => provider.isConfigured());
+    if (available.length === 0) {
+      throw new NoOcrProviderError();
+    }
+
+    const errors = [];
+    for (const provider of available) {
+      console.log(`🔍 Using ${provider.name} for text detection`);
+
+      try {
+        const blocks = (await provider.detect(imageBuffer, dimensions, context))
+          .map(block => normalizeBlock(block, provider, dimensions))
+          .filter(block => block.text.length >= MIN_BLOCK_TEXT_LENGTH);
+
+        if (blocks.length > 0) {
+          console.log(`${provider.name} detected ${blocks.length} text blocks`);
+          return { provider: provider.name, blocks, dimensions, errors };
+        }
+
+        console.log(`${provider.name} found no text, trying next provider...`);
+      } catch (error) {
+        console.error(`${provider.name} OCR error:`, error);
+        errors.push({ provider: provider.name, message: error.message });
+        console.log('Falling back to next provider...');
+      }
+    }
+
+    return { provider: null, blocks: [], dimensions, errors };
+  }
+}
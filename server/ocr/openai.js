@@ -0,0 +1,91 @@
+// OpenAI GPT-4o vision OCR provider, through the shared LLM client (../llm)
+
+function buildPrompt({ width, height }) {
+  return `Analyze this book page image and identify all text regions. This image is exactly ${width}x${height} pixels.
+
+For each text block (paragraph, heading, or distinct text area), provide:
+1. The text content
+2. Precise bounding box coordinates (x, y, width, height) in pixels from the top-left corner
+3. A confidence score
+4. The language of the text as an ISO 639-1 code (e.g. "en", "sv")
+
+IMPORTANT: Use the exact image dimensions I provided (${width}x${height}) for your coordinate calculations. Use null for the language when it is unclear.
+
+Focus on grouping text into meaningful blocks (complete sentences/paragraphs) rather than individual words. Be precise with coordinates using the ${width}x${height} pixel coordinate system.`;
+}
+
+const TEXT_BLOCKS_SCHEMA = {
+  type: 'object',
+  properties: {
+    textBlocks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          x: { type: 'number' },
+          y: { type: 'number' },
+          width: { type: 'number' },
+          height: { type: 'number' },
+          confidence: { type: 'number' },
+          language: { type: ['string', 'null'] }
+        },
+        required: ['text', 'x', 'y', 'width', 'height', 'confidence', 'language'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['textBlocks'],
+  additionalProperties: false
+};
+
+export class OpenAIVisionProvider {
+  constructor({ llm }) {
+    this.name = 'openai';
+    // GPT-4o answers in the orientation the image is displayed in
+    this.coordinateSpace = 'display';
+    this.llm = llm;
+  }
+
+  isConfigured() {
+    return Boolean(this.llm?.isConfigured());
+  }
+
+  // An answer that never fits the schema throws (LlmResponseError), so the chain
+  // moves on to the next provider instead of taking it as a page without text
+  async detect(imageBuffer, dimensions, { bookId = null, pageId = null } = {}) {
+    const base64Image = imageBuffer.toString('base64');
+
+    const { textBlocks } = await this.llm.generateJson({
+      task: 'page_text_blocks',
+      bookId,
+      pageId,
+      schema: TEXT_BLOCKS_SCHEMA,
+      messages: [
+        {
+          role: "user",
+          content: [
+            {
+              type: "text",
+              text: buildPrompt(dimensions)
+            },
+            {
+              type: "image_url",
+              image_url: {
+                url: `data:image/jpeg;base64,${base64Image}`
+              }
+            }
+          ]
+        }
+      ],
+      maxTokens: 1500
+    });
+
+    return textBlocks.map(block => ({
+      text: block.text,
+      bbox: { x: block.x, y: block.y, width: block.width, height: block.height },
+      confidence: block.confidence,
+      language: block.language || null
+    }));
+  }
+}
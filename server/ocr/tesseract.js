@@ -0,0 +1,104 @@
+// Local Tesseract OCR provider - runs the tesseract CLI so detection works offline
+import { spawn } from 'child_process';
+
+// Tesseract traineddata names mapped to ISO 639-1 codes
+const TESSERACT_LANGUAGES = {
+  eng: 'en',
+  swe: 'sv',
+  nor: 'no',
+  dan: 'da',
+  fin: 'fi',
+  deu: 'de',
+  fra: 'fr',
+  spa: 'es',
+  ita: 'it',
+  nld: 'nl'
+};
+
+// TSV output levels (1 page, 2 block, 3 paragraph, 4 line, 5 word)
+const WORD_LEVEL = 5;
+
+function runTesseract(binary, imageBuffer, language) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(binary, ['stdin', 'stdout', '-l', language, 'tsv']);
+    const stdout = [];
+    const stderr = [];
+
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => stderr.push(chunk));
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code !== 0) {
+        reject(new Error(`tesseract exited with code ${code}: ${Buffer.concat(stderr).toString().trim()}`));
+        return;
+      }
+      resolve(Buffer.concat(stdout).toString('utf8'));
+    });
+
+    child.stdin.on('error', reject);
+    child.stdin.end(imageBuffer);
+  });
+}
+
+// Group word rows of tesseract TSV output into blocks
+export function parseTesseractTsv(tsv, language) {
+  const blocks = new Map();
+
+  for (const line of tsv.split('\n').slice(1)) {
+    const columns = line.split('\t');
+    if (columns.length < 12) continue;
+
+    const [level, , blockNum, paragraphNum, lineNum, , left, top, width, height, conf, ...textParts] = columns;
+    const text = textParts.join('\t').trim();
+    if (parseInt(level) !== WORD_LEVEL || !text) continue;
+
+    if (!blocks.has(blockNum)) {
+      blocks.set(blockNum, { words: [], wordBoxes: [], minX: Infinity, minY: Infinity, maxX: 0, maxY: 0, totalConfidence: 0 });
+    }
+
+    const block = blocks.get(blockNum);
+    const x = parseInt(left), y = parseInt(top);
+    block.words.push(text);
+    block.wordBoxes.push({
+      bbox: { x, y, width: parseInt(width), height: parseInt(height) },
+      line: `${paragraphNum}.${lineNum}`
+    });
+    block.minX = Math.min(block.minX, x);
+    block.minY = Math.min(block.minY, y);
+    block.maxX = Math.max(block.maxX, x + parseInt(width));
+    block.maxY = Math.max(block.maxY, y + parseInt(height));
+    block.totalConfidence += Math.max(0, parseFloat(conf)) / 100;
+  }
+
+  return [...blocks.values()].map(block => ({
+    text: block.words.join(' '),
+    bbox: { x: block.minX, y: block.minY, width: block.maxX - block.minX, height: block.maxY - block.minY },
+    confidence: block.totalConfidence / block.words.length,
+    language,
+    words: block.wordBoxes
+  }));
+}
+
+export class TesseractProvider {
+  constructor({
+    binary = process.env.TESSERACT_PATH || 'tesseract',
+    language = process.env.TESSERACT_LANG || 'eng'
+  } = {}) {
+    this.name = 'tesseract';
+    // The tesseract CLI does not apply EXIF orientation
+    this.coordinateSpace = 'raw';
+    this.binary = binary;
+    this.language = language;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async detect(imageBuffer) {
+    const tsv = await runTesseract(this.binary, imageBuffer, this.language);
+    // Multi-language setups like "swe+eng" report the first language
+    const primaryLanguage = this.language.split('+')[0];
+    return parseTesseractTsv(tsv, TESSERACT_LANGUAGES[primaryLanguage] || primaryLanguage);
+  }
+}
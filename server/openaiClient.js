@@ -0,0 +1,12 @@
+// Shared OpenAI client, null when OPENAI_API_KEY is not set (optional for development)
+import OpenAI from 'openai';
+
+export let openai = null;
+if (process.env.OPENAI_API_KEY) {
+  openai = new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY,
+  });
+  console.log('✅ OpenAI initialized');
+} else {
+  console.warn('⚠️  OPENAI_API_KEY not set - AI features will not work');
+}
@@ -0,0 +1,15 @@
+// Load page image bytes for AI processing
+import { ObjectStorageService, objectKeyFromPath } from './objectStorage.js';
+
+const objectStorageService = new ObjectStorageService();
+
+// Page images live in object storage as "/objects/uploads/...", "uploads/..." or the legacy "/uploads/..."
+export async function loadPageImage(imagePath) {
+  const objectKey = objectKeyFromPath(imagePath);
+  if (!objectKey) {
+    throw new Error('No valid image path found for page');
+  }
+
+  console.log(`🔍 Downloading page image: ${objectKey}`);
+  return await objectStorageService.downloadBytes(objectKey);
+}
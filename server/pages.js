@@ -0,0 +1,92 @@
+// Page management: delete, move and insert pages and replace a page's image
+// Pages are numbered from 1 without gaps. Every change reads the pages and chapters,
+// renumbers the pages and moves the chapter ranges along in one transaction (see
+// dbHelpers.updateBookPages), so concurrent changes to a book run one after the other.
+// Stored images of deleted or replaced pages are left to the caller; speech of their text
+// blocks is left to the storage garbage collector, since speech files can be shared.
+import { dbHelpers } from './database.js';
+import { renumberChapters } from './chapters.js';
+
+export class PageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PageError";
+    this.status = status;
+    Object.setPrototypeOf(this, PageError.prototype);
+  }
+}
+
+// A page position from 1 to last
+function parsePosition(value, last) {
+  const position = Number(value);
+  if (!Number.isInteger(position) || position < 1 || position > last) {
+    throw new PageError(`position must be a whole number from 1 to ${last}`);
+  }
+  return position;
+}
+
+// Changes that give a book's pages a new order. ordered lists the page rows that are
+// left, in their new order, with null where a page is added.
+function pageOrderChanges(ordered, bookChapters, { addImagePath = null, deletePageId = null } = {}) {
+  const pageMap = new Map();
+  const pageNumbers = [];
+  let addPage = null;
+  ordered.forEach((page, index) => {
+    if (page === null) {
+      addPage = { pageNumber: index + 1, imagePath: addImagePath };
+      return;
+    }
+    pageMap.set(page.pageNumber, index + 1);
+    if (page.pageNumber !== index + 1) {
+      pageNumbers.push([page.id, index + 1]);
+    }
+  });
+
+  const chapterRanges = renumberChapters(bookChapters, pageMap, ordered.length)
+    .filter((chapter, index) => chapter.startPage !== bookChapters[index].startPage || chapter.endPage !== bookChapters[index].endPage)
+    .map(({ id, startPage, endPage }) => ({ id, startPage, endPage }));
+
+  return { pageNumbers, addPage, deletePageId, chapterRanges };
+}
+
+// The page as it is now, from the pages read in the transaction
+function currentPage(bookPages, page) {
+  const current = bookPages.find(other => other.id === page.id);
+  if (!current) {
+    throw new PageError('Page not found', 404);
+  }
+  return current;
+}
+
+export async function deletePage(page) {
+  await dbHelpers.updateBookPages(page.bookId, (bookPages, bookChapters) => {
+    currentPage(bookPages, page);
+    return pageOrderChanges(bookPages.filter(other => other.id !== page.id), bookChapters, { deletePageId: page.id });
+  });
+}
+
+// Body: { position } counting from 1
+export async function movePage(page, position) {
+  await dbHelpers.updateBookPages(page.bookId, (bookPages, bookChapters) => {
+    const current = currentPage(bookPages, page);
+    const target = parsePosition(position, bookPages.length);
+    const ordered = bookPages.filter(other => other.id !== page.id);
+    ordered.splice(target - 1, 0, current);
+    return pageOrderChanges(ordered, bookChapters);
+  });
+}
+
+// Add a page at a position (counting from 1), or after the last page when none is given.
+// Resolves to the new page's id.
+export async function insertPage(bookId, imagePath, position) {
+  return dbHelpers.updateBookPages(bookId, (bookPages, bookChapters) => {
+    const target = position === undefined || position === '' ? bookPages.length + 1 : parsePosition(position, bookPages.length + 1);
+    const ordered = [...bookPages];
+    ordered.splice(target - 1, 0, null);
+    return pageOrderChanges(ordered, bookChapters, { addImagePath: imagePath });
+  });
+}
+
+export async function replacePageImage(page, imagePath) {
+  await dbHelpers.replacePageImage(page, imagePath);
+}
@@ -0,0 +1,116 @@
+// Reading preferences of a user: font and spacing of the reading text, page tint and
+// color filter, highlight colors, reading ruler and playback
+// Only the values a user changed are stored; reads fill in the defaults, so new
+// preferences and changed defaults apply to everyone who kept the default.
+import { dbHelpers } from './database.js';
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Each preference with its default and allowed values: options, a number range
+// (integer: whole numbers only), boolean or color (#rrggbb)
+const PREFERENCE_FIELDS = {
+  fontFamily: { default: 'opendyslexic', options: ['opendyslexic', 'lexend', 'atkinson'] },
+  fontScale: { default: 1, min: 0.75, max: 2 },
+  letterSpacing: { default: 0.05, min: 0, max: 0.3 }, // em
+  wordSpacing: { default: 0.15, min: 0, max: 0.8 }, // em
+  lineHeight: { default: 1.8, min: 1.2, max: 3 },
+  pageTint: { default: 'none', options: ['none', 'yellow', 'peach', 'blue', 'green', 'pink', 'gray'] },
+  colorFilter: { default: 'none', options: ['none', 'grayscale', 'sepia', 'high-contrast', 'invert'] },
+  wordHighlightColor: { default: '#ffeb3b', color: true },
+  wordHighlightShape: { default: 'marker', options: ['marker', 'underline', 'outline'] },
+  lineHighlightColor: { default: '#fff59d', color: true },
+  rulerEnabled: { default: false, boolean: true },
+  rulerStyle: { default: 'band', options: ['band', 'mask'] }, // a tinted band, or dim everything else
+  rulerLines: { default: 1, min: 1, max: 5, integer: true },
+  rulerColor: { default: '#ffeb3b', color: true },
+  playbackSpeed: { default: 1, min: 0.5, max: 2 },
+  tapMode: { default: 'block', options: ['block', 'sentences', 'lines'] }
+};
+
+export const DEFAULT_PREFERENCES = Object.fromEntries(
+  Object.entries(PREFERENCE_FIELDS).map(([name, field]) => [name, field.default])
+);
+
+export class PreferencesError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PreferencesError";
+    this.status = status;
+    Object.setPrototypeOf(this, PreferencesError.prototype);
+  }
+}
+
+// The valid value of a preference, or an error message
+function checkValue(field, value) {
+  if (field.options) {
+    return field.options.includes(value) ? { value } : { error: `must be one of: ${field.options.join(', ')}` };
+  }
+  if (field.boolean) {
+    return typeof value === 'boolean' ? { value } : { error: 'must be true or false' };
+  }
+  if (field.color) {
+    return typeof value === 'string' && HEX_COLOR.test(value) ? { value: value.toLowerCase() } : { error: 'must be a color like #ffeb3b' };
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < field.min || value > field.max ||
+      (field.integer && !Number.isInteger(value))) {
+    return { error: `must be a ${field.integer ? 'whole ' : ''}number from ${field.min} to ${field.max}` };
+  }
+  return { value };
+}
+
+// Stored values that are still valid, on top of the defaults
+function withDefaults(stored) {
+  const preferences = { ...DEFAULT_PREFERENCES };
+  for (const [name, value] of Object.entries(stored || {})) {
+    const checked = PREFERENCE_FIELDS[name] && checkValue(PREFERENCE_FIELDS[name], value);
+    if (checked?.value !== undefined) {
+      preferences[name] = checked.value;
+    }
+  }
+  return preferences;
+}
+
+export async function getPreferences(userId) {
+  return withDefaults(await dbHelpers.getUserPreferences(userId));
+}
+
+// Body: any subset of the preferences; returns all of them after the change
+export async function updatePreferences(userId, changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new PreferencesError('Preferences must be an object');
+  }
+
+  const stored = await dbHelpers.getUserPreferences(userId) || {};
+  const updated = {};
+  for (const [name, value] of Object.entries(stored)) {
+    if (PREFERENCE_FIELDS[name]) {
+      updated[name] = value;
+    }
+  }
+
+  for (const [name, value] of Object.entries(changes)) {
+    const field = PREFERENCE_FIELDS[name];
+    if (!field) {
+      throw new PreferencesError(`Unknown preference: ${name}`);
+    }
+    const checked = checkValue(field, value);
+    if (checked.error) {
+      throw new PreferencesError(`${name} ${checked.error}`);
+    }
+    // Keep only values that differ from the default
+    if (checked.value === field.default) {
+      delete updated[name];
+    } else {
+      updated[name] = checked.value;
+    }
+  }
+
+  await dbHelpers.saveUserPreferences(userId, updated);
+  return withDefaults(updated);
+}
+
+// Back to the defaults
+export async function resetPreferences(userId) {
+  await dbHelpers.deleteUserPreferences(userId);
+  return { ...DEFAULT_PREFERENCES };
+}
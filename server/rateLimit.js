@@ -0,0 +1,35 @@
+// Simple in-memory fixed-window rate limiter middleware, keyed by client IP
+
+export function createRateLimiter({ windowMs, max, message = 'Too many requests, please try again later' }) {
+  const windows = new Map();
+
+  // Drop expired windows so the map does not grow without bound
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const key = req.ip;
+    const now = Date.now();
+
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+
+    window.count++;
+    if (window.count > max) {
+      res.set('Retry-After', Math.ceil((window.resetAt - now) / 1000).toString());
+      return res.status(429).json({ error: message });
+    }
+
+    next();
+  };
+}
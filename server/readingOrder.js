@@ -0,0 +1,87 @@
+// Reading order of the text blocks on a page, from their geometry alone
+// Uses a recursive XY-cut: a region is first split into columns wherever a vertical
+// strip of whitespace runs through all of it, and read column by column, left to right.
+// A region without columns is split into rows at horizontal whitespace and read top to
+// bottom. A heading that spans both columns therefore comes first, and two-column text
+// below it is read one whole column at a time instead of line by line across the gutter.
+
+// Narrowest whitespace that counts as a gutter between columns, as a fraction of the
+// region width (in image pixels, at least MIN_COLUMN_GAP)
+const COLUMN_GAP_FRACTION = 0.01;
+const MIN_COLUMN_GAP = 5;
+
+// Group blocks whose [start, end) intervals overlap or are closer than minGap; groups
+// come back in ascending order
+function splitAtGaps(blocks, interval, minGap) {
+  const sorted = [...blocks].sort((a, b) => interval(a)[0] - interval(b)[0]);
+  const groups = [];
+  let groupEnd = -Infinity;
+
+  for (const block of sorted) {
+    const [start, end] = interval(block);
+    if (groups.length === 0 || start - groupEnd >= minGap) {
+      groups.push([block]);
+      groupEnd = end;
+    } else {
+      groups[groups.length - 1].push(block);
+      groupEnd = Math.max(groupEnd, end);
+    }
+  }
+  return groups;
+}
+
+const horizontalExtent = (block) => [block.x, block.x + block.width];
+const verticalExtent = (block) => [block.y, block.y + block.height];
+
+function splitColumns(blocks) {
+  const [left, right] = blocks.reduce(([min, max], block) => [
+    Math.min(min, block.x),
+    Math.max(max, block.x + block.width)
+  ], [Infinity, -Infinity]);
+  const columnGap = Math.max(MIN_COLUMN_GAP, (right - left) * COLUMN_GAP_FRACTION);
+  return splitAtGaps(blocks, horizontalExtent, columnGap);
+}
+
+// Rows next to each other that both have columns belong to one multi-column section:
+// the section is read column by column rather than row by row across the gutter
+function groupSections(rows) {
+  const sections = [];
+  let previousHasColumns = false;
+
+  for (const row of rows) {
+    const hasColumns = splitColumns(row).length > 1;
+    if (hasColumns && previousHasColumns) {
+      sections[sections.length - 1].push(...row);
+    } else {
+      sections.push([...row]);
+    }
+    previousHasColumns = hasColumns;
+  }
+  return sections;
+}
+
+function xyCut(blocks) {
+  if (blocks.length <= 1) {
+    return blocks;
+  }
+
+  const columns = splitColumns(blocks);
+  if (columns.length > 1) {
+    return columns.flatMap(xyCut);
+  }
+
+  const rows = splitAtGaps(blocks, verticalExtent, 1);
+  if (rows.length > 1) {
+    const sections = groupSections(rows);
+    // Rows with columns that don't line up are read one row at a time
+    return (sections.length > 1 ? sections : rows).flatMap(xyCut);
+  }
+
+  // Overlapping boxes: top to bottom, then left to right
+  return [...blocks].sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+// Blocks ({ x, y, width, height, ... }) sorted into reading order
+export function orderBlocks(blocks) {
+  return xyCut(blocks);
+}
@@ -0,0 +1,176 @@
+// WebSocket channel per scanning session: /ws/sessions/:sessionId
+// Pushes the book's events (see events.js) to the desktop view and the mobile camera page.
+// The desktop connects with its login cookie. The phone has no login: it sends the upload
+// token from its claim as its first message, { type: 'auth', uploadToken }, since tokens in
+// the URL would end up in proxy and access logs. A phone only gets the events of its own
+// session and is cut off once the session is closed, revoked, completed or expires.
+import { WebSocketServer } from 'ws';
+import { dbHelpers } from './database.js';
+import { subscribe, EventType } from './events.js';
+import { sessionState, sessionExpiresAt, uploadTokenMatches } from './sessions.js';
+import { getRequestUser } from './auth.js';
+import { getBookRole } from './access.js';
+
+const SESSION_PATH = /^\/ws\/sessions\/([^/?]+)/;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const AUTH_TIMEOUT_MS = 10 * 1000;
+const UNAUTHORIZED_CLOSE_CODE = 4401;
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+async function userCanWatchSession(req, session) {
+  const user = await getRequestUser(req);
+  const book = user ? await dbHelpers.getBookById(session.bookId) : null;
+  return (await getBookRole(user?.id, book)) !== null;
+}
+
+// Tell a phone its session ended and close its connection; its upload token is no longer
+// good for anything
+function endPhoneConnection(ws, session, status) {
+  send(ws, {
+    type: EventType.SESSION_CLOSED,
+    sessionId: session.id,
+    bookId: session.bookId,
+    data: { status },
+    timestamp: new Date().toISOString()
+  });
+  ws.close(UNAUTHORIZED_CLOSE_CODE, 'Session ended');
+}
+
+// Close a phone's connection when its session expires
+function closeOnExpiry(ws, session) {
+  const timer = setTimeout(async () => {
+    try {
+      const current = await dbHelpers.getScanningSession(session.id);
+      const state = current ? sessionState(current) : 'revoked';
+      if (state === 'active') {
+        closeOnExpiry(ws, current);
+      } else {
+        endPhoneConnection(ws, session, state);
+      }
+    } catch (error) {
+      console.error('Error checking session expiry:', error);
+      ws.close(UNAUTHORIZED_CLOSE_CODE, 'Session ended');
+    }
+  }, Math.min(Math.max(0, sessionExpiresAt(session).getTime() - Date.now()), MAX_TIMER_MS));
+  ws.once('close', () => clearTimeout(timer));
+}
+
+// Push the book's events to an authorized connection, starting with the current state.
+// Events of other scanning sessions are skipped; phones (authorized by the session's
+// upload token) get no events of the book as a whole either.
+async function watchSession(ws, session, { byUploadToken = false } = {}) {
+  const bookId = session.bookId || session.book_id;
+
+  const unsubscribe = subscribe(event => {
+    if (event.bookId !== bookId || (event.sessionId ? event.sessionId !== session.id : byUploadToken)) {
+      return;
+    }
+    send(ws, { ...event, sessionId: session.id });
+    if (byUploadToken && event.type === EventType.SESSION_CLOSED) {
+      ws.close(UNAUTHORIZED_CLOSE_CODE, 'Session ended');
+    }
+  });
+  ws.on('close', unsubscribe);
+  if (byUploadToken) {
+    closeOnExpiry(ws, session);
+  }
+
+  // Current state, so clients never need to poll after (re)connecting
+  try {
+    const pages = await dbHelpers.getBookPages(bookId);
+    send(ws, {
+      type: 'snapshot',
+      sessionId: session.id,
+      bookId,
+      data: { status: sessionState(session), expiresAt: sessionExpiresAt(session), pages },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error sending session snapshot:', error);
+  }
+}
+
+// Connections without a login get nothing until their first message brings a valid upload token
+function awaitUploadToken(ws, session) {
+  const timeout = setTimeout(() => ws.close(UNAUTHORIZED_CLOSE_CODE, 'Unauthorized'), AUTH_TIMEOUT_MS);
+
+  ws.once('message', async (data) => {
+    clearTimeout(timeout);
+    try {
+      const { type, uploadToken } = JSON.parse(data.toString());
+      // Read again: the token may have been revoked since the upgrade
+      const current = await dbHelpers.getScanningSession(session.id);
+      if (type === 'auth' && typeof uploadToken === 'string' && current && uploadTokenMatches(current, uploadToken)) {
+        const state = sessionState(current);
+        if (state === 'active') {
+          await watchSession(ws, current, { byUploadToken: true });
+        } else {
+          endPhoneConnection(ws, current, state);
+        }
+        return;
+      }
+    } catch (error) {
+      console.warn('Invalid WebSocket auth message:', error.message);
+    }
+    ws.close(UNAUTHORIZED_CLOSE_CODE, 'Unauthorized');
+  });
+}
+
+export function attachRealtime(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const match = req.url.match(SESSION_PATH);
+    if (!match) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    try {
+      const sessionId = decodeURIComponent(match[1]);
+      const session = await dbHelpers.getScanningSession(sessionId);
+      if (!session) {
+        return rejectUpgrade(socket, 404, 'Not Found');
+      }
+      const signedIn = await userCanWatchSession(req, session);
+
+      wss.handleUpgrade(req, socket, head, ws => {
+        ws.isAlive = true;
+        ws.on('pong', () => { ws.isAlive = true; });
+        if (signedIn) {
+          watchSession(ws, session);
+        } else {
+          awaitUploadToken(ws, session);
+        }
+      });
+    } catch (error) {
+      console.error('Error upgrading WebSocket connection:', error);
+      rejectUpgrade(socket, 500, 'Internal Server Error');
+    }
+  });
+
+  // Drop connections that stopped answering pings (e.g. phones going to sleep)
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
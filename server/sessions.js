@@ -0,0 +1,159 @@
+// Scanning session lifecycle: TTL, one-time QR claim tokens and upload tokens
+// The QR code carries a claim token that the phone exchanges exactly once for an
+// upload token; only the upload token is accepted for page uploads. Both are stored hashed.
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { dbHelpers } from './database.js';
+
+const DEFAULT_TTL_MINUTES = 120;
+
+export const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_MINUTES, 10) || DEFAULT_TTL_MINUTES) * 60 * 1000;
+
+// Error codes returned to clients as { error, code }
+export const SessionErrorCode = {
+  NOT_FOUND: 'SESSION_NOT_FOUND',
+  EXPIRED: 'SESSION_EXPIRED',
+  CLOSED: 'SESSION_CLOSED',
+  REVOKED: 'SESSION_REVOKED',
+  COMPLETED: 'SESSION_COMPLETED',
+  CLAIM_TOKEN_INVALID: 'CLAIM_TOKEN_INVALID',
+  CLAIM_TOKEN_USED: 'CLAIM_TOKEN_USED',
+  UPLOAD_TOKEN_REQUIRED: 'UPLOAD_TOKEN_REQUIRED',
+  UPLOAD_TOKEN_INVALID: 'UPLOAD_TOKEN_INVALID'
+};
+
+export class SessionError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.name = "SessionError";
+    this.code = code;
+    this.status = status;
+    Object.setPrototypeOf(this, SessionError.prototype);
+  }
+}
+
+const stateErrors = {
+  expired: () => new SessionError(SessionErrorCode.EXPIRED, 'This scanning session has expired', 410),
+  closed: () => new SessionError(SessionErrorCode.CLOSED, 'This scanning session has been closed', 410),
+  revoked: () => new SessionError(SessionErrorCode.REVOKED, 'This scanning link has been revoked', 410),
+  completed: () => new SessionError(SessionErrorCode.COMPLETED, 'This book has already been completed', 409)
+};
+
+export function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function tokenMatches(token, expectedHash) {
+  if (!token || !expectedHash) return false;
+  const actual = Buffer.from(hashToken(token), 'hex');
+  const expected = Buffer.from(expectedHash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+export function sessionExpiresAt(session) {
+  const expiresAt = session.expiresAt || session.expires_at;
+  if (expiresAt) return new Date(expiresAt);
+
+  // Sessions created before expiry was enforced
+  return new Date(new Date(session.createdAt || session.created_at).getTime() + SESSION_TTL_MS);
+}
+
+// Effective state: the stored status, or 'expired' once an active session passes its TTL
+export function sessionState(session) {
+  if (session.status && session.status !== 'active') {
+    return session.status;
+  }
+  return sessionExpiresAt(session) <= new Date() ? 'expired' : 'active';
+}
+
+export function assertSessionOpen(session) {
+  if (!session) {
+    throw new SessionError(SessionErrorCode.NOT_FOUND, 'Invalid or expired session', 404);
+  }
+
+  const state = sessionState(session);
+  if (state !== 'active') {
+    throw sessionStateError(state);
+  }
+  return session;
+}
+
+// Error for a session that is no longer accepting pages
+export function sessionStateError(state) {
+  return (stateErrors[state] || stateErrors.closed)();
+}
+
+// Start a scanning session for a book; the claim token is only returned here
+export async function openScanningSession(bookId) {
+  const sessionId = uuidv4();
+  const claimToken = generateToken();
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+
+  await dbHelpers.createScanningSession(sessionId, bookId, {
+    claimTokenHash: hashToken(claimToken),
+    expiresAt
+  });
+
+  return { sessionId, claimToken, expiresAt };
+}
+
+// Exchange the QR claim token for an upload token; works once per session
+export async function claimScanningSession(sessionId, claimToken) {
+  const session = assertSessionOpen(await dbHelpers.getScanningSession(sessionId));
+
+  if (!tokenMatches(claimToken, session.claimTokenHash)) {
+    throw new SessionError(SessionErrorCode.CLAIM_TOKEN_INVALID, 'Invalid scanning link', 403);
+  }
+
+  const uploadToken = generateToken();
+  const claimed = await dbHelpers.claimScanningSession(sessionId, session.claimTokenHash, hashToken(uploadToken));
+  if (!claimed) {
+    throw new SessionError(SessionErrorCode.CLAIM_TOKEN_USED, 'This scanning link has already been used on another device', 409);
+  }
+
+  return { uploadToken, expiresAt: sessionExpiresAt(session) };
+}
+
+// Whether the token is the upload token issued for this session
+export function uploadTokenMatches(session, uploadToken) {
+  return tokenMatches(uploadToken, session.uploadTokenHash);
+}
+
+// Check an upload token against an open session
+export async function authorizeUpload(sessionId, uploadToken) {
+  const session = assertSessionOpen(await dbHelpers.getScanningSession(sessionId));
+
+  if (!uploadToken) {
+    throw new SessionError(SessionErrorCode.UPLOAD_TOKEN_REQUIRED, 'Upload token required', 401);
+  }
+  if (!uploadTokenMatches(session, uploadToken)) {
+    throw new SessionError(SessionErrorCode.UPLOAD_TOKEN_INVALID, 'Invalid upload token', 403);
+  }
+
+  return session;
+}
+
+// Send a SessionError as { error, code }; anything else is left to the caller
+export function sendSessionError(res, error) {
+  if (!(error instanceof SessionError)) return false;
+  res.status(error.status).json({ error: error.message, code: error.code });
+  return true;
+}
+
+// Route middleware for phone uploads: checks the X-Upload-Token header before the
+// request body is read, and exposes the session as req.scanningSession
+export async function requireUploadToken(req, res, next) {
+  try {
+    req.scanningSession = await authorizeUpload(req.params.sessionId, req.get('X-Upload-Token'));
+    next();
+  } catch (error) {
+    if (!sendSessionError(res, error)) {
+      console.error('Error authorizing upload:', error);
+      res.status(500).json({ error: 'Failed to upload page' });
+    }
+  }
+}
@@ -0,0 +1,209 @@
+// Sharing books with users and groups, and invite links
+// Shares and invites grant a viewer or editor role; only the owner manages them.
+import crypto from 'crypto';
+import { dbHelpers } from './database.js';
+import { BookRole } from './access.js';
+
+const SHARE_ROLES = [BookRole.VIEWER, BookRole.EDITOR];
+const MAX_GROUP_NAME_LENGTH = 80;
+
+export class SharingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "SharingError";
+    this.status = status;
+    Object.setPrototypeOf(this, SharingError.prototype);
+  }
+}
+
+function assertShareRole(role) {
+  if (!SHARE_ROLES.includes(role)) {
+    throw new SharingError(`Role must be one of: ${SHARE_ROLES.join(', ')}`);
+  }
+}
+
+function hashInviteToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Books shared with a user, each with the highest role any of their shares grants
+export async function listBooksSharedWith(user) {
+  const rows = await dbHelpers.getBooksSharedWithUser(user.id);
+  const byBook = new Map();
+
+  for (const { book, share, ownerName } of rows) {
+    const current = byBook.get(book.id);
+    if (!current || (share.role === BookRole.EDITOR && current.role !== BookRole.EDITOR)) {
+      byBook.set(book.id, { ...book, role: share.role, ownerName });
+    }
+  }
+
+  return [...byBook.values()];
+}
+
+// Shares and open invites of a book, for its owner
+export async function getBookSharing(bookId) {
+  const [shares, invites] = await Promise.all([
+    dbHelpers.getBookShares(bookId),
+    dbHelpers.getBookInvites(bookId)
+  ]);
+  return {
+    shares,
+    invites: invites.map(invite => ({
+      id: invite.id,
+      role: invite.role,
+      uses: invite.uses,
+      maxUses: invite.maxUses,
+      expiresAt: invite.expiresAt,
+      createdAt: invite.createdAt
+    }))
+  };
+}
+
+// Share with a user (by username) or a group the owner belongs to
+export async function shareBook(book, owner, { username, groupId, role }) {
+  assertShareRole(role);
+
+  if (username) {
+    const user = await dbHelpers.getUserByUsername(username.trim());
+    if (!user) {
+      throw new SharingError('No user with that username', 404);
+    }
+    if (user.id === book.ownerId) {
+      throw new SharingError('You already own this book');
+    }
+    return dbHelpers.upsertBookShare({ bookId: book.id, userId: user.id, role, createdBy: owner.id });
+  }
+
+  if (groupId) {
+    const group = await dbHelpers.getGroupById(groupId);
+    if (!group || !(await dbHelpers.isGroupMember(group.id, owner.id))) {
+      throw new SharingError('Group not found', 404);
+    }
+    return dbHelpers.upsertBookShare({ bookId: book.id, groupId: group.id, role, createdBy: owner.id });
+  }
+
+  throw new SharingError('A username or groupId is required');
+}
+
+// A share of the given book, or a 404
+export async function getShareOfBook(bookId, shareId) {
+  const share = await dbHelpers.getBookShareById(shareId);
+  if (!share || share.bookId !== bookId) {
+    throw new SharingError('Share not found', 404);
+  }
+  return share;
+}
+
+export async function updateShareRole(bookId, shareId, role) {
+  assertShareRole(role);
+  const share = await getShareOfBook(bookId, shareId);
+  await dbHelpers.updateBookShareRole(share.id, role);
+  return { ...share, role };
+}
+
+// Create an invite link token; only its hash is stored
+export async function createInvite(book, owner, { role = BookRole.VIEWER, maxUses = null, expiresInDays = 7 } = {}) {
+  assertShareRole(role);
+
+  const parsedMaxUses = maxUses ? parseInt(maxUses) : null;
+  if (parsedMaxUses !== null && !(parsedMaxUses > 0)) {
+    throw new SharingError('maxUses must be a positive number');
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const days = parseInt(expiresInDays);
+  const invite = await dbHelpers.createBookInvite({
+    bookId: book.id,
+    tokenHash: hashInviteToken(token),
+    role,
+    maxUses: parsedMaxUses,
+    expiresAt: days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null,
+    createdBy: owner.id
+  });
+
+  return { token, invite };
+}
+
+export async function revokeInvite(bookId, inviteId) {
+  const invite = await dbHelpers.getBookInviteById(inviteId);
+  if (!invite || invite.bookId !== bookId) {
+    throw new SharingError('Invite not found', 404);
+  }
+  await dbHelpers.revokeBookInvite(invite.id);
+}
+
+// Accept an invite link: share the book with the user, never lowering an existing role
+export async function acceptInvite(token, user) {
+  const invite = token ? await dbHelpers.getBookInviteByTokenHash(hashInviteToken(token)) : null;
+  if (!invite || invite.revokedAt) {
+    throw new SharingError('This invite link is not valid', 404);
+  }
+  if (invite.expiresAt && invite.expiresAt <= new Date()) {
+    throw new SharingError('This invite link has expired', 410);
+  }
+
+  const book = await dbHelpers.getBookById(invite.bookId);
+  if (!book) {
+    throw new SharingError('This invite link is not valid', 404);
+  }
+  if (book.ownerId === user.id) {
+    return { bookId: book.id, role: BookRole.OWNER };
+  }
+
+  const existing = (await dbHelpers.getBookSharesForUser(book.id, user.id)).find(share => share.userId === user.id);
+  if (existing && (existing.role === BookRole.EDITOR || existing.role === invite.role)) {
+    return { bookId: book.id, role: existing.role };
+  }
+
+  if (!(await dbHelpers.useBookInvite(invite.id))) {
+    throw new SharingError('This invite link has been used up', 410);
+  }
+
+  const share = await dbHelpers.upsertBookShare({ bookId: book.id, userId: user.id, role: invite.role, createdBy: invite.createdBy });
+  return { bookId: book.id, role: share.role };
+}
+
+// Groups
+export async function createGroup(owner, name) {
+  name = (name || '').trim();
+  if (!name || name.length > MAX_GROUP_NAME_LENGTH) {
+    throw new SharingError(`Group name must be 1-${MAX_GROUP_NAME_LENGTH} characters`);
+  }
+  return dbHelpers.createGroup(name, owner.id);
+}
+
+// Groups the user belongs to, with members
+export async function listGroups(user) {
+  const groups = await dbHelpers.getUserGroups(user.id);
+  return Promise.all(groups.map(async group => ({
+    ...group,
+    isOwner: group.ownerId === user.id,
+    members: await dbHelpers.getGroupMembers(group.id)
+  })));
+}
+
+// A group the user owns, or a 404
+export async function getOwnedGroup(groupId, user) {
+  const group = await dbHelpers.getGroupById(groupId);
+  if (!group || group.ownerId !== user.id) {
+    throw new SharingError('Group not found', 404);
+  }
+  return group;
+}
+
+export async function addGroupMember(group, username) {
+  const user = await dbHelpers.getUserByUsername((username || '').trim());
+  if (!user) {
+    throw new SharingError('No user with that username', 404);
+  }
+  await dbHelpers.addGroupMember(group.id, user.id);
+  return { id: user.id, username: user.username };
+}
+
+export async function removeGroupMember(group, userId) {
+  if (parseInt(userId) === group.ownerId) {
+    throw new SharingError('The group owner cannot be removed');
+  }
+  await dbHelpers.removeGroupMember(group.id, userId);
+}
@@ -0,0 +1,228 @@
+// Text-to-speech storage: synthesize with the TTS provider chain and cache audio,
+// alignment and word timings in object storage under content-based names
+import path from 'path';
+import crypto from 'crypto';
+import { dbHelpers } from './database.js';
+import { ObjectStorageService, ObjectNotFoundError, objectKeyFromPath } from './objectStorage.js';
+import { aclPolicyMetadata, speechCacheAclPolicy } from './objectAcl.js';
+import { TtsService } from './tts/index.js';
+import { toCharacterAlignment, buildWordTimings } from './tts/alignment.js';
+
+const objectStorageService = new ObjectStorageService();
+
+// Speech files are shared by every book with the same text
+const speechObjectMetadata = aclPolicyMetadata(speechCacheAclPolicy());
+const ttsService = new TtsService();
+
+// Generate content-based UUID for consistent caching
+export function generateContentUUID(text) {
+  const hash = crypto.createHash('sha256').update(text.trim()).digest('hex');
+  // Take first 32 chars and format as UUID
+  const uuid = [
+    hash.slice(0, 8),
+    hash.slice(8, 12),
+    hash.slice(12, 16),
+    hash.slice(16, 20),
+    hash.slice(20, 32)
+  ].join('-');
+  console.log(`🔑 Generated content UUID: ${uuid} for text: "${text.slice(0, 50)}..."`);
+  return uuid;
+}
+
+// File names of the alignment data stored next to a TTS audio file
+function alignmentFileNamesForAudio(audioUrl) {
+  const stem = path.basename(audioUrl, path.extname(audioUrl));
+  return {
+    alignmentFileName: `alignment/${stem}_alignment.json`,
+    normalizedAlignmentFileName: `alignment/${stem}_normalized.json`,
+    wordTimingsFileName: `alignment/${stem}_words.json`
+  };
+}
+
+// Load the alignment files for a stored TTS audio file (null for any that are missing)
+async function loadStoredAlignment(audioUrl) {
+  const { alignmentFileName, normalizedAlignmentFileName, wordTimingsFileName } = alignmentFileNamesForAudio(audioUrl);
+
+  const [alignmentBytes, normalizedAlignmentBytes, wordTimingsBytes] = await Promise.allSettled([
+    objectStorageService.downloadBytes(`uploads/${alignmentFileName}`),
+    objectStorageService.downloadBytes(`uploads/${normalizedAlignmentFileName}`),
+    objectStorageService.downloadBytes(`uploads/${wordTimingsFileName}`)
+  ]);
+
+  const alignment = alignmentBytes.status === 'fulfilled' ?
+    toCharacterAlignment(JSON.parse(alignmentBytes.value.toString())) : null;
+  let wordTimings = wordTimingsBytes.status === 'fulfilled' ?
+    JSON.parse(wordTimingsBytes.value.toString()) : null;
+
+  // Audio generated before word timing tracks existed: derive and store it now
+  if (!wordTimings && alignment) {
+    wordTimings = buildWordTimings(alignment);
+    try {
+      await uploadWordTimings(wordTimings, wordTimingsFileName);
+    } catch (error) {
+      console.warn('⚠️ Could not store word timing track:', error);
+    }
+  }
+
+  return {
+    alignment,
+    normalizedAlignment: normalizedAlignmentBytes.status === 'fulfilled' ?
+      toCharacterAlignment(JSON.parse(normalizedAlignmentBytes.value.toString())) : null,
+    wordTimings
+  };
+}
+
+function uploadWordTimings(wordTimings, wordTimingsFileName) {
+  const wordTimingsBuffer = Buffer.from(JSON.stringify(wordTimings), 'utf8');
+  return objectStorageService.uploadFile(wordTimingsBuffer, wordTimingsFileName, 'application/json', speechObjectMetadata);
+}
+
+async function storedObjectExists(objectPath) {
+  try {
+    await objectStorageService.headObject(objectKeyFromPath(objectPath));
+    return true;
+  } catch (error) {
+    if (error instanceof ObjectNotFoundError) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Look up speech already synthesized for this text (same content UUID) in object storage
+export async function findCachedSpeech(text) {
+  const contentUuid = generateContentUUID(text);
+
+  for (const { cacheSuffix, extension } of ttsService.cacheFormats()) {
+    const audioUrl = `/objects/uploads/audio/tts_content_${contentUuid}${cacheSuffix}.${extension}`;
+    // Speech no text block uses (e.g. from /api/tts/direct) is deleted by the storage GC,
+    // which may remove the audio before its alignment files
+    if (!await storedObjectExists(audioUrl)) {
+      continue;
+    }
+    const { alignment, normalizedAlignment, wordTimings } = await loadStoredAlignment(audioUrl);
+    if (alignment) {
+      return { audioUrl, alignment, normalizedAlignment, wordTimings };
+    }
+  }
+
+  return null;
+}
+
+// Synthesize text with the TTS provider chain and upload audio and alignment to object storage
+export async function synthesizeToStorage(text) {
+  const speech = await ttsService.synthesize(text);
+
+  // Use content-based UUID for consistent caching across identical text
+  const contentUuid = generateContentUUID(text);
+  const audioFileName = `audio/tts_content_${contentUuid}${speech.cacheSuffix}.${speech.extension}`;
+
+  console.log('☁️ Uploading audio to object storage...');
+  const audioUrl = await objectStorageService.uploadFile(speech.audio, audioFileName, speech.contentType, speechObjectMetadata);
+
+  // Upload alignment data to object storage as well
+  const { alignmentFileName, normalizedAlignmentFileName, wordTimingsFileName } = alignmentFileNamesForAudio(audioUrl);
+  const wordTimings = buildWordTimings(speech.alignment);
+  const alignmentPromises = [];
+
+  if (speech.alignment) {
+    const alignmentBuffer = Buffer.from(JSON.stringify(speech.alignment), 'utf8');
+    alignmentPromises.push(
+      objectStorageService.uploadFile(alignmentBuffer, alignmentFileName, 'application/json', speechObjectMetadata)
+    );
+  }
+
+  if (speech.normalizedAlignment) {
+    const normalizedAlignmentBuffer = Buffer.from(JSON.stringify(speech.normalizedAlignment), 'utf8');
+    alignmentPromises.push(
+      objectStorageService.uploadFile(normalizedAlignmentBuffer, normalizedAlignmentFileName, 'application/json', speechObjectMetadata)
+    );
+  }
+
+  if (wordTimings) {
+    alignmentPromises.push(uploadWordTimings(wordTimings, wordTimingsFileName));
+  }
+
+  await Promise.all(alignmentPromises);
+  console.log('☁️ Uploaded alignment data to object storage');
+
+  return {
+    audioUrl,
+    alignment: speech.alignment,
+    normalizedAlignment: speech.normalizedAlignment,
+    wordTimings,
+    provider: speech.provider
+  };
+}
+
+// Speech payload for a text block that already has audio, or null when it needs
+// to be (re)generated
+export async function loadTextBlockSpeech(textBlock) {
+  if (!textBlock.audioUrl) {
+    console.log('🚫 No cached audio found for block:', textBlock.id);
+    return null;
+  }
+
+  console.log('♻️ Using cached audio for text block:', textBlock.id, 'URL:', textBlock.audioUrl);
+
+  // Load the alignment data stored next to the audio
+  if (textBlock.audioUrl.startsWith('/objects/')) {
+    const stored = await loadStoredAlignment(textBlock.audioUrl);
+
+    // Fall back to database if the alignment files don't exist
+    const alignment = stored.alignment ||
+      (textBlock.alignmentData ? toCharacterAlignment(JSON.parse(textBlock.alignmentData)) : null);
+
+    return {
+      audio_url: textBlock.audioUrl,
+      text: textBlock.ocrText,
+      alignment,
+      normalized_alignment: stored.normalizedAlignment ||
+        (textBlock.normalizedAlignmentData ? toCharacterAlignment(JSON.parse(textBlock.normalizedAlignmentData)) : null),
+      word_timings: stored.wordTimings || buildWordTimings(alignment)
+    };
+  }
+
+  // Audio saved outside object storage by older versions (e.g. "/audio/...") is regenerated
+  console.log('❌ Cached audio is not in object storage, regenerating:', textBlock.audioUrl);
+  // Clear the invalid cache entries
+  await dbHelpers.updateTextBlockAudio(textBlock.id, null, null, null);
+  return null;
+}
+
+// Generate (or reuse) audio for a text block and cache its URL on the block
+export async function generateTextBlockAudio(blockId) {
+  const textBlock = await dbHelpers.getTextBlockById(blockId);
+  if (!textBlock || !textBlock.ocrText) {
+    throw new Error(`Text block not found or no text available: ${blockId}`);
+  }
+
+  const cached = await loadTextBlockSpeech(textBlock);
+  if (cached) {
+    return cached;
+  }
+
+  console.log('Converting text to speech with timestamps:', textBlock.ocrText);
+  const speech = await synthesizeToStorage(textBlock.ocrText);
+
+  // Cache only the audio URL in database (alignment data is in object storage),
+  // unless the text was edited while the audio was being generated
+  const current = await dbHelpers.getTextBlockById(blockId);
+  if (current?.ocrText === textBlock.ocrText) {
+    await dbHelpers.updateTextBlockAudio(
+      blockId,
+      speech.audioUrl,
+      null, // No longer storing alignment in DB
+      null  // No longer storing normalized alignment in DB
+    );
+  }
+
+  return {
+    audio_url: speech.audioUrl,
+    text: textBlock.ocrText,
+    alignment: speech.alignment,
+    normalized_alignment: speech.normalizedAlignment,
+    word_timings: speech.wordTimings,
+    provider: speech.provider
+  };
+}
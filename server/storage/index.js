@@ -0,0 +1,45 @@
+// Storage backend for page images, speech audio and alignment files
+// STORAGE_DRIVER selects the driver: s3 (Cloudflare R2 or any S3 API), local or memory.
+// Without it, s3 is used when R2 is configured and local disk otherwise, so the app
+// runs with no cloud credentials. Every driver implements:
+//   put(key, body, { contentType, metadata }), get(key) -> Buffer,
+//   stream(key, range?) -> { stream, size, contentType, lastModified, etag, metadata },
+//   head(key), setMetadata(key, metadata), delete(key), list(prefix) -> [{ key, size, lastModified }]
+// and throws ObjectNotFoundError for missing keys.
+import { S3StorageDriver } from './s3.js';
+import { LocalStorageDriver } from './local.js';
+import { MemoryStorageDriver } from './memory.js';
+
+export { ObjectNotFoundError } from './errors.js';
+
+const driverFactories = {
+  s3: () => new S3StorageDriver(),
+  local: () => new LocalStorageDriver(),
+  memory: () => new MemoryStorageDriver()
+};
+
+function defaultDriverName() {
+  if (process.env.USE_R2_STORAGE === 'true' || process.env.CLOUDFLARE_R2_BUCKET_NAME) {
+    return 's3';
+  }
+  return 'local';
+}
+
+export function createStorageDriver(name = process.env.STORAGE_DRIVER || defaultDriverName()) {
+  const factory = driverFactories[name.trim()];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return factory();
+}
+
+let storageDriver = null;
+
+// The process-wide driver, created on first use
+export function getStorageDriver() {
+  if (!storageDriver) {
+    storageDriver = createStorageDriver();
+    console.log(`🗄️ Storage: ${storageDriver.describe()}`);
+  }
+  return storageDriver;
+}
@@ -0,0 +1,153 @@
+// Local filesystem storage driver
+// Objects are files under the root directory at their key; content type and custom
+// metadata are kept in JSON sidecar files under <root>/.meta so listings stay clean.
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import mime from 'mime-types';
+import { ObjectNotFoundError } from './errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_ROOT = path.join(__dirname, '..', '..', 'storage');
+const META_DIR = '.meta';
+
+export class LocalStorageDriver {
+  constructor({ root = process.env.STORAGE_LOCAL_DIR || DEFAULT_ROOT } = {}) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  describe() {
+    return `local directory ${this.root}`;
+  }
+
+  // Keys come from URLs, so never resolve outside the root or to another key
+  filePath(key) {
+    const segments = key.split('/');
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep) || segments.some(segment => segment === '.' || segment === '..' || segment === META_DIR)) {
+      throw new ObjectNotFoundError();
+    }
+    return filePath;
+  }
+
+  metaPath(key) {
+    return path.join(this.root, META_DIR, `${path.relative(this.root, this.filePath(key))}.json`);
+  }
+
+  async readMeta(key) {
+    try {
+      return JSON.parse(await fsp.readFile(this.metaPath(key), 'utf8'));
+    } catch {
+      // Files copied in by hand have no sidecar
+      return {};
+    }
+  }
+
+  async writeMeta(key, meta) {
+    const metaPath = this.metaPath(key);
+    await fsp.mkdir(path.dirname(metaPath), { recursive: true });
+    await fsp.writeFile(metaPath, JSON.stringify(meta));
+  }
+
+  async put(key, body, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+    const filePath = this.filePath(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write then rename, so readers never see a partial file
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fsp.writeFile(tempPath, body);
+    await fsp.rename(tempPath, filePath);
+
+    const etag = `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+    await this.writeMeta(key, { contentType, metadata, etag });
+    return { key, size: body.length, etag };
+  }
+
+  async get(key) {
+    try {
+      return await fsp.readFile(this.filePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') throw new ObjectNotFoundError();
+      throw error;
+    }
+  }
+
+  // Optional byte range { start, end } (inclusive)
+  async stream(key, range = null) {
+    const info = await this.head(key);
+    const stream = fs.createReadStream(this.filePath(key), range ? { start: range.start, end: range.end } : {});
+    return { ...info, stream };
+  }
+
+  async head(key) {
+    const filePath = this.filePath(key);
+    let stats;
+    try {
+      stats = await fsp.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new ObjectNotFoundError();
+      throw error;
+    }
+    if (!stats.isFile()) throw new ObjectNotFoundError();
+
+    const meta = await this.readMeta(key);
+    return {
+      key,
+      size: stats.size,
+      contentType: meta.contentType || mime.lookup(filePath) || 'application/octet-stream',
+      lastModified: stats.mtime,
+      etag: meta.etag || `W/"${stats.size.toString(16)}-${stats.mtimeMs.toString(16)}"`,
+      metadata: meta.metadata || {}
+    };
+  }
+
+  async setMetadata(key, metadata) {
+    const info = await this.head(key);
+    const meta = await this.readMeta(key);
+    await this.writeMeta(key, { ...meta, contentType: info.contentType, metadata: { ...info.metadata, ...metadata } });
+  }
+
+  async delete(key) {
+    await fsp.rm(this.filePath(key), { force: true });
+    await fsp.rm(this.metaPath(key), { force: true });
+  }
+
+  async list(prefix = '') {
+    const objects = [];
+
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fsp.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          if (entryPath !== path.join(this.root, META_DIR)) {
+            await walk(entryPath);
+          }
+        } else if (entry.isFile() && !entry.name.endsWith('.tmp')) {
+          const key = path.relative(this.root, entryPath).split(path.sep).join('/');
+          if (key.startsWith(prefix)) {
+            const stats = await fsp.stat(entryPath);
+            objects.push({ key, size: stats.size, lastModified: stats.mtime });
+          }
+        }
+      }
+    };
+
+    // Only walk the directory the prefix points into
+    const prefixDirectory = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    await walk(prefixDirectory ? this.filePath(prefixDirectory) : this.root);
+    return objects.sort((a, b) => a.key.localeCompare(b.key));
+  }
+}
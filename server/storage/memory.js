@@ -0,0 +1,70 @@
+// In-memory storage driver, for development and tests without credentials
+// Objects are lost when the process exits and are not shared with a separate worker.
+import { Readable } from 'stream';
+import crypto from 'crypto';
+import { ObjectNotFoundError } from './errors.js';
+
+export class MemoryStorageDriver {
+  constructor() {
+    this.name = 'memory';
+    this.objects = new Map();
+  }
+
+  describe() {
+    return 'memory (objects are lost on restart)';
+  }
+
+  entry(key) {
+    const object = this.objects.get(key);
+    if (!object) throw new ObjectNotFoundError();
+    return object;
+  }
+
+  info(key, object) {
+    return {
+      key,
+      size: object.body.length,
+      contentType: object.contentType,
+      lastModified: object.lastModified,
+      etag: object.etag,
+      metadata: { ...object.metadata }
+    };
+  }
+
+  async put(key, body, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+    const etag = `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+    this.objects.set(key, { body: Buffer.from(body), contentType, metadata: { ...metadata }, lastModified: new Date(), etag });
+    return { key, size: body.length, etag };
+  }
+
+  async get(key) {
+    return Buffer.from(this.entry(key).body);
+  }
+
+  // Optional byte range { start, end } (inclusive)
+  async stream(key, range = null) {
+    const object = this.entry(key);
+    const body = range ? object.body.subarray(range.start, (range.end ?? object.body.length - 1) + 1) : object.body;
+    return { ...this.info(key, object), stream: Readable.from([body]) };
+  }
+
+  async head(key) {
+    return this.info(key, this.entry(key));
+  }
+
+  async setMetadata(key, metadata) {
+    const object = this.entry(key);
+    object.metadata = { ...object.metadata, ...metadata };
+  }
+
+  async delete(key) {
+    this.objects.delete(key);
+  }
+
+  async list(prefix = '') {
+    return [...this.objects.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, object]) => ({ key, size: object.body.length, lastModified: object.lastModified }))
+      .sort((a, b) => a.key.localeCompare(b.key));
+  }
+}
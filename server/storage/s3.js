@@ -0,0 +1,142 @@
+// S3-compatible storage driver (Cloudflare R2, AWS S3, MinIO)
+import { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, CopyObjectCommand, DeleteObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+import { ObjectNotFoundError } from './errors.js';
+
+function isNotFound(error) {
+  return error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+}
+
+// Total object size from "bytes start-end/total" (ranged responses) or the body length
+function totalSize(response) {
+  const total = response.ContentRange?.split('/')[1];
+  return total && total !== '*' ? parseInt(total) : response.ContentLength;
+}
+
+export class S3StorageDriver {
+  // R2_* variables take precedence; CLOUDFLARE_R2_* are still read for older deployments
+  constructor({
+    endpoint = process.env.R2_ENDPOINT || process.env.CLOUDFLARE_R2_ENDPOINT,
+    accessKeyId = process.env.R2_ACCESS_KEY_ID || process.env.CLOUDFLARE_R2_ACCESS_KEY_ID,
+    secretAccessKey = process.env.R2_SECRET_ACCESS_KEY || process.env.CLOUDFLARE_R2_SECRET_ACCESS_KEY,
+    bucket = process.env.R2_BUCKET || process.env.CLOUDFLARE_R2_BUCKET_NAME,
+    region = process.env.R2_REGION || 'auto'
+  } = {}) {
+    this.name = 's3';
+    this.bucket = bucket;
+
+    if (!endpoint || !accessKeyId || !secretAccessKey || !bucket) {
+      throw new Error('S3 storage needs R2_ENDPOINT, R2_ACCESS_KEY_ID, R2_SECRET_ACCESS_KEY and R2_BUCKET');
+    }
+
+    this.client = new S3Client({
+      region,
+      endpoint,
+      credentials: { accessKeyId, secretAccessKey }
+    });
+  }
+
+  describe() {
+    return `s3 bucket "${this.bucket}"`;
+  }
+
+  async put(key, body, { contentType = 'application/octet-stream', metadata } = {}) {
+    const response = await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      Metadata: metadata
+    }));
+    return { key, size: body.length, etag: response.ETag };
+  }
+
+  async get(key) {
+    const { stream } = await this.stream(key);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  // Optional byte range { start, end } (inclusive)
+  async stream(key, range = null) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Range: range ? `bytes=${range.start}-${range.end ?? ''}` : undefined
+      }));
+      if (!response.Body) {
+        throw new ObjectNotFoundError();
+      }
+
+      return {
+        stream: response.Body,
+        key,
+        size: totalSize(response),
+        contentType: response.ContentType,
+        lastModified: response.LastModified,
+        etag: response.ETag,
+        metadata: response.Metadata || {}
+      };
+    } catch (error) {
+      if (isNotFound(error)) throw new ObjectNotFoundError();
+      throw error;
+    }
+  }
+
+  async head(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return {
+        key,
+        size: response.ContentLength,
+        contentType: response.ContentType,
+        lastModified: response.LastModified,
+        etag: response.ETag,
+        metadata: response.Metadata || {}
+      };
+    } catch (error) {
+      if (isNotFound(error)) throw new ObjectNotFoundError();
+      throw error;
+    }
+  }
+
+  // S3 metadata is immutable, so the object is copied onto itself with the merged metadata
+  async setMetadata(key, metadata) {
+    const head = await this.head(key);
+    await this.client.send(new CopyObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      CopySource: `${this.bucket}/${encodeURIComponent(key)}`,
+      ContentType: head.contentType,
+      Metadata: { ...head.metadata, ...metadata },
+      MetadataDirective: 'REPLACE'
+    }));
+  }
+
+  // Deleting a missing key succeeds, as in S3
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  async list(prefix = '') {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+      for (const object of response.Contents || []) {
+        objects.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+      }
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+}
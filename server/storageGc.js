@@ -0,0 +1,128 @@
+// Storage garbage collection: delete stored objects nothing refers to any more
+// Page images are referenced by pages and book covers. Speech audio and its alignment
+// files are content-addressed and shared by every text block with the same text, so
+// they are kept while any text block still uses the audio. Objects younger than the
+// grace period are never deleted, which covers uploads whose database row is not
+// written yet, and every orphan is checked again right before it is deleted.
+import path from 'path';
+import { dbHelpers } from './database.js';
+import { ObjectStorageService, objectKeyFromPath } from './objectStorage.js';
+import { enqueueStorageGc } from './jobs/queue.js';
+
+export const STORAGE_GC_GRACE_MS = (parseFloat(process.env.STORAGE_GC_GRACE_HOURS) || 24) * 60 * 60 * 1000;
+const STORAGE_GC_INTERVAL_HOURS = parseFloat(process.env.STORAGE_GC_INTERVAL_HOURS ?? '24');
+
+// Orphans listed in a report; the totals always cover all of them
+const MAX_REPORTED_ORPHANS = 1000;
+
+const AUDIO_PREFIX = 'uploads/audio/';
+const ALIGNMENT_PREFIX = 'uploads/alignment/';
+// Alignment files are named <audio stem>_alignment.json, _normalized.json and _words.json (see speech.js)
+const ALIGNMENT_SUFFIX = /_(alignment|normalized|words)\.json$/;
+
+// Audio file name without extension, shared by the audio and its alignment files
+function speechStem(objectKey) {
+  if (objectKey.startsWith(AUDIO_PREFIX)) {
+    return path.basename(objectKey, path.extname(objectKey));
+  }
+  if (objectKey.startsWith(ALIGNMENT_PREFIX)) {
+    return path.basename(objectKey).replace(ALIGNMENT_SUFFIX, '');
+  }
+  return null;
+}
+
+// Keys of page images and covers, and stems of speech files, that are still in use
+async function collectReferences() {
+  const { images, audio } = await dbHelpers.getReferencedObjectPaths();
+  return {
+    imageKeys: new Set(images.map(objectKeyFromPath).filter(Boolean)),
+    speechStems: new Set(audio.map(audioUrl => speechStem(objectKeyFromPath(audioUrl) || '')).filter(Boolean))
+  };
+}
+
+function isReferenced(objectKey, { imageKeys, speechStems }) {
+  const stem = speechStem(objectKey);
+  return stem ? speechStems.has(stem) : imageKeys.has(objectKey);
+}
+
+// Fresh database check for one object, in case something started using it during the run
+async function isStillReferenced(objectKey) {
+  const stem = speechStem(objectKey);
+  if (stem) {
+    return dbHelpers.isAudioStemReferenced(stem);
+  }
+  // Pages may hold any of the accepted path forms
+  return dbHelpers.isImagePathReferenced([`/objects/${objectKey}`, `/${objectKey}`, objectKey]);
+}
+
+// Find orphaned objects and, unless dryRun, delete them. Returns a report.
+export async function collectStorageGarbage({ dryRun = true, graceMs = STORAGE_GC_GRACE_MS, storage = new ObjectStorageService() } = {}) {
+  const startedAt = new Date();
+  const references = await collectReferences();
+  const objects = await storage.listObjects('uploads/');
+  const cutoff = startedAt.getTime() - graceMs;
+
+  const orphans = [];
+  let referencedCount = 0;
+  let recentCount = 0;
+
+  for (const object of objects) {
+    if (isReferenced(object.key, references)) {
+      referencedCount++;
+    } else if (object.lastModified && object.lastModified.getTime() > cutoff) {
+      recentCount++;
+    } else {
+      orphans.push(object);
+    }
+  }
+
+  let deletedCount = 0;
+  let deletedBytes = 0;
+  let failedCount = 0;
+  let rescuedCount = 0;
+
+  if (!dryRun) {
+    for (const object of orphans) {
+      if (await isStillReferenced(object.key)) {
+        rescuedCount++;
+        continue;
+      }
+      if (await storage.deleteObject(object.key)) {
+        deletedCount++;
+        deletedBytes += object.size || 0;
+      } else {
+        failedCount++;
+      }
+    }
+    console.log(`🧹 Storage GC deleted ${deletedCount} of ${orphans.length} orphaned objects (${deletedBytes} bytes)`);
+  }
+
+  return {
+    dryRun,
+    startedAt,
+    graceHours: graceMs / (60 * 60 * 1000),
+    scanned: objects.length,
+    referenced: referencedCount,
+    recent: recentCount,
+    orphanCount: orphans.length,
+    orphanBytes: orphans.reduce((total, object) => total + (object.size || 0), 0),
+    orphans: orphans.slice(0, MAX_REPORTED_ORPHANS).map(({ key, size, lastModified }) => ({ key, size, lastModified })),
+    deleted: deletedCount,
+    deletedBytes,
+    failed: failedCount,
+    stillReferenced: rescuedCount
+  };
+}
+
+// Queue a collection every STORAGE_GC_INTERVAL_HOURS (0 disables); the worker runs it
+export function scheduleStorageGc(intervalHours = STORAGE_GC_INTERVAL_HOURS) {
+  if (!(intervalHours > 0)) {
+    return null;
+  }
+
+  const timer = setInterval(() => {
+    enqueueStorageGc().catch(error => console.error('Error scheduling storage GC:', error));
+  }, intervalHours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,200 @@
+// Manual text block editing: correct OCR text, move or resize a box, split and merge
+// blocks, and change their reading order
+// Coordinates are pixels of the page image, like the ones the OCR providers report.
+// Changing a block's text drops its cached speech, so the next play synthesizes the new text.
+// Word and line boxes from OCR follow the text as long as its words still match them.
+import { dbHelpers } from './database.js';
+import { orderBlocks } from './readingOrder.js';
+import { buildLayout, relabelLayout, splitLayout, mergeLayouts } from './textLayout.js';
+
+const GEOMETRY_FIELDS = ['x', 'y', 'width', 'height'];
+const SPLIT_DIRECTIONS = ['horizontal', 'vertical'];
+const MAX_TEXT_LENGTH = 5000;
+
+// Audio and alignment belong to the old text once it changes
+const CLEARED_SPEECH = { audioUrl: null, alignmentData: null, normalizedAlignmentData: null };
+
+export class TextBlockError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "TextBlockError";
+    this.status = status;
+    Object.setPrototypeOf(this, TextBlockError.prototype);
+  }
+}
+
+function parseText(text) {
+  if (typeof text !== 'string') {
+    throw new TextBlockError('Text must be a string');
+  }
+  const trimmed = text.trim();
+  // Blocks without text are what maintenance purges as failed OCR (see findFailedTextBlocks)
+  if (!trimmed) {
+    throw new TextBlockError('Text must not be empty; delete the text block instead');
+  }
+  if (trimmed.length > MAX_TEXT_LENGTH) {
+    throw new TextBlockError(`Text must be at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  return trimmed;
+}
+
+// Geometry fields present in the input, validated as whole pixels
+function parseGeometry(input) {
+  const geometry = {};
+  for (const field of GEOMETRY_FIELDS) {
+    if (input[field] === undefined) continue;
+    const value = Number(input[field]);
+    const minimum = field === 'width' || field === 'height' ? 1 : 0;
+    if (!Number.isFinite(value) || Math.round(value) < minimum) {
+      throw new TextBlockError(`${field} must be a number of ${minimum} or more`);
+    }
+    geometry[field] = Math.round(value);
+  }
+  return geometry;
+}
+
+// Changes for new text: manually entered text is final, and cached speech is dropped
+function textChanges(block, text) {
+  if (text === block.ocrText) {
+    return {};
+  }
+  return { ocrText: text, status: 'completed', confidence: 100, ...CLEARED_SPEECH, ...relabelLayout(block, text) };
+}
+
+// Body: { text?, x?, y?, width?, height? }
+export async function editTextBlock(block, input = {}) {
+  const changes = parseGeometry(input);
+  if (input.text !== undefined) {
+    Object.assign(changes, textChanges(block, parseText(input.text)));
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return block;
+  }
+  return dbHelpers.editTextBlock(block.id, changes);
+}
+
+// Split text between words, close to the given fraction of its words
+function splitText(text, at) {
+  const words = (text || '').split(/\s+/).filter(Boolean);
+  if (words.length < 2) {
+    return [words.join(' '), ''];
+  }
+  const cut = Math.min(words.length - 1, Math.max(1, Math.round(words.length * at)));
+  return [words.slice(0, cut).join(' '), words.slice(cut).join(' ')];
+}
+
+// Body: { direction: 'horizontal' (top and bottom, default) | 'vertical' (left and right),
+//         at: fraction of the box where it is cut (default 0.5), texts?: [first, second] }
+// Without texts, the words go to the half their OCR box lies in, or are divided at the
+// same fraction when the block has no word boxes. Both halves need some text. Returns
+// both halves; the first keeps the block's id
+export async function splitTextBlock(block, { direction = 'horizontal', at = 0.5, texts } = {}) {
+  if (!SPLIT_DIRECTIONS.includes(direction)) {
+    throw new TextBlockError(`Direction must be one of: ${SPLIT_DIRECTIONS.join(', ')}`);
+  }
+  const fraction = Number(at);
+  if (!(fraction > 0 && fraction < 1)) {
+    throw new TextBlockError('at must be a fraction between 0 and 1');
+  }
+  if (texts !== undefined && (!Array.isArray(texts) || texts.length !== 2)) {
+    throw new TextBlockError('texts must hold the text of both halves');
+  }
+
+  const size = direction === 'horizontal' ? block.height : block.width;
+  const firstSize = Math.round(size * fraction);
+  if (firstSize < 1 || size - firstSize < 1) {
+    throw new TextBlockError('Text block is too small to split there');
+  }
+
+  const cut = (direction === 'horizontal' ? block.y : block.x) + firstSize;
+  const wordSplit = splitLayout(block, direction, cut);
+  const [firstText, secondText] = texts
+    ? texts.map(parseText)
+    : wordSplit?.texts || splitText(block.ocrText, fraction);
+  if (!firstText || !secondText) {
+    throw new TextBlockError('Both halves of a split need some of the text');
+  }
+  const [firstLayout, secondLayout] = [firstText, secondText]
+    .map((text, index) => buildLayout(text, wordSplit?.words[index]));
+
+  const firstGeometry = direction === 'horizontal' ? { height: firstSize } : { width: firstSize };
+  const secondGeometry = direction === 'horizontal'
+    ? { x: block.x, y: block.y + firstSize, width: block.width, height: size - firstSize }
+    : { x: block.x + firstSize, y: block.y, width: size - firstSize, height: block.height };
+
+  return dbHelpers.splitTextBlock(
+    block.id,
+    { ...firstGeometry, ...textChanges(block, firstText), ...firstLayout },
+    {
+      pageId: block.pageId,
+      ...secondGeometry,
+      ocrText: secondText,
+      status: 'completed',
+      confidence: 100,
+      language: block.language,
+      ...secondLayout,
+      readingOrder: block.readingOrder === null ? null : block.readingOrder + 1
+    }
+  );
+}
+
+// Merge blocks of one page into the first of them in reading order: its box grows to
+// cover all of them and their texts are joined in reading order
+export async function mergeTextBlocks(pageId, blockIds) {
+  const ids = [...new Set((Array.isArray(blockIds) ? blockIds : []).map(id => parseInt(id)))];
+  if (ids.length < 2 || ids.some(id => !(id > 0))) {
+    throw new TextBlockError('blockIds must list at least two text blocks');
+  }
+
+  const pageBlocks = await getOrderedTextBlocks(pageId);
+  const blocks = pageBlocks.filter(block => ids.includes(block.id));
+  if (blocks.length !== ids.length) {
+    throw new TextBlockError('Text blocks must all belong to this page', 404);
+  }
+
+  const [target, ...others] = blocks;
+
+  const left = Math.min(...blocks.map(block => block.x));
+  const top = Math.min(...blocks.map(block => block.y));
+  const right = Math.max(...blocks.map(block => block.x + block.width));
+  const bottom = Math.max(...blocks.map(block => block.y + block.height));
+  const text = blocks.map(block => (block.ocrText || '').trim()).filter(Boolean).join(' ');
+
+  return dbHelpers.mergeTextBlocks(
+    target.id,
+    { x: left, y: top, width: right - left, height: bottom - top, ...textChanges(target, text), ...mergeLayouts(blocks, text) },
+    others.map(block => block.id)
+  );
+}
+
+// Number the blocks of a page in layout order and return them in that order
+export async function detectReadingOrder(pageId) {
+  const ordered = orderBlocks(await dbHelpers.getTextBlocks(pageId));
+  await dbHelpers.setTextBlockOrder(pageId, ordered.map(block => block.id));
+  return ordered.map((block, index) => ({ ...block, readingOrder: index }));
+}
+
+// Text blocks of a page in reading order. Pages detected before reading order existed
+// get their layout order the first time they are read.
+export async function getOrderedTextBlocks(pageId) {
+  const blocks = await dbHelpers.getTextBlocks(pageId);
+  if (blocks.some(block => block.readingOrder === null)) {
+    return detectReadingOrder(pageId);
+  }
+  return blocks;
+}
+
+// Set the reading order by hand. Body: { blockIds } listing every block of the page once
+export async function setReadingOrder(pageId, blockIds) {
+  const ids = (Array.isArray(blockIds) ? blockIds : []).map(id => parseInt(id));
+  const pageBlocks = await dbHelpers.getTextBlocks(pageId);
+  const pageIds = new Set(pageBlocks.map(block => block.id));
+
+  if (ids.length !== pageIds.size || new Set(ids).size !== ids.length || !ids.every(id => pageIds.has(id))) {
+    throw new TextBlockError('blockIds must list every text block of the page exactly once');
+  }
+
+  await dbHelpers.setTextBlockOrder(pageId, ids);
+  return dbHelpers.getTextBlocks(pageId);
+}
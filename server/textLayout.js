@@ -0,0 +1,81 @@
+// Word and line boxes of a text block, in image pixels like the block itself
+// words[i] is the i-th whitespace-separated word of the block's text, so character
+// offsets of a word, line or sentence follow from the text alone. A word's `line` is
+// the index of its line in `lines`. Blocks whose words no longer match their text
+// (or whose OCR provider reports no words) have no layout: { words: null, lines: null }.
+
+const NO_LAYOUT = { words: null, lines: null };
+
+const textWords = (text) => (text || '').split(/\s+/).filter(Boolean);
+
+function unionBox(boxes) {
+  const left = Math.min(...boxes.map(box => box.x));
+  const top = Math.min(...boxes.map(box => box.y));
+  const right = Math.max(...boxes.map(box => box.x + box.width));
+  const bottom = Math.max(...boxes.map(box => box.y + box.height));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+// Layout for a text from word boxes ({ text?, x, y, width, height, line }). Lines are
+// numbered in the order their first word appears; `line` may be any key the OCR
+// provider uses for a line.
+export function buildLayout(text, words) {
+  const texts = textWords(text);
+  if (!Array.isArray(words) || words.length === 0 || words.length !== texts.length) {
+    return NO_LAYOUT;
+  }
+
+  const lineIndexes = new Map();
+  const lineWords = [];
+  const layoutWords = words.map((word, index) => {
+    const key = word.line ?? 0;
+    if (!lineIndexes.has(key)) {
+      lineIndexes.set(key, lineWords.length);
+      lineWords.push([]);
+    }
+    const line = lineIndexes.get(key);
+    const box = { x: word.x, y: word.y, width: word.width, height: word.height };
+    lineWords[line].push(box);
+    return { text: texts[index], ...box, line };
+  });
+
+  return { words: layoutWords, lines: lineWords.map(unionBox) };
+}
+
+// Layout after the block's text changed; kept when the words still line up one to one
+export function relabelLayout(block, text) {
+  return buildLayout(text, block.words);
+}
+
+// Divide a block's words between the halves of a split at `cut` (image pixels along
+// y for a horizontal split, along x for a vertical one), by the centre of each word
+export function splitLayout(block, direction, cut) {
+  if (!block.words || !buildLayout(block.ocrText, block.words).words) {
+    return null;
+  }
+
+  const centre = direction === 'horizontal'
+    ? (word) => word.y + word.height / 2
+    : (word) => word.x + word.width / 2;
+  const first = block.words.filter(word => centre(word) < cut);
+  const second = block.words.filter(word => centre(word) >= cut);
+
+  return {
+    texts: [first, second].map(words => words.map(word => word.text).join(' ')),
+    words: [first, second]
+  };
+}
+
+// Layout of blocks merged in the given order, with their texts joined by spaces
+export function mergeLayouts(blocks, text) {
+  const words = [];
+  for (const block of blocks) {
+    if (textWords(block.ocrText).length === 0) continue;
+    if (!block.words) {
+      return NO_LAYOUT;
+    }
+    // Keep the lines of different blocks apart
+    words.push(...block.words.map(word => ({ ...word, line: `${block.id}:${word.line}` })));
+  }
+  return buildLayout(text, words);
+}
@@ -0,0 +1,87 @@
+// Character alignment helpers
+// The BookViewer highlighter consumes alignment as
+// { characters: [{ character, start_time, end_time }] } with times in seconds.
+
+// Convert any alignment we have stored or received into the highlighter shape
+export function toCharacterAlignment(alignment) {
+  if (!alignment || !Array.isArray(alignment.characters)) {
+    return null;
+  }
+
+  // Already in highlighter shape
+  if (alignment.characters.length === 0 || typeof alignment.characters[0] === 'object') {
+    return alignment;
+  }
+
+  // ElevenLabs shape: parallel arrays (camelCase from the JS SDK, snake_case from the REST API)
+  const startTimes = alignment.characterStartTimesSeconds || alignment.character_start_times_seconds || [];
+  const endTimes = alignment.characterEndTimesSeconds || alignment.character_end_times_seconds || [];
+
+  return {
+    characters: alignment.characters.map((character, index) => ({
+      character,
+      start_time: startTimes[index] ?? 0,
+      end_time: endTimes[index] ?? startTimes[index] ?? 0
+    }))
+  };
+}
+
+// Relative time a character takes to speak; punctuation carries the pause after it
+function characterWeight(character) {
+  if (/\s/.test(character)) return 0.6;
+  if (/[.!?]/.test(character)) return 4;
+  if (/[,;:]/.test(character)) return 2;
+  return 1;
+}
+
+// Estimate character timings for engines that do not report them, by spreading
+// the audio duration over the text weighted by character type
+export function estimateAlignment(text, durationSeconds) {
+  const characters = [...text];
+  const totalWeight = characters.reduce((sum, character) => sum + characterWeight(character), 0);
+  const secondsPerWeight = totalWeight > 0 ? durationSeconds / totalWeight : 0;
+
+  let time = 0;
+  return {
+    characters: characters.map(character => {
+      const start_time = time;
+      time += characterWeight(character) * secondsPerWeight;
+      return { character, start_time, end_time: time };
+    })
+  };
+}
+
+// Word-level timing track from character alignment: one entry per run of
+// non-whitespace characters, with character offsets (end exclusive) into the
+// aligned text and start/end times in seconds
+export function buildWordTimings(alignment) {
+  const characters = toCharacterAlignment(alignment)?.characters;
+  if (!characters || characters.length === 0) {
+    return null;
+  }
+
+  const words = [];
+  let wordStart = -1;
+
+  characters.forEach(({ character }, index) => {
+    const isSpace = /\s/.test(character);
+    if (!isSpace && wordStart === -1) {
+      wordStart = index;
+    }
+
+    const isLast = index === characters.length - 1;
+    if (wordStart !== -1 && (isSpace || isLast)) {
+      const wordEnd = isSpace ? index : index + 1;
+      words.push({
+        word: characters.slice(wordStart, wordEnd).map(c => c.character).join(''),
+        start: characters[wordStart].start_time,
+        end: characters[wordEnd - 1].end_time,
+        charStart: wordStart,
+        charEnd: wordEnd
+      });
+      wordStart = -1;
+    }
+  });
+
+  return words;
+}
@@ -0,0 +1,52 @@
+// ElevenLabs TTS provider with character-level timestamps
+import { ElevenLabsClient } from '@elevenlabs/elevenlabs-js';
+import { toCharacterAlignment } from './alignment.js';
+
+const DEFAULT_VOICE_ID = "iwNZQzqCFIBqLR6sgFpN";
+
+export class ElevenLabsProvider {
+  constructor({
+    apiKey = process.env.ELEVENLABS_API_KEY,
+    voiceId = process.env.ELEVENLABS_VOICE_ID || DEFAULT_VOICE_ID
+  } = {}) {
+    this.name = 'elevenlabs';
+    // ElevenLabs audio keeps the original cache file names (tts_content_<uuid>.mp3)
+    this.cacheSuffix = '';
+    this.extension = 'mp3';
+    this.voiceId = voiceId;
+    this.client = apiKey ? new ElevenLabsClient({ apiKey }) : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.client);
+  }
+
+  async synthesize(text) {
+    const ttsResult = await this.client.textToSpeech.convertWithTimestamps(this.voiceId, {
+      text,
+      voiceSettings: {
+        stability: 0.5,
+        similarityBoost: 0.75
+      }
+    });
+
+    console.log('ElevenLabs TTS result:', {
+      hasAudio: !!ttsResult.audioBase64,
+      hasAlignment: !!ttsResult.alignment,
+      characterCount: ttsResult.alignment?.characters?.length || 0
+    });
+
+    // Check if we have audio data (property name is audioBase64, not audio_base64)
+    if (!ttsResult.audioBase64) {
+      throw new Error('No audio data received from ElevenLabs API');
+    }
+
+    return {
+      audio: Buffer.from(ttsResult.audioBase64, 'base64'),
+      contentType: 'audio/mpeg',
+      extension: this.extension,
+      alignment: toCharacterAlignment(ttsResult.alignment),
+      normalizedAlignment: toCharacterAlignment(ttsResult.normalizedAlignment)
+    };
+  }
+}
@@ -0,0 +1,75 @@
+// TTS provider chain for speech with character timestamps
+// Providers are tried in the order given by TTS_PROVIDERS until one succeeds.
+// Every provider returns { audio, contentType, extension, alignment, normalizedAlignment }
+// with alignment in the shape produced by toCharacterAlignment.
+import { ElevenLabsProvider } from './elevenlabs.js';
+import { LocalTtsProvider } from './local.js';
+import { SilentTtsProvider } from './silent.js';
+
+const DEFAULT_PROVIDERS = 'elevenlabs,local';
+
+const providerFactories = {
+  elevenlabs: () => new ElevenLabsProvider(),
+  local: () => new LocalTtsProvider(),
+  silent: () => new SilentTtsProvider()
+};
+
+export class NoTtsProviderError extends Error {
+  constructor() {
+    super("No text-to-speech provider is configured");
+    this.name = "NoTtsProviderError";
+    Object.setPrototypeOf(this, NoTtsProviderError.prototype);
+  }
+}
+
+export class TtsService {
+  constructor({ providers = process.env.TTS_PROVIDERS || DEFAULT_PROVIDERS } = {}) {
+    this.providers = providers
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean)
+      .map(name => {
+        const factory = providerFactories[name];
+        if (!factory) {
+          throw new Error(`Unknown TTS provider: ${name}`);
+        }
+        return factory();
+      });
+
+    const configured = this.providers.filter(provider => provider.isConfigured()).map(provider => provider.name);
+    if (configured.length > 0) {
+      console.log(`✅ TTS providers: ${configured.join(' → ')}`);
+    } else {
+      console.warn('⚠️  No TTS provider configured - text-to-speech will not work');
+    }
+  }
+
+  // Cache file formats of the configured providers, in preference order
+  cacheFormats() {
+    return this.providers
+      .filter(provider => provider.isConfigured())
+      .map(({ cacheSuffix, extension }) => ({ cacheSuffix, extension }));
+  }
+
+  // Synthesize with the first provider that succeeds
+  async synthesize(text) {
+    const available = this.providers.filter(provider => provider.isConfigured());
+    if (available.length === 0) {
+      throw new NoTtsProviderError();
+    }
+
+    let lastError = null;
+    for (const provider of available) {
+      try {
+        console.log(`🗣️ Using ${provider.name} for text-to-speech`);
+        const speech = await provider.synthesize(text);
+        return { ...speech, provider: provider.name, cacheSuffix: provider.cacheSuffix };
+      } catch (error) {
+        console.error(`${provider.name} TTS error:`, error);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+}
@@ -0,0 +1,102 @@
+// Local offline TTS provider (espeak-ng or piper) with estimated alignment
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { estimateAlignment } from './alignment.js';
+import { getWavDuration } from './wav.js';
+
+// Command line for each supported engine; both write a WAV file to stdout. The text
+// goes in on stdin, never as an argument, so text starting with "-" cannot pass for options.
+const engines = {
+  espeak: {
+    binary: 'espeak-ng',
+    args: ({ voice }) => ['--stdout', '--stdin', ...(voice ? ['-v', voice] : [])],
+    stdin: ({ text }) => text
+  },
+  piper: {
+    binary: 'piper',
+    args: ({ voice }) => ['--model', voice, '--output_file', '-'],
+    stdin: ({ text }) => text
+  }
+};
+
+// Whether a command can be run: a path to an executable file, or a name found on the PATH
+function isExecutable(binary) {
+  const candidates = binary.includes(path.sep)
+    ? [binary]
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, binary));
+  return candidates.some(candidate => {
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      return fs.statSync(candidate).isFile();
+    } catch {
+      return false;
+    }
+  });
+}
+
+function runEngine(binary, args, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(binary, args);
+    const stdout = [];
+    const stderr = [];
+
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => stderr.push(chunk));
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code !== 0) {
+        reject(new Error(`${binary} exited with code ${code}: ${Buffer.concat(stderr).toString().trim()}`));
+        return;
+      }
+      resolve(Buffer.concat(stdout));
+    });
+
+    child.stdin.on('error', reject);
+    child.stdin.end(input ?? undefined);
+  });
+}
+
+export class LocalTtsProvider {
+  constructor({
+    engine = process.env.LOCAL_TTS_ENGINE || 'espeak',
+    binary = process.env.LOCAL_TTS_PATH,
+    voice = process.env.LOCAL_TTS_VOICE
+  } = {}) {
+    if (!engines[engine]) {
+      throw new Error(`Unknown local TTS engine: ${engine}`);
+    }
+    if (engine === 'piper' && !voice) {
+      throw new Error('The piper TTS engine needs a voice model: set LOCAL_TTS_VOICE to the path of an .onnx model');
+    }
+
+    this.name = 'local';
+    this.cacheSuffix = `_${engine}`;
+    this.extension = 'wav';
+    this.engine = engines[engine];
+    this.binary = binary || this.engine.binary;
+    this.voice = voice;
+    // Looked up once, so a missing engine counts as not configured instead of failing every request
+    this.installed = isExecutable(this.binary);
+    if (!this.installed) {
+      console.warn(`⚠️  Local TTS engine not found: ${this.binary}`);
+    }
+  }
+
+  isConfigured() {
+    return this.installed;
+  }
+
+  async synthesize(text) {
+    const options = { voice: this.voice, text };
+    const audio = await runEngine(this.binary, this.engine.args(options), this.engine.stdin(options));
+
+    return {
+      audio,
+      contentType: 'audio/wav',
+      extension: this.extension,
+      alignment: estimateAlignment(text, getWavDuration(audio)),
+      normalizedAlignment: null
+    };
+  }
+}
@@ -0,0 +1,30 @@
+// Silent TTS provider for CI and tests: deterministic audio length and alignment
+import { estimateAlignment } from './alignment.js';
+import { createSilentWav } from './wav.js';
+
+// Roughly the pace of a calm reading voice
+const CHARACTERS_PER_SECOND = 14;
+
+export class SilentTtsProvider {
+  constructor() {
+    this.name = 'silent';
+    this.cacheSuffix = '_silent';
+    this.extension = 'wav';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async synthesize(text) {
+    const duration = Math.max(0.5, text.length / CHARACTERS_PER_SECOND);
+
+    return {
+      audio: createSilentWav(duration),
+      contentType: 'audio/wav',
+      extension: this.extension,
+      alignment: estimateAlignment(text, duration),
+      normalizedAlignment: null
+    };
+  }
+}
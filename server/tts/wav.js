@@ -0,0 +1,43 @@
+// Minimal WAV helpers for locally generated audio
+
+// Duration of a PCM WAV buffer in seconds. Engines writing to stdout cannot seek back
+// to fill in chunk sizes, so the data length is taken from the buffer itself.
+export function getWavDuration(buffer) {
+  if (buffer.length < 44 || buffer.toString('ascii', 0, 4) !== 'RIFF') {
+    throw new Error('Not a WAV file');
+  }
+
+  const byteRate = buffer.readUInt32LE(28);
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    if (chunkId === 'data') {
+      return (buffer.length - offset - 8) / byteRate;
+    }
+    offset += 8 + buffer.readUInt32LE(offset + 4);
+  }
+
+  throw new Error('WAV file has no data chunk');
+}
+
+// Silent 8 kHz 8-bit mono WAV of the given duration
+export function createSilentWav(durationSeconds, sampleRate = 8000) {
+  const dataSize = Math.max(1, Math.round(durationSeconds * sampleRate));
+  const buffer = Buffer.alloc(44 + dataSize, 128); // 128 is silence for unsigned 8-bit PCM
+
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16); // fmt chunk size
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate, 28); // byte rate
+  buffer.writeUInt16LE(1, 32); // block align
+  buffer.writeUInt16LE(8, 34); // bits per sample
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(dataSize, 40);
+
+  return buffer;
+}
@@ -0,0 +1,15 @@
+// Standalone job worker process (npm run worker)
+import 'dotenv/config';
+import { JobWorker } from './jobs/worker.js';
+import { jobHandlers } from './jobs/handlers.js';
+
+const worker = new JobWorker({ handlers: jobHandlers });
+worker.start();
+
+const shutdown = async () => {
+  await worker.stop();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
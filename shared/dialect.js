@@ -0,0 +1,20 @@
+// Which database TheReader talks to. Shared by the schema, the server and drizzle.config.ts.
+
+// SQLite database used when DATABASE_URL is not set outside production
+const DEFAULT_SQLITE_URL = 'file:data/thereader.sqlite';
+
+export function databaseUrl() {
+  if (process.env.DATABASE_URL) {
+    return process.env.DATABASE_URL;
+  }
+  return process.env.NODE_ENV === 'production' ? null : DEFAULT_SQLITE_URL;
+}
+
+// SQLite for file: URLs, PostgreSQL otherwise. DB_DIALECT overrides it, which is
+// how migrations are generated for both dialects (npm run db:generate).
+export function databaseDialect(url = databaseUrl()) {
+  if (process.env.DB_DIALECT) {
+    return process.env.DB_DIALECT === 'sqlite' ? 'sqlite' : 'postgresql';
+  }
+  return url && url.startsWith('file:') ? 'sqlite' : 'postgresql';
+}
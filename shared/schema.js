@@ -1,56 +1,284 @@
-// TheReader database schema for Replit PostgreSQL integration
-import { pgTable, serial, text, integer, timestamp, jsonb } from 'drizzle-orm/pg-core';
-import { relations } from 'drizzle-orm';
+// TheReader database schema, the single source of truth for PostgreSQL and SQLite.
+// Tables are declared once with the column builders below, which map to pg-core or
+// sqlite-core depending on the configured database (see dialect.js). Migrations for
+// both dialects are generated from this file with `npm run db:generate`.
+import { pgTable, serial, text as pgText, integer as pgInteger, timestamp as pgTimestamp, jsonb, primaryKey as pgPrimaryKey, uniqueIndex as pgUniqueIndex } from 'drizzle-orm/pg-core';
+import { sqliteTable, text as sqliteText, integer as sqliteInteger, primaryKey as sqlitePrimaryKey, uniqueIndex as sqliteUniqueIndex } from 'drizzle-orm/sqlite-core';
+import { relations, sql } from 'drizzle-orm';
+import { databaseDialect } from './dialect.js';
 
-export const books = pgTable('books', {
-  id: serial('id').primaryKey(),
+export const dialect = databaseDialect();
+
+const pgBuilders = {
+  table: pgTable,
+  id: (name) => serial(name).primaryKey(),
+  text: (name) => pgText(name),
+  integer: (name) => pgInteger(name),
+  timestamp: (name) => pgTimestamp(name),
+  json: (name) => jsonb(name),
+  now: sql`now()`,
+  primaryKey: pgPrimaryKey,
+  uniqueIndex: pgUniqueIndex,
+};
+
+// SQLite has no timestamp or JSON types: timestamps are stored as milliseconds and
+// JSON as text, and drizzle converts both back to Date and objects when reading
+const sqliteBuilders = {
+  table: sqliteTable,
+  id: (name) => sqliteInteger(name).primaryKey({ autoIncrement: true }),
+  text: (name) => sqliteText(name),
+  integer: (name) => sqliteInteger(name),
+  timestamp: (name) => sqliteInteger(name, { mode: 'timestamp_ms' }),
+  json: (name) => sqliteText(name, { mode: 'json' }),
+  now: sql`(cast(unixepoch('subsec') * 1000 as integer))`,
+  primaryKey: sqlitePrimaryKey,
+  uniqueIndex: sqliteUniqueIndex,
+};
+
+const { table, id, text, integer, timestamp, json, now, primaryKey, uniqueIndex } =
+  dialect === 'sqlite' ? sqliteBuilders : pgBuilders;
+
+export const users = table('users', {
+  id: id('id'),
+  username: text('username').notNull().unique(),
+  passwordHash: text('password_hash').notNull(),
+  createdAt: timestamp('created_at').default(now),
+});
+
+// Login sessions; the cookie holds the token, only its hash is stored
+export const authSessions = table('auth_sessions', {
+  id: text('id').primaryKey(), // SHA-256 of the session token
+  userId: integer('user_id').notNull().references(() => users.id, { onDelete: 'cascade' }),
+  createdAt: timestamp('created_at').default(now),
+  expiresAt: timestamp('expires_at').notNull(),
+});
+
+// Reading preferences of a user (font, spacing, colors, ruler, playback); see server/preferences.js
+export const userPreferences = table('user_preferences', {
+  userId: integer('user_id').primaryKey().references(() => users.id, { onDelete: 'cascade' }),
+  preferences: json('preferences').notNull(), // Only the values the user changed
+  updatedAt: timestamp('updated_at').default(now),
+});
+
+export const books = table('books', {
+  id: id('id'),
+  ownerId: integer('owner_id').references(() => users.id, { onDelete: 'cascade' }),
   title: text('title'),
   author: text('author'),
   category: text('category'), // Keep for backward compatibility
-  categories: jsonb('categories'), // Array of category strings
-  keywords: jsonb('keywords'), // Array of {label, emoji, group} objects
+  categories: json('categories'), // Array of category strings
+  keywords: json('keywords'), // Array of {label, emoji, group} objects
   cover: text('cover'),
   status: text('status').default('processing'),
-  createdAt: timestamp('created_at').defaultNow(),
-  updatedAt: timestamp('updated_at').defaultNow(),
+  metadataError: text('metadata_error'), // Why the details could not be read when the scan completed
+  editedFields: json('edited_fields'), // Details set by hand (title, author, categories, keywords, cover), kept by later scans
+  createdAt: timestamp('created_at').default(now),
+  updatedAt: timestamp('updated_at').default(now),
 });
 
-export const pages = pgTable('pages', {
-  id: serial('id').primaryKey(),
+// Groups of users (a family, a class) that books can be shared with
+export const userGroups = table('user_groups', {
+  id: id('id'),
+  name: text('name').notNull(),
+  ownerId: integer('owner_id').notNull().references(() => users.id, { onDelete: 'cascade' }),
+  createdAt: timestamp('created_at').default(now),
+});
+
+export const groupMembers = table('group_members', {
+  groupId: integer('group_id').notNull().references(() => userGroups.id, { onDelete: 'cascade' }),
+  userId: integer('user_id').notNull().references(() => users.id, { onDelete: 'cascade' }),
+  createdAt: timestamp('created_at').default(now),
+}, (table) => [
+  primaryKey({ columns: [table.groupId, table.userId] }),
+]);
+
+// A book shared with one user or one group
+export const bookShares = table('book_shares', {
+  id: id('id'),
+  bookId: integer('book_id').notNull().references(() => books.id, { onDelete: 'cascade' }),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }),
+  groupId: integer('group_id').references(() => userGroups.id, { onDelete: 'cascade' }),
+  role: text('role').notNull().default('viewer'), // viewer | editor
+  createdBy: integer('created_by').references(() => users.id, { onDelete: 'set null' }),
+  createdAt: timestamp('created_at').default(now),
+}, (table) => [
+  uniqueIndex('book_shares_book_user_idx').on(table.bookId, table.userId),
+  uniqueIndex('book_shares_book_group_idx').on(table.bookId, table.groupId),
+]);
+
+// Invite links; accepting one shares the book with the signed-in user
+export const bookInvites = table('book_invites', {
+  id: id('id'),
+  bookId: integer('book_id').notNull().references(() => books.id, { onDelete: 'cascade' }),
+  tokenHash: text('token_hash').notNull().unique(),
+  role: text('role').notNull().default('viewer'), // viewer | editor
+  maxUses: integer('max_uses'), // null for unlimited
+  uses: integer('uses').default(0),
+  createdBy: integer('created_by').references(() => users.id, { onDelete: 'set null' }),
+  expiresAt: timestamp('expires_at'),
+  revokedAt: timestamp('revoked_at'),
+  createdAt: timestamp('created_at').default(now),
+});
+
+export const pages = table('pages', {
+  id: id('id'),
   bookId: integer('book_id').references(() => books.id, { onDelete: 'cascade' }),
-  pageNumber: integer('page_number'),
+  pageNumber: integer('page_number'), // From 1 without gaps, unique within a book (see server/pages.js)
   imagePath: text('image_path'),
-  createdAt: timestamp('created_at').defaultNow(),
+  kind: text('kind'), // cover | title | copyright | contents | blank | text, found when the scan completed
+  detectionError: text('detection_error'), // Why the last text detection found nothing usable
+  createdAt: timestamp('created_at').default(now),
+}, (table) => [
+  uniqueIndex('pages_book_page_number_idx').on(table.bookId, table.pageNumber),
+]);
+
+// Chapters of a book from its table of contents, with the scanned pages they span
+// (see server/chapters.js)
+export const chapters = table('chapters', {
+  id: id('id'),
+  bookId: integer('book_id').notNull().references(() => books.id, { onDelete: 'cascade' }),
+  position: integer('position').notNull(), // Order in the table of contents
+  title: text('title').notNull(),
+  level: integer('level').notNull().default(1), // 1 for chapters, 2 for their sections
+  printedPage: integer('printed_page'), // Page number printed in the table of contents
+  startPage: integer('start_page'), // Scanned page numbers; null when not scanned (yet)
+  endPage: integer('end_page'),
+  createdAt: timestamp('created_at').default(now),
 });
 
-export const scanningSessions = pgTable('scanning_sessions', {
+export const scanningSessions = table('scanning_sessions', {
   id: text('id').primaryKey(),
   bookId: integer('book_id').references(() => books.id, { onDelete: 'cascade' }),
-  status: text('status').default('active'),
-  createdAt: timestamp('created_at').defaultNow(),
+  status: text('status').default('active'), // active | completed | closed | revoked
+  claimTokenHash: text('claim_token_hash'),
+  uploadTokenHash: text('upload_token_hash'),
+  claimedAt: timestamp('claimed_at'),
+  closedAt: timestamp('closed_at'),
+  createdAt: timestamp('created_at').default(now),
   expiresAt: timestamp('expires_at'),
 });
 
-export const textBlocks = pgTable('text_blocks', {
-  id: serial('id').primaryKey(),
+export const textBlocks = table('text_blocks', {
+  id: id('id'),
   pageId: integer('page_id').notNull().references(() => pages.id, { onDelete: 'cascade' }),
   x: integer('x').notNull(),
   y: integer('y').notNull(),
   width: integer('width').notNull(),
   height: integer('height').notNull(),
   ocrText: text('ocr_text'),
-  status: text('status').default('pending'),
+  status: text('status').default('pending'), // pending (no text yet) | completed | failed (OCR found no text)
   audioUrl: text('audio_url'),
   alignmentData: text('alignment_data'),
   normalizedAlignmentData: text('normalized_alignment_data'),
   confidence: integer('confidence'),
-  createdAt: timestamp('created_at').defaultNow(),
+  language: text('language'), // ISO 639-1 code reported by the OCR provider
+  readingOrder: integer('reading_order'), // Position on the page, from layout analysis or set by hand
+  words: json('words'), // OCR word boxes [{text, x, y, width, height, line}], one per word of ocr_text
+  lines: json('lines'), // OCR line boxes [{x, y, width, height}], indexed by a word's line
+  createdAt: timestamp('created_at').default(now),
+});
+
+// Background jobs (OCR, metadata extraction, TTS generation) processed by the worker
+export const jobs = table('jobs', {
+  id: id('id'),
+  type: text('type').notNull(),
+  payload: json('payload'),
+  bookId: integer('book_id').references(() => books.id, { onDelete: 'cascade' }),
+  dedupeKey: text('dedupe_key'), // At most one queued/running job per key
+  status: text('status').default('queued'), // queued | running | completed | failed
+  attempts: integer('attempts').default(0),
+  maxAttempts: integer('max_attempts').default(5),
+  runAt: timestamp('run_at').default(now),
+  lockedBy: text('locked_by'),
+  lockedAt: timestamp('locked_at'),
+  lastError: text('last_error'),
+  result: json('result'),
+  createdAt: timestamp('created_at').default(now),
+  updatedAt: timestamp('updated_at').default(now),
+});
+
+// Every LLM request with its token usage and latency (see server/llm/index.js);
+// a call that is repaired or asked again has one row per attempt
+export const llmCalls = table('llm_calls', {
+  id: id('id'),
+  task: text('task').notNull(), // book_scan | page_text_blocks
+  provider: text('provider').notNull(),
+  model: text('model'),
+  bookId: integer('book_id').references(() => books.id, { onDelete: 'set null' }),
+  pageId: integer('page_id').references(() => pages.id, { onDelete: 'set null' }),
+  attempt: integer('attempt').notNull().default(1),
+  status: text('status').notNull(), // ok | repaired | invalid | refused | error
+  promptTokens: integer('prompt_tokens'),
+  completionTokens: integer('completion_tokens'),
+  latencyMs: integer('latency_ms'),
+  error: text('error'),
+  createdAt: timestamp('created_at').default(now),
 });
 
 // Relations
-export const booksRelations = relations(books, ({ many }) => ({
+export const usersRelations = relations(users, ({ many }) => ({
+  books: many(books),
+  authSessions: many(authSessions),
+}));
+
+export const authSessionsRelations = relations(authSessions, ({ one }) => ({
+  user: one(users, {
+    fields: [authSessions.userId],
+    references: [users.id],
+  }),
+}));
+
+export const userGroupsRelations = relations(userGroups, ({ one, many }) => ({
+  owner: one(users, {
+    fields: [userGroups.ownerId],
+    references: [users.id],
+  }),
+  members: many(groupMembers),
+}));
+
+export const groupMembersRelations = relations(groupMembers, ({ one }) => ({
+  group: one(userGroups, {
+    fields: [groupMembers.groupId],
+    references: [userGroups.id],
+  }),
+  user: one(users, {
+    fields: [groupMembers.userId],
+    references: [users.id],
+  }),
+}));
+
+export const bookSharesRelations = relations(bookShares, ({ one }) => ({
+  book: one(books, {
+    fields: [bookShares.bookId],
+    references: [books.id],
+  }),
+  user: one(users, {
+    fields: [bookShares.userId],
+    references: [users.id],
+  }),
+  group: one(userGroups, {
+    fields: [bookShares.groupId],
+    references: [userGroups.id],
+  }),
+}));
+
+export const bookInvitesRelations = relations(bookInvites, ({ one }) => ({
+  book: one(books, {
+    fields: [bookInvites.bookId],
+    references: [books.id],
+  }),
+}));
+
+export const booksRelations = relations(books, ({ one, many }) => ({
+  owner: one(users, {
+    fields: [books.ownerId],
+    references: [users.id],
+  }),
+  shares: many(bookShares),
+  invites: many(bookInvites),
   pages: many(pages),
   scanningSessions: many(scanningSessions),
+  jobs: many(jobs),
 }));
 
 export const pagesRelations = relations(pages, ({ one, many }) => ({
@@ -75,7 +303,16 @@ export const textBlocksRelations = relations(textBlocks, ({ one }) => ({
   }),
 }));
 
+export const jobsRelations = relations(jobs, ({ one }) => ({
+  book: one(books, {
+    fields: [jobs.bookId],
+    references: [books.id],
+  }),
+}));
+
 // Export types (commented out for JavaScript compatibility)
+// export type User = typeof users.$inferSelect;
+// export type InsertUser = typeof users.$inferInsert;
 // export type Book = typeof books.$inferSelect;
 // export type InsertBook = typeof books.$inferInsert;
 // export type Page = typeof pages.$inferSelect;
@@ -83,4 +320,6 @@ export const textBlocksRelations = relations(textBlocks, ({ one }) => ({
 // export type ScanningSession = typeof scanningSessions.$inferSelect;
 // export type InsertScanningSession = typeof scanningSessions.$inferInsert;
 // export type TextBlock = typeof textBlocks.$inferSelect;
-// export type InsertTextBlock = typeof textBlocks.$inferInsert;
\ No newline at end of file
+// export type InsertTextBlock = typeof textBlocks.$inferInsert;
+// export type Job = typeof jobs.$inferSelect;
+// export type InsertJob = typeof jobs.$inferInsert;
\ No newline at end of file